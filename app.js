@@ -123,6 +123,27 @@
       importCsvBtn.addEventListener('click', importPartsCSV);
     }
     
+    // Setup whole-archive CSV export/import buttons
+    const exportArchiveBtn = document.getElementById('export-archive-csv');
+    if (exportArchiveBtn) {
+      exportArchiveBtn.addEventListener('click', exportArchiveCSV);
+    }
+    
+    const importArchiveBtn = document.getElementById('import-archive-csv');
+    if (importArchiveBtn) {
+      importArchiveBtn.addEventListener('click', importArchiveCSV);
+    }
+    
+    const exportJsonBtn = document.getElementById('export-archive-json');
+    if (exportJsonBtn) {
+      exportJsonBtn.addEventListener('click', exportArchiveJSON);
+    }
+    
+    const importJsonBtn = document.getElementById('import-archive-json');
+    if (importJsonBtn) {
+      importJsonBtn.addEventListener('click', importArchiveJSON);
+    }
+    
     // Confirm before closing with unsaved changes
     window.addEventListener('beforeunload', (event) => {
       if (window.App && window.App.hasUnsavedChanges) {
@@ -165,58 +186,41 @@
   /**
    * Export parts to CSV
    */
-  function exportPartsCSV() {
+  async function exportPartsCSV() {
     try {
-      if (!window.DatabaseService.getDatabase()) {
+      if (!window.DatabaseService.isOpen()) {
         window.DOMUtils.showToast('No database to export', 'error');
         return;
       }
       
       // Get all parts
-      const parts = window.PartModel.getAllParts();
-      
-      // Create CSV content
-      let csv = 'ID,Brand,Model,Type,Acquisition Date,Status,Notes\n';
+      const parts = await window.PartModel.getAllParts();
       
-      parts.forEach(part => {
-        // Format date
-        let date = part.acquisition_date || '';
-        if (date && part.date_precision) {
-          const dateObj = new Date(date);
-          
-          if (part.date_precision === 'year') {
-            date = dateObj.getFullYear().toString();
-          } else if (part.date_precision === 'month') {
-            date = `${dateObj.getFullYear()}-${(dateObj.getMonth() + 1).toString().padStart(2, '0')}`;
-          } else {
-            date = dateObj.toISOString().split('T')[0];
-          }
+      // Dates are written at their own precision (YYYY, YYYY-MM or YYYY-MM-DD)
+      const rows = parts.map(part => {
+        let date = null;
+        if (part.acquisition_date && part.date_precision !== 'none') {
+          date = part.acquisition_date.substring(0, part.date_precision === 'year' ? 4 : part.date_precision === 'month' ? 7 : 10);
         }
         
-        // Escape and format fields
-        const fields = [
+        return [
           part.id,
-          `"${part.brand.replace(/"/g, '""')}"`,
-          `"${part.model.replace(/"/g, '""')}"`,
+          part.brand,
+          part.model,
           part.type,
           date,
           part.status,
-          `"${(part.notes || '').replace(/"/g, '""')}"`
+          part.notes || null,
+          part.serial_number || null
         ];
-        
-        csv += fields.join(',') + '\n';
       });
       
-      // Create download link
-      const blob = new Blob([csv], { type: 'text/csv' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'pc_parts_export.csv';
-      a.click();
+      const csv = window.CSVUtils.stringify([
+        ['ID', 'Brand', 'Model', 'Type', 'Acquisition Date', 'Status', 'Notes', 'Serial Number'],
+        ...rows
+      ]);
       
-      // Clean up
-      URL.revokeObjectURL(url);
+      window.DOMUtils.downloadFile(csv, 'pc_parts_export.csv', 'text/csv');
       
       window.DOMUtils.showToast('Parts exported successfully', 'success');
     } catch (err) {
@@ -230,7 +234,7 @@
    */
   function importPartsCSV() {
     try {
-      if (!window.DatabaseService.getDatabase()) {
+      if (!window.DatabaseService.isOpen()) {
         window.DOMUtils.showToast('No database to import to', 'error');
         return;
       }
@@ -246,59 +250,28 @@
         const file = e.target.files[0];
         const reader = new FileReader();
         
-        reader.onload = (event) => {
+        reader.onload = async (event) => {
           try {
-            const content = event.target.result;
-            const lines = content.split('\n');
+            const rows = window.CSVUtils.parse(event.target.result);
             
             // Skip header row
-            const header = lines[0];
-            const expectedHeader = 'ID,Brand,Model,Type,Acquisition Date,Status,Notes';
+            const header = rows[0] || [];
             
-            if (!header.startsWith('ID,Brand,Model,Type')) {
+            if (header.slice(0, 4).join(',') !== 'ID,Brand,Model,Type') {
               throw new Error('Invalid CSV format. Expected header: ID,Brand,Model,Type,...');
             }
             
+            // Columns after the first four are looked up by name, so older exports still load
+            const notesIndex = header.indexOf('Notes');
+            const serialIndex = header.indexOf('Serial Number');
+            
             // Parse rows
             const parts = [];
             
-            for (let i = 1; i < lines.length; i++) {
-              const line = lines[i].trim();
-              if (!line) continue;
-              
-              // CSV parsing with support for quoted fields
-              const fields = [];
-              let field = '';
-              let inQuotes = false;
-              
-              for (let j = 0; j < line.length; j++) {
-                const char = line[j];
-                
-                if (char === '"') {
-                  if (inQuotes && j < line.length - 1 && line[j+1] === '"') {
-                    // Double quotes inside quotes - add a single quote
-                    field += '"';
-                    j++;
-                  } else {
-                    // Toggle quotes mode
-                    inQuotes = !inQuotes;
-                  }
-                } else if (char === ',' && !inQuotes) {
-                  // End of field
-                  fields.push(field);
-                  field = '';
-                } else {
-                  field += char;
-                }
-              }
-              
-              // Add the last field
-              fields.push(field);
-              
+            rows.slice(1).forEach(fields => {
               // Create part object
               if (fields.length >= 6) {
-                const [id, brand, model, type, acquisitionDate, status, ...notesArr] = fields;
-                const notes = notesArr.join(',');
+                const [id, brand, model, type, acquisitionDate] = fields;
                 
                 // Parse date
                 let acquisition_date = null;
@@ -319,50 +292,35 @@
                   }
                 }
                 
-                parts.push({
-                  brand: brand.replace(/^"(.*)"$/, '$1'),
-                  model: model.replace(/^"(.*)"$/, '$1'),
+                const part = {
+                  id: parseInt(id) || null,
+                  brand,
+                  model,
                   type,
                   acquisition_date,
                   date_precision,
-                  notes: notes.replace(/^"(.*)"$/, '$1')
-                });
+                  notes: notesIndex >= 0 ? fields[notesIndex] || '' : ''
+                };
+                
+                if (serialIndex >= 0) {
+                  part.serial_number = fields[serialIndex] || '';
+                }
+                
+                parts.push(part);
               }
-            }
+            });
             
-            // Add parts to database
             if (parts.length === 0) {
               throw new Error('No valid parts found in CSV');
             }
             
-            // Begin transaction
-            const db = window.DatabaseService.getDatabase();
-            db.run('BEGIN TRANSACTION');
+            // Rows describing parts already in the archive need a decision first
+            const matches = await window.DuplicateFinder.findMatches(parts);
             
-            try {
-              // Add parts
-              parts.forEach(part => {
-                window.PartModel.addPart(part);
-              });
-              
-              // Commit transaction
-              db.run('COMMIT');
-              
-              // Update state
-              window.App.hasUnsavedChanges = true;
-              window.App.updateSaveStatus();
-              
-              // Auto-save
-              window.App.saveDatabase();
-              
-              // Refresh parts list
-              window.PartsList.refresh();
-              
-              window.DOMUtils.showToast(`Imported ${parts.length} parts successfully`, 'success');
-            } catch (err) {
-              // Rollback transaction on error
-              db.run('ROLLBACK');
-              throw err;
+            if (matches.some(match => match)) {
+              showImportReview(parts, matches);
+            } else {
+              await importParts(parts, matches, matches.map(() => 'create'));
             }
           } catch (err) {
             console.error('Error parsing CSV:', err);
@@ -384,4 +342,344 @@
       window.DOMUtils.showToast('Error importing parts', 'error');
     }
   }
+  
+  /**
+   * Export the whole database as a zip with one CSV file per table
+   */
+  async function exportArchiveCSV() {
+    try {
+      if (!window.DatabaseService.isOpen()) {
+        window.DOMUtils.showToast('No database to export', 'error');
+        return;
+      }
+      
+      const fileName = (window.FileService.getCurrentFileName() || 'pc_history').replace(/\.[^.]+$/, '');
+      window.DOMUtils.downloadFile(await window.CsvArchive.exportZip(), `${fileName}_csv.zip`, 'application/zip');
+      
+      window.DOMUtils.showToast('Archive exported successfully', 'success');
+    } catch (err) {
+      console.error('Error exporting archive:', err);
+      window.DOMUtils.showToast('Error exporting archive: ' + err.message, 'error');
+    }
+  }
+  
+  /**
+   * Import an exported CSV archive, either the zip or its CSV files selected together
+   */
+  function importArchiveCSV() {
+    try {
+      if (!window.DatabaseService.isOpen()) {
+        window.DOMUtils.showToast('No database to import to', 'error');
+        return;
+      }
+      
+      // Create file input
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.zip,.csv';
+      input.multiple = true;
+      
+      input.addEventListener('change', async (e) => {
+        if (!e.target.files.length) return;
+        
+        try {
+          const selected = [...e.target.files];
+          let counts;
+          
+          if (selected.length === 1 && /\.zip$/i.test(selected[0].name)) {
+            counts = await window.CsvArchive.importZip(await selected[0].arrayBuffer());
+          } else {
+            const files = {};
+            for (const file of selected) {
+              files[file.name] = await file.text();
+            }
+            counts = await window.CsvArchive.importFiles(files);
+          }
+          
+          // Refresh views
+          await window.App.refreshViews();
+          
+          window.DOMUtils.showToast(
+            `Imported ${counts.parts} parts, ${counts.connections} connections and ${counts.disposals} disposals`, 'success');
+        } catch (err) {
+          console.error('Error importing archive:', err);
+          window.DOMUtils.showToast('Error importing archive: ' + err.message, 'error');
+        }
+      });
+      
+      // Trigger file selection
+      input.click();
+    } catch (err) {
+      console.error('Error importing archive:', err);
+      window.DOMUtils.showToast('Error importing archive', 'error');
+    }
+  }
+  
+  /**
+   * Export the whole database as a JSON archive
+   */
+  async function exportArchiveJSON() {
+    try {
+      if (!window.DatabaseService.isOpen()) {
+        window.DOMUtils.showToast('No database to export', 'error');
+        return;
+      }
+      
+      const fileName = (window.FileService.getCurrentFileName() || 'pc_history').replace(/\.[^.]+$/, '');
+      window.DOMUtils.downloadFile(await window.JsonArchive.exportJson(), `${fileName}.json`, 'application/json');
+      
+      window.DOMUtils.showToast('Archive exported successfully', 'success');
+    } catch (err) {
+      console.error('Error exporting archive:', err);
+      window.DOMUtils.showToast('Error exporting archive: ' + err.message, 'error');
+    }
+  }
+  
+  /**
+   * Import a JSON archive, after checking it and asking whether to replace or merge
+   */
+  function importArchiveJSON() {
+    try {
+      if (!window.DatabaseService.isOpen()) {
+        window.DOMUtils.showToast('No database to import to', 'error');
+        return;
+      }
+      
+      // Create file input
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.json';
+      
+      input.addEventListener('change', async (e) => {
+        if (!e.target.files.length) return;
+        
+        try {
+          const data = window.JsonArchive.parse(await e.target.files[0].text());
+          const errors = window.JsonArchive.validate(data);
+          
+          if (errors.length > 0) {
+            showArchiveErrors(errors);
+          } else {
+            showJsonImportOptions(data);
+          }
+        } catch (err) {
+          console.error('Error importing archive:', err);
+          window.DOMUtils.showToast('Error importing archive: ' + err.message, 'error');
+        }
+      });
+      
+      // Trigger file selection
+      input.click();
+    } catch (err) {
+      console.error('Error importing archive:', err);
+      window.DOMUtils.showToast('Error importing archive', 'error');
+    }
+  }
+  
+  /**
+   * List the problems found in an archive that can't be imported
+   * @param {Array} errors - { path, message } from JsonArchive.validate
+   */
+  function showArchiveErrors(errors) {
+    const MAX_SHOWN = 50;
+    
+    const content = window.DOMUtils.createElement('div');
+    content.appendChild(window.DOMUtils.createElement('p', {},
+      `The archive can't be imported: ${errors.length} problem${errors.length === 1 ? ' was' : 's were'} found.`));
+    
+    const list = window.DOMUtils.createElement('ul', { className: 'archive-errors' });
+    errors.slice(0, MAX_SHOWN).forEach(error => {
+      list.appendChild(window.DOMUtils.createElement('li', {}, [
+        window.DOMUtils.createElement('code', {}, error.path),
+        `: ${error.message}`
+      ]));
+    });
+    content.appendChild(list);
+    
+    if (errors.length > MAX_SHOWN) {
+      content.appendChild(window.DOMUtils.createElement('p', {}, `...and ${errors.length - MAX_SHOWN} more.`));
+    }
+    
+    window.DOMUtils.showModal('Invalid Archive', content);
+  }
+  
+  /**
+   * Ask whether a valid JSON archive replaces the open database or is merged into it
+   * @param {Object} data - Validated archive
+   */
+  function showJsonImportOptions(data) {
+    const count = table => (data[table] || []).length;
+    
+    const content = window.DOMUtils.createElement('div');
+    content.appendChild(window.DOMUtils.createElement('p', {},
+      `The archive has ${count('parts')} parts, ${count('connections')} connections and ${count('disposals')} disposals` +
+      (data.exported_at ? `, exported ${data.exported_at.substring(0, 10)}.` : '.')));
+    
+    content.appendChild(window.DOMUtils.createElement('p', {},
+      'Replace swaps everything in the open database for the archive. Merge adds the archive\'s records to the ' +
+      'existing ones, matching parts that are already here instead of adding them again. Either can be undone.'));
+    
+    const runImport = async (mode) => {
+      try {
+        const counts = await window.JsonArchive.importArchive(data, mode);
+        
+        // Refresh views
+        await window.App.refreshViews();
+        
+        document.body.removeChild(modal);
+        
+        window.DOMUtils.showToast(
+          `${mode === 'replace' ? 'Replaced database with' : 'Merged'} ${counts.parts} parts and ${counts.connections} connections` +
+          (counts.matched ? ` (${counts.matched} parts were already here)` : ''), 'success');
+      } catch (err) {
+        console.error('Error importing archive:', err);
+        window.DOMUtils.showToast('Error importing archive: ' + err.message, 'error');
+      }
+    };
+    
+    const buttons = window.DOMUtils.createElement('div', { className: 'modal-buttons' }, [
+      window.DOMUtils.createButton('Merge into Open Database', 'primary-button', () => runImport('merge')),
+      window.DOMUtils.createButton('Replace Open Database', 'danger-button', () => runImport('replace'))
+    ]);
+    content.appendChild(buttons);
+    
+    const modal = window.DOMUtils.showModal('Import Archive', content);
+  }
+  
+  /**
+   * Ask what to do with imported rows that match existing parts, then import
+   * @param {Array} parts - Parsed rows
+   * @param {Array} matches - Match for each row from DuplicateFinder.findMatches (or null)
+   */
+  function showImportReview(parts, matches) {
+    const MATCHED_BY = {
+      id: 'ID',
+      serial: 'Serial number',
+      brand_model_date: 'Brand, model and date'
+    };
+    
+    const ACTIONS = [
+      { value: 'update', label: 'Update existing' },
+      { value: 'skip', label: 'Skip' },
+      { value: 'create', label: 'Add as new part' }
+    ];
+    
+    const createActionSelect = (value) => {
+      const select = window.DOMUtils.createElement('select', { className: 'form-control' });
+      ACTIONS.forEach(action => {
+        select.appendChild(window.DOMUtils.createElement('option', { value: action.value }, action.label));
+      });
+      select.value = value;
+      return select;
+    };
+    
+    const matchedCount = matches.filter(match => match).length;
+    const newCount = parts.length - matchedCount;
+    
+    const content = window.DOMUtils.createElement('div');
+    content.appendChild(window.DOMUtils.createElement('p', {},
+      `${matchedCount} of the ${parts.length} rows match parts already in the archive. ` +
+      `Choose what to do with each; ${newCount === 1 ? 'the other row is' : `the other ${newCount} rows are`} added as new parts.`));
+    
+    // Set every row at once
+    const allSelect = createActionSelect('skip');
+    content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+      window.DOMUtils.createElement('label', {}, 'All matching rows:'),
+      allSelect
+    ]));
+    
+    const table = window.DOMUtils.createElement('table', { className: 'import-review-table' });
+    const headerRow = window.DOMUtils.createElement('tr');
+    ['Row', 'Existing Part', 'Matched By', 'Action'].forEach(title => {
+      headerRow.appendChild(window.DOMUtils.createElement('th', {}, title));
+    });
+    table.appendChild(window.DOMUtils.createElement('thead', {}, headerRow));
+    
+    const tbody = window.DOMUtils.createElement('tbody');
+    const selects = [];
+    
+    parts.forEach((part, index) => {
+      const match = matches[index];
+      if (!match) return;
+      
+      const select = createActionSelect('skip');
+      selects[index] = select;
+      
+      const row = window.DOMUtils.createElement('tr');
+      [
+        `${part.brand} ${part.model}` +
+          (part.acquisition_date ? ` (${window.DateUtils.formatDateByPrecision(part.acquisition_date, part.date_precision)})` : ''),
+        `#${match.part.id} ${match.part.brand} ${match.part.model}`,
+        MATCHED_BY[match.matchedBy],
+        select
+      ].forEach(cell => row.appendChild(window.DOMUtils.createElement('td', {}, cell)));
+      tbody.appendChild(row);
+    });
+    
+    table.appendChild(tbody);
+    content.appendChild(window.DOMUtils.createElement('div', { className: 'table-container' }, table));
+    
+    allSelect.addEventListener('change', () => {
+      selects.forEach(select => {
+        if (select) select.value = allSelect.value;
+      });
+    });
+    
+    const importButton = window.DOMUtils.createButton('Import', 'primary-button', async () => {
+      const actions = parts.map((part, index) => selects[index] ? selects[index].value : 'create');
+      
+      if (await importParts(parts, matches, actions)) {
+        document.body.removeChild(modal);
+      }
+    });
+    
+    content.appendChild(importButton);
+    
+    const modal = window.DOMUtils.showModal('Import Parts', content);
+  }
+  
+  /**
+   * Add, update or skip each imported row as one undoable step
+   * @param {Array} parts - Parsed rows
+   * @param {Array} matches - Match for each row (or null)
+   * @param {Array} actions - 'create', 'update' or 'skip' for each row
+   * @returns {Promise<boolean>} True if the import succeeded
+   */
+  async function importParts(parts, matches, actions) {
+    try {
+      const counts = { create: 0, update: 0, skip: 0 };
+      actions.forEach(action => counts[action]++);
+      
+      // A single transaction so a bad row leaves the database untouched
+      await window.HistoryService.record(`Import ${parts.length} parts from CSV`, () => window.DatabaseService.transaction(async () => {
+        for (const [index, part] of parts.entries()) {
+          const { id, ...fields } = part;
+          
+          if (actions[index] === 'create') {
+            await window.PartModel.addPart(fields);
+          } else if (actions[index] === 'update') {
+            // Keep whatever the file doesn't carry (prices, warranty, identifiers)
+            const existing = await window.PartModel.getPartById(matches[index].part.id);
+            await window.PartModel.updatePart(existing.id, { ...existing, ...fields });
+          }
+        }
+      }));
+      
+      // Refresh views
+      await window.App.refreshViews();
+      
+      const summary = [
+        counts.create ? `${counts.create} added` : null,
+        counts.update ? `${counts.update} updated` : null,
+        counts.skip ? `${counts.skip} skipped` : null
+      ].filter(Boolean).join(', ');
+      
+      window.DOMUtils.showToast(`Imported parts: ${summary}`, 'success');
+      return true;
+    } catch (err) {
+      console.error('Error importing parts:', err);
+      window.DOMUtils.showToast('Error importing parts: ' + err.message, 'error');
+      return false;
+    }
+  }
 })();
\ No newline at end of file
@@ -0,0 +1,306 @@
+/**
+ * Audit View component for PC History Tracker
+ * Lists the audit log per part or per rig with filtering
+ */
+
+// Create namespace
+window.AuditView = (function() {
+  // Private members
+
+  // Readable names for audited tables
+  const ENTITY_LABELS = {
+    parts: 'Part',
+    connections: 'Connection',
+    rig_identities: 'Rig identity',
+    rig_names: 'Rig name',
+    disposals: 'Disposal',
+    rmas: 'RMA',
+    part_lineage: 'Lineage link'
+  };
+
+  // Listeners are bound once, even though init runs each time a database is opened
+  let initialized = false;
+
+  /**
+   * Initialize the audit view
+   */
+  function init() {
+    if (initialized) return;
+    initialized = true;
+
+    ['audit-filter-part', 'audit-filter-rig', 'audit-filter-entity', 'audit-filter-action',
+      'audit-filter-from', 'audit-filter-to'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener('change', refresh);
+      }
+    });
+
+    const searchInput = document.getElementById('audit-filter-search');
+    if (searchInput) {
+      searchInput.addEventListener('input', refresh);
+    }
+
+    const clearBtn = document.getElementById('audit-clear-filters');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', async () => {
+        clearFilters();
+        await refresh();
+      });
+    }
+
+    const refreshBtn = document.getElementById('refresh-audit');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', refresh);
+    }
+  }
+
+  /**
+   * Reset every filter control
+   */
+  function clearFilters() {
+    ['audit-filter-part', 'audit-filter-rig', 'audit-filter-entity', 'audit-filter-action',
+      'audit-filter-search', 'audit-filter-from', 'audit-filter-to'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.value = '';
+      }
+    });
+  }
+
+  /**
+   * Fill a select with options, keeping (or setting) the selected value
+   * @param {HTMLSelectElement} select - Select element
+   * @param {string} emptyLabel - Label for the "no filter" option
+   * @param {Array} items - Array of { id, name }
+   * @param {string} selected - Value to select
+   */
+  async function populateSelect(select, emptyLabel, items, selected) {
+    select.innerHTML = '';
+    select.appendChild(new Option(emptyLabel, ''));
+
+    items.forEach(item => {
+      select.appendChild(new Option(item.name, String(item.id)));
+    });
+
+    // A part with no logged changes yet still needs to be selectable
+    if (selected && !items.some(item => String(item.id) === selected)) {
+      const part = await window.PartModel.getPartById(Number(selected));
+      const name = part ? `${part.brand} ${part.model}` : `Part #${selected}`;
+      select.appendChild(new Option(name, selected));
+    }
+
+    select.value = selected || '';
+  }
+
+  /**
+   * Read the current filter values
+   * @returns {Object} Filters for AuditLogModel.getEntries
+   */
+  function getFilters() {
+    const value = id => {
+      const element = document.getElementById(id);
+      return element ? element.value.trim() : '';
+    };
+
+    return {
+      partId: Number(value('audit-filter-part')) || null,
+      motherboardId: Number(value('audit-filter-rig')) || null,
+      entity: value('audit-filter-entity'),
+      action: value('audit-filter-action'),
+      search: value('audit-filter-search'),
+      from: value('audit-filter-from'),
+      to: value('audit-filter-to')
+    };
+  }
+
+  /**
+   * Format a stored value for display; whole rows (inserts and deletes) are
+   * stored as JSON and shown as "field: value" lines
+   * @param {Object} entry - Audit entry
+   * @param {string|null} value - Stored value
+   * @returns {string} Display text
+   */
+  function formatValue(entry, value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    if (entry.field === null) {
+      try {
+        const row = JSON.parse(value);
+        return Object.keys(row)
+          .filter(key => row[key] !== null)
+          .map(key => `${key}: ${row[key]}`)
+          .join('\n');
+      } catch (err) {
+        return value;
+      }
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Describe which record an entry belongs to
+   * @param {Object} entry - Audit entry
+   * @returns {string} Record description
+   */
+  function describeRecord(entry) {
+    const label = `${ENTITY_LABELS[entry.entity] || entry.entity} #${entry.entity_id}`;
+
+    if (entry.entity === 'parts') {
+      return entry.part_name ? `${label} (${entry.part_name})` : label;
+    }
+
+    const context = [];
+    if (entry.part_id) {
+      context.push(entry.part_name || `Part #${entry.part_id}`);
+    }
+    if (entry.motherboard_id && entry.motherboard_id !== entry.part_id) {
+      context.push(`rig: ${entry.motherboard_name || `Part #${entry.motherboard_id}`}`);
+    }
+
+    return context.length > 0 ? `${label} (${context.join(', ')})` : label;
+  }
+
+  /**
+   * Format a change timestamp in local time
+   * @param {string} changedAt - ISO timestamp (UTC)
+   * @returns {string} Display text
+   */
+  function formatTimestamp(changedAt) {
+    const date = new Date(changedAt);
+    return isNaN(date.getTime()) ? changedAt : date.toLocaleString();
+  }
+
+  /**
+   * Refresh the audit view
+   */
+  async function refresh() {
+    try {
+      const container = document.getElementById('audit-log-container');
+      if (!container || !window.DatabaseService.isOpen()) return;
+
+      // Rebuild part and rig filters from what the log contains
+      const partSelect = document.getElementById('audit-filter-part');
+      const rigSelect = document.getElementById('audit-filter-rig');
+      if (partSelect) {
+        await populateSelect(partSelect, 'All Parts', await window.AuditLogModel.getAuditedParts(), partSelect.value);
+      }
+      if (rigSelect) {
+        await populateSelect(rigSelect, 'All Rigs', await window.AuditLogModel.getAuditedRigs(), rigSelect.value);
+      }
+
+      const entries = await window.AuditLogModel.getEntries(getFilters());
+      container.innerHTML = '';
+
+      if (entries.length === 0) {
+        container.innerHTML = '<p>No changes match the selected filters.</p>';
+        return;
+      }
+
+      const table = document.createElement('table');
+      table.className = 'audit-table';
+      table.innerHTML = `
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>Action</th>
+            <th>Record</th>
+            <th>Field</th>
+            <th>Old Value</th>
+            <th>New Value</th>
+          </tr>
+        </thead>
+      `;
+
+      const tbody = document.createElement('tbody');
+      entries.forEach(entry => {
+        const row = document.createElement('tr');
+        row.className = `audit-${entry.action}`;
+
+        [
+          formatTimestamp(entry.changed_at),
+          entry.action.charAt(0).toUpperCase() + entry.action.slice(1),
+          describeRecord(entry),
+          entry.field || '',
+          formatValue(entry, entry.old_value),
+          formatValue(entry, entry.new_value)
+        ].forEach(text => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+
+        tbody.appendChild(row);
+      });
+      table.appendChild(tbody);
+
+      const tableContainer = document.createElement('div');
+      tableContainer.className = 'table-container';
+      tableContainer.appendChild(table);
+      container.appendChild(tableContainer);
+    } catch (err) {
+      console.error('Error refreshing audit log:', err);
+    }
+  }
+
+  /**
+   * Switch to the Audit tab with the given filters applied
+   * @param {Object} filters - Map of filter element ID to value
+   */
+  async function showWithFilters(filters) {
+    clearFilters();
+
+    // Hide overlays that cover the tabs
+    if (window.TimelineView && typeof window.TimelineView.hide === 'function') {
+      window.TimelineView.hide();
+    }
+    const rigHistoryView = document.getElementById('rig-history-view');
+    if (rigHistoryView && !rigHistoryView.classList.contains('hidden') && window.RigHistoryView) {
+      window.RigHistoryView.hide();
+    }
+
+    // Options are rebuilt on refresh, so set the value after adding a placeholder option
+    Object.keys(filters).forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.appendChild(new Option('', filters[id]));
+        select.value = filters[id];
+      }
+    });
+
+    // The tab click handler refreshes the view
+    const tabButton = document.querySelector('.tab-button[data-tab="audit-tab"]');
+    if (tabButton) {
+      tabButton.click();
+    } else {
+      await refresh();
+    }
+  }
+
+  /**
+   * Show every change linked to a part
+   * @param {number} partId - Part ID
+   */
+  async function showForPart(partId) {
+    await showWithFilters({ 'audit-filter-part': String(partId) });
+  }
+
+  /**
+   * Show every change linked to a rig
+   * @param {number} motherboardId - Motherboard ID
+   */
+  async function showForRig(motherboardId) {
+    await showWithFilters({ 'audit-filter-rig': String(motherboardId) });
+  }
+
+  // Public API
+  return {
+    init,
+    refresh,
+    showForPart,
+    showForRig
+  };
+})();
@@ -0,0 +1,169 @@
+/**
+ * Backup Browser component for PC History Tracker
+ * Lists the automatic backups and restores or compares one with the open database
+ */
+
+// Create namespace
+window.BackupBrowser = (function() {
+  // Private members
+
+  /**
+   * Format a byte count
+   * @param {number} bytes - Size
+   * @returns {string} Size in KB or MB
+   */
+  function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+  }
+
+  /**
+   * Show what changed between a backup and the open database
+   * @param {Object} backup - Backup details
+   */
+  async function showComparison(backup) {
+    try {
+      const taken = new Date(backup.created_at).toLocaleString();
+      window.DiffReport.show(await window.BackupService.compareBackup(backup.id), {
+        title: 'Compare Backup',
+        before: `the backup of ${taken}`,
+        after: 'the open database',
+        fileName: `${backup.file.replace(/\.[^.]+$/, '')}_backup`
+      });
+    } catch (err) {
+      // Cancelled the passphrase prompt for an encrypted backup
+      if (err.name === 'AbortError') return;
+
+      console.error('Error comparing backup:', err);
+      alert('Error comparing backup: ' + err.message);
+    }
+  }
+
+  /**
+   * Replace the open database with a backup after confirming
+   * @param {Object} backup - Backup details
+   * @param {HTMLElement} modal - Browser modal, closed once restored
+   */
+  async function restore(backup, modal) {
+    if (!confirm(`Restore the backup of ${new Date(backup.created_at).toLocaleString()}? ` +
+      'The current state is backed up first, and Undo reverts the restore.')) {
+      return;
+    }
+
+    try {
+      await window.BackupService.restoreBackup(backup.id);
+
+      await window.App.refreshViews();
+
+      document.body.removeChild(modal);
+
+      window.DOMUtils.showToast('Backup restored', 'success');
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+
+      console.error('Error restoring backup:', err);
+      alert('Error restoring backup: ' + err.message);
+    }
+  }
+
+  /**
+   * Build the retention settings form
+   * @returns {HTMLElement} Settings form
+   */
+  function createSettingsForm() {
+    const settings = window.BackupService.getSettings();
+
+    const numberField = (id, label, value, min) => window.DOMUtils.createElement('div', { className: 'form-group' }, [
+      window.DOMUtils.createElement('label', { for: id }, label),
+      window.DOMUtils.createElement('input', { type: 'number', id, min: String(min), value: String(value) })
+    ]);
+
+    const enabled = window.DOMUtils.createElement('input', { type: 'checkbox', id: 'backup-enabled' });
+    enabled.checked = settings.enabled;
+
+    const saveButton = window.DOMUtils.createButton('Save Settings', 'compact-btn', () => {
+      window.BackupService.saveSettings({
+        enabled: enabled.checked,
+        keepLast: Number(document.getElementById('backup-keep-last').value),
+        keepDaily: Number(document.getElementById('backup-keep-daily').value),
+        keepWeekly: Number(document.getElementById('backup-keep-weekly').value)
+      });
+      window.DOMUtils.showToast('Backup settings saved', 'success');
+    });
+
+    return window.DOMUtils.createElement('details', { className: 'backup-settings' }, [
+      window.DOMUtils.createElement('summary', {}, 'Settings'),
+      window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'backup-enabled' }, [enabled, ' Back up before every save'])
+      ]),
+      numberField('backup-keep-last', 'Keep the latest backups:', settings.keepLast, 1),
+      numberField('backup-keep-daily', 'Also keep one a day for the latest days (0 for none):', settings.keepDaily, 0),
+      numberField('backup-keep-weekly', 'Also keep one a week for the latest weeks (0 for none):', settings.keepWeekly, 0),
+      saveButton
+    ]);
+  }
+
+  /**
+   * List the backups, newest first
+   */
+  async function show() {
+    try {
+      const backups = await window.BackupService.listBackups();
+      const openKey = await window.BackupService.currentFileKey();
+
+      const content = window.DOMUtils.createElement('div', { className: 'backup-browser' });
+      content.appendChild(window.DOMUtils.createElement('p', {}, backups.length === 0
+        ? 'No backups yet. A backup of the database is kept in this browser each time it is saved.'
+        : 'A backup of the database is kept in this browser each time it is saved. Restoring one replaces the open database.'));
+
+      const modal = window.DOMUtils.showModal('Restore from Backup', content);
+
+      if (backups.length > 0) {
+        const table = window.DOMUtils.createElement('table', { className: 'backup-table' });
+        table.appendChild(window.DOMUtils.createElement('tr', {}, ['Taken', 'File', 'Parts', 'Connections', 'Size', '']
+          .map(heading => window.DOMUtils.createElement('th', {}, heading))));
+
+        backups.forEach(backup => {
+          const row = window.DOMUtils.createElement('tr', {}, [
+            window.DOMUtils.createElement('td', {}, [
+              new Date(backup.created_at).toLocaleString(),
+              backup.reason !== 'save' ? window.DOMUtils.createElement('span', { className: 'backup-reason' }, ` (${backup.reason})`) : null
+            ]),
+            window.DOMUtils.createElement('td', {}, [
+              backup.file,
+              backup.file_key === openKey ? window.DOMUtils.createElement('span', { className: 'backup-reason' }, ' (open)') : null
+            ]),
+            window.DOMUtils.createElement('td', {}, String(backup.parts)),
+            window.DOMUtils.createElement('td', {}, String(backup.connections)),
+            window.DOMUtils.createElement('td', {}, formatSize(backup.size)),
+            window.DOMUtils.createElement('td', { className: 'backup-actions' }, [
+              window.DOMUtils.createButton('Compare', 'compact-btn', () => showComparison(backup)),
+              window.DOMUtils.createButton('Restore', 'compact-btn', () => restore(backup, modal)),
+              window.DOMUtils.createButton('Delete', 'compact-btn', async () => {
+                try {
+                  await window.BackupService.deleteBackup(backup.id);
+                  table.removeChild(row);
+                } catch (err) {
+                  console.error('Error deleting backup:', err);
+                  alert('Error deleting backup: ' + err.message);
+                }
+              })
+            ])
+          ]);
+          table.appendChild(row);
+        });
+
+        content.appendChild(table);
+      }
+
+      content.appendChild(createSettingsForm());
+    } catch (err) {
+      console.error('Error listing backups:', err);
+      alert('Error listing backups: ' + err.message);
+    }
+  }
+
+  // Public API
+  return {
+    show
+  };
+})();
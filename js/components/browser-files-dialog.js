@@ -0,0 +1,99 @@
+/**
+ * Browser Files Dialog component for PC History Tracker
+ * Lists the databases kept in browser storage, for browsers without the File
+ * System Access API, and opens, imports or deletes them
+ */
+
+// Create namespace
+window.BrowserFilesDialog = (function() {
+  // Private members
+
+  /**
+   * Format a byte count
+   * @param {number} bytes - Size
+   * @returns {string} Size in KB or MB
+   */
+  function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+  }
+
+  /**
+   * Delete a stored database after confirming
+   * @param {Object} file - File details from BrowserStorage.list
+   * @param {HTMLElement} table - File table
+   * @param {HTMLElement} row - The file's row
+   */
+  async function remove(file, table, row) {
+    if (!confirm(`Delete ${file.name} from this browser? Export it first to keep a copy.`)) {
+      return;
+    }
+
+    try {
+      await window.BrowserStorage.remove(file.name);
+      table.removeChild(row);
+    } catch (err) {
+      console.error('Error deleting database:', err);
+      alert('Error deleting database: ' + err.message);
+    }
+  }
+
+  /**
+   * List the stored databases, most recently saved first
+   */
+  async function show() {
+    try {
+      const files = await window.BrowserStorage.list();
+      const openName = window.FileService.getCurrentFileName();
+
+      const content = window.DOMUtils.createElement('div', { className: 'browser-files' });
+      content.appendChild(window.DOMUtils.createElement('p', {}, files.length === 0
+        ? 'No databases are kept in this browser yet. Import a .db file, or create a new database.'
+        : 'These databases are kept in this browser. Use Export .db in the Tools menu to keep a copy elsewhere.'));
+
+      const modal = window.DOMUtils.showModal('Open Database', content);
+
+      if (files.length > 0) {
+        const table = window.DOMUtils.createElement('table', { className: 'backup-table' });
+        table.appendChild(window.DOMUtils.createElement('tr', {}, ['File', 'Saved', 'Size', '']
+          .map(heading => window.DOMUtils.createElement('th', {}, heading))));
+
+        files.forEach(file => {
+          const isOpen = file.name === openName;
+          const row = window.DOMUtils.createElement('tr', {}, [
+            window.DOMUtils.createElement('td', {}, [
+              file.name,
+              isOpen ? window.DOMUtils.createElement('span', { className: 'backup-reason' }, ' (open)') : null
+            ]),
+            window.DOMUtils.createElement('td', {}, new Date(file.lastModified).toLocaleString()),
+            window.DOMUtils.createElement('td', {}, formatSize(file.size)),
+            window.DOMUtils.createElement('td', { className: 'backup-actions' }, [
+              window.DOMUtils.createButton('Open', 'compact-btn', () => {
+                document.body.removeChild(modal);
+                window.App.openStoredDatabase(file.name);
+              }),
+              isOpen ? null : window.DOMUtils.createButton('Delete', 'compact-btn', () => remove(file, table, row))
+            ])
+          ]);
+          table.appendChild(row);
+        });
+
+        content.appendChild(table);
+      }
+
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'modal-buttons' }, [
+        window.DOMUtils.createButton('Import .db', 'compact-btn', () => {
+          document.body.removeChild(modal);
+          window.App.importDatabase();
+        })
+      ]));
+    } catch (err) {
+      console.error('Error listing stored databases:', err);
+      alert('Error listing stored databases: ' + err.message);
+    }
+  }
+
+  // Public API
+  return {
+    show
+  };
+})();
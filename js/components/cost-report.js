@@ -0,0 +1,138 @@
+/**
+ * Cost Report component for PC History Tracker
+ * Shows spend, resale recovery and cost per month by year, rig and part
+ */
+
+// Create namespace
+window.CostReport = (function() {
+  // Private members
+
+  /**
+   * Format an optional amount
+   * @param {number|null} amount - Amount
+   * @param {string} currency - Currency code
+   * @returns {string} Formatted amount or a dash
+   */
+  function money(amount, currency) {
+    return amount === null || amount === undefined ? '–' : window.MoneyUtils.formatAmount(amount, currency);
+  }
+
+  /**
+   * Format an optional month count
+   * @param {number|null} months - Months
+   * @returns {string} Months to one decimal place or a dash
+   */
+  function monthCount(months) {
+    return months ? months.toFixed(1) : '–';
+  }
+
+  /**
+   * Build a table from headers and rows of cells
+   * @param {Array} headers - Column headings
+   * @param {Array} rows - Arrays of cell contents (strings or nodes)
+   * @returns {HTMLElement} Table wrapped in a table container
+   */
+  function createTable(headers, rows) {
+    const table = window.DOMUtils.createElement('table', { className: 'cost-table' });
+
+    const headerRow = window.DOMUtils.createElement('tr');
+    headers.forEach(header => headerRow.appendChild(window.DOMUtils.createElement('th', {}, header)));
+    table.appendChild(window.DOMUtils.createElement('thead', {}, headerRow));
+
+    const tbody = window.DOMUtils.createElement('tbody');
+    rows.forEach(cells => {
+      const row = window.DOMUtils.createElement('tr');
+      cells.forEach(cell => row.appendChild(window.DOMUtils.createElement('td', {}, cell)));
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    return window.DOMUtils.createElement('div', { className: 'table-container' }, table);
+  }
+
+  /**
+   * Add a titled section, or a note when it has no rows
+   * @param {HTMLElement} content - Report container
+   * @param {string} title - Section heading
+   * @param {Array} headers - Column headings
+   * @param {Array} rows - Table rows
+   */
+  function addSection(content, title, headers, rows) {
+    content.appendChild(window.DOMUtils.createElement('h3', {}, title));
+
+    if (rows.length === 0) {
+      content.appendChild(window.DOMUtils.createElement('p', { className: 'cost-empty' }, 'Nothing to show yet.'));
+      return;
+    }
+
+    content.appendChild(createTable(headers, rows));
+  }
+
+  /**
+   * Run the report and show it
+   */
+  async function show() {
+    try {
+      const yearCosts = await window.CostReportModel.getYearCosts();
+      const rigCosts = await window.CostReportModel.getRigCosts();
+      const partCosts = await window.CostReportModel.getPartCosts();
+
+      const content = window.DOMUtils.createElement('div', { className: 'cost-report' });
+
+      content.appendChild(window.DOMUtils.createElement('p', {}, partCosts.length === 0
+        ? 'No prices recorded yet. Add a purchase price when adding or editing a part, or a sale price when disposing of one.'
+        : 'Net cost is what was paid minus what was recovered by selling. Amounts in different currencies are kept apart.'));
+
+      const modal = window.DOMUtils.showModal('Cost Report', content);
+
+      addSection(content, 'By year', ['Year', 'Spent', 'Recovered', 'Net', 'Per month'],
+        yearCosts.map(row => [
+          row.year.toString(),
+          money(row.spend, row.currency),
+          money(row.recovery, row.currency),
+          money(row.net, row.currency),
+          money(row.cost_per_month, row.currency)
+        ]));
+
+      addSection(content, 'By rig', ['Rig', 'Period', 'Spent', 'Recovered', 'Net', 'Months', 'Per month'],
+        rigCosts.map(row => [
+          row.name,
+          `${window.DateUtils.formatDateByPrecision(row.start_date, row.start_precision)} – ` +
+            (row.end_date ? window.DateUtils.formatDateByPrecision(row.end_date, row.end_precision) : 'Present'),
+          money(row.spend, row.currency),
+          money(row.recovery, row.currency),
+          money(row.net, row.currency),
+          monthCount(row.months),
+          money(row.cost_per_month, row.currency)
+        ]));
+
+      addSection(content, 'By part', ['Part', 'Paid', 'Sold for', 'Net', 'Months owned', 'Per month'],
+        partCosts.map(row => {
+          // Open the part's timeline from its name
+          const link = window.DOMUtils.createElement('a', { href: '#' }, `${row.brand} ${row.model}`);
+          link.addEventListener('click', (e) => {
+            e.preventDefault();
+            document.body.removeChild(modal);
+            window.TimelineView.showPartTimeline(row.id);
+          });
+
+          return [
+            link,
+            money(row.purchase_price, row.purchase_currency),
+            money(row.sale_price, row.sale_currency),
+            money(row.net, row.currency),
+            monthCount(row.months),
+            money(row.cost_per_month, row.currency)
+          ];
+        }));
+    } catch (err) {
+      console.error('Error creating cost report:', err);
+      alert('Error creating cost report: ' + err.message);
+    }
+  }
+
+  // Public API
+  return {
+    show
+  };
+})();
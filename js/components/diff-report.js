@@ -0,0 +1,124 @@
+/**
+ * Diff Report component for PC History Tracker
+ * Shows the differences between two copies of the database as a change report
+ */
+
+// Create namespace
+window.DiffReport = (function() {
+  // Private members
+
+  /**
+   * Build the per-table counts
+   * @param {Object} summary - Diff summary from DiffEngine
+   * @returns {HTMLElement} Summary list
+   */
+  function createSummary(summary) {
+    const list = window.DOMUtils.createElement('ul');
+    Object.keys(summary).forEach(table => {
+      const { added, removed, changed } = summary[table];
+      if (added + removed + changed === 0) return;
+
+      list.appendChild(window.DOMUtils.createElement('li', {},
+        `${window.DiffEngine.TABLE_LABELS[table] || table}: ${added} added, ${removed} removed, ${changed} changed`));
+    });
+    return list;
+  }
+
+  /**
+   * Build the list of changes to one table
+   * @param {Array} changes - Changes from DiffEngine for the table
+   * @returns {HTMLElement} Change list
+   */
+  function createChangeList(changes) {
+    const list = window.DOMUtils.createElement('ul', { className: 'diff-changes' });
+    changes.forEach(change => {
+      list.appendChild(window.DOMUtils.createElement('li', { className: change.kind }, change.message));
+    });
+    return list;
+  }
+
+  /**
+   * Show a diff
+   * @param {Object} diff - Diff from DiffEngine.compare
+   * @param {Object} options - { title, before, after, fileName } where before and
+   *   after describe the two copies and fileName names the JSON export
+   */
+  function show(diff, options = {}) {
+    const content = window.DOMUtils.createElement('div', { className: 'diff-report' });
+    content.appendChild(window.DOMUtils.createElement('p', {},
+      `Changes from ${options.before || 'the first copy'} to ${options.after || 'the second copy'}:`));
+
+    if (window.DiffEngine.isEmpty(diff)) {
+      content.appendChild(window.DOMUtils.createElement('p', {}, 'No differences.'));
+    } else {
+      content.appendChild(createSummary(diff.summary));
+
+      window.ArchiveService.TABLES.forEach(table => {
+        const changes = diff.changes.filter(change => change.table === table.name);
+        if (changes.length === 0) return;
+
+        content.appendChild(window.DOMUtils.createElement('h3', {}, window.DiffEngine.TABLE_LABELS[table.name] || table.name));
+        content.appendChild(createChangeList(changes));
+      });
+
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'modal-buttons' }, [
+        window.DOMUtils.createButton('Export JSON', 'compact-btn', () => {
+          const json = window.DiffEngine.toJSON(diff, { before: options.before, after: options.after });
+          window.DOMUtils.downloadFile(JSON.stringify(json, null, 2), `${options.fileName || 'pc_history'}_diff.json`,
+            'application/json');
+        })
+      ]));
+    }
+
+    window.DOMUtils.showModal(options.title || 'Compare', content);
+  }
+
+  /**
+   * Ask for a database file and show how it differs from the open database
+   */
+  function compareWithFile() {
+    if (!window.DatabaseService.isOpen()) {
+      window.DOMUtils.showToast('No database to compare with', 'error');
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.db,.sqlite,.sqlite3';
+
+    input.addEventListener('change', async (e) => {
+      if (!e.target.files.length) return;
+
+      try {
+        const file = e.target.files[0];
+        const unlocked = await window.EncryptionDialog.unlock(await file.arrayBuffer(), file.name);
+        if (!unlocked) return;
+
+        const openName = window.FileService.getCurrentFileName();
+        const diff = await window.DiffEngine.compare(await window.DatabaseService.exportDatabase(), unlocked.data);
+
+        show(diff, {
+          title: 'Compare with File',
+          before: openName ? `the open database (${openName})` : 'the open database',
+          after: file.name,
+          fileName: file.name.replace(/\.[^.]+$/, '')
+        });
+      } catch (err) {
+        console.error('Error comparing database:', err);
+        if (err.name === 'SchemaVersionError') {
+          alert(err.message);
+        } else {
+          window.DOMUtils.showToast('Error comparing database: ' + err.message, 'error');
+        }
+      }
+    });
+
+    input.click();
+  }
+
+  // Public API
+  return {
+    show,
+    compareWithFile
+  };
+})();
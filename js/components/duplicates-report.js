@@ -0,0 +1,97 @@
+/**
+ * Duplicates Report component for PC History Tracker
+ * Lists parts that are probably recorded twice and merges them on request
+ */
+
+// Create namespace
+window.DuplicatesReport = (function() {
+  // Private members
+
+  /**
+   * Describe one part of a pair
+   * @param {Object} part - Part row from DuplicateFinder
+   * @param {HTMLElement} modal - Report modal, closed when the part's timeline opens
+   * @returns {HTMLElement} Description with a link to the part's timeline
+   */
+  function describePart(part, modal) {
+    const link = window.DOMUtils.createElement('a', { href: '#' }, `${part.brand} ${part.model}`);
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      document.body.removeChild(modal);
+      window.TimelineView.showPartTimeline(part.id);
+    });
+
+    const details = [
+      `#${part.id}`,
+      part.acquisition_date && part.date_precision !== 'none'
+        ? `acquired ${window.DateUtils.formatDateByPrecision(part.acquisition_date, part.date_precision)}` : null,
+      part.serial_number ? `S/N ${part.serial_number}` : null,
+      part.is_deleted ? 'disposed' : null
+    ].filter(Boolean).join(', ');
+
+    return window.DOMUtils.createElement('div', { className: 'duplicate-part' }, [link, ` (${details})`]);
+  }
+
+  /**
+   * Merge one part of a pair into the other, then show the report again
+   * @param {number} keepId - Part to keep
+   * @param {number} mergeId - Part to merge into it
+   * @param {HTMLElement} modal - Report modal
+   */
+  async function merge(keepId, mergeId, modal) {
+    try {
+      await window.PartModel.mergeParts(keepId, [mergeId]);
+
+      await window.App.refreshViews();
+
+      document.body.removeChild(modal);
+      await show();
+
+      window.DOMUtils.showToast('Parts merged', 'success');
+    } catch (err) {
+      console.error('Error merging parts:', err);
+      alert('Error merging parts: ' + err.message);
+    }
+  }
+
+  /**
+   * Find likely duplicates and show them, most likely first
+   */
+  async function show() {
+    try {
+      const pairs = await window.DuplicateFinder.findDuplicates();
+
+      const content = window.DOMUtils.createElement('div', { className: 'duplicates-report' });
+
+      content.appendChild(window.DOMUtils.createElement('p', {}, pairs.length === 0
+        ? 'No likely duplicates found.'
+        : `Found ${pairs.length} possible duplicate${pairs.length === 1 ? '' : 's'}. Merging keeps one record and moves ` +
+          'the other\'s connections, RMAs and disposal onto it. Parts that really are separate can be left alone.'));
+
+      const modal = window.DOMUtils.showModal('Find Duplicates', content);
+
+      pairs.forEach(pair => {
+        const keepA = window.DOMUtils.createButton(`Keep #${pair.a.id}`, 'compact-btn',
+          () => merge(pair.a.id, pair.b.id, modal));
+        const keepB = window.DOMUtils.createButton(`Keep #${pair.b.id}`, 'compact-btn',
+          () => merge(pair.b.id, pair.a.id, modal));
+
+        content.appendChild(window.DOMUtils.createElement('div', { className: 'duplicate-pair' }, [
+          window.DOMUtils.createElement('div', { className: 'duplicate-score' },
+            `${Math.round(pair.score * 100)}% – ${pair.reasons.join(', ')}`),
+          describePart(pair.a, modal),
+          describePart(pair.b, modal),
+          window.DOMUtils.createElement('div', { className: 'duplicate-actions' }, [keepA, keepB])
+        ]));
+      });
+    } catch (err) {
+      console.error('Error finding duplicates:', err);
+      alert('Error finding duplicates: ' + err.message);
+    }
+  }
+
+  // Public API
+  return {
+    show
+  };
+})();
@@ -0,0 +1,176 @@
+/**
+ * Encryption Dialog component for PC History Tracker
+ * Asks for passphrases: to open an encrypted database file, and to encrypt,
+ * re-key or decrypt the open one
+ */
+
+// Create namespace
+window.EncryptionDialog = (function() {
+  // Private members
+
+  // Shortest passphrase accepted for a new key
+  const MIN_LENGTH = 8;
+
+  /**
+   * Ask for a passphrase
+   * @param {Object} options - { title, message, confirm, error } where confirm asks
+   *   for it twice (for a new passphrase) and error is shown above the fields
+   * @returns {Promise<string|null>} The passphrase, or null if cancelled
+   */
+  function ask(options) {
+    return new Promise(resolve => {
+      let settled = false;
+      const finish = (value) => {
+        if (settled) return;
+        settled = true;
+        resolve(value);
+      };
+
+      const passphrase = window.DOMUtils.createElement('input', { type: 'password', id: 'passphrase', autocomplete: 'off' });
+      const repeat = window.DOMUtils.createElement('input', { type: 'password', id: 'passphrase-repeat', autocomplete: 'off' });
+      const error = window.DOMUtils.createElement('p', { className: 'passphrase-error' }, options.error || '');
+
+      const form = window.DOMUtils.createElement('form', { className: 'passphrase-form' }, [
+        window.DOMUtils.createElement('p', {}, options.message),
+        error,
+        window.DOMUtils.createElement('div', { className: 'form-group' }, [
+          window.DOMUtils.createElement('label', { for: 'passphrase' }, 'Passphrase:'),
+          passphrase
+        ]),
+        options.confirm ? window.DOMUtils.createElement('div', { className: 'form-group' }, [
+          window.DOMUtils.createElement('label', { for: 'passphrase-repeat' }, 'Repeat passphrase:'),
+          repeat
+        ]) : null,
+        window.DOMUtils.createElement('div', { className: 'modal-buttons' }, [
+          window.DOMUtils.createElement('button', { type: 'submit', className: 'primary-button' }, 'OK')
+        ])
+      ]);
+
+      const modal = window.DOMUtils.showModal(options.title, form, () => finish(null));
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+
+        if (options.confirm && passphrase.value.length < MIN_LENGTH) {
+          error.textContent = `Use at least ${MIN_LENGTH} characters.`;
+          return;
+        }
+        if (options.confirm && passphrase.value !== repeat.value) {
+          error.textContent = 'The passphrases don\'t match.';
+          return;
+        }
+        if (!passphrase.value) return;
+
+        document.body.removeChild(modal);
+        finish(passphrase.value);
+      });
+
+      passphrase.focus();
+    });
+  }
+
+  /**
+   * Decrypt a database file if it is encrypted, asking for its passphrase until
+   * the right one is entered
+   * @param {ArrayBuffer|Uint8Array} buffer - The file contents
+   * @param {string} fileName - File name, for the prompt
+   * @returns {Promise<Object|null>} { data, key } where key is null for a plain
+   *   file, or null if cancelled
+   */
+  async function unlock(buffer, fileName) {
+    if (!window.CryptoService.isEncrypted(buffer)) {
+      return { data: buffer, key: null };
+    }
+
+    let error = null;
+    for (;;) {
+      const passphrase = await ask({
+        title: 'Encrypted Database',
+        message: `${fileName || 'This file'} is encrypted. Enter its passphrase to open it.`,
+        error
+      });
+      if (passphrase === null) return null;
+
+      try {
+        return await window.CryptoService.decrypt(buffer, passphrase);
+      } catch (err) {
+        if (err.name !== 'PassphraseError') throw err;
+        error = err.message;
+      }
+    }
+  }
+
+  /**
+   * Save the open database now, after its encryption changed, and store its
+   * backups the same way
+   * @param {Object|null} oldKey - Key the file was saved with before
+   * @param {string} message - Toast once saved
+   */
+  async function saveNow(oldKey, message) {
+    window.ToolsMenu.render();
+    window.App.updateFileInfo();
+
+    // Auto-save
+    window.SaveScheduler.markDirty();
+    if (await window.App.saveDatabase()) {
+      window.DOMUtils.showToast(message, 'success');
+    }
+
+    try {
+      await window.BackupService.rekeyBackups(oldKey, window.FileService.getEncryptionKey());
+    } catch (err) {
+      console.warn('Could not re-encrypt backups:', err);
+    }
+  }
+
+  /**
+   * Encrypt the open database file with a new passphrase, or change the one it has
+   */
+  async function changePassphrase() {
+    const encrypted = window.FileService.isEncrypted();
+    const passphrase = await ask({
+      title: encrypted ? 'Change Passphrase' : 'Encrypt Database',
+      message: encrypted
+        ? 'Enter the new passphrase. The file is saved with it straight away.'
+        : 'The file will be saved encrypted, and opening it will need this passphrase. ' +
+          'There is no way to recover the data without it. Backups kept in this browser are encrypted with it too.',
+      confirm: true
+    });
+    if (passphrase === null) return;
+
+    try {
+      const oldKey = window.FileService.getEncryptionKey();
+      window.FileService.setEncryptionKey(await window.CryptoService.deriveKey(passphrase));
+      await saveNow(oldKey, encrypted ? 'Passphrase changed' : 'Database encrypted');
+    } catch (err) {
+      console.error('Error encrypting database:', err);
+      alert('Error encrypting database: ' + err.message);
+    }
+  }
+
+  /**
+   * Save the open database file without encryption again
+   */
+  async function removeEncryption() {
+    if (!confirm('Save the database file without encryption? Anyone with the file will be able to read it.')) {
+      return;
+    }
+
+    try {
+      const oldKey = window.FileService.getEncryptionKey();
+      window.FileService.setEncryptionKey(null);
+      await saveNow(oldKey, 'Encryption removed');
+    } catch (err) {
+      console.error('Error removing encryption:', err);
+      alert('Error removing encryption: ' + err.message);
+    }
+  }
+
+  // Public API
+  return {
+    ask,
+    unlock,
+    changePassphrase,
+    removeEncryption
+  };
+})();
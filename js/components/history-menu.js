@@ -0,0 +1,174 @@
+/**
+ * History Menu Component for PC History Tracker
+ * Undo/redo buttons, the history dropdown, and keyboard shortcuts
+ */
+
+// Create HistoryMenu namespace
+window.HistoryMenu = (function() {
+  /**
+   * Format a step timestamp for the history menu
+   * @param {Date} timestamp - When the step was recorded
+   * @returns {string} Time of day
+   */
+  function formatTime(timestamp) {
+    return timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+  }
+
+  /**
+   * Check whether a keyboard event is aimed at a text field, which keeps its native undo
+   * @param {Event} e - Keyboard event
+   * @returns {boolean} True for inputs, textareas, selects and editable content
+   */
+  function isEditingText(e) {
+    const target = e.target;
+    if (!target || !target.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+  }
+
+  return {
+    /**
+     * Initialize the history controls (called once at startup)
+     */
+    init: function() {
+      document.getElementById('undo-btn').addEventListener('click', () => this.undo());
+      document.getElementById('redo-btn').addEventListener('click', () => this.redo());
+
+      // Toggle history dropdown
+      const dropdown = document.getElementById('history-menu');
+      document.getElementById('history-menu-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        dropdown.classList.toggle('active');
+      });
+
+      // Close dropdown when clicking outside
+      document.addEventListener('click', () => {
+        dropdown.classList.remove('active');
+      });
+
+      // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), plus Ctrl+Y for redo
+      document.addEventListener('keydown', async (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditingText(e)) return;
+        if (!window.DatabaseService.isOpen()) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+          e.preventDefault();
+          await this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+          e.preventDefault();
+          await this.redo();
+        }
+      });
+
+      window.HistoryService.onChange(() => this.render());
+      this.render();
+    },
+
+    /**
+     * Undo the last step
+     */
+    undo: async function() {
+      await this.applyChange(() => window.HistoryService.undo(), 'Undid');
+    },
+
+    /**
+     * Redo the last undone step
+     */
+    redo: async function() {
+      await this.applyChange(() => window.HistoryService.redo(), 'Redid');
+    },
+
+    /**
+     * Run an undo/redo operation, then save and refresh the views
+     * @param {Function} operation - Resolves to the affected step (or null)
+     * @param {string} verb - Verb for the toast message
+     */
+    applyChange: async function(operation, verb) {
+      try {
+        const step = await operation();
+        if (!step) return;
+
+        await window.App.refreshViews();
+        window.DOMUtils.showToast(`${verb}: ${step.label}`, 'success');
+      } catch (err) {
+        console.error('Error changing history:', err);
+        alert('Error: ' + err.message);
+      }
+    },
+
+    /**
+     * Render the buttons and dropdown to match the current history
+     */
+    render: function() {
+      const controls = document.getElementById('history-controls');
+      controls.classList.toggle('hidden', !window.DatabaseService.isOpen());
+
+      const undoBtn = document.getElementById('undo-btn');
+      const redoBtn = document.getElementById('redo-btn');
+      const undoSteps = window.HistoryService.getUndoSteps();
+      const redoSteps = window.HistoryService.getRedoSteps();
+
+      undoBtn.disabled = undoSteps.length === 0;
+      redoBtn.disabled = redoSteps.length === 0;
+      undoBtn.title = undoSteps.length ? `Undo ${undoSteps[0].label} (Ctrl+Z)` : 'Nothing to undo';
+      redoBtn.title = redoSteps.length ? `Redo ${redoSteps[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+
+      // Rebuild the dropdown list
+      const menu = document.getElementById('history-menu-list');
+      window.DOMUtils.clearElement(menu);
+
+      if (undoSteps.length === 0 && redoSteps.length === 0) {
+        menu.appendChild(window.DOMUtils.createElement('div', { className: 'menu-header' }, 'No changes yet'));
+        return;
+      }
+
+      // Redo steps, furthest first, so the list reads top-to-bottom from newest to oldest
+      if (redoSteps.length > 0) {
+        menu.appendChild(window.DOMUtils.createElement('div', { className: 'menu-header' }, 'Redo'));
+        redoSteps.slice().reverse().forEach((step, index) => {
+          const count = redoSteps.length - index;
+          menu.appendChild(this.createStepItem(step, 'history-redo-item', async () => {
+            await this.applyChange(async () => {
+              await window.HistoryService.redoSteps(count - 1);
+              return window.HistoryService.redo();
+            }, 'Redid');
+          }));
+        });
+      }
+
+      if (undoSteps.length > 0) {
+        if (redoSteps.length > 0) {
+          menu.appendChild(window.DOMUtils.createElement('hr', { className: 'menu-divider' }));
+        }
+        menu.appendChild(window.DOMUtils.createElement('div', { className: 'menu-header' }, 'Undo'));
+        undoSteps.forEach((step, index) => {
+          menu.appendChild(this.createStepItem(step, '', async () => {
+            // Undo everything down to and including the chosen step
+            await this.applyChange(async () => {
+              await window.HistoryService.undoSteps(index);
+              return window.HistoryService.undo();
+            }, 'Undid');
+          }));
+        });
+      }
+    },
+
+    /**
+     * Create a menu item for a history step
+     * @param {Object} step - { label, timestamp }
+     * @param {string} className - Extra class name
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLElement} Menu item
+     */
+    createStepItem: function(step, className, onClick) {
+      const item = window.DOMUtils.createElement('button', {
+        className: `menu-item ${className}`,
+        onclick: onClick
+      });
+
+      item.appendChild(window.DOMUtils.createElement('span', { className: 'menu-label' }, step.label));
+      item.appendChild(window.DOMUtils.createElement('span', { className: 'history-time' }, formatTime(step.timestamp)));
+      return item;
+    }
+  };
+})();
@@ -0,0 +1,91 @@
+/**
+ * Integrity Report component for PC History Tracker
+ * Lists every date inconsistency in the open database
+ */
+
+// Create namespace
+window.IntegrityReport = (function() {
+  // Private members
+
+  // Section headings, in display order
+  const SECTIONS = {
+    connected_before_acquisition: 'Connected before acquisition',
+    disconnected_before_connected: 'Disconnected before connected',
+    overlapping_connections: 'In two rigs at once',
+    activity_after_disposal: 'Activity after disposal',
+    disposed_before_acquisition: 'Disposed before acquisition',
+    rma_before_acquisition: 'Sent for repair before acquisition',
+    returned_before_sent: 'Back from repair before sent',
+    connected_during_repair: 'In a rig while away for repair'
+  };
+
+  /**
+   * Open the record behind a violation
+   * @param {Object} violation - Violation from TemporalValidator
+   * @param {HTMLElement} modal - Report modal to close first
+   */
+  function openRecord(violation, modal) {
+    if (modal.parentNode) {
+      document.body.removeChild(modal);
+    }
+
+    // Connections, disposals and RMAs are all listed on the part's timeline
+    if (window.TimelineView && typeof window.TimelineView.showPartTimeline === 'function') {
+      window.TimelineView.showPartTimeline(violation.partId);
+    }
+  }
+
+  /**
+   * Run the check and show the report
+   */
+  async function show() {
+    try {
+      const violations = await window.TemporalValidator.check();
+      const content = document.createElement('div');
+      content.className = 'integrity-report';
+
+      const summary = document.createElement('p');
+      summary.textContent = violations.length === 0
+        ? 'No problems found. All connection, disposal and acquisition dates are consistent.'
+        : `Found ${violations.length} problem${violations.length === 1 ? '' : 's'}. Select a record to open its timeline.`;
+      content.appendChild(summary);
+
+      const modal = window.DOMUtils.showModal('Integrity Check', content);
+
+      Object.keys(SECTIONS).forEach(code => {
+        const matching = violations.filter(v => v.code === code);
+        if (matching.length === 0) return;
+
+        const heading = document.createElement('h3');
+        heading.textContent = `${SECTIONS[code]} (${matching.length})`;
+        content.appendChild(heading);
+
+        const list = document.createElement('ul');
+        matching.forEach(violation => {
+          const item = document.createElement('li');
+
+          const link = document.createElement('a');
+          link.href = '#';
+          link.textContent = `${violation.recordType === 'disposal' ? 'Disposal' : 'Connection'} #${violation.recordId}`;
+          link.addEventListener('click', (e) => {
+            e.preventDefault();
+            openRecord(violation, modal);
+          });
+
+          item.appendChild(link);
+          item.appendChild(document.createTextNode(`: ${violation.message}`));
+          list.appendChild(item);
+        });
+        content.appendChild(list);
+      });
+    } catch (err) {
+      console.error('Error checking integrity:', err);
+      alert('Error checking integrity: ' + err.message);
+    }
+  }
+
+  // Public API
+  return {
+    show
+  };
+})();
@@ -0,0 +1,190 @@
+/**
+ * Merge Database Dialog component for PC History Tracker
+ * Picks another database file, shows how its parts match up with the open
+ * database, and asks how to settle overlapping connections before merging
+ */
+
+// Create namespace
+window.MergeDatabaseDialog = (function() {
+  // Private members
+
+  // How a part was matched
+  const MATCHED_BY_LABELS = {
+    serial: 'serial number',
+    brand_model_date: 'brand, model and date'
+  };
+
+  /**
+   * Count with a singular or plural noun
+   * @param {number} count - Number
+   * @param {string} noun - Singular noun
+   * @returns {string} e.g. "1 part", "3 parts"
+   */
+  function plural(count, noun) {
+    return `${count} ${noun}${count === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Describe a connection period
+   * @param {Object} connection - Connection row with motherboard_name
+   * @returns {string} Motherboard and dates
+   */
+  function describeConnection(connection) {
+    const from = window.DateUtils.formatDateByPrecision(connection.connected_at, connection.connected_precision);
+    const until = connection.disconnected_at
+      ? window.DateUtils.formatDateByPrecision(connection.disconnected_at, connection.disconnected_precision)
+      : 'now';
+    return `${connection.motherboard_name} from ${from} to ${until}`;
+  }
+
+  /**
+   * Build the list of parts found in both files
+   * @param {Array} matched - { theirs, mine, matchedBy } from DatabaseMerge.prepare
+   * @returns {HTMLElement} Collapsible list
+   */
+  function createMatchedList(matched) {
+    const list = window.DOMUtils.createElement('ul', { className: 'merge-matched' });
+    matched.forEach(({ mine, matchedBy }) => {
+      list.appendChild(window.DOMUtils.createElement('li', {},
+        `${mine.brand} ${mine.model} (#${mine.id}), by ${MATCHED_BY_LABELS[matchedBy] || matchedBy}`));
+    });
+
+    return window.DOMUtils.createElement('details', {}, [
+      window.DOMUtils.createElement('summary', {}, `Parts in both files (${matched.length})`),
+      list
+    ]);
+  }
+
+  /**
+   * Build a row for choosing how to settle one conflict
+   * @param {Object} conflict - Conflict from DatabaseMerge.prepare; its resolution is updated
+   * @returns {HTMLElement} Conflict row
+   */
+  function createConflictRow(conflict) {
+    const select = window.DOMUtils.createElement('select', {}, [
+      window.DOMUtils.createElement('option', { value: 'mine' }, 'Keep mine'),
+      window.DOMUtils.createElement('option', { value: 'theirs' }, 'Use theirs')
+    ]);
+    select.value = conflict.resolution;
+    select.addEventListener('change', () => {
+      conflict.resolution = select.value;
+    });
+
+    return window.DOMUtils.createElement('li', { className: 'merge-conflict' }, [
+      window.DOMUtils.createElement('strong', {}, `${conflict.part.brand} ${conflict.part.model}`),
+      window.DOMUtils.createElement('div', {}, `Theirs: ${describeConnection(conflict.theirs)}`),
+      ...conflict.mine.map(connection =>
+        window.DOMUtils.createElement('div', {}, `Mine: ${describeConnection(connection)}`)),
+      select
+    ]);
+  }
+
+  /**
+   * Merge and report the result
+   * @param {Object} plan - Plan from DatabaseMerge.prepare
+   * @param {HTMLElement} modal - Dialog, closed once merged
+   */
+  async function merge(plan, modal) {
+    try {
+      const result = await window.DatabaseMerge.apply(plan);
+
+      await window.App.refreshViews();
+
+      document.body.removeChild(modal);
+
+      let message = `Merged ${plan.fileName}: ${plural(result.partsAdded, 'new part')}, ` +
+        `${plural(result.recordsAdded, 'record')} added`;
+      if (result.violations > 0) {
+        message += `; ${plural(result.violations, 'date problem')} to review in Tools → Check integrity`;
+      }
+      window.DOMUtils.showToast(message, result.violations > 0 ? 'warning' : 'success');
+    } catch (err) {
+      console.error('Error merging database:', err);
+      alert('Error merging database: ' + err.message);
+    }
+  }
+
+  /**
+   * Show how a file would be merged
+   * @param {Object} plan - Plan from DatabaseMerge.prepare
+   */
+  function showPlan(plan) {
+    const content = window.DOMUtils.createElement('div', { className: 'merge-database' });
+
+    const bySerial = plan.matched.filter(match => match.matchedBy === 'serial').length;
+    content.appendChild(window.DOMUtils.createElement('p', {},
+      `${plan.fileName} has ${plural(plan.tables.parts.length, 'part')} and ` +
+      `${plural(plan.tables.connections.length, 'connection')}.`));
+    content.appendChild(window.DOMUtils.createElement('ul', {}, [
+      window.DOMUtils.createElement('li', {},
+        `${plural(plan.matched.length, 'part')} already here (${bySerial} by serial number, ` +
+        `${plan.matched.length - bySerial} by brand, model and date); details missing here are filled in`),
+      window.DOMUtils.createElement('li', {}, `${plural(plan.newParts.length, 'new part')} to add`),
+      window.DOMUtils.createElement('li', {},
+        `${plural(plan.duplicates, 'connection')} already recorded here, which are skipped`)
+    ]));
+
+    if (plan.matched.length > 0) {
+      content.appendChild(createMatchedList(plan.matched));
+    }
+
+    if (plan.conflicts.length > 0) {
+      content.appendChild(window.DOMUtils.createElement('h3', {}, 'Conflicts'));
+      content.appendChild(window.DOMUtils.createElement('p', {},
+        'These parts were in different places at the same time in the two files. Keep mine leaves their ' +
+        'connection out; Use theirs replaces the overlapping connections here with theirs.'));
+
+      const list = window.DOMUtils.createElement('ul', { className: 'merge-conflicts' });
+      plan.conflicts.forEach(conflict => list.appendChild(createConflictRow(conflict)));
+      content.appendChild(list);
+    }
+
+    const modal = window.DOMUtils.showModal('Merge Database', content);
+
+    content.appendChild(window.DOMUtils.createElement('div', { className: 'modal-buttons' }, [
+      window.DOMUtils.createButton('Merge', 'primary-button', () => merge(plan, modal))
+    ]));
+  }
+
+  /**
+   * Ask for the file to merge into the open database
+   */
+  function show() {
+    if (!window.DatabaseService.isOpen()) {
+      window.DOMUtils.showToast('No database to merge into', 'error');
+      return;
+    }
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.db,.sqlite,.sqlite3';
+
+    input.addEventListener('change', async (e) => {
+      if (!e.target.files.length) return;
+
+      try {
+        const file = e.target.files[0];
+        const unlocked = await window.EncryptionDialog.unlock(await file.arrayBuffer(), file.name);
+        if (!unlocked) return;
+
+        const plan = await window.DatabaseMerge.prepare(unlocked.data);
+        plan.fileName = file.name;
+        showPlan(plan);
+      } catch (err) {
+        console.error('Error reading database to merge:', err);
+        if (err.name === 'SchemaVersionError') {
+          alert(err.message);
+        } else {
+          window.DOMUtils.showToast('Error reading database: ' + err.message, 'error');
+        }
+      }
+    });
+
+    input.click();
+  }
+
+  // Public API
+  return {
+    show
+  };
+})();
@@ -24,16 +24,165 @@ window.PartsBinView = (function() {
     }
   }
   
+  /**
+   * Create a card for a part in the bin or away for repair
+   * @param {Object} part - Part row
+   * @returns {HTMLElement} Part card
+   */
+  function createPartCard(part) {
+    const isAway = !!part.rma_id;
+    
+    const partCard = document.createElement('div');
+    partCard.className = 'part-card';
+    partCard.setAttribute('data-part-id', part.id);
+    
+    // Part header
+    const partHeader = document.createElement('div');
+    partHeader.className = 'part-card-header';
+    partHeader.textContent = `${part.brand} ${part.model}`;
+    partCard.appendChild(partHeader);
+    
+    // Part details
+    const partDetails = document.createElement('div');
+    partDetails.className = 'part-details';
+    
+    // Type
+    const partType = document.createElement('p');
+    partType.innerHTML = `<strong>Type:</strong> ${part.type.charAt(0).toUpperCase() + part.type.slice(1)}`;
+    partDetails.appendChild(partType);
+    
+    // Acquisition date
+    if (part.acquisition_date) {
+      const acquisitionDate = document.createElement('p');
+      let dateStr = 'Unknown';
+      
+      if (part.acquisition_date) {
+        const date = new Date(part.acquisition_date);
+        
+        if (part.date_precision === 'year') {
+          dateStr = date.getFullYear().toString();
+        } else if (part.date_precision === 'month') {
+          dateStr = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+        } else {
+          dateStr = date.toISOString().split('T')[0];
+        }
+      }
+      
+      acquisitionDate.innerHTML = `<strong>Acquired:</strong> ${dateStr}`;
+      partDetails.appendChild(acquisitionDate);
+    }
+    
+    // Notes
+    if (part.notes) {
+      const partNotes = document.createElement('p');
+      partNotes.innerHTML = `<strong>Notes:</strong> ${part.notes}`;
+      partDetails.appendChild(partNotes);
+    }
+    
+    // Open RMA
+    if (isAway) {
+      const sentFor = document.createElement('p');
+      sentFor.innerHTML = `<strong>Sent for repair:</strong> ${window.DateUtils.formatDateByPrecision(part.sent_at, part.sent_precision)}`;
+      if (part.rma_number) {
+        sentFor.appendChild(document.createTextNode(` (RMA ${part.rma_number})`));
+      }
+      partDetails.appendChild(sentFor);
+    }
+    
+    partCard.appendChild(partDetails);
+    
+    // Part actions
+    const partActions = document.createElement('div');
+    partActions.className = 'part-card-actions';
+    
+    // Edit button
+    const editButton = document.createElement('button');
+    editButton.className = 'edit-btn';
+    editButton.textContent = 'Edit';
+    editButton.addEventListener('click', () => {
+      window.PartController.showPartEditForm(part.id);
+    });
+    partActions.appendChild(editButton);
+    
+    // A part away for repair can only come back
+    if (isAway) {
+      const completeButton = document.createElement('button');
+      completeButton.className = 'connect-btn';
+      completeButton.textContent = 'Complete RMA';
+      completeButton.addEventListener('click', () => {
+        window.WarrantyController.showCompleteRepairForm(part.id);
+      });
+      partActions.appendChild(completeButton);
+    }
+    
+    // Connect button (if part is not motherboard)
+    if (part.type !== 'motherboard' && !isAway) {
+      const connectButton = document.createElement('button');
+      connectButton.className = 'connect-btn';
+      connectButton.textContent = 'Connect';
+      connectButton.addEventListener('click', () => {
+        window.ConnectionController.showConnectOptions(part.id);
+      });
+      partActions.appendChild(connectButton);
+    }
+    
+    // Add Rig button (if part is motherboard)
+    if (part.type === 'motherboard' && !isAway) {
+      const addRigButton = document.createElement('button');
+      addRigButton.className = 'rig-btn';
+      addRigButton.textContent = 'Add Rig Identity';
+      addRigButton.addEventListener('click', () => {
+        window.RigController.showRigAddForm(part.id);
+      });
+      partActions.appendChild(addRigButton);
+    }
+    
+    if (!isAway) {
+      // RMA button
+      const rmaButton = document.createElement('button');
+      rmaButton.className = 'rma-btn';
+      rmaButton.textContent = 'Send for RMA';
+      rmaButton.addEventListener('click', () => {
+        window.WarrantyController.showSendForRepairForm(part.id);
+      });
+      partActions.appendChild(rmaButton);
+      
+      // Dispose button
+      const disposeButton = document.createElement('button');
+      disposeButton.className = 'delete-btn';
+      disposeButton.textContent = 'Dispose';
+      disposeButton.addEventListener('click', () => {
+        window.DisposalController.showDisposeOptions(part.id);
+      });
+      partActions.appendChild(disposeButton);
+    }
+    
+    // Timeline button
+    const timelineButton = document.createElement('button');
+    timelineButton.className = 'view-timeline-btn';
+    timelineButton.textContent = 'Timeline';
+    timelineButton.addEventListener('click', () => {
+      window.TimelineView.showPartTimeline(part.id);
+    });
+    partActions.appendChild(timelineButton);
+    
+    partCard.appendChild(partActions);
+    
+    return partCard;
+  }
+  
   /**
    * Refresh the parts bin
    */
-  function refresh() {
+  async function refresh() {
     try {
       const typeFilter = document.getElementById('part-bin-filter-type');
       const type = typeFilter ? typeFilter.value : 'all';
+      const asOf = window.App.getAsOfDate();
       
-      // Get parts in bin
-      const partsInBin = window.PartModel.getPartsInBin(type);
+      // Get parts in bin, and those away for repair which would otherwise be there
+      const partsInBin = await window.PartModel.getPartsInBin(type, asOf);
+      const partsAway = await window.PartModel.getPartsAwayForRepair(type, asOf);
       const binContainer = document.getElementById('parts-bin-container');
       
       // Clear container
@@ -45,111 +194,18 @@ window.PartsBinView = (function() {
         } else {
           // Create part cards
           partsInBin.forEach(part => {
-            const partCard = document.createElement('div');
-            partCard.className = 'part-card';
-            partCard.setAttribute('data-part-id', part.id);
-            
-            // Part header
-            const partHeader = document.createElement('div');
-            partHeader.className = 'part-card-header';
-            partHeader.textContent = `${part.brand} ${part.model}`;
-            partCard.appendChild(partHeader);
-            
-            // Part details
-            const partDetails = document.createElement('div');
-            partDetails.className = 'part-details';
-            
-            // Type
-            const partType = document.createElement('p');
-            partType.innerHTML = `<strong>Type:</strong> ${part.type.charAt(0).toUpperCase() + part.type.slice(1)}`;
-            partDetails.appendChild(partType);
-            
-            // Acquisition date
-            if (part.acquisition_date) {
-              const acquisitionDate = document.createElement('p');
-              let dateStr = 'Unknown';
-              
-              if (part.acquisition_date) {
-                const date = new Date(part.acquisition_date);
-                
-                if (part.date_precision === 'year') {
-                  dateStr = date.getFullYear().toString();
-                } else if (part.date_precision === 'month') {
-                  dateStr = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-                } else {
-                  dateStr = date.toISOString().split('T')[0];
-                }
-              }
-              
-              acquisitionDate.innerHTML = `<strong>Acquired:</strong> ${dateStr}`;
-              partDetails.appendChild(acquisitionDate);
-            }
-            
-            // Notes
-            if (part.notes) {
-              const partNotes = document.createElement('p');
-              partNotes.innerHTML = `<strong>Notes:</strong> ${part.notes}`;
-              partDetails.appendChild(partNotes);
-            }
-            
-            partCard.appendChild(partDetails);
-            
-            // Part actions
-            const partActions = document.createElement('div');
-            partActions.className = 'part-card-actions';
-            
-            // Edit button
-            const editButton = document.createElement('button');
-            editButton.className = 'edit-btn';
-            editButton.textContent = 'Edit';
-            editButton.addEventListener('click', () => {
-              window.PartController.showPartEditForm(part.id);
-            });
-            partActions.appendChild(editButton);
-            
-            // Connect button (if part is not motherboard)
-            if (part.type !== 'motherboard') {
-              const connectButton = document.createElement('button');
-              connectButton.className = 'connect-btn';
-              connectButton.textContent = 'Connect';
-              connectButton.addEventListener('click', () => {
-                window.ConnectionController.showConnectOptions(part.id);
-              });
-              partActions.appendChild(connectButton);
-            }
-            
-            // Add Rig button (if part is motherboard)
-            if (part.type === 'motherboard') {
-              const addRigButton = document.createElement('button');
-              addRigButton.className = 'rig-btn';
-              addRigButton.textContent = 'Add Rig Identity';
-              addRigButton.addEventListener('click', () => {
-                window.RigController.showRigAddForm(part.id);
-              });
-              partActions.appendChild(addRigButton);
-            }
-            
-            // Dispose button
-            const disposeButton = document.createElement('button');
-            disposeButton.className = 'delete-btn';
-            disposeButton.textContent = 'Dispose';
-            disposeButton.addEventListener('click', () => {
-              window.DisposalController.showDisposeOptions(part.id);
-            });
-            partActions.appendChild(disposeButton);
-            
-            // Timeline button
-            const timelineButton = document.createElement('button');
-            timelineButton.className = 'view-timeline-btn';
-            timelineButton.textContent = 'Timeline';
-            timelineButton.addEventListener('click', () => {
-              window.TimelineView.showPartTimeline(part.id);
-            });
-            partActions.appendChild(timelineButton);
-            
-            partCard.appendChild(partActions);
-            
-            binContainer.appendChild(partCard);
+            binContainer.appendChild(createPartCard(part));
+          });
+        }
+        
+        if (partsAway.length > 0) {
+          const awayHeading = document.createElement('h3');
+          awayHeading.className = 'part-bin-section-heading';
+          awayHeading.textContent = `Away for repair (${partsAway.length})`;
+          binContainer.appendChild(awayHeading);
+          
+          partsAway.forEach(part => {
+            binContainer.appendChild(createPartCard(part));
           });
         }
       }
@@ -18,9 +18,20 @@ window.PartsList = (function() {
   
   let currentGrouping = 'none'; // 'none', 'rig', 'type', or 'status'
   
+  // Status names that don't read well capitalized as they are
+  const STATUS_LABELS = {
+    repair: 'Away for repair'
+  };
+  
+  // Display name of a part status
+  const getStatusLabel = (status) => STATUS_LABELS[status] || status.charAt(0).toUpperCase() + status.slice(1);
+  
   // Track selected parts for bulk actions
   let selectedParts = new Set();
   
+  // Latest refresh, so an earlier one finishing late doesn't overwrite it
+  let refreshCounter = 0;
+  
   // Helper function to generate a color hash from the rig name
   const getColorFromRigName = (name) => {
     if (!name) return 'hsl(0, 0%, 75%)'; // Default gray
@@ -198,7 +209,9 @@ window.PartsList = (function() {
      * @param {string} sortDirection - Sort direction ('asc' or 'desc')
      * @param {Object} filters - Filters to apply
      */
-    refresh: function(sortColumn, sortDirection, filters) {
+    refresh: async function(sortColumn, sortDirection, filters) {
+      const request = ++refreshCounter;
+      
       // Clear any existing selections
       this.clearSelection();
       
@@ -232,13 +245,16 @@ window.PartsList = (function() {
         sortDirectionBtn.textContent = currentSort.direction === 'asc' ? '↑' : '↓';
       }
       
-      // Clear the table
       const tbody = document.querySelector('#parts-table tbody');
-      DOMUtils.clearElement(tbody);
       
       try {
         // Get parts with current sort and filters
-        const parts = window.PartModel ? window.PartModel.getAllParts(currentFilters, currentSort.column, currentSort.direction) : [];
+        const filters = { ...currentFilters, asOf: window.App.getAsOfDate() };
+        const parts = window.PartModel ? await window.PartModel.getAllParts(filters, currentSort.column, currentSort.direction) : [];
+        if (request !== refreshCounter) return;
+        
+        // Clear the table
+        DOMUtils.clearElement(tbody);
         
         // Update the results count
         document.getElementById('results-count').textContent = `${parts.length} parts found`;
@@ -284,6 +300,9 @@ window.PartsList = (function() {
               if (part.status === 'bin') {
                 groupValue = 'parts_bin';
                 groupDisplay = 'Parts Bin';
+              } else if (part.status === 'repair') {
+                groupValue = 'away_for_repair';
+                groupDisplay = 'Away for Repair';
               } else if (part.status === 'active') {
                 groupValue = 'ungrouped_active';
                 groupDisplay = 'Ungrouped Active Parts';
@@ -301,7 +320,7 @@ window.PartsList = (function() {
             
           case 'status':
             groupValue = part.status;
-            groupDisplay = part.status.charAt(0).toUpperCase() + part.status.slice(1);
+            groupDisplay = getStatusLabel(part.status);
             break;
             
           default:
@@ -499,6 +518,17 @@ window.PartsList = (function() {
       
       modelCell.appendChild(modelLink);
       
+      // Identifiers that tell otherwise identical parts apart
+      const identifiers = [
+        part.asset_tag ? `Tag ${part.asset_tag}` : null,
+        part.serial_number ? `S/N ${part.serial_number}` : null,
+        part.sku ? `P/N ${part.sku}` : null
+      ].filter(Boolean);
+      
+      if (identifiers.length > 0) {
+        modelCell.appendChild(DOMUtils.createElement('span', { className: 'part-identifiers-text' }, identifiers.join(' · ')));
+      }
+      
       // Type cell with icon
       const typeCell = DOMUtils.createElement('td', {});
       
@@ -608,7 +638,7 @@ window.PartsList = (function() {
         }
       } else {
         // For other statuses, just show the capitalized status
-        statusBadge.textContent = part.status.charAt(0).toUpperCase() + part.status.slice(1);
+        statusBadge.textContent = getStatusLabel(part.status);
         statusCell.appendChild(statusBadge);
       }
       
@@ -684,6 +714,14 @@ window.PartsList = (function() {
       });
       dropdownMenu.appendChild(timelineItem);
       
+      // Change Log button
+      const changeLogItem = createMenuItem('📜', 'Change Log', 'timeline-action', () => {
+        if (window.AuditView && typeof window.AuditView.showForPart === 'function') {
+          window.AuditView.showForPart(part.id);
+        }
+      });
+      dropdownMenu.appendChild(changeLogItem);
+      
       // Add section divider
       const divider = DOMUtils.createElement('hr', { className: 'menu-divider' });
       dropdownMenu.appendChild(divider);
@@ -696,8 +734,8 @@ window.PartsList = (function() {
       
       // Conditional buttons based on context
       
-      // Connect/disconnect button if not deleted
-      if (!part.is_deleted) {
+      // Connect/disconnect button if not deleted or away for repair
+      if (!part.is_deleted && part.status !== 'repair') {
         const activeConnections = part.active_connections;
         const isConnected = activeConnections > 0;
         
@@ -736,6 +774,60 @@ window.PartsList = (function() {
         dropdownMenu.appendChild(rigItem);
       }
       
+      // RMA buttons for parts in the bin or away for repair
+      if (!part.is_deleted && (part.status === 'bin' || part.status === 'repair')) {
+        const isAway = part.status === 'repair';
+        const rmaItem = createMenuItem(
+          '🔧', 
+          isAway ? 'Complete RMA' : 'Send for RMA',
+          'rma-action',
+          () => {
+            if (isAway) {
+              window.WarrantyController.showCompleteRepairForm(part.id);
+            } else {
+              window.WarrantyController.showSendForRepairForm(part.id);
+            }
+          }
+        );
+        dropdownMenu.appendChild(rmaItem);
+      }
+      
+      // Split and merge for parts still owned
+      if (!part.is_deleted) {
+        if (part.type !== 'motherboard' && part.status !== 'repair') {
+          const splitItem = createMenuItem(
+            '✂️', 
+            'Split',
+            'split-action',
+            () => {
+              window.PartController.showSplitPartForm(part.id);
+            }
+          );
+          dropdownMenu.appendChild(splitItem);
+        }
+        
+        const mergeItem = createMenuItem(
+          '🔀', 
+          'Merge Duplicates',
+          'merge-action',
+          () => {
+            window.PartController.showMergePartsForm(part.id);
+          }
+        );
+        dropdownMenu.appendChild(mergeItem);
+      }
+      
+      // Lineage links, kept for disposed parts too since originals usually are
+      const lineageItem = createMenuItem(
+        '🧬', 
+        'Linked Parts',
+        'lineage-action',
+        () => {
+          window.PartController.showLinkPartsForm(part.id);
+        }
+      );
+      dropdownMenu.appendChild(lineageItem);
+      
       // Dispose button for non-deleted parts
       if (!part.is_deleted) {
         const disposeItem = createMenuItem(
@@ -768,9 +860,9 @@ window.PartsList = (function() {
         'admin-action',
         () => DOMUtils.showConfirmDialog(
           'Are you sure you want to permanently delete this part? This will remove it and all its history from the database.',
-          () => {
+          async () => {
             if (window.PartModel && typeof window.PartModel.hardDeletePart === 'function') {
-              window.PartModel.hardDeletePart(part.id);
+              await window.PartModel.hardDeletePart(part.id);
               this.refresh();
             }
           }
@@ -954,8 +1046,8 @@ window.PartsList = (function() {
         // Confirm the bulk delete action
         DOMUtils.showConfirmDialog(
           `Are you sure you want to permanently delete ${selectedParts.size} parts? This will remove them and all their history from the database.`,
-          () => {
-            this.performBulkDelete(Array.from(selectedParts));
+          async () => {
+            await this.performBulkDelete(Array.from(selectedParts));
           }
         );
       });
@@ -1031,7 +1123,7 @@ window.PartsList = (function() {
      * Perform bulk delete operation
      * @param {Array} partIds - Array of part IDs to delete
      */
-    performBulkDelete: function(partIds) {
+    performBulkDelete: async function(partIds) {
       if (!window.PartModel || typeof window.PartModel.hardDeletePart !== 'function') {
         console.error('PartModel.hardDeletePart is not available');
         return;
@@ -1040,14 +1132,17 @@ window.PartsList = (function() {
       // Delete each part
       let successCount = 0;
       
-      partIds.forEach(partId => {
-        try {
-          window.PartModel.hardDeletePart(partId);
-          successCount++;
-        } catch (err) {
-          console.error(`Error deleting part ${partId}:`, err);
+      // Delete in one transaction; a failed part only rolls back its own savepoint
+      await window.HistoryService.record(`Delete ${partIds.length} parts`, () => window.DatabaseService.transaction(async () => {
+        for (const partId of partIds) {
+          try {
+            await window.PartModel.hardDeletePart(partId);
+            successCount++;
+          } catch (err) {
+            console.error(`Error deleting part ${partId}:`, err);
+          }
         }
-      });
+      }));
       
       // Show toast with results
       if (successCount > 0) {
@@ -1074,7 +1169,7 @@ window.PartsList = (function() {
       }
       
       if (currentFilters.status && currentFilters.status !== 'all') {
-        activeFilters.push(`Status: ${currentFilters.status}`);
+        activeFilters.push(`Status: ${getStatusLabel(currentFilters.status)}`);
       }
       
       if (currentFilters.search && currentFilters.search.trim() !== '') {
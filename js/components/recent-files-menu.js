@@ -0,0 +1,110 @@
+/**
+ * Recent Files Menu Component for PC History Tracker
+ * Header dropdown for reopening recently used database files
+ */
+
+// Create RecentFilesMenu namespace
+window.RecentFilesMenu = (function() {
+  /**
+   * Format when a file was last opened
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} Date, or time of day for today
+   */
+  function formatOpened(timestamp) {
+    const date = new Date(timestamp);
+    return date.toDateString() === new Date().toDateString()
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString();
+  }
+
+  return {
+    /**
+     * Initialize the recent files menu (called once at startup)
+     */
+    init: function() {
+      const dropdown = document.getElementById('recent-files-menu');
+
+      // Toggle recent files dropdown
+      document.getElementById('recent-files-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        dropdown.classList.toggle('active');
+      });
+
+      // Close dropdown when clicking outside
+      document.addEventListener('click', () => {
+        dropdown.classList.remove('active');
+      });
+
+      this.render();
+    },
+
+    /**
+     * Rebuild the list; the menu is hidden when nothing can be reopened
+     */
+    render: async function() {
+      const dropdown = document.getElementById('recent-files-menu');
+
+      if (!window.RecentFiles.isSupported()) {
+        dropdown.classList.add('hidden');
+        return;
+      }
+
+      try {
+        const files = await window.RecentFiles.list();
+        dropdown.classList.toggle('hidden', files.length === 0);
+
+        const menu = document.getElementById('recent-files-list');
+        window.DOMUtils.clearElement(menu);
+
+        files.forEach(file => {
+          const openItem = window.DOMUtils.createElement('button', {
+            className: 'menu-item recent-file-open',
+            onclick: () => {
+              dropdown.classList.remove('active');
+              window.App.openRecentDatabase(file.id);
+            }
+          }, [
+            window.DOMUtils.createElement('span', { className: 'menu-label' }, file.name),
+            window.DOMUtils.createElement('span', { className: 'recent-file-details' },
+              `${formatOpened(file.last_opened)} · ${file.parts} part${file.parts === 1 ? '' : 's'}, ` +
+              `${file.connections} connection${file.connections === 1 ? '' : 's'}`)
+          ]);
+
+          const removeItem = window.DOMUtils.createElement('button', {
+            className: 'recent-file-remove',
+            title: 'Remove from this list',
+            onclick: async (e) => {
+              e.stopPropagation();
+              await window.RecentFiles.remove(file.id);
+              this.render();
+            }
+          }, '×');
+
+          menu.appendChild(window.DOMUtils.createElement('div', { className: 'recent-file' }, [openItem, removeItem]));
+        });
+
+        // Reopen-on-start preference
+        const reopen = window.DOMUtils.createElement('input', { type: 'checkbox' });
+        reopen.checked = window.RecentFiles.getReopenLast();
+        reopen.addEventListener('change', () => window.RecentFiles.setReopenLast(reopen.checked));
+
+        menu.appendChild(window.DOMUtils.createElement('hr', { className: 'menu-divider' }));
+        menu.appendChild(window.DOMUtils.createElement('label', {
+          className: 'menu-item recent-files-reopen',
+          onclick: (e) => e.stopPropagation()
+        }, [reopen, ' Reopen the last database on start']));
+      } catch (err) {
+        console.error('Error listing recent files:', err);
+        dropdown.classList.add('hidden');
+      }
+    },
+
+    /**
+     * Open the dropdown to ask for the click the browser needs before it
+     * grants access to a file again
+     */
+    prompt: function() {
+      document.getElementById('recent-files-menu').classList.add('active');
+    }
+  };
+})();
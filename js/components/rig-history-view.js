@@ -322,11 +322,10 @@ window.RigHistoryView = (function() {
    * @param {number} motherboardId - Motherboard ID
    * @param {string} startDate - Lifecycle start date
    * @param {string} endDate - Lifecycle end date (or null for active lifecycle)
-   * @returns {Array} Array of connection events
+   * @returns {Promise<Array>} Array of connection events
    */
-  function getConnectionEvents(motherboardId, startDate, endDate) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) return [];
+  async function getConnectionEvents(motherboardId, startDate, endDate) {
+    if (!window.DatabaseService.isOpen()) return [];
     
     try {
       let query = `
@@ -343,34 +342,24 @@ window.RigHistoryView = (function() {
           c.notes
         FROM connections c
         JOIN parts p ON c.part_id = p.id
-        WHERE c.motherboard_id = ${motherboardId}
+        WHERE c.motherboard_id = ?
       `;
+      const params = [motherboardId];
       
       // Add date filtering if provided
       if (startDate) {
-        query += ` AND (c.disconnected_at IS NULL OR c.disconnected_at >= '${startDate}')`;
+        query += ` AND (c.disconnected_at IS NULL OR c.disconnected_at >= ?)`;
+        params.push(startDate);
       }
       
       if (endDate) {
-        query += ` AND c.connected_at <= '${endDate}'`;
+        query += ` AND c.connected_at <= ?`;
+        params.push(endDate);
       }
       
       query += ` ORDER BY c.connected_at`;
       
-      const result = db.exec(query);
-      if (result.length === 0) return [];
-      
-      // Map columns to values
-      const columns = result[0].columns;
-      const events = result[0].values.map(row => {
-        const event = {};
-        columns.forEach((column, index) => {
-          event[column] = row[index];
-        });
-        return event;
-      });
-      
-      return events;
+      return await window.QueryService.all(query, params);
     } catch (err) {
       console.error('Error getting connection events:', err);
       return [];
@@ -380,32 +369,19 @@ window.RigHistoryView = (function() {
   /**
    * Get motherboard details
    * @param {number} motherboardId - Motherboard ID
-   * @returns {Object} Motherboard details
+   * @returns {Promise<Object>} Motherboard details
    */
-  function getMotherboardDetails(motherboardId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) return null;
+  async function getMotherboardDetails(motherboardId) {
+    if (!window.DatabaseService.isOpen()) return null;
     
     try {
       const query = `
         SELECT id, brand, model, acquisition_date, date_precision
         FROM parts
-        WHERE id = ${motherboardId} AND type = 'motherboard'
+        WHERE id = ? AND type = 'motherboard'
       `;
       
-      const result = db.exec(query);
-      if (result.length === 0 || result[0].values.length === 0) return null;
-      
-      // Map columns to values
-      const columns = result[0].columns;
-      const row = result[0].values[0];
-      
-      const motherboard = {};
-      columns.forEach((column, index) => {
-        motherboard[column] = row[index];
-      });
-      
-      return motherboard;
+      return await window.QueryService.get(query, [motherboardId]);
     } catch (err) {
       console.error('Error getting motherboard details:', err);
       return null;
@@ -531,9 +507,11 @@ window.RigHistoryView = (function() {
           existing.disconnected_at = event.disconnected_at;
           existing.disconnected_precision = event.disconnected_precision;
         }
+        
+        existing.connections.push(event);
       } else {
-        // Add as new entry
-        groupedByType[type].push(event);
+        // Add as new entry, keeping the underlying connection records for editing
+        groupedByType[type].push({ ...event, connections: [event] });
       }
     });
     
@@ -615,6 +593,25 @@ window.RigHistoryView = (function() {
         }
         
         componentItem.appendChild(partInfo);
+        
+        // One edit button per connection record behind this entry
+        const actions = document.createElement('div');
+        actions.className = 'component-actions';
+        component.connections.forEach(connection => {
+          const label = component.connections.length > 1 ?
+            `Edit (${formatTimelineDate(connection.connected_at, connection.connected_precision)})` :
+            'Edit';
+          actions.appendChild(window.DOMUtils.createButton(label, 'admin-button small-btn', () => {
+            // Saving closes this view along with the other stale ones, so reopen the same lifecycle
+            const motherboardId = currentMotherboardId;
+            const lifecycleStartDate = currentLifecycleStartDate;
+            window.ConnectionController.showEditConnectionForm(connection.connection_id, async () => {
+              await showRigHistory(motherboardId, lifecycleStartDate);
+            });
+          }));
+        });
+        componentItem.appendChild(actions);
+        
         componentsList.appendChild(componentItem);
       });
       
@@ -628,9 +625,9 @@ window.RigHistoryView = (function() {
   /**
    * Get all lifecycle periods for a motherboard
    * @param {number} motherboardId - Motherboard ID
-   * @returns {Array} Array of lifecycle objects
+   * @returns {Promise<Array>} Array of lifecycle objects
    */
-  function getLifecycles(motherboardId) {
+  async function getLifecycles(motherboardId) {
     return window.RigModel.computeRigLifecycles(motherboardId);
   }
   
@@ -672,8 +669,8 @@ window.RigHistoryView = (function() {
       button.textContent = `${startText} - ${endText}`;
       
       // Add click handler to switch lifecycle
-      button.addEventListener('click', () => {
-        showRigHistory(currentMotherboardId, startDate);
+      button.addEventListener('click', async () => {
+        await showRigHistory(currentMotherboardId, startDate);
       });
       
       navButtons.appendChild(button);
@@ -688,7 +685,7 @@ window.RigHistoryView = (function() {
    * @param {number} motherboardId - Motherboard ID
    * @param {string} lifecycleStartDate - Lifecycle start date (optional, uses first lifecycle if not provided)
    */
-  function showRigHistory(motherboardId, lifecycleStartDate) {
+  async function showRigHistory(motherboardId, lifecycleStartDate) {
     if (!motherboardId) return;
     
     try {
@@ -696,13 +693,13 @@ window.RigHistoryView = (function() {
       currentMotherboardId = motherboardId;
       
       // Get the motherboard details
-      const motherboard = getMotherboardDetails(motherboardId);
+      const motherboard = await getMotherboardDetails(motherboardId);
       if (!motherboard) {
         throw new Error('Motherboard not found');
       }
       
       // Get all lifecycles for this motherboard
-      const lifecycles = getLifecycles(motherboardId);
+      const lifecycles = await getLifecycles(motherboardId);
       if (lifecycles.length === 0) {
         throw new Error('No lifecycles found for this motherboard');
       }
@@ -722,10 +719,10 @@ window.RigHistoryView = (function() {
       currentLifecycleStartDate = targetLifecycle.start_date;
       
       // Get the rig name for this lifecycle
-      const rigName = window.RigModel.getRigName(motherboardId, targetLifecycle.start_date);
+      const rigName = await window.RigModel.getRigName(motherboardId, targetLifecycle.start_date);
       
       // Get connection events for this lifecycle
-      const events = getConnectionEvents(
+      const events = await getConnectionEvents(
         motherboardId, 
         targetLifecycle.start_date, 
         targetLifecycle.end_date
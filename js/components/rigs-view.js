@@ -44,9 +44,8 @@ window.RigsView = (function() {
    * @param {string} startDate - Rig start date
    * @param {string} endDate - Rig end date
    */
-  function showRigPartsHistory(motherboardId, startDate, endDate) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) {
+  async function showRigPartsHistory(motherboardId, startDate, endDate) {
+    if (!window.DatabaseService.isOpen()) {
       window.DOMUtils.showToast('No database is open', 'error');
       return;
     }
@@ -66,26 +65,25 @@ window.RigsView = (function() {
           c.notes
         FROM parts p
         JOIN connections c ON p.id = c.part_id
-        WHERE c.motherboard_id = ${motherboardId}
-          AND c.connected_at <= '${endDate}'
-          AND (c.disconnected_at IS NULL OR c.disconnected_at >= '${startDate}')
+        WHERE c.motherboard_id = ?
+          AND c.connected_at <= ?
+          AND (c.disconnected_at IS NULL OR c.disconnected_at >= ?)
         ORDER BY p.type, c.connected_at
       `;
       
-      const result = db.exec(query);
+      const parts = await window.QueryService.all(query, [motherboardId, endDate, startDate]);
       
       // Create modal content
       const content = window.DOMUtils.createElement('div');
       
       // Get motherboard info for title
-      const motherboardQuery = `
-        SELECT brand, model FROM parts WHERE id = ${motherboardId}
-      `;
-      const motherboardResult = db.exec(motherboardQuery);
+      const motherboard = await window.QueryService.get(
+        'SELECT brand, model FROM parts WHERE id = ?',
+        [motherboardId]
+      );
       
-      if (motherboardResult.length > 0 && motherboardResult[0].values.length > 0) {
-        const [brand, model] = motherboardResult[0].values[0];
-        const title = window.DOMUtils.createElement('h3', {}, `${brand} ${model} - Parts History`);
+      if (motherboard) {
+        const title = window.DOMUtils.createElement('h3', {}, `${motherboard.brand} ${motherboard.model} - Parts History`);
         content.appendChild(title);
       }
       
@@ -97,7 +95,7 @@ window.RigsView = (function() {
         `Parts connected between ${formattedStartDate} and ${formattedEndDate}`);
       content.appendChild(dateRange);
       
-      if (result.length === 0 || result[0].values.length === 0) {
+      if (parts.length === 0) {
         content.appendChild(window.DOMUtils.createElement('p', {}, 'No parts found for this rig during this period.'));
       } else {
         // Create table
@@ -117,16 +115,6 @@ window.RigsView = (function() {
         // Body
         const tbody = window.DOMUtils.createElement('tbody');
         
-        // Map columns to parts
-        const columns = result[0].columns;
-        const parts = result[0].values.map(row => {
-          const part = {};
-          columns.forEach((column, index) => {
-            part[column] = row[index];
-          });
-          return part;
-        });
-        
         // Group parts by type
         const groupedParts = {};
         parts.forEach(part => {
@@ -230,6 +218,9 @@ window.RigsView = (function() {
   // Refresh timer handle
   let refreshTimer = null;
   
+  // Latest refresh, so an earlier one finishing late doesn't overwrite it
+  let refreshCounter = 0;
+  
   /**
    * Initialize the rigs view
    */
@@ -311,12 +302,21 @@ window.RigsView = (function() {
   /**
    * Refresh the rigs list
    */
-  function refresh() {
+  async function refresh() {
+    const request = ++refreshCounter;
+    
     try {
       console.log('Refreshing rigs list...');
       
-      // Get all motherboards
-      const allMotherboards = window.RigModel.getActiveRigs();
+      // Date the collection is being viewed as of (null for now)
+      const asOf = window.App.getAsOfDate();
+      
+      // Get all motherboards and historical rigs (both queried off the main thread)
+      const [allMotherboards, allHistoricalRigs] = await Promise.all([
+        window.RigModel.getActiveRigs(asOf),
+        window.RigModel.getHistoricalRigs()
+      ]);
+      if (request !== refreshCounter) return;
       console.log('Retrieved motherboards:', allMotherboards);
       
       const rigsContainer = document.getElementById('rigs-container');
@@ -366,22 +366,24 @@ window.RigsView = (function() {
         } else {
           // Create rig cards
           console.log('Creating rig cards for active rigs:', activeRigs);
-          activeRigs.forEach(rig => {
+          for (const rig of activeRigs) {
             const rigCard = document.createElement('div');
             rigCard.className = 'rig-card';
             rigCard.setAttribute('data-rig-id', rig.id);
             
             // Compute rig lifecycle for this motherboard
-            const lifecycles = window.RigModel.computeRigLifecycles(rig.id);
+            const lifecycles = await window.RigModel.computeRigLifecycles(rig.id);
             console.log(`Computed lifecycles for rig ${rig.id}:`, lifecycles);
             
-            const activeLifecycle = lifecycles.find(cycle => cycle.active);
+            const activeLifecycle = asOf
+              ? lifecycles.find(cycle => window.DateUtils.isActiveAt(asOf, cycle.start_date, cycle.end_date, cycle.end_precision))
+              : lifecycles.find(cycle => cycle.active);
             console.log(`Active lifecycle for rig ${rig.id}:`, activeLifecycle);
             
             // Look up rig name for this lifecycle
             let rigName = null;
             if (activeLifecycle) {
-              rigName = window.RigModel.getRigName(rig.id, activeLifecycle.start_date);
+              rigName = await window.RigModel.getRigName(rig.id, activeLifecycle.start_date);
               console.log(`Found rig name for lifecycle:`, rigName);
             }
             
@@ -419,9 +421,9 @@ window.RigsView = (function() {
                   const editNameButton = document.createElement('button');
                   editNameButton.className = 'small-btn edit-btn';
                   editNameButton.textContent = 'Edit Name';
-                  editNameButton.addEventListener('click', () => {
+                  editNameButton.addEventListener('click', async () => {
                     // For backward compatibility, try to find a rig identity to edit
-                    const rigIdentities = window.RigModel.getRigIdentities(rig.id);
+                    const rigIdentities = await window.RigModel.getRigIdentities(rig.id);
                     if (rigIdentities && rigIdentities.length > 0) {
                       const activeIdentity = rigIdentities.find(identity => !identity.active_until);
                       if (activeIdentity) {
@@ -441,9 +443,9 @@ window.RigsView = (function() {
                   const deactivateButton = document.createElement('button');
                   deactivateButton.className = 'small-btn disconnect-btn';
                   deactivateButton.textContent = 'Deactivate';
-                  deactivateButton.addEventListener('click', () => {
+                  deactivateButton.addEventListener('click', async () => {
                     // For backward compatibility
-                    const rigIdentities = window.RigModel.getRigIdentities(rig.id);
+                    const rigIdentities = await window.RigModel.getRigIdentities(rig.id);
                     if (rigIdentities && rigIdentities.length > 0) {
                       const activeIdentity = rigIdentities.find(identity => !identity.active_until);
                       if (activeIdentity) {
@@ -467,8 +469,19 @@ window.RigsView = (function() {
                     }
                   });
                   actionButtons.appendChild(historyButton);
+
+                  // Change Log button
+                  const changeLogButton = document.createElement('button');
+                  changeLogButton.className = 'small-btn';
+                  changeLogButton.textContent = 'Change Log';
+                  changeLogButton.addEventListener('click', () => {
+                    if (window.AuditView && typeof window.AuditView.showForRig === 'function') {
+                      window.AuditView.showForRig(rig.id);
+                    }
+                  });
+                  actionButtons.appendChild(changeLogButton);
                 }
-              } 
+              }
             } else {
               // This is just a motherboard with no parts - show different options
               const connectPartsButton = document.createElement('button');
@@ -526,7 +539,7 @@ window.RigsView = (function() {
             
             // Get connected parts
             try {
-              const connectedPartsList = window.ConnectionModel.getActiveConnectionsForMotherboard(rig.id);
+              const connectedPartsList = await window.ConnectionModel.getActiveConnectionsForMotherboard(rig.id, asOf);
               
               if (connectedPartsList && connectedPartsList.length > 0) {
                 const partsListTitle = document.createElement('h4');
@@ -548,14 +561,16 @@ window.RigsView = (function() {
                   const partActions = document.createElement('div');
                   partActions.className = 'part-actions';
                   
-                  // Disconnect button
-                  const disconnectButton = document.createElement('button');
-                  disconnectButton.className = 'small-btn disconnect-btn';
-                  disconnectButton.textContent = 'Disconnect';
-                  disconnectButton.addEventListener('click', () => {
-                    window.ConnectionController.showDisconnectOptions(part.part_id);
-                  });
-                  partActions.appendChild(disconnectButton);
+                  // Disconnect button (only for the present; a past part may be elsewhere now)
+                  if (!asOf) {
+                    const disconnectButton = document.createElement('button');
+                    disconnectButton.className = 'small-btn disconnect-btn';
+                    disconnectButton.textContent = 'Disconnect';
+                    disconnectButton.addEventListener('click', () => {
+                      window.ConnectionController.showDisconnectOptions(part.part_id);
+                    });
+                    partActions.appendChild(disconnectButton);
+                  }
                   
                   // View timeline button
                   const timelineButton = document.createElement('button');
@@ -581,12 +596,17 @@ window.RigsView = (function() {
             
             rigCard.appendChild(partsList);
             rigsContainer.appendChild(rigCard);
-          });
+          }
         }
       }
       
-      // Get historical rigs
-      const historicalRigs = window.RigModel.getHistoricalRigs();
+      let historicalRigs = allHistoricalRigs;
+      
+      // As of a past date, only rigs that had already been taken apart are history
+      if (asOf) {
+        historicalRigs = historicalRigs.filter(rig => rig.rig_start_date && rig.rig_start_date <= asOf &&
+          !window.DateUtils.isActiveAt(asOf, rig.rig_start_date, rig.rig_end_date, rig.rig_end_precision));
+      }
       console.log('Retrieved historical rigs:', historicalRigs);
       
       const historicalRigsContainer = document.getElementById('historical-rigs-container');
@@ -601,7 +621,7 @@ window.RigsView = (function() {
         } else {
           console.log('Creating historical rig cards:', historicalRigs.length);
           // Create historical rig cards
-          historicalRigs.forEach(rig => {
+          for (const rig of historicalRigs) {
             console.log('Creating historical rig card for:', rig);
             
             const rigCard = document.createElement('div');
@@ -615,7 +635,7 @@ window.RigsView = (function() {
             // Try to get the rig name using the rig_names table
             if (rig.rig_start_date) {
               console.log(`Looking up rig name for historical rig ${rig.id} with start date ${rig.rig_start_date}`);
-              rigName = window.RigModel.getRigName(rig.id, rig.rig_start_date);
+              rigName = await window.RigModel.getRigName(rig.id, rig.rig_start_date);
               console.log('Found rig name from rig_names:', rigName);
             }
             
@@ -731,14 +751,7 @@ window.RigsView = (function() {
                 
                 try {
                   // Update the rig name
-                  window.RigModel.setRigName(rig.id, rig.rig_start_date, name, notes);
-                  
-                  // Update state
-                  window.App.hasUnsavedChanges = true;
-                  window.App.updateSaveStatus();
-                  
-                  // Save the database
-                  await window.App.saveDatabase();
+                  await window.RigModel.setRigName(rig.id, rig.rig_start_date, name, notes);
                   
                   // Refresh the view
                   refresh();
@@ -784,16 +797,16 @@ window.RigsView = (function() {
             const viewPartsButton = document.createElement('button');
             viewPartsButton.className = 'view-parts-btn';
             viewPartsButton.textContent = 'View Parts';
-            viewPartsButton.addEventListener('click', () => {
+            viewPartsButton.addEventListener('click', async () => {
               // Show a modal with parts that were in this rig
-              showRigPartsHistory(rig.id, rig.rig_start_date, rig.rig_end_date);
+              await showRigPartsHistory(rig.id, rig.rig_start_date, rig.rig_end_date);
             });
             buttonContainer.appendChild(viewPartsButton);
             
             rigCard.appendChild(buttonContainer);
             
             historicalRigsContainer.appendChild(rigCard);
-          });
+          }
         }
       }
     } catch (err) {
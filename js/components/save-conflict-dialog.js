@@ -0,0 +1,95 @@
+/**
+ * Save Conflict Dialog component for PC History Tracker
+ * Asks what to do when the database file was changed elsewhere since it was opened
+ */
+
+// Create namespace
+window.SaveConflictDialog = (function() {
+  // Private members
+
+  // The dialog while it is open, so a second conflict doesn't stack another
+  let openModal = null;
+
+  /**
+   * List what a merge couldn't combine
+   * @param {Object} result - Result of ThreeWayMerge.merge
+   */
+  function showMergeResult(result) {
+    const content = window.DOMUtils.createElement('div');
+    content.appendChild(window.DOMUtils.createElement('p', {},
+      `Merged ${result.added} added, ${result.updated} changed and ${result.deleted} deleted records from the other copy. ` +
+      `${result.conflicts.length} change${result.conflicts.length === 1 ? '' : 's'} clashed with changes made here; ` +
+      'this copy\'s version was kept for those:'));
+
+    const list = window.DOMUtils.createElement('ul', { className: 'merge-conflicts' });
+    result.conflicts.forEach(conflict => {
+      list.appendChild(window.DOMUtils.createElement('li', {}, `${conflict.table} #${conflict.id}: ${conflict.message}`));
+    });
+    content.appendChild(list);
+
+    window.DOMUtils.showModal('Merge Result', content);
+  }
+
+  /**
+   * Settle the conflict one way and refresh the app
+   * @param {string} resolution - 'merge', 'overwrite' or 'reload' (see SaveScheduler.resolveConflict)
+   */
+  async function resolve(resolution) {
+    try {
+      const result = await window.SaveScheduler.resolveConflict(resolution);
+
+      if (openModal && openModal.parentNode) {
+        document.body.removeChild(openModal);
+      }
+      openModal = null;
+
+      if (resolution === 'reload') {
+        window.App.initializeUI();
+      }
+      await window.App.refreshViews();
+
+      if (result && result.conflicts.length > 0) {
+        showMergeResult(result);
+      } else {
+        window.DOMUtils.showToast(resolution === 'reload' ? 'Reloaded the file' : 'Database saved', 'success');
+      }
+    } catch (err) {
+      console.error('Error resolving save conflict:', err);
+      alert('Error: ' + err.message);
+    }
+  }
+
+  /**
+   * Show the dialog
+   */
+  function show() {
+    if (openModal && openModal.parentNode) return;
+
+    const content = window.DOMUtils.createElement('div', { className: 'save-conflict' });
+    content.appendChild(window.DOMUtils.createElement('p', {},
+      `${window.FileService.getCurrentFileName() || 'The database file'} was changed by another tab or ` +
+      'another computer since it was opened here, so it hasn\'t been saved over. Changes made here are kept until you choose:'));
+
+    const options = window.DOMUtils.createElement('ul', {}, [
+      window.DOMUtils.createElement('li', {}, 'Merge: add their changes to this copy and save the result. Where both ' +
+        'changed the same thing, this copy\'s version is kept and listed.'),
+      window.DOMUtils.createElement('li', {}, 'Keep mine: save this copy over theirs. Their changes are lost.'),
+      window.DOMUtils.createElement('li', {}, 'Use theirs: reopen the file as it is now. Unsaved changes here are lost, ' +
+        'apart from a copy in Tools → Restore from backup.')
+    ]);
+    content.appendChild(options);
+
+    content.appendChild(window.DOMUtils.createElement('div', { className: 'modal-buttons' }, [
+      window.DOMUtils.createButton('Merge', 'primary-button', () => resolve('merge')),
+      window.DOMUtils.createButton('Keep Mine', 'danger-button', () => resolve('overwrite')),
+      window.DOMUtils.createButton('Use Theirs', 'compact-btn', () => resolve('reload'))
+    ]));
+
+    openModal = window.DOMUtils.showModal('File Changed Elsewhere', content);
+  }
+
+  // Public API
+  return {
+    show
+  };
+})();
@@ -7,6 +7,9 @@ window.TimelineView = (function() {
   // Private variables
   let currentPartId = null;
   
+  // Whether the timeline shows every part in the lineage rather than just this one
+  let showLineage = false;
+  
   return {
     /**
      * Initialize the timeline view component
@@ -30,7 +33,7 @@ window.TimelineView = (function() {
         currentPartId = partId;
         
         // Get the part details
-        const part = window.PartModel.getPartById(partId);
+        const part = await window.PartModel.getPartById(partId);
         
         if (!part) {
           throw new Error('Part not found');
@@ -40,11 +43,17 @@ window.TimelineView = (function() {
         const partType = part.type;
         const isDeleted = part.is_deleted === 1;
         const isConnected = part.active_connections > 0;
+        const isAway = part.status === 'repair';
         
         console.log('Part name for timeline:', partName);
         
+        // Other physical parts of the same component
+        const lineagePartIds = await window.LineageModel.getLineagePartIds(partId);
+        const lineageShown = showLineage && lineagePartIds.length > 1;
+        
         // Update the timeline title
-        document.getElementById('timeline-part-name').textContent = partName;
+        document.getElementById('timeline-part-name').textContent =
+          lineageShown ? `${partName} and ${lineagePartIds.length - 1} linked part${lineagePartIds.length === 2 ? '' : 's'}` : partName;
         
         // Remove any existing action buttons
         const existingActions = document.querySelector('#part-timeline-view .actions');
@@ -57,7 +66,8 @@ window.TimelineView = (function() {
         DOMUtils.clearElement(timelineContainer);
         
         // Get timeline events - placeholder until TimelineEvent model is implemented
-        const timelineEvents = window.TimelineEvent ? window.TimelineEvent.getTimelineEventsForPart(partId) : [];
+        const timelineEvents = !window.TimelineEvent ? [] : lineageShown ?
+          await window.TimelineEvent.getTimelineEventsForLineage(partId) : await window.TimelineEvent.getTimelineEventsForPart(partId);
         
         // Render timeline
         if (timelineEvents.length === 0) {
@@ -73,8 +83,15 @@ window.TimelineView = (function() {
         // Add part action buttons
         const partActionsContainer = DOMUtils.createElement('div', { className: 'actions' });
         
+        // A part away for repair can only come back
+        if (isAway && !isDeleted) {
+          const completeRmaBtn = DOMUtils.createButton('Complete RMA', 'connect-btn',
+            () => window.WarrantyController.showCompleteRepairForm(partId));
+          partActionsContainer.appendChild(completeRmaBtn);
+        }
+        
         // Only add connect/disconnect and dispose buttons if not a motherboard and not deleted
-        if (partType !== 'motherboard' && !isDeleted) {
+        if (partType !== 'motherboard' && !isDeleted && !isAway) {
           // Connect/Disconnect button
           const connectBtn = DOMUtils.createButton(
             isConnected ? 'Disconnect' : 'Connect',
@@ -102,13 +119,30 @@ window.TimelineView = (function() {
           partActionsContainer.appendChild(disposeBtn);
         }
         
+        // Lineage
+        if (lineagePartIds.length > 1) {
+          const lineageBtn = DOMUtils.createButton(
+            lineageShown ? 'Show This Part Only' : `Show Full Lineage (${lineagePartIds.length} parts)`,
+            'view-timeline-btn',
+            () => {
+              showLineage = !lineageShown;
+              this.showPartTimeline(partId);
+            }
+          );
+          partActionsContainer.appendChild(lineageBtn);
+        }
+        
+        const linkPartsBtn = DOMUtils.createButton('Linked Parts', 'rig-btn',
+          () => window.PartController.showLinkPartsForm(partId));
+        partActionsContainer.appendChild(linkPartsBtn);
+        
         // Admin Delete button - always available
         const adminDeleteBtn = DOMUtils.createButton('Delete from History', 'admin-button', 
           () => DOMUtils.showConfirmDialog(
             'Are you sure you want to permanently delete this part? This will remove it and all its history from the database.',
-            () => {
+            async () => {
               if (window.PartModel && typeof window.PartModel.hardDeletePart === 'function') {
-                window.PartModel.hardDeletePart(partId);
+                await window.PartModel.hardDeletePart(partId);
                 this.hide();
                 if (window.PartsList && typeof window.PartsList.refresh === 'function') {
                   window.PartsList.refresh();
@@ -141,6 +175,15 @@ window.TimelineView = (function() {
       document.getElementById('part-timeline-view').classList.add('hidden');
       document.getElementById('app-container').classList.remove('hidden');
       currentPartId = null;
+      showLineage = false;
+    },
+    
+    /**
+     * Get the ID of the part whose timeline is showing
+     * @returns {number|null} Part ID or null if the timeline is hidden
+     */
+    getCurrentPartId: function() {
+      return currentPartId;
     },
     
     /**
@@ -167,6 +210,11 @@ window.TimelineView = (function() {
       // Description
       const description = DOMUtils.createElement('p', {}, event.content);
       
+      // Which part the event belongs to, when showing a whole lineage
+      if (event.partName) {
+        content.appendChild(DOMUtils.createElement('span', { className: 'timeline-part-tag' }, event.partName));
+      }
+      
       content.appendChild(title);
       content.appendChild(description);
       
@@ -179,8 +227,15 @@ window.TimelineView = (function() {
         content.appendChild(notes);
       }
       
-      // Only add delete event button for connected, disconnected, and disposed events (not for acquisition)
-      if (event.type !== 'acquisition') {
+      // Lineage links open the other part's timeline
+      if (event.linkedPartId) {
+        const linkBtn = DOMUtils.createButton('View Linked Part', 'small-btn timeline-link-btn',
+          () => this.showPartTimeline(event.linkedPartId));
+        content.appendChild(linkBtn);
+      }
+      
+      // Only add delete event button for recorded events (not for acquisition or derived events)
+      if (!['acquisition', 'lineage', 'warranty_expiry'].includes(event.type)) {
         // Add admin action to delete this event
         const adminActions = DOMUtils.createElement('div', { className: 'timeline-admin-actions' });
         
@@ -191,12 +246,7 @@ window.TimelineView = (function() {
               try {
                 // Delete the event
                 if (window.TimelineEvent && typeof window.TimelineEvent.deleteTimelineEvent === 'function') {
-                  window.TimelineEvent.deleteTimelineEvent(currentPartId, event.type, event.date);
-                  
-                  // Mark changes as unsaved and save the database
-                  window.App.hasUnsavedChanges = true;
-                  window.App.updateSaveStatus();
-                  await window.App.saveDatabase();
+                  await window.TimelineEvent.deleteTimelineEvent(event.partId || currentPartId, event.type, event.date);
                   
                   // Refresh the timeline
                   this.showPartTimeline(currentPartId);
@@ -214,6 +264,14 @@ window.TimelineView = (function() {
           )
         );
         
+        // Connection records can be corrected in place
+        if ((event.type === 'connected' || event.type === 'disconnected') && event.id &&
+            window.ConnectionController && typeof window.ConnectionController.showEditConnectionForm === 'function') {
+          const editEventBtn = DOMUtils.createButton('Edit Connection', 'admin-button small-btn', 
+            () => window.ConnectionController.showEditConnectionForm(event.id));
+          adminActions.appendChild(editEventBtn);
+        }
+        
         adminActions.appendChild(deleteEventBtn);
         content.appendChild(adminActions);
       }
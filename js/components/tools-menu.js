@@ -0,0 +1,86 @@
+/**
+ * Tools Menu Component for PC History Tracker
+ * Header dropdown for whole-database tools
+ */
+
+// Create ToolsMenu namespace
+window.ToolsMenu = (function() {
+  return {
+    /**
+     * Initialize the tools menu (called once at startup)
+     */
+    init: function() {
+      const dropdown = document.getElementById('tools-menu');
+
+      // Toggle tools dropdown
+      document.getElementById('tools-menu-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        dropdown.classList.toggle('active');
+      });
+
+      // Close dropdown when clicking outside or choosing an item
+      document.addEventListener('click', () => {
+        dropdown.classList.remove('active');
+      });
+
+      document.getElementById('check-integrity').addEventListener('click', () => {
+        dropdown.classList.remove('active');
+        window.IntegrityReport.show();
+      });
+      
+      document.getElementById('cost-report').addEventListener('click', () => {
+        dropdown.classList.remove('active');
+        window.CostReport.show();
+      });
+
+      document.getElementById('find-duplicates').addEventListener('click', () => {
+        dropdown.classList.remove('active');
+        window.DuplicatesReport.show();
+      });
+
+      document.getElementById('restore-backup').addEventListener('click', () => {
+        dropdown.classList.remove('active');
+        window.BackupBrowser.show();
+      });
+
+      document.getElementById('compare-database').addEventListener('click', () => {
+        dropdown.classList.remove('active');
+        window.DiffReport.compareWithFile();
+      });
+
+      document.getElementById('merge-database').addEventListener('click', () => {
+        dropdown.classList.remove('active');
+        window.MergeDatabaseDialog.show();
+      });
+
+      document.getElementById('export-db').addEventListener('click', () => {
+        dropdown.classList.remove('active');
+        window.App.exportDatabase();
+      });
+
+      document.getElementById('change-passphrase').addEventListener('click', () => {
+        dropdown.classList.remove('active');
+        window.EncryptionDialog.changePassphrase();
+      });
+
+      document.getElementById('remove-encryption').addEventListener('click', () => {
+        dropdown.classList.remove('active');
+        window.EncryptionDialog.removeEncryption();
+      });
+
+      this.render();
+    },
+
+    /**
+     * Show the menu only while a database is open, with the encryption
+     * items that fit the open file
+     */
+    render: function() {
+      document.getElementById('tools-menu').classList.toggle('hidden', !window.DatabaseService.isOpen());
+
+      const encrypted = window.FileService.isEncrypted();
+      document.getElementById('change-passphrase').textContent = encrypted ? 'Change passphrase' : 'Encrypt with passphrase';
+      document.getElementById('remove-encryption').classList.toggle('hidden', !encrypted);
+    }
+  };
+})();
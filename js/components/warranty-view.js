@@ -0,0 +1,160 @@
+/**
+ * Warranty View component for PC History Tracker
+ * Dashboard of warranties expiring soon, parts away for repair and recent expiries
+ */
+
+// Create namespace
+window.WarrantyView = (function() {
+  // Private members
+
+  // Listeners are bound once, even though init runs each time a database is opened
+  let initialized = false;
+
+  /**
+   * Initialize the warranty view
+   */
+  function init() {
+    if (initialized) return;
+    initialized = true;
+
+    const windowSelect = document.getElementById('warranty-window');
+    if (windowSelect) {
+      windowSelect.addEventListener('change', refresh);
+    }
+
+    const refreshBtn = document.getElementById('refresh-warranties');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', refresh);
+    }
+  }
+
+  /**
+   * Link that opens a part's timeline
+   * @param {Object} part - Row with id, brand and model
+   * @returns {HTMLElement} Link
+   */
+  function createPartLink(part) {
+    const link = window.DOMUtils.createElement('a', { href: '#' }, `${part.brand} ${part.model}`);
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      window.TimelineView.showPartTimeline(part.id);
+    });
+    return link;
+  }
+
+  /**
+   * Describe how far away a day is
+   * @param {number} days - Days from today (negative for the past)
+   * @returns {string} e.g. "in 12 days", "today", "3 days ago"
+   */
+  function describeDays(days) {
+    if (days === 0) return 'today';
+    if (days > 0) return `in ${days} day${days === 1 ? '' : 's'}`;
+    return `${-days} day${days === -1 ? '' : 's'} ago`;
+  }
+
+  /**
+   * Add a titled table to the dashboard, or a note when it has no rows
+   * @param {HTMLElement} container - Dashboard container
+   * @param {string} title - Section heading
+   * @param {string} emptyText - Text shown when there are no rows
+   * @param {Array} headers - Column headings
+   * @param {Array} rows - Arrays of cell contents (strings or nodes)
+   */
+  function addSection(container, title, emptyText, headers, rows) {
+    container.appendChild(window.DOMUtils.createElement('h3', {}, `${title} (${rows.length})`));
+
+    if (rows.length === 0) {
+      container.appendChild(window.DOMUtils.createElement('p', { className: 'warranty-empty' }, emptyText));
+      return;
+    }
+
+    const table = window.DOMUtils.createElement('table', { className: 'warranty-table' });
+
+    const headerRow = window.DOMUtils.createElement('tr');
+    headers.forEach(header => headerRow.appendChild(window.DOMUtils.createElement('th', {}, header)));
+    table.appendChild(window.DOMUtils.createElement('thead', {}, headerRow));
+
+    const tbody = window.DOMUtils.createElement('tbody');
+    rows.forEach(cells => {
+      const row = window.DOMUtils.createElement('tr');
+      cells.forEach(cell => row.appendChild(window.DOMUtils.createElement('td', {}, cell)));
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    container.appendChild(window.DOMUtils.createElement('div', { className: 'table-container' }, table));
+  }
+
+  /**
+   * Refresh the warranty dashboard
+   */
+  async function refresh() {
+    try {
+      const container = document.getElementById('warranty-dashboard');
+      if (!container || !window.DatabaseService.isOpen()) return;
+
+      const windowSelect = document.getElementById('warranty-window');
+      const withinDays = windowSelect ? parseInt(windowSelect.value) || 90 : 90;
+
+      const warranties = await window.WarrantyModel.getWarranties(withinDays);
+      const partsAway = await window.PartModel.getPartsAwayForRepair();
+
+      window.DOMUtils.clearElement(container);
+
+      const expiryText = row => window.DateUtils.formatDateByPrecision(row.expiry_date, row.expiry_precision);
+
+      addSection(container, 'Expiring soon', `No warranties end in the next ${withinDays} days.`,
+        ['Part', 'Type', 'Warranty', 'Ends', 'When'],
+        warranties
+          .filter(row => row.warranty_status === 'expiring')
+          .map(row => [
+            createPartLink(row),
+            row.type,
+            `${row.warranty_months} months`,
+            expiryText(row),
+            // Coarse dates are counted to their last possible day
+            (row.expiry_precision === 'day' ? '' : 'by ') + describeDays(row.days_left)
+          ]));
+
+      addSection(container, 'Away for repair', 'No parts are away for repair.',
+        ['Part', 'Type', 'Sent', 'RMA Number', ''],
+        partsAway.map(part => {
+          const completeBtn = window.DOMUtils.createButton('Complete RMA', 'compact-btn',
+            () => window.WarrantyController.showCompleteRepairForm(part.id));
+          return [
+            createPartLink(part),
+            part.type,
+            window.DateUtils.formatDateByPrecision(part.sent_at, part.sent_precision),
+            part.rma_number || '',
+            completeBtn
+          ];
+        }));
+
+      addSection(container, 'Recently expired', `No warranties ended in the last ${withinDays} days.`,
+        ['Part', 'Type', 'Warranty', 'Ended', 'When'],
+        warranties
+          .filter(row => row.warranty_status === 'expired' && row.days_left >= -withinDays)
+          .reverse()
+          .map(row => [
+            createPartLink(row),
+            row.type,
+            `${row.warranty_months} months`,
+            expiryText(row),
+            describeDays(row.days_left)
+          ]));
+
+      const covered = warranties.filter(row => row.warranty_status === 'active');
+      container.appendChild(window.DOMUtils.createElement('p', { className: 'warranty-summary' },
+        `${covered.length} more part${covered.length === 1 ? ' is' : 's are'} under warranty for longer than ${withinDays} days.`));
+    } catch (err) {
+      console.error('Error refreshing warranties:', err);
+    }
+  }
+
+  // Public API
+  return {
+    init,
+    refresh
+  };
+})();
@@ -11,10 +11,10 @@ window.ConnectionController = (function() {
    * Show options for connecting a part to a motherboard
    * @param {number} partId - Part ID
    */
-  function showConnectOptions(partId) {
+  async function showConnectOptions(partId) {
     try {
       // Check that this part isn't a motherboard
-      const part = window.PartModel.getPartById(partId);
+      const part = await window.PartModel.getPartById(partId);
       if (!part) {
         throw new Error('Part not found');
       }
@@ -25,14 +25,14 @@ window.ConnectionController = (function() {
       }
       
       // Check if the part is already connected
-      const activeConnections = window.ConnectionModel.getActiveConnectionsForPart(partId);
+      const activeConnections = await window.ConnectionModel.getActiveConnectionsForPart(partId);
       if (activeConnections && activeConnections.length > 0) {
         window.DOMUtils.showToast('This part is already connected to a motherboard', 'error');
         return;
       }
       
       // Get all motherboards (not just active ones)
-      const activeRigs = window.RigModel.getActiveRigs();
+      const activeRigs = await window.RigModel.getActiveRigs();
       
       // Create modal content
       const content = window.DOMUtils.createElement('div');
@@ -109,13 +109,13 @@ window.ConnectionController = (function() {
       content.appendChild(conflictWarning);
       
       // Function to check for conflicts when a motherboard is selected
-      const checkForConflicts = () => {
+      const checkForConflicts = async () => {
         // Get the selected motherboard ID
         const motherboardId = parseInt(motherboardSelect.value);
         if (!motherboardId) return;
         
         // Check if there's already a part of the same type connected to this motherboard
-        const activeConnections = window.ConnectionModel.getActiveConnectionsForMotherboard(motherboardId);
+        const activeConnections = await window.ConnectionModel.getActiveConnectionsForMotherboard(motherboardId);
         const sameTypeParts = activeConnections.filter(conn => conn.part_type === part.type);
         
         // Clear previous warning
@@ -331,7 +331,7 @@ window.ConnectionController = (function() {
       ]));
       
       // Connect button
-      const connectButton = window.DOMUtils.createButton('Connect Part', 'primary-button', () => {
+      const connectButton = window.DOMUtils.createButton('Connect Part', 'primary-button', async () => {
         const motherboardId = parseInt(motherboardSelect.value);
         let year = parseInt(yearSelect.value);
         let month = monthSelect.value ? parseInt(monthSelect.value) : null;
@@ -365,14 +365,7 @@ window.ConnectionController = (function() {
         
         try {
           // Connect the part with the keepExistingParts parameter
-          window.ConnectionModel.connectPart(partId, motherboardId, dateInfo, notes, keepExistingParts);
-          
-          // Update state
-          window.App.hasUnsavedChanges = true;
-          window.App.updateSaveStatus();
-          
-          // Auto-save
-          window.App.saveDatabase();
+          await window.ConnectionModel.connectPart(partId, motherboardId, dateInfo, notes, keepExistingParts);
           
           // Refresh all affected views
           window.PartsList.refresh();
@@ -411,10 +404,10 @@ window.ConnectionController = (function() {
    * Show options for disconnecting a part
    * @param {number} partId - Part ID
    */
-  function showDisconnectOptions(partId) {
+  async function showDisconnectOptions(partId) {
     try {
       // Get active connections for the part
-      const activeConnections = window.ConnectionModel.getActiveConnectionsForPart(partId);
+      const activeConnections = await window.ConnectionModel.getActiveConnectionsForPart(partId);
       
       if (activeConnections.length === 0) {
         alert('Part is not connected to any motherboard');
@@ -502,14 +495,7 @@ window.ConnectionController = (function() {
         
         try {
           // Disconnect the part
-          window.ConnectionModel.disconnectPartById(partId, dateInfo, notes);
-          
-          // Update state
-          window.App.hasUnsavedChanges = true;
-          window.App.updateSaveStatus();
-          
-          // Save database immediately and ensure it completes
-          const saveResult = await window.App.saveDatabase();
+          await window.ConnectionModel.disconnectPartById(partId, dateInfo, notes);
           
           // Refresh all affected views
           window.PartsList.refresh();
@@ -548,7 +534,7 @@ window.ConnectionController = (function() {
    * Show form for connecting multiple parts at once
    * @param {Array} partIds - Array of part IDs to connect
    */
-  function showBulkConnectForm(partIds) {
+  async function showBulkConnectForm(partIds) {
     if (!partIds || partIds.length === 0) {
       return;
     }
@@ -560,7 +546,7 @@ window.ConnectionController = (function() {
       let allPartsHaveSameAcquisitionDate = true;
       
       for (const partId of partIds) {
-        const part = window.PartModel.getPartById(partId);
+        const part = await window.PartModel.getPartById(partId);
         if (!part) {
           throw new Error(`Part with ID ${partId} not found`);
         }
@@ -570,7 +556,7 @@ window.ConnectionController = (function() {
         }
         
         // Check if the part is already connected
-        const activeConnections = window.ConnectionModel.getActiveConnectionsForPart(partId);
+        const activeConnections = await window.ConnectionModel.getActiveConnectionsForPart(partId);
         if (activeConnections && activeConnections.length > 0) {
           throw new Error(`Part ${part.brand} ${part.model} is already connected to a motherboard`);
         }
@@ -591,7 +577,7 @@ window.ConnectionController = (function() {
       }
       
       // Get all motherboards
-      const activeRigs = window.RigModel.getActiveRigs();
+      const activeRigs = await window.RigModel.getActiveRigs();
       
       // Create modal content
       const content = window.DOMUtils.createElement('div');
@@ -720,13 +706,13 @@ window.ConnectionController = (function() {
       content.appendChild(conflictWarning);
       
       // Function to check for conflicts when a motherboard is selected
-      const checkForConflicts = () => {
+      const checkForConflicts = async () => {
         // Get the selected motherboard ID
         const motherboardId = parseInt(motherboardSelect.value);
         if (!motherboardId) return;
         
         // Check for parts of the same type already connected to this motherboard
-        const activeConnections = window.ConnectionModel.getActiveConnectionsForMotherboard(motherboardId);
+        const activeConnections = await window.ConnectionModel.getActiveConnectionsForMotherboard(motherboardId);
         
         // Group parts to connect by type
         const partsByType = {};
@@ -1012,30 +998,27 @@ window.ConnectionController = (function() {
             keepExistingMap[partType] = checkbox.checked;
           });
           
-          // Connect all parts with appropriate keep setting for each type
-          for (const partId of partIds) {
-            try {
-              // Find the part to get its type
-              const part = partsToConnect.find(p => p.id === partId);
-              if (!part) continue;
-              
-              // Get the keep setting for this part type
-              const keepExisting = keepExistingMap[part.type] || false;
-              
-              // Connect the part with the appropriate keepExisting value
-              window.ConnectionModel.connectPart(partId, motherboardId, dateInfo, notes, keepExisting);
-              successCount++;
-            } catch (err) {
-              console.error(`Error connecting part ${partId}:`, err);
+          // Connect all parts with appropriate keep setting for each type. Each
+          // connectPart call is its own savepoint, so a failed part is rolled back
+          // on its own while the rest of the batch commits together
+          await window.HistoryService.record(`Connect ${partIds.length} parts`, () => window.DatabaseService.transaction(async () => {
+            for (const partId of partIds) {
+              try {
+                // Find the part to get its type
+                const part = partsToConnect.find(p => p.id === partId);
+                if (!part) continue;
+                
+                // Get the keep setting for this part type
+                const keepExisting = keepExistingMap[part.type] || false;
+                
+                // Connect the part with the appropriate keepExisting value
+                await window.ConnectionModel.connectPart(partId, motherboardId, dateInfo, notes, keepExisting);
+                successCount++;
+              } catch (err) {
+                console.error(`Error connecting part ${partId}:`, err);
+              }
             }
-          }
-          
-          // Update state
-          window.App.hasUnsavedChanges = true;
-          window.App.updateSaveStatus();
-          
-          // Auto-save
-          await window.App.saveDatabase();
+          }));
           
           // Refresh all affected views
           window.PartsList.refresh();
@@ -1069,7 +1052,7 @@ window.ConnectionController = (function() {
    * Show form for disconnecting multiple parts at once
    * @param {Array} partIds - Array of part IDs to disconnect
    */
-  function showBulkDisconnectForm(partIds) {
+  async function showBulkDisconnectForm(partIds) {
     if (!partIds || partIds.length === 0) {
       return;
     }
@@ -1080,10 +1063,10 @@ window.ConnectionController = (function() {
       
       for (const partId of partIds) {
         // Get active connections for the part
-        const activeConnections = window.ConnectionModel.getActiveConnectionsForPart(partId);
+        const activeConnections = await window.ConnectionModel.getActiveConnectionsForPart(partId);
         
         if (activeConnections.length === 0) {
-          const part = window.PartModel.getPartById(partId);
+          const part = await window.PartModel.getPartById(partId);
           if (part) {
             throw new Error(`Part ${part.brand} ${part.model} is not connected to any motherboard`);
           } else {
@@ -1175,22 +1158,17 @@ window.ConnectionController = (function() {
         try {
           let successCount = 0;
           
-          // Disconnect all parts
-          for (const { partId } of partsToDisconnect) {
-            try {
-              window.ConnectionModel.disconnectPartById(partId, dateInfo, notes);
-              successCount++;
-            } catch (err) {
-              console.error(`Error disconnecting part ${partId}:`, err);
+          // Disconnect all parts in one transaction; a failed part only rolls back its own savepoint
+          await window.HistoryService.record(`Disconnect ${partsToDisconnect.length} parts`, () => window.DatabaseService.transaction(async () => {
+            for (const { partId } of partsToDisconnect) {
+              try {
+                await window.ConnectionModel.disconnectPartById(partId, dateInfo, notes);
+                successCount++;
+              } catch (err) {
+                console.error(`Error disconnecting part ${partId}:`, err);
+              }
             }
-          }
-          
-          // Update state
-          window.App.hasUnsavedChanges = true;
-          window.App.updateSaveStatus();
-          
-          // Auto-save
-          await window.App.saveDatabase();
+          }));
           
           // Refresh all affected views
           window.PartsList.refresh();
@@ -1220,10 +1198,135 @@ window.ConnectionController = (function() {
     }
   }
   
+  /**
+   * Show a form for correcting an existing connection record
+   * @param {number} connectionId - Connection ID
+   * @param {Function} onSaved - Optional callback after the change is saved
+   */
+  async function showEditConnectionForm(connectionId, onSaved = null) {
+    try {
+      const connection = await window.ConnectionModel.getConnectionById(connectionId);
+      if (!connection) {
+        throw new Error('Connection not found');
+      }
+      
+      // Any motherboard can be chosen, including ones that have since been disposed of
+      const motherboards = await window.QueryService.all(
+        "SELECT id, brand, model FROM parts WHERE type = 'motherboard' ORDER BY brand, model"
+      );
+      
+      // Create modal content
+      const content = window.DOMUtils.createElement('div');
+      content.appendChild(window.DOMUtils.createElement('p', {}, [
+        'Edit connection of ',
+        window.DOMUtils.createElement('strong', {}, `${connection.part_brand} ${connection.part_model}`)
+      ]));
+      
+      // Motherboard selection
+      const motherboardSelect = window.DOMUtils.createElement('select', { id: 'edit-connection-motherboard', className: 'form-control' });
+      motherboards.forEach(motherboard => {
+        motherboardSelect.appendChild(window.DOMUtils.createElement('option', { value: motherboard.id }, 
+          `${motherboard.brand} ${motherboard.model}`));
+      });
+      motherboardSelect.value = connection.motherboard_id;
+      
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'edit-connection-motherboard' }, 'Motherboard:'),
+        motherboardSelect
+      ]));
+      
+      // Connection date
+      const connectedControls = window.DOMUtils.createDateSelects('edit-connected', connection.connected_at, connection.connected_precision);
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', {}, 'Connection Date:'),
+        connectedControls.element
+      ]));
+      
+      // Disconnection date
+      const disconnectedControls = window.DOMUtils.createDateSelects('edit-disconnected', connection.disconnected_at, connection.disconnected_precision);
+      
+      const stillConnectedCheckbox = window.DOMUtils.createElement('input', {
+        type: 'checkbox',
+        id: 'edit-still-connected'
+      });
+      stillConnectedCheckbox.checked = !connection.disconnected_at;
+      disconnectedControls.setDisabled(stillConnectedCheckbox.checked);
+      stillConnectedCheckbox.addEventListener('change', () => {
+        disconnectedControls.setDisabled(stillConnectedCheckbox.checked);
+      });
+      
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', {}, 'Disconnection Date:'),
+        window.DOMUtils.createElement('div', {}, [
+          stillConnectedCheckbox,
+          window.DOMUtils.createElement('label', { for: 'edit-still-connected' }, 'Still connected')
+        ]),
+        disconnectedControls.element
+      ]));
+      
+      // Notes
+      const notesInput = window.DOMUtils.createElement('textarea', { id: 'edit-connection-notes', rows: 3 });
+      notesInput.value = connection.notes || '';
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'edit-connection-notes' }, 'Notes:'),
+        notesInput
+      ]));
+      
+      // Save button
+      const saveButton = window.DOMUtils.createButton('Save Changes', 'primary-button', async () => {
+        const connected = connectedControls.getDateInfo();
+        const disconnected = stillConnectedCheckbox.checked ? null : disconnectedControls.getDateInfo();
+        
+        if (!connected.year) {
+          alert('Please select a connection year');
+          return;
+        }
+        
+        if (disconnected && !disconnected.year) {
+          alert('Please select a disconnection year or mark the part as still connected');
+          return;
+        }
+        
+        try {
+          await window.ConnectionModel.updateConnection(connectionId, {
+            motherboardId: parseInt(motherboardSelect.value),
+            connected,
+            disconnected,
+            notes: notesInput.value.trim()
+          });
+          
+          // Refresh all affected views
+          await window.App.refreshViews();
+          
+          if (onSaved) {
+            await onSaved();
+          }
+          
+          // Close modal
+          document.body.removeChild(modal);
+          
+          window.DOMUtils.showToast('Connection updated successfully', 'success');
+        } catch (err) {
+          console.error('Error updating connection:', err);
+          alert('Error updating connection: ' + err.message);
+        }
+      });
+      
+      content.appendChild(saveButton);
+      
+      // Show modal
+      const modal = window.DOMUtils.showModal('Edit Connection', content);
+    } catch (err) {
+      console.error('Error showing connection form:', err);
+      alert('Error showing connection form: ' + err.message);
+    }
+  }
+  
   // Public API
   return {
     showConnectOptions,
     showDisconnectOptions,
+    showEditConnectionForm,
     showBulkConnectForm,
     showBulkDisconnectForm
   };
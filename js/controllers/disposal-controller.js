@@ -11,10 +11,10 @@ window.DisposalController = (function() {
    * Show options for disposing a part
    * @param {number} partId - Part ID
    */
-  function showDisposePartForm(partId) {
+  async function showDisposePartForm(partId) {
     try {
       // Get part data
-      const part = window.PartModel.getPartById(partId);
+      const part = await window.PartModel.getPartById(partId);
       if (!part) {
         throw new Error('Part not found');
       }
@@ -82,8 +82,9 @@ window.DisposalController = (function() {
       
       content.appendChild(recipientGroup);
       
-      // Show/hide recipient based on method
-      document.getElementById('disposal-method').addEventListener('change', (e) => {
+      // Show/hide recipient based on method (the form isn't in the document yet)
+      const methodSelect = content.querySelector('#disposal-method');
+      methodSelect.addEventListener('change', (e) => {
         const method = e.target.value;
         if (method === 'sold' || method === 'gifted' || method === 'returned') {
           recipientGroup.style.display = 'block';
@@ -92,24 +93,19 @@ window.DisposalController = (function() {
         }
       });
       
-      // Price (for sold)
+      // Price (for sold, which is the default method)
       const priceGroup = window.DOMUtils.createElement('div', { 
-        className: 'form-group price-group', 
-        style: 'display: none;' 
+        className: 'form-group price-group'
       });
       
-      priceGroup.appendChild(window.DOMUtils.createElement('label', { for: 'disposal-price' }, 'Price:'));
-      priceGroup.appendChild(window.DOMUtils.createElement('input', { 
-        type: 'text', 
-        id: 'disposal-price', 
-        className: 'form-control',
-        placeholder: 'e.g. $50'
-      }));
+      priceGroup.appendChild(window.DOMUtils.createElement('label', { for: 'disposal-sale-price' }, 'Sale Price:'));
+      priceGroup.appendChild(window.DOMUtils.createPriceInput('disposal-sale', null,
+        part.purchase_currency || await window.PartModel.getDefaultCurrency()));
       
       content.appendChild(priceGroup);
       
       // Show/hide price based on method
-      document.getElementById('disposal-method').addEventListener('change', (e) => {
+      methodSelect.addEventListener('change', (e) => {
         const method = e.target.value;
         if (method === 'sold') {
           priceGroup.style.display = 'block';
@@ -173,10 +169,11 @@ window.DisposalController = (function() {
       ]));
       
       // Dispose button
-      const disposeButton = window.DOMUtils.createButton('Dispose Part', 'danger-button', () => {
+      const disposeButton = window.DOMUtils.createButton('Dispose Part', 'danger-button', async () => {
         const method = document.getElementById('disposal-method').value;
         const recipient = document.getElementById('disposal-recipient').value.trim();
-        const price = document.getElementById('disposal-price').value.trim();
+        const price = document.getElementById('disposal-sale-price').value.trim();
+        const currency = document.getElementById('disposal-sale-currency').value.trim();
         const year = parseInt(yearSelect.value);
         const month = monthSelect.value ? parseInt(monthSelect.value) : null;
         const day = daySelect.value ? parseInt(daySelect.value) : null;
@@ -205,20 +202,14 @@ window.DisposalController = (function() {
         const disposalInfo = {
           method,
           recipient: (method === 'sold' || method === 'gifted' || method === 'returned') ? recipient : null,
-          price: method === 'sold' ? price : null,
+          price: method === 'sold' && price !== '' ? parseFloat(price) : null,
+          currency,
           notes
         };
         
         try {
           // Dispose part using model
-          window.DisposalModel.disposePart(partId, dateInfo, disposalInfo);
-          
-          // Update state
-          window.App.hasUnsavedChanges = true;
-          window.App.updateSaveStatus();
-          
-          // Auto-save
-          window.App.saveDatabase();
+          await window.DisposalModel.disposePart(partId, dateInfo, disposalInfo);
           
           // Refresh all affected views
           window.PartsList.refresh();
@@ -257,16 +248,16 @@ window.DisposalController = (function() {
    * Show disposal history for a part
    * @param {number} partId - Part ID
    */
-  function showDisposalHistory(partId) {
+  async function showDisposalHistory(partId) {
     try {
       // Get part data
-      const part = window.PartModel.getPartById(partId);
+      const part = await window.PartModel.getPartById(partId);
       if (!part) {
         throw new Error('Part not found');
       }
       
       // Get disposal history
-      const disposals = window.DisposalModel.getDisposalHistory(partId);
+      const disposals = await window.DisposalModel.getDisposalHistory(partId);
       
       // Create modal content
       const content = window.DOMUtils.createElement('div');
@@ -299,23 +290,16 @@ window.DisposalController = (function() {
           
           // Format date
           let dateStr = 'Unknown';
-          if (disposal.date) {
-            const date = new Date(disposal.date);
-            
-            if (disposal.date_precision === 'year') {
-              dateStr = date.getFullYear().toString();
-            } else if (disposal.date_precision === 'month') {
-              dateStr = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-            } else {
-              dateStr = date.toISOString().split('T')[0];
-            }
+          if (disposal.disposed_at) {
+            dateStr = window.DateUtils.formatDateByPrecision(disposal.disposed_at, disposal.disposed_precision);
           }
           
           // Add cells
           row.appendChild(window.DOMUtils.createElement('td', {}, dateStr));
-          row.appendChild(window.DOMUtils.createElement('td', {}, disposal.method));
+          row.appendChild(window.DOMUtils.createElement('td', {}, disposal.method || disposal.reason || ''));
           row.appendChild(window.DOMUtils.createElement('td', {}, disposal.recipient || ''));
-          row.appendChild(window.DOMUtils.createElement('td', {}, disposal.price || ''));
+          row.appendChild(window.DOMUtils.createElement('td', {}, 
+            window.MoneyUtils.formatAmount(disposal.sale_price, disposal.sale_currency)));
           row.appendChild(window.DOMUtils.createElement('td', {}, disposal.notes || ''));
           
           tbody.appendChild(row);
@@ -337,7 +321,7 @@ window.DisposalController = (function() {
    * Show form for disposing multiple parts at once
    * @param {Array} partIds - Array of part IDs to dispose
    */
-  function showBulkDisposeForm(partIds) {
+  async function showBulkDisposeForm(partIds) {
     if (!partIds || partIds.length === 0) {
       return;
     }
@@ -348,7 +332,7 @@ window.DisposalController = (function() {
       const connectedParts = [];
       
       for (const partId of partIds) {
-        const part = window.PartModel.getPartById(partId);
+        const part = await window.PartModel.getPartById(partId);
         if (!part) {
           throw new Error(`Part with ID ${partId} not found`);
         }
@@ -437,19 +421,13 @@ window.DisposalController = (function() {
         }
       });
       
-      // Price (for sold)
+      // Price (for sold, which is the default method)
       const priceGroup = window.DOMUtils.createElement('div', { 
-        className: 'form-group price-group', 
-        style: 'display: none;' 
+        className: 'form-group price-group'
       });
       
-      priceGroup.appendChild(window.DOMUtils.createElement('label', { for: 'bulk-disposal-price' }, 'Price:'));
-      priceGroup.appendChild(window.DOMUtils.createElement('input', { 
-        type: 'text', 
-        id: 'bulk-disposal-price', 
-        className: 'form-control',
-        placeholder: 'e.g. $50'
-      }));
+      priceGroup.appendChild(window.DOMUtils.createElement('label', { for: 'bulk-disposal-sale-price' }, 'Sale Price (each part):'));
+      priceGroup.appendChild(window.DOMUtils.createPriceInput('bulk-disposal-sale', null, await window.PartModel.getDefaultCurrency()));
       
       content.appendChild(priceGroup);
       
@@ -514,7 +492,8 @@ window.DisposalController = (function() {
         async () => {
           const method = document.getElementById('bulk-disposal-method').value;
           const recipient = document.getElementById('bulk-disposal-recipient').value.trim();
-          const price = document.getElementById('bulk-disposal-price').value.trim();
+          const price = document.getElementById('bulk-disposal-sale-price').value.trim();
+          const currency = document.getElementById('bulk-disposal-sale-currency').value.trim();
           const year = parseInt(yearSelect.value);
           const month = monthSelect.value ? parseInt(monthSelect.value) : null;
           const day = daySelect.value ? parseInt(daySelect.value) : null;
@@ -543,29 +522,25 @@ window.DisposalController = (function() {
           const disposalInfo = {
             method,
             recipient: (method === 'sold' || method === 'gifted' || method === 'returned') ? recipient : null,
-            price: method === 'sold' ? price : null,
+            price: method === 'sold' && price !== '' ? parseFloat(price) : null,
+            currency,
             notes
           };
           
           try {
             let successCount = 0;
             
-            // Dispose all parts
-            for (const part of partsToDispose) {
-              try {
-                window.DisposalModel.disposePart(part.id, dateInfo, disposalInfo);
-                successCount++;
-              } catch (err) {
-                console.error(`Error disposing part ${part.id}:`, err);
+            // Dispose all parts in one transaction; a failed part only rolls back its own savepoint
+            await window.HistoryService.record(`Dispose ${partsToDispose.length} parts`, () => window.DatabaseService.transaction(async () => {
+              for (const part of partsToDispose) {
+                try {
+                  await window.DisposalModel.disposePart(part.id, dateInfo, disposalInfo);
+                  successCount++;
+                } catch (err) {
+                  console.error(`Error disposing part ${part.id}:`, err);
+                }
               }
-            }
-            
-            // Update state
-            window.App.hasUnsavedChanges = true;
-            window.App.updateSaveStatus();
-            
-            // Auto-save
-            await window.App.saveDatabase();
+            }));
             
             // Refresh all affected views
             window.PartsList.refresh();
@@ -7,10 +7,168 @@
 window.PartController = (function() {
   // Private members
   
+  /**
+   * Create the serial number, SKU and asset tag inputs. Entering a serial that
+   * another part already has shows a warning, but doesn't block saving.
+   * @param {string} idPrefix - Prefix for the input IDs
+   * @param {Object} part - Existing part data (empty for a new part)
+   * @returns {Promise<HTMLElement>} Container with the inputs
+   */
+  async function createIdentifierFields(idPrefix, part = {}) {
+    const container = window.DOMUtils.createElement('div', { className: 'part-identifiers' });
+    
+    const serialInput = window.DOMUtils.createElement('input', { 
+      type: 'text', 
+      id: `${idPrefix}-serial`, 
+      className: 'form-control',
+      value: part.serial_number || ''
+    });
+    
+    const serialWarning = window.DOMUtils.createElement('div', { 
+      id: `${idPrefix}-serial-warning`,
+      className: 'serial-warning hidden'
+    });
+    
+    // Check for the same serial on other parts as the user types
+    const checkSerial = async () => {
+      const duplicates = await window.PartModel.getPartsBySerial(serialInput.value, part.id || null);
+      
+      serialWarning.textContent = duplicates.length > 0 ?
+        `This serial number is already recorded for ${duplicates.map(dup => 
+          `${dup.brand} ${dup.model}${dup.is_deleted ? ' (removed)' : ''}`).join(', ')}.` :
+        '';
+      serialWarning.classList.toggle('hidden', duplicates.length === 0);
+    };
+    serialInput.addEventListener('input', checkSerial);
+    
+    container.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+      window.DOMUtils.createElement('label', { for: `${idPrefix}-serial` }, 'Serial Number:'),
+      serialInput,
+      serialWarning
+    ]));
+    
+    container.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+      window.DOMUtils.createElement('label', { for: `${idPrefix}-sku` }, 'Part Number / SKU:'),
+      window.DOMUtils.createElement('input', { 
+        type: 'text', 
+        id: `${idPrefix}-sku`, 
+        className: 'form-control',
+        value: part.sku || ''
+      })
+    ]));
+    
+    container.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+      window.DOMUtils.createElement('label', { for: `${idPrefix}-asset-tag` }, 'Asset Tag:'),
+      window.DOMUtils.createElement('input', { 
+        type: 'text', 
+        id: `${idPrefix}-asset-tag`, 
+        className: 'form-control',
+        value: part.asset_tag || ''
+      })
+    ]));
+    
+    if (part.serial_number) {
+      await checkSerial();
+    }
+    
+    return container;
+  }
+  
+  /**
+   * Create the purchase price, vendor and warranty inputs
+   * @param {string} idPrefix - Prefix for the input IDs
+   * @param {Object} part - Existing part data (empty for a new part)
+   * @returns {Promise<HTMLElement>} Container with the inputs
+   */
+  async function createPurchaseFields(idPrefix, part = {}) {
+    const container = window.DOMUtils.createElement('div', { className: 'part-purchase' });
+    
+    container.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+      window.DOMUtils.createElement('label', { for: `${idPrefix}-purchase-price` }, 'Purchase Price:'),
+      window.DOMUtils.createPriceInput(`${idPrefix}-purchase`, part.purchase_price,
+        part.purchase_currency || await window.PartModel.getDefaultCurrency())
+    ]));
+    
+    // Create datalist for vendor autocomplete
+    const vendorDatalist = window.DOMUtils.createElement('datalist', { id: `${idPrefix}-vendor-datalist` });
+    try {
+      (await window.PartModel.getUniqueVendors()).forEach(vendor => {
+        vendorDatalist.appendChild(window.DOMUtils.createElement('option', { value: vendor }));
+      });
+    } catch (error) {
+      console.error('Error loading vendors for autocomplete:', error);
+    }
+    
+    container.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+      window.DOMUtils.createElement('label', { for: `${idPrefix}-vendor` }, 'Vendor:'),
+      window.DOMUtils.createElement('input', { 
+        type: 'text', 
+        id: `${idPrefix}-vendor`, 
+        className: 'form-control',
+        list: `${idPrefix}-vendor-datalist`,
+        value: part.vendor || ''
+      }),
+      vendorDatalist
+    ]));
+    
+    const warrantyGroup = window.DOMUtils.createElement('div', { className: 'form-group' }, [
+      window.DOMUtils.createElement('label', { for: `${idPrefix}-warranty-months` }, 'Warranty (months):'),
+      window.DOMUtils.createElement('input', { 
+        type: 'number', 
+        id: `${idPrefix}-warranty-months`, 
+        className: 'form-control',
+        min: '0',
+        step: '1',
+        value: part.warranty_months === null || part.warranty_months === undefined ? '' : part.warranty_months
+      })
+    ]);
+    
+    // Existing parts show when their warranty ends
+    const expiry = window.WarrantyModel.getWarrantyExpiry(part);
+    if (expiry) {
+      warrantyGroup.appendChild(window.DOMUtils.createElement('small', { className: 'warranty-expiry-text' },
+        `Warranty ends ${window.DateUtils.formatDateByPrecision(expiry.date, expiry.precision)}`));
+    }
+    
+    container.appendChild(warrantyGroup);
+    
+    return container;
+  }
+  
+  /**
+   * Read the inputs created by createPurchaseFields
+   * @param {string} idPrefix - Prefix for the input IDs
+   * @returns {Object} { purchase_price, purchase_currency, vendor, warranty_months }
+   */
+  function readPurchaseFields(idPrefix) {
+    const price = document.getElementById(`${idPrefix}-purchase-price`).value.trim();
+    const warranty = document.getElementById(`${idPrefix}-warranty-months`).value.trim();
+    
+    return {
+      purchase_price: price === '' ? null : parseFloat(price),
+      purchase_currency: document.getElementById(`${idPrefix}-purchase-currency`).value.trim(),
+      vendor: document.getElementById(`${idPrefix}-vendor`).value.trim(),
+      warranty_months: warranty === '' ? null : Number(warranty)
+    };
+  }
+  
+  /**
+   * Read the identifier inputs created by createIdentifierFields
+   * @param {string} idPrefix - Prefix for the input IDs
+   * @returns {Object} { serial_number, sku, asset_tag }
+   */
+  function readIdentifierFields(idPrefix) {
+    return {
+      serial_number: document.getElementById(`${idPrefix}-serial`).value.trim(),
+      sku: document.getElementById(`${idPrefix}-sku`).value.trim(),
+      asset_tag: document.getElementById(`${idPrefix}-asset-tag`).value.trim()
+    };
+  }
+  
   /**
    * Show the part add form
    */
-  function showPartAddForm() {
+  async function showPartAddForm() {
     try {
       // Create form content
       const content = window.DOMUtils.createElement('div', { className: 'part-form' });
@@ -30,7 +188,7 @@ window.PartController = (function() {
       // Create datalist for brand autocomplete
       const brandDatalist = window.DOMUtils.createElement('datalist', { id: 'brand-datalist' });
       try {
-        const brands = window.PartModel.getUniqueBrands();
+        const brands = await window.PartModel.getUniqueBrands();
         brands.forEach(brand => {
           brandDatalist.appendChild(window.DOMUtils.createElement('option', { value: brand }));
         });
@@ -140,6 +298,12 @@ window.PartController = (function() {
       dateSection.appendChild(dateControls);
       content.appendChild(dateSection);
       
+      // Identifiers
+      content.appendChild(await createIdentifierFields('part'));
+      
+      // Purchase
+      content.appendChild(await createPurchaseFields('part'));
+      
       // Notes
       content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
         window.DOMUtils.createElement('label', { for: 'part-notes' }, 'Notes:'),
@@ -147,7 +311,7 @@ window.PartController = (function() {
       ]));
       
       // Submit button
-      const submitButton = window.DOMUtils.createButton('Add Part', 'primary-button', () => {
+      const submitButton = window.DOMUtils.createButton('Add Part', 'primary-button', async () => {
         const brand = document.getElementById('part-brand').value.trim();
         const model = document.getElementById('part-model').value.trim();
         const type = document.getElementById('part-type').value;
@@ -198,19 +362,14 @@ window.PartController = (function() {
           type,
           acquisition_date: acquisitionDate,
           date_precision: datePrecision,
-          notes
+          notes,
+          ...readIdentifierFields('part'),
+          ...readPurchaseFields('part')
         };
         
         try {
           // Add part using model
-          window.PartModel.addPart(part);
-          
-          // Update state
-          window.App.hasUnsavedChanges = true;
-          window.App.updateSaveStatus();
-          
-          // Auto-save
-          window.App.saveDatabase();
+          await window.PartModel.addPart(part);
           
           // Refresh parts list
           window.PartsList.refresh();
@@ -239,10 +398,10 @@ window.PartController = (function() {
    * Show the part edit form
    * @param {number} partId - Part ID
    */
-  function showPartEditForm(partId) {
+  async function showPartEditForm(partId) {
     try {
       // Get part data
-      const part = window.PartModel.getPartById(partId);
+      const part = await window.PartModel.getPartById(partId);
       if (!part) {
         throw new Error('Part not found');
       }
@@ -269,7 +428,7 @@ window.PartController = (function() {
       // Create datalist for brand autocomplete
       const brandDatalist = window.DOMUtils.createElement('datalist', { id: 'brand-datalist' });
       try {
-        const brands = window.PartModel.getUniqueBrands();
+        const brands = await window.PartModel.getUniqueBrands();
         brands.forEach(brand => {
           brandDatalist.appendChild(window.DOMUtils.createElement('option', { value: brand }));
         });
@@ -433,6 +592,12 @@ window.PartController = (function() {
       dateSection.appendChild(dateControls);
       content.appendChild(dateSection);
       
+      // Identifiers
+      content.appendChild(await createIdentifierFields('edit-modal', part));
+      
+      // Purchase
+      content.appendChild(await createPurchaseFields('edit-modal', part));
+      
       // Notes
       content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
         window.DOMUtils.createElement('label', { for: 'edit-modal-notes' }, 'Notes:'),
@@ -444,7 +609,7 @@ window.PartController = (function() {
       ]));
       
       // Submit button
-      const submitButton = window.DOMUtils.createButton('Update Part', 'primary-button', () => {
+      const submitButton = window.DOMUtils.createButton('Update Part', 'primary-button', async () => {
         const brand = document.getElementById('edit-modal-brand').value.trim();
         const model = document.getElementById('edit-modal-model').value.trim();
         const type = document.getElementById('edit-modal-type').value;
@@ -509,19 +674,14 @@ window.PartController = (function() {
           type,
           acquisition_date: acquisitionDate,
           date_precision: datePrecision,
-          notes
+          notes,
+          ...readIdentifierFields('edit-modal'),
+          ...readPurchaseFields('edit-modal')
         };
         
         try {
           // Update part using model
-          window.PartModel.updatePart(partId, updatedPart);
-          
-          // Update state
-          window.App.hasUnsavedChanges = true;
-          window.App.updateSaveStatus();
-          
-          // Auto-save
-          window.App.saveDatabase();
+          await window.PartModel.updatePart(partId, updatedPart);
           
           // Refresh parts list
           window.PartsList.refresh();
@@ -555,10 +715,10 @@ window.PartController = (function() {
    * Show confirmation dialog for deleting a part
    * @param {number} partId - Part ID
    */
-  function showDeleteConfirmation(partId) {
+  async function showDeleteConfirmation(partId) {
     try {
       // Get part data
-      const part = window.PartModel.getPartById(partId);
+      const part = await window.PartModel.getPartById(partId);
       if (!part) {
         throw new Error('Part not found');
       }
@@ -574,17 +734,10 @@ window.PartController = (function() {
         'This is a soft delete. The part will be hidden but can be restored later.'));
       
       // Delete button
-      const deleteButton = window.DOMUtils.createButton('Delete Part', 'danger-button', () => {
+      const deleteButton = window.DOMUtils.createButton('Delete Part', 'danger-button', async () => {
         try {
           // Delete part using model
-          window.PartModel.deletePart(partId);
-          
-          // Update state
-          window.App.hasUnsavedChanges = true;
-          window.App.updateSaveStatus();
-          
-          // Auto-save
-          window.App.saveDatabase();
+          await window.PartModel.deletePart(partId);
           
           // Refresh parts list
           window.PartsList.refresh();
@@ -609,10 +762,344 @@ window.PartController = (function() {
     }
   }
   
+  /**
+   * Show a part's lineage links with a form to link it to another part
+   * @param {number} partId - Part ID
+   */
+  async function showLinkPartsForm(partId) {
+    try {
+      const part = await window.PartModel.getPartById(partId);
+      if (!part) {
+        throw new Error('Part not found');
+      }
+      
+      // Save, refresh and reopen the form so it lists the current links
+      const applyChange = async (change, message) => {
+        try {
+          await change();
+          
+          await window.App.refreshViews();
+          
+          document.body.removeChild(modal);
+          await showLinkPartsForm(partId);
+          
+          window.DOMUtils.showToast(message, 'success');
+        } catch (err) {
+          console.error('Error changing part links:', err);
+          alert('Error changing part links: ' + err.message);
+        }
+      };
+      
+      const content = window.DOMUtils.createElement('div');
+      content.appendChild(window.DOMUtils.createElement('p', {}, [
+        'Link ',
+        window.DOMUtils.createElement('strong', {}, `${part.brand} ${part.model}`),
+        ' to the other physical parts of the same component (an RMA replacement, the kit it was split from) ' +
+          'so their timelines can be followed as one.'
+      ]));
+      
+      // Existing links
+      const links = await window.LineageModel.getLinksForPart(partId);
+      if (links.length === 0) {
+        content.appendChild(window.DOMUtils.createElement('p', { className: 'lineage-empty' }, 'No linked parts yet.'));
+      } else {
+        const list = window.DOMUtils.createElement('ul', { className: 'lineage-links' });
+        links.forEach(link => {
+          const removeButton = window.DOMUtils.createButton('Remove', 'admin-button small-btn',
+            () => applyChange(() => window.LineageModel.deleteLink(link.id), 'Parts unlinked'));
+          
+          list.appendChild(window.DOMUtils.createElement('li', {}, [
+            `${link.label} `,
+            window.DOMUtils.createElement('strong', {}, `${link.other_brand} ${link.other_model}`),
+            ` (${link.other_type})` +
+              (link.linked_at ? `, ${window.DateUtils.formatDateByPrecision(link.linked_at, link.linked_precision)}` : '') +
+              (link.notes ? ` – ${link.notes}` : '') + ' ',
+            removeButton
+          ]));
+        });
+        content.appendChild(list);
+      }
+      
+      content.appendChild(window.DOMUtils.createElement('h3', {}, 'Add a link'));
+      
+      // Relation, from this part's point of view
+      const relationSelect = window.DOMUtils.createElement('select', { id: 'lineage-relation', className: 'form-control' });
+      Object.keys(window.LineageModel.RELATIONS).forEach(relation => {
+        ['forward', 'reverse'].forEach(direction => {
+          relationSelect.appendChild(window.DOMUtils.createElement('option', { value: `${relation}:${direction}` },
+            `This part was ${window.LineageModel.RELATIONS[relation][direction].toLowerCase()}`));
+        });
+      });
+      
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'lineage-relation' }, 'Relation:'),
+        relationSelect
+      ]));
+      
+      // Other part (disposed parts included, since originals usually are)
+      const otherParts = await window.QueryService.all(
+        'SELECT id, brand, model, type, is_deleted FROM parts WHERE id != ? ORDER BY brand, model, id',
+        [partId]
+      );
+      
+      const partSelect = window.DOMUtils.createElement('select', { id: 'lineage-part', className: 'form-control' });
+      partSelect.appendChild(window.DOMUtils.createElement('option', { value: '' }, 'Select a part'));
+      otherParts.forEach(other => {
+        partSelect.appendChild(window.DOMUtils.createElement('option', { value: other.id },
+          `${other.brand} ${other.model} (${other.type})${other.is_deleted ? ' – disposed' : ''}`));
+      });
+      
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'lineage-part' }, 'Other Part:'),
+        partSelect
+      ]));
+      
+      const dateControls = window.DOMUtils.createDateSelects('lineage');
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', {}, 'Date (optional):'),
+        dateControls.element
+      ]));
+      
+      const notesInput = window.DOMUtils.createElement('input', { type: 'text', id: 'lineage-notes', className: 'form-control' });
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'lineage-notes' }, 'Notes:'),
+        notesInput
+      ]));
+      
+      const linkButton = window.DOMUtils.createButton('Link Parts', 'primary-button', async () => {
+        const [relation, direction] = relationSelect.value.split(':');
+        const otherId = parseInt(partSelect.value);
+        
+        if (!otherId) {
+          alert('Please select the other part');
+          return;
+        }
+        
+        const dateInfo = dateControls.getDateInfo();
+        const notes = notesInput.value.trim();
+        
+        await applyChange(async () => {
+          if (direction === 'forward') {
+            await window.LineageModel.addLink(partId, relation, otherId, dateInfo, notes);
+          } else {
+            await window.LineageModel.addLink(otherId, relation, partId, dateInfo, notes);
+          }
+        }, 'Parts linked');
+      });
+      
+      content.appendChild(linkButton);
+      
+      // Show modal
+      const modal = window.DOMUtils.showModal('Linked Parts', content);
+    } catch (err) {
+      console.error('Error showing linked parts:', err);
+      alert('Error showing linked parts: ' + err.message);
+    }
+  }
+  
+  /**
+   * Show a form for splitting a part (such as a RAM kit) into separate parts
+   * @param {number} partId - Part ID
+   */
+  async function showSplitPartForm(partId) {
+    try {
+      const part = await window.PartModel.getPartById(partId);
+      if (!part) {
+        throw new Error('Part not found');
+      }
+      
+      const content = window.DOMUtils.createElement('div');
+      content.appendChild(window.DOMUtils.createElement('p', {}, [
+        'Split ',
+        window.DOMUtils.createElement('strong', {}, `${part.brand} ${part.model}`),
+        ' into separate parts. Each one keeps the acquisition details and connection history up to the split date, ' +
+          'and the original is recorded as split on that date.'
+      ]));
+      
+      const countInput = window.DOMUtils.createElement('input', {
+        type: 'number',
+        id: 'split-count',
+        className: 'form-control',
+        min: '2',
+        max: '16',
+        step: '1',
+        value: '2'
+      });
+      
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'split-count' }, 'Number of Parts:'),
+        countInput
+      ]));
+      
+      // One row per new part, rebuilt when the count changes (entered values are kept)
+      const rows = window.DOMUtils.createElement('div', { className: 'split-rows' });
+      content.appendChild(rows);
+      
+      const renderRows = () => {
+        const count = Math.min(16, Math.max(2, parseInt(countInput.value) || 2));
+        
+        while (rows.children.length < count) {
+          const index = rows.children.length + 1;
+          rows.appendChild(window.DOMUtils.createElement('div', { className: 'form-group split-row' }, [
+            window.DOMUtils.createElement('label', { for: `split-model-${index}` }, `Part ${index}:`),
+            window.DOMUtils.createElement('input', {
+              type: 'text', id: `split-model-${index}`, className: 'form-control', value: part.model, placeholder: 'Model'
+            }),
+            window.DOMUtils.createElement('input', {
+              type: 'text', id: `split-serial-${index}`, className: 'form-control', placeholder: 'Serial number (optional)'
+            })
+          ]));
+        }
+        
+        while (rows.children.length > count) {
+          rows.removeChild(rows.lastChild);
+        }
+      };
+      
+      countInput.addEventListener('change', renderRows);
+      renderRows();
+      
+      const dateControls = window.DOMUtils.createDateSelects('split');
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', {}, 'Split Date:'),
+        dateControls.element
+      ]));
+      
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'split-notes' }, 'Notes:'),
+        window.DOMUtils.createElement('input', { type: 'text', id: 'split-notes', className: 'form-control' })
+      ]));
+      
+      const splitButton = window.DOMUtils.createButton('Split Part', 'primary-button', async () => {
+        const dateInfo = dateControls.getDateInfo();
+        
+        if (!dateInfo.year) {
+          alert('Please select a year');
+          return;
+        }
+        
+        const children = [...rows.children].map((row, i) => ({
+          model: content.querySelector(`#split-model-${i + 1}`).value.trim(),
+          serial_number: content.querySelector(`#split-serial-${i + 1}`).value.trim()
+        }));
+        
+        try {
+          const childIds = await window.PartModel.splitPart(partId, children, dateInfo,
+            content.querySelector('#split-notes').value.trim());
+          
+          await window.App.refreshViews();
+          
+          document.body.removeChild(modal);
+          
+          window.DOMUtils.showToast(`Part split into ${childIds.length} parts`, 'success');
+        } catch (err) {
+          console.error('Error splitting part:', err);
+          alert('Error splitting part: ' + err.message);
+        }
+      });
+      
+      content.appendChild(splitButton);
+      
+      const modal = window.DOMUtils.showModal('Split Part', content);
+    } catch (err) {
+      console.error('Error showing split form:', err);
+      alert('Error showing split form: ' + err.message);
+    }
+  }
+  
+  /**
+   * Show a form for merging duplicate records of a part into it
+   * @param {number} partId - ID of the part to keep
+   */
+  async function showMergePartsForm(partId) {
+    try {
+      const part = await window.PartModel.getPartById(partId);
+      if (!part) {
+        throw new Error('Part not found');
+      }
+      
+      const content = window.DOMUtils.createElement('div');
+      content.appendChild(window.DOMUtils.createElement('p', {}, [
+        'Merge duplicate records into ',
+        window.DOMUtils.createElement('strong', {}, `${part.brand} ${part.model}`),
+        '. Their connection history, RMAs and disposal move to this part, and details it is missing are ' +
+          'filled in from them. The duplicates are then deleted.'
+      ]));
+      
+      // Parts of the same type, likeliest duplicates (same brand and model) first
+      const candidates = await window.QueryService.all(`
+        SELECT id, brand, model, acquisition_date, date_precision, serial_number, is_deleted
+        FROM parts
+        WHERE type = ? AND id != ?
+        ORDER BY (brand = ? AND model = ?) DESC, brand, model, id
+      `, [part.type, partId, part.brand, part.model]);
+      
+      if (candidates.length === 0) {
+        content.appendChild(window.DOMUtils.createElement('p', { className: 'lineage-empty' },
+          `There are no other ${part.type} parts to merge.`));
+        
+        content.appendChild(window.DOMUtils.createButton('Close', 'secondary-button', () => {
+          document.body.removeChild(modal);
+        }));
+        
+        const modal = window.DOMUtils.showModal('Merge Duplicates', content);
+        return;
+      }
+      
+      const list = window.DOMUtils.createElement('div', { className: 'merge-candidates' });
+      candidates.forEach(candidate => {
+        const details = [
+          candidate.acquisition_date ?
+            `acquired ${window.DateUtils.formatDateByPrecision(candidate.acquisition_date, candidate.date_precision)}` : null,
+          candidate.serial_number ? `S/N ${candidate.serial_number}` : null,
+          candidate.is_deleted ? 'disposed' : null
+        ].filter(Boolean).join(', ');
+        
+        list.appendChild(window.DOMUtils.createElement('label', { className: 'checkbox-label' }, [
+          window.DOMUtils.createElement('input', { type: 'checkbox', id: `merge-part-${candidate.id}`, value: candidate.id }),
+          ` ${candidate.brand} ${candidate.model}` + (details ? ` (${details})` : '')
+        ]));
+      });
+      content.appendChild(list);
+      
+      const mergeButton = window.DOMUtils.createButton('Merge Parts', 'danger-button', async () => {
+        const selected = [...list.querySelectorAll('input:checked')].map(input => parseInt(input.value));
+        
+        if (selected.length === 0) {
+          alert('Please select the duplicates to merge');
+          return;
+        }
+        
+        try {
+          await window.PartModel.mergeParts(partId, selected);
+          
+          await window.App.refreshViews();
+          
+          document.body.removeChild(modal);
+          
+          window.DOMUtils.showToast(`Merged ${selected.length} duplicate${selected.length === 1 ? '' : 's'}`, 'success');
+        } catch (err) {
+          console.error('Error merging parts:', err);
+          alert('Error merging parts: ' + err.message);
+        }
+      });
+      
+      content.appendChild(mergeButton);
+      
+      const modal = window.DOMUtils.showModal('Merge Duplicates', content);
+    } catch (err) {
+      console.error('Error showing merge form:', err);
+      alert('Error showing merge form: ' + err.message);
+    }
+  }
+  
   // Public API
   return {
     showPartAddForm,
     showPartEditForm,
-    showDeleteConfirmation
+    showDeleteConfirmation,
+    showLinkPartsForm,
+    showSplitPartForm,
+    showMergePartsForm
   };
 })();
\ No newline at end of file
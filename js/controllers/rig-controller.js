@@ -11,16 +11,16 @@ window.RigController = (function() {
    * Show the rig add form
    * @param {number} motherboardId - Motherboard ID
    */
-  function showRigAddForm(motherboardId) {
+  async function showRigAddForm(motherboardId) {
     try {
       // Get motherboard data
-      const motherboard = window.PartModel.getPartById(motherboardId);
+      const motherboard = await window.PartModel.getPartById(motherboardId);
       if (!motherboard) {
         throw new Error('Motherboard not found');
       }
       
       // Compute rig lifecycles to get the active one
-      const lifecycles = window.RigModel.computeRigLifecycles(motherboardId);
+      const lifecycles = await window.RigModel.computeRigLifecycles(motherboardId);
       const activeLifecycle = lifecycles.find(cycle => cycle.active);
       
       if (!activeLifecycle) {
@@ -52,7 +52,7 @@ window.RigController = (function() {
       ]));
       
       // Submit button
-      const submitButton = window.DOMUtils.createButton('Name Rig', 'primary-button', () => {
+      const submitButton = window.DOMUtils.createButton('Name Rig', 'primary-button', async () => {
         const name = document.getElementById('rig-name').value.trim();
         const notes = document.getElementById('rig-notes').value.trim();
         
@@ -64,14 +64,7 @@ window.RigController = (function() {
         
         try {
           // Add rig name using the new model function
-          window.RigModel.setRigName(motherboardId, activeLifecycle.start_date, name, notes);
-          
-          // Update state
-          window.App.hasUnsavedChanges = true;
-          window.App.updateSaveStatus();
-          
-          // Auto-save
-          window.App.saveDatabase();
+          await window.RigModel.setRigName(motherboardId, activeLifecycle.start_date, name, notes);
           
           // Refresh all affected views
           window.PartsList.refresh();
@@ -110,16 +103,16 @@ window.RigController = (function() {
    * Show the rig edit form
    * @param {number} rigId - Rig ID (this is actually a rig identity ID)
    */
-  function showRigEditForm(rigId) {
+  async function showRigEditForm(rigId) {
     try {
       // Get rig data to find the motherboard_id
-      const rig = window.RigModel.getRigById(rigId);
+      const rig = await window.RigModel.getRigById(rigId);
       if (!rig) {
         throw new Error('Rig not found');
       }
       
       // Compute lifecycles to get the right one
-      const lifecycles = window.RigModel.computeRigLifecycles(rig.motherboard_id);
+      const lifecycles = await window.RigModel.computeRigLifecycles(rig.motherboard_id);
       
       // Try to find the active lifecycle or one that matches the identity's active_from
       let targetLifecycle = lifecycles.find(cycle => cycle.active);
@@ -137,7 +130,7 @@ window.RigController = (function() {
       }
       
       // Look for an existing name for this lifecycle
-      let existingRigName = window.RigModel.getRigName(rig.motherboard_id, targetLifecycle.start_date);
+      let existingRigName = await window.RigModel.getRigName(rig.motherboard_id, targetLifecycle.start_date);
       
       // Create form content
       const content = window.DOMUtils.createElement('div', { className: 'rig-form' });
@@ -165,7 +158,7 @@ window.RigController = (function() {
       ]));
       
       // Submit button
-      const submitButton = window.DOMUtils.createButton('Update Rig Name', 'primary-button', () => {
+      const submitButton = window.DOMUtils.createButton('Update Rig Name', 'primary-button', async () => {
         const name = document.getElementById('rig-name').value.trim();
         const notes = document.getElementById('rig-notes').value.trim();
         
@@ -177,14 +170,7 @@ window.RigController = (function() {
         
         try {
           // Update rig name using the new model function
-          window.RigModel.setRigName(rig.motherboard_id, targetLifecycle.start_date, name, notes);
-          
-          // Update state
-          window.App.hasUnsavedChanges = true;
-          window.App.updateSaveStatus();
-          
-          // Auto-save
-          window.App.saveDatabase();
+          await window.RigModel.setRigName(rig.motherboard_id, targetLifecycle.start_date, name, notes);
           
           // Refresh all affected views
           window.PartsList.refresh();
@@ -223,16 +209,16 @@ window.RigController = (function() {
    * Show the rig deactivation form
    * @param {number} rigId - Rig ID
    */
-  function showRigDeactivationForm(rigId) {
+  async function showRigDeactivationForm(rigId) {
     try {
       // Get rig data to find the motherboard_id
-      const rig = window.RigModel.getRigById(rigId);
+      const rig = await window.RigModel.getRigById(rigId);
       if (!rig) {
         throw new Error('Rig not found');
       }
       
       // Get the active lifecycle
-      const lifecycles = window.RigModel.computeRigLifecycles(rig.motherboard_id);
+      const lifecycles = await window.RigModel.computeRigLifecycles(rig.motherboard_id);
       const activeLifecycle = lifecycles.find(cycle => cycle.active);
       
       if (!activeLifecycle) {
@@ -240,7 +226,7 @@ window.RigController = (function() {
       }
       
       // Get the rig name for the active lifecycle
-      const rigName = window.RigModel.getRigName(rig.motherboard_id, activeLifecycle.start_date);
+      const rigName = await window.RigModel.getRigName(rig.motherboard_id, activeLifecycle.start_date);
       const displayName = rigName ? rigName.name : rig.rig_name || `${rig.brand} ${rig.model}`;
       
       // Create form content
@@ -294,7 +280,7 @@ window.RigController = (function() {
   /**
    * Show admin functions for rig management
    */
-  function showRigAdminFunctions() {
+  async function showRigAdminFunctions() {
     try {
       // Create form content
       const content = window.DOMUtils.createElement('div');
@@ -310,7 +296,6 @@ window.RigController = (function() {
       content.appendChild(motherboardsContainer);
       
       // Get all motherboards
-      const db = window.DatabaseService.getDatabase();
       const motherboardsQuery = `
         SELECT id, brand, model 
         FROM parts 
@@ -318,17 +303,8 @@ window.RigController = (function() {
         ORDER BY brand, model
       `;
       
-      const result = db.exec(motherboardsQuery);
-      if (result.length > 0 && result[0].values.length > 0) {
-        const columns = result[0].columns;
-        const motherboards = result[0].values.map(row => {
-          const mb = {};
-          columns.forEach((column, index) => {
-            mb[column] = row[index];
-          });
-          return mb;
-        });
-        
+      const motherboards = await window.QueryService.all(motherboardsQuery);
+      if (motherboards.length > 0) {
         // Section for purging rig names
         const purgeSection = window.DOMUtils.createElement('div', { className: 'admin-section' });
         purgeSection.appendChild(window.DOMUtils.createElement('h4', {}, 'Purge Rig Names'));
@@ -348,7 +324,7 @@ window.RigController = (function() {
         purgeSection.appendChild(mbSelect);
         
         // Purge button
-        const purgeButton = window.DOMUtils.createButton('Purge Rig Names', 'danger-button', () => {
+        const purgeButton = window.DOMUtils.createButton('Purge Rig Names', 'danger-button', async () => {
           const motherboardId = mbSelect.value;
           if (!motherboardId) {
             alert('Please select a motherboard');
@@ -359,14 +335,7 @@ window.RigController = (function() {
           if (confirm(`Are you sure you want to delete ALL rig names for ${mbSelect.options[mbSelect.selectedIndex].text}?`)) {
             try {
               // Purge rig names
-              window.RigModel.deleteAllRigNames(motherboardId);
-              
-              // Update state
-              window.App.hasUnsavedChanges = true;
-              window.App.updateSaveStatus();
-              
-              // Auto-save
-              window.App.saveDatabase();
+              await window.RigModel.deleteAllRigNames(motherboardId);
               
               // Refresh parts list
               window.PartsList.refresh();
@@ -0,0 +1,242 @@
+/**
+ * Warranty Controller for PC History Tracker
+ * Handles sending parts for repair and recording how RMAs ended
+ */
+
+// Create namespace
+window.WarrantyController = (function() {
+  // Private members
+
+  // Labels for how an RMA can end
+  const OUTCOME_LABELS = {
+    repaired: 'Repaired',
+    replaced: 'Replaced with a new part',
+    refused: 'Refused (returned as it was)',
+    lost: 'Lost'
+  };
+
+  /**
+   * Show a form for sending a part away for repair
+   * @param {number} partId - Part ID
+   */
+  async function showSendForRepairForm(partId) {
+    try {
+      const part = await window.PartModel.getPartById(partId);
+      if (!part) {
+        throw new Error('Part not found');
+      }
+
+      const content = window.DOMUtils.createElement('div');
+      content.appendChild(window.DOMUtils.createElement('p', {}, [
+        'Send ',
+        window.DOMUtils.createElement('strong', {}, `${part.brand} ${part.model}`),
+        ' away for repair or replacement?'
+      ]));
+
+      // Warranty reminder
+      const expiry = window.WarrantyModel.getWarrantyExpiry(part);
+      if (expiry) {
+        content.appendChild(window.DOMUtils.createElement('p', { className: 'warranty-expiry-text' },
+          `Warranty ends ${window.DateUtils.formatDateByPrecision(expiry.date, expiry.precision)}`));
+      }
+
+      // A connected part has to come out of its rig first
+      if (part.status === 'active') {
+        content.appendChild(window.DOMUtils.createElement('p', { className: 'warning-text' },
+          'This part is currently connected. You must disconnect it first.'));
+
+        content.appendChild(window.DOMUtils.createButton('Close', 'secondary-button', () => {
+          document.body.removeChild(modal);
+        }));
+
+        const modal = window.DOMUtils.showModal('Send for RMA', content);
+        return;
+      }
+
+      const dateControls = window.DOMUtils.createDateSelects('rma-sent');
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', {}, 'Date Sent:'),
+        dateControls.element
+      ]));
+
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'rma-number' }, 'RMA Number:'),
+        window.DOMUtils.createElement('input', { type: 'text', id: 'rma-number', className: 'form-control' })
+      ]));
+
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'rma-notes' }, 'Notes:'),
+        window.DOMUtils.createElement('textarea', { id: 'rma-notes', rows: 3, className: 'form-control' })
+      ]));
+
+      const sendButton = window.DOMUtils.createButton('Send for RMA', 'primary-button', async () => {
+        const dateInfo = dateControls.getDateInfo();
+
+        if (!dateInfo.year) {
+          alert('Please select a year');
+          return;
+        }
+
+        try {
+          await window.WarrantyModel.sendForRepair(partId, dateInfo, {
+            rmaNumber: content.querySelector('#rma-number').value.trim(),
+            notes: content.querySelector('#rma-notes').value.trim()
+          });
+
+          await window.App.refreshViews();
+
+          document.body.removeChild(modal);
+
+          window.DOMUtils.showToast('Part marked as away for repair', 'success');
+        } catch (err) {
+          console.error('Error sending part for repair:', err);
+          alert('Error sending part for repair: ' + err.message);
+        }
+      });
+
+      content.appendChild(sendButton);
+
+      const modal = window.DOMUtils.showModal('Send for RMA', content);
+    } catch (err) {
+      console.error('Error showing RMA form:', err);
+      alert('Error showing RMA form: ' + err.message);
+    }
+  }
+
+  /**
+   * Show a form for recording how a part's open RMA ended
+   * @param {number} partId - Part ID
+   */
+  async function showCompleteRepairForm(partId) {
+    try {
+      const part = await window.PartModel.getPartById(partId);
+      if (!part) {
+        throw new Error('Part not found');
+      }
+
+      const rma = await window.WarrantyModel.getOpenRma(partId);
+      if (!rma) {
+        throw new Error('This part is not away for repair');
+      }
+
+      const content = window.DOMUtils.createElement('div');
+      content.appendChild(window.DOMUtils.createElement('p', {}, [
+        window.DOMUtils.createElement('strong', {}, `${part.brand} ${part.model}`),
+        ` was sent for repair ${window.DateUtils.formatDateByPrecision(rma.sent_at, rma.sent_precision)}` +
+          (rma.rma_number ? ` (RMA ${rma.rma_number}).` : '.')
+      ]));
+
+      // Outcome
+      const outcomeSelect = window.DOMUtils.createElement('select', { id: 'rma-outcome', className: 'form-control' });
+      window.WarrantyModel.RMA_OUTCOMES.forEach(outcome => {
+        outcomeSelect.appendChild(window.DOMUtils.createElement('option', { value: outcome }, OUTCOME_LABELS[outcome]));
+      });
+
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'rma-outcome' }, 'Outcome:'),
+        outcomeSelect
+      ]));
+
+      const dateControls = window.DOMUtils.createDateSelects('rma-returned');
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', {}, 'Date:'),
+        dateControls.element
+      ]));
+
+      // Replacement part details (for a replacement)
+      const replacementGroup = window.DOMUtils.createElement('div', { className: 'replacement-group' }, [
+        window.DOMUtils.createElement('p', {},
+          'The replacement is added as a new part linked to this one, which is recorded as returned.'),
+        window.DOMUtils.createElement('div', { className: 'form-group' }, [
+          window.DOMUtils.createElement('label', { for: 'rma-replacement-brand' }, 'Brand:'),
+          window.DOMUtils.createElement('input', {
+            type: 'text', id: 'rma-replacement-brand', className: 'form-control', value: part.brand
+          })
+        ]),
+        window.DOMUtils.createElement('div', { className: 'form-group' }, [
+          window.DOMUtils.createElement('label', { for: 'rma-replacement-model' }, 'Model:'),
+          window.DOMUtils.createElement('input', {
+            type: 'text', id: 'rma-replacement-model', className: 'form-control', value: part.model
+          })
+        ]),
+        window.DOMUtils.createElement('div', { className: 'form-group' }, [
+          window.DOMUtils.createElement('label', { for: 'rma-replacement-serial' }, 'Serial Number:'),
+          window.DOMUtils.createElement('input', { type: 'text', id: 'rma-replacement-serial', className: 'form-control' })
+        ]),
+        window.DOMUtils.createElement('div', { className: 'form-group' }, [
+          window.DOMUtils.createElement('label', { for: 'rma-replacement-warranty' }, 'Warranty (months):'),
+          window.DOMUtils.createElement('input', {
+            type: 'number',
+            id: 'rma-replacement-warranty',
+            className: 'form-control',
+            min: '0',
+            step: '1',
+            value: part.warranty_months === null ? '' : part.warranty_months
+          })
+        ])
+      ]);
+      replacementGroup.style.display = 'none';
+      content.appendChild(replacementGroup);
+
+      outcomeSelect.addEventListener('change', () => {
+        replacementGroup.style.display = outcomeSelect.value === 'replaced' ? 'block' : 'none';
+      });
+
+      content.appendChild(window.DOMUtils.createElement('div', { className: 'form-group' }, [
+        window.DOMUtils.createElement('label', { for: 'rma-return-notes' }, 'Notes:'),
+        window.DOMUtils.createElement('textarea', { id: 'rma-return-notes', rows: 3, className: 'form-control' })
+      ]));
+
+      const completeButton = window.DOMUtils.createButton('Complete RMA', 'primary-button', async () => {
+        const outcome = outcomeSelect.value;
+        const dateInfo = dateControls.getDateInfo();
+
+        if (!dateInfo.year) {
+          alert('Please select a year');
+          return;
+        }
+
+        const returnInfo = {
+          outcome,
+          notes: content.querySelector('#rma-return-notes').value.trim()
+        };
+
+        if (outcome === 'replaced') {
+          const warranty = content.querySelector('#rma-replacement-warranty').value.trim();
+          returnInfo.replacement = {
+            brand: content.querySelector('#rma-replacement-brand').value.trim(),
+            model: content.querySelector('#rma-replacement-model').value.trim(),
+            serial_number: content.querySelector('#rma-replacement-serial').value.trim(),
+            warranty_months: warranty === '' ? null : Number(warranty)
+          };
+        }
+
+        try {
+          const replacementId = await window.WarrantyModel.completeRepair(rma.id, dateInfo, returnInfo);
+
+          await window.App.refreshViews();
+
+          document.body.removeChild(modal);
+
+          window.DOMUtils.showToast(replacementId ? 'Replacement part added' : 'RMA completed', 'success');
+        } catch (err) {
+          console.error('Error completing RMA:', err);
+          alert('Error completing RMA: ' + err.message);
+        }
+      });
+
+      content.appendChild(completeButton);
+
+      const modal = window.DOMUtils.showModal('Complete RMA', content);
+    } catch (err) {
+      console.error('Error showing RMA form:', err);
+      alert('Error showing RMA form: ' + err.message);
+    }
+  }
+
+  // Public API
+  return {
+    showSendForRepairForm,
+    showCompleteRepairForm
+  };
+})();
@@ -5,30 +5,188 @@
 // Application namespace
 window.App = (function() {
   // Private members
-  let hasUnsavedChanges = false;
+  
+  /**
+   * Load a database file that was just opened and show it
+   * @param {ArrayBuffer} fileBuffer - The database file buffer
+   * @param {Object} previous - FileService.getOpenState() from before the file was
+   *   opened, restored if it can't be loaded
+   * @param {Function} store - Optional; keeps the file once it is known to open
+   *   (for imports, which aren't stored until then)
+   */
+  async function showOpenedDatabase(fileBuffer, previous, store = null) {
+    let unlocked;
+    try {
+      // Encrypted files need their passphrase first
+      unlocked = await window.EncryptionDialog.unlock(fileBuffer, window.FileService.getCurrentFileName());
+      if (!unlocked) {
+        const err = new Error('No passphrase entered');
+        err.name = 'AbortError';
+        throw err;
+      }
+      
+      // Check the file opens before keeping it; the database shown now stays
+      // open if storing it fails
+      if (store) {
+        await (await window.DatabaseService.openDetachedDatabase(unlocked.data)).close();
+        await store();
+      }
+      
+      // Load database
+      await window.DatabaseService.loadDatabase(unlocked.data);
+    } catch (err) {
+      // The database open before stays open, and goes on saving to its own file
+      window.FileService.restoreOpenState(previous);
+      throw err;
+    }
+    
+    // Keep saving it the way it was stored
+    window.FileService.setEncryptionKey(unlocked.key);
+    
+    // Undo history belongs to the previous database
+    window.HistoryService.clear();
+    window.SaveScheduler.reset(new Uint8Array(unlocked.data));
+    
+    // Initialize UI
+    window.App.initializeUI();
+    
+    // Update file info
+    window.App.updateFileInfo();
+    
+    // Remember the file so it can be reopened without the picker
+    const handle = window.FileService.getFileHandle();
+    if (handle && window.RecentFiles.isSupported()) {
+      try {
+        await window.RecentFiles.add(handle);
+        window.RecentFilesMenu.render();
+      } catch (err) {
+        console.warn('Could not add file to recent files:', err);
+      }
+    }
+    
+    window.DOMUtils.showToast('Database opened successfully', 'success');
+  }
+  
+  /**
+   * Save the open database before another one replaces it. Changes that can't
+   * be saved (the write failed, the file changed elsewhere, or a new database's
+   * Save As was cancelled) are only dropped if the user agrees.
+   * @returns {Promise<boolean>} - True if another database can be shown
+   */
+  async function saveBeforeSwitching() {
+    if (!window.DatabaseService.isOpen() || await window.SaveScheduler.flush()) {
+      return true;
+    }
+    
+    return confirm('The open database has changes that could not be saved. Discard them and continue?');
+  }
+  
+  /**
+   * Tell the user why a database couldn't be opened
+   * @param {Error} err - Error from opening or loading the file
+   */
+  function reportOpenError(err) {
+    if (err.name === 'SchemaVersionError') {
+      // File was written by a newer version of the app; refuse rather than risk damaging it
+      console.warn('Refusing to open database:', err.message);
+      window.DOMUtils.showToast(err.message, 'error', 8000);
+    } else if (err.name !== 'AbortError') {
+      console.error('Error opening database:', err);
+      window.DOMUtils.showToast('Error opening database: ' + err.message, 'error');
+    }
+  }
+  
+  // Date the collection is being viewed as of (null shows the current state)
+  let asOfDate = null;
   
   // Public interface
   return {
-    // Expose hasUnsavedChanges for controllers
+    // Whether there are changes not yet written to the file
     get hasUnsavedChanges() {
-      return hasUnsavedChanges;
+      return window.SaveScheduler.isDirty();
+    },
+    
+    // Get the "as of" date views should render (null for the current state)
+    getAsOfDate: function() {
+      return asOfDate;
     },
     
-    set hasUnsavedChanges(value) {
-      hasUnsavedChanges = value;
+    // View the whole collection as it stood on a date, or pass null to return to today
+    setAsOfDate: async function(date) {
+      asOfDate = /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? date : null;
+      
+      document.getElementById('as-of-date').value = asOfDate || '';
+      document.getElementById('as-of-clear').classList.toggle('hidden', !asOfDate);
+      
+      const banner = document.getElementById('as-of-banner');
+      banner.textContent = asOfDate ? `Showing the collection as it stood on ${asOfDate}` : '';
+      banner.classList.toggle('hidden', !asOfDate);
+      
+      if (window.DatabaseService.isOpen()) {
+        await this.refreshViews();
+      }
     },
     
     // Initialize the application
     init: async function() {
-      // Check if browser supports File System Access API
-      const supportsFileSystemAccess = window.FileService.supportsFileSystemAccessAPI();
-      if (!supportsFileSystemAccess) {
+      // Without the File System Access API databases are kept in browser storage
+      if (window.FileService.usesBrowserStorage()) {
         document.getElementById('browser-warning').classList.remove('hidden');
+        document.getElementById('import-db').classList.remove('hidden');
       }
       
       // Set up event listeners for buttons
       document.getElementById('open-db').addEventListener('click', this.openDatabase.bind(this));
       document.getElementById('create-db').addEventListener('click', this.createDatabase.bind(this));
+      document.getElementById('import-db').addEventListener('click', this.importDatabase.bind(this));
+      
+      // Set up undo/redo controls and keyboard shortcuts
+      if (window.HistoryMenu && typeof window.HistoryMenu.init === 'function') {
+        window.HistoryMenu.init();
+      }
+      
+      // Show save progress, and ask what to do when the file was changed elsewhere
+      window.SaveScheduler.onChange((status) => {
+        this.updateSaveStatus();
+        
+        // The first save of a new database names its file
+        if (status === 'saved') {
+          this.updateFileInfo();
+          
+          const handle = window.FileService.getFileHandle();
+          if (handle && window.RecentFiles.isSupported()) {
+            window.RecentFiles.updateCounts(handle).catch(err => {
+              console.warn('Could not update recent file counts:', err);
+            });
+          }
+        }
+      });
+      window.SaveScheduler.onConflict(() => window.SaveConflictDialog.show());
+      
+      // Write pending changes straight away when the tab is hidden or closed
+      document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+          window.SaveScheduler.flush();
+        }
+      });
+      
+      // Set up the recent files menu
+      if (window.RecentFilesMenu && typeof window.RecentFilesMenu.init === 'function') {
+        window.RecentFilesMenu.init();
+      }
+      
+      // Set up the whole-database tools menu
+      if (window.ToolsMenu && typeof window.ToolsMenu.init === 'function') {
+        window.ToolsMenu.init();
+      }
+      
+      // Set up the "as of" date picker
+      document.getElementById('as-of-date').addEventListener('change', async (e) => {
+        await this.setAsOfDate(e.target.value);
+      });
+      document.getElementById('as-of-clear').addEventListener('click', async () => {
+        await this.setAsOfDate(null);
+      });
       
       // Set up tab navigation
       document.querySelectorAll('.tab-button').forEach(button => {
@@ -65,10 +223,25 @@ window.App = (function() {
             if (window.PartsBinView && typeof window.PartsBinView.refresh === 'function') {
               window.PartsBinView.refresh();
             }
+          } else if (tabId === 'warranties-tab') {
+            if (window.WarrantyView && typeof window.WarrantyView.refresh === 'function') {
+              window.WarrantyView.refresh();
+            }
+          } else if (tabId === 'audit-tab') {
+            if (window.AuditView && typeof window.AuditView.refresh === 'function') {
+              window.AuditView.refresh();
+            }
           }
         });
       });
       
+      // Cache the app for offline use (service workers need http or https)
+      if ('serviceWorker' in navigator && location.protocol.startsWith('http')) {
+        navigator.serviceWorker.register('sw.js').catch(err => {
+          console.warn('Service worker registration failed:', err);
+        });
+      }
+      
       // Initialize SQL.js
       try {
         await window.DatabaseService.initSqlJs();
@@ -77,39 +250,121 @@ window.App = (function() {
         console.error('Error initializing application:', err);
         window.DOMUtils.showToast('Error initializing application', 'error');
       }
+      
+      // Reopen the last database if asked to; without a user gesture the
+      // browser may need a click on the file before it grants access again
+      if (window.RecentFiles.isSupported() && window.RecentFiles.getReopenLast()) {
+        try {
+          const [last] = await window.RecentFiles.list();
+          if (last && !window.DatabaseService.isOpen()) {
+            if (await window.RecentFiles.hasPermission(last.id)) {
+              await this.openRecentDatabase(last.id);
+            } else {
+              window.RecentFilesMenu.prompt();
+            }
+          }
+        } catch (err) {
+          console.warn('Could not reopen the last database:', err);
+        }
+      }
     },
     
     // Open an existing database
     openDatabase: async function() {
+      // Databases in browser storage are chosen from their own list
+      if (window.FileService.usesBrowserStorage()) {
+        window.BrowserFilesDialog.show();
+        return;
+      }
+      
+      if (!await saveBeforeSwitching()) return;
+      
+      const previous = window.FileService.getOpenState();
       try {
         // Open file
-        const fileBuffer = await (window.FileService.supportsFileSystemAccessAPI() ? 
-          window.FileService.openFile() : 
-          window.FileService.openFileLegacy());
-        
-        // Load database
-        await window.DatabaseService.loadDatabase(fileBuffer);
-        
-        // Initialize UI
-        this.initializeUI();
-        
-        // Update file info
-        this.updateFileInfo();
+        const fileBuffer = await window.FileService.openFile();
         
-        window.DOMUtils.showToast('Database opened successfully', 'success');
+        await showOpenedDatabase(fileBuffer, previous);
       } catch (err) {
-        if (err.name !== 'AbortError') {
-          console.error('Error opening database:', err);
-          window.DOMUtils.showToast('Error opening database', 'error');
+        reportOpenError(err);
+      }
+    },
+    
+    // Open a database kept in browser storage
+    openStoredDatabase: async function(name) {
+      if (!await saveBeforeSwitching()) return;
+      
+      const previous = window.FileService.getOpenState();
+      try {
+        const fileBuffer = await window.FileService.openStored(name);
+        await showOpenedDatabase(fileBuffer, previous);
+      } catch (err) {
+        reportOpenError(err);
+      }
+    },
+    
+    // Copy a database file into browser storage and open it
+    importDatabase: async function() {
+      if (!await saveBeforeSwitching()) return;
+      
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.db,.sqlite,.sqlite3';
+      
+      input.addEventListener('change', async (e) => {
+        if (!e.target.files.length) return;
+        
+        const previous = window.FileService.getOpenState();
+        try {
+          const fileBuffer = await window.FileService.importFile(e.target.files[0]);
+          await showOpenedDatabase(fileBuffer, previous, () => window.FileService.storeImportedFile(fileBuffer));
+        } catch (err) {
+          reportOpenError(err);
         }
+      });
+      
+      input.click();
+    },
+    
+    // Download a copy of the open database as a .db file
+    exportDatabase: async function() {
+      if (!window.DatabaseService.isOpen()) {
+        window.DOMUtils.showToast('No database to export', 'error');
+        return;
+      }
+      
+      try {
+        await window.FileService.exportFile(await window.DatabaseService.exportDatabase());
+      } catch (err) {
+        console.error('Error exporting database:', err);
+        window.DOMUtils.showToast('Error exporting database: ' + err.message, 'error');
+      }
+    },
+    
+    // Reopen a database from the recent files list
+    openRecentDatabase: async function(id) {
+      if (!await saveBeforeSwitching()) return;
+      
+      const previous = window.FileService.getOpenState();
+      try {
+        const fileBuffer = await window.RecentFiles.open(id);
+        await showOpenedDatabase(fileBuffer, previous);
+      } catch (err) {
+        reportOpenError(err);
       }
     },
     
     // Create a new database
     createDatabase: async function() {
+      if (!await saveBeforeSwitching()) return;
+      
       try {
         // Create database
         await window.DatabaseService.createDatabase();
+        window.HistoryService.clear();
+        
+        // A new database goes to a new file, not over the one open before
+        window.FileService.closeFile();
         
         // Initialize UI
         this.initializeUI();
@@ -119,8 +374,7 @@ window.App = (function() {
         document.getElementById('file-info').classList.remove('hidden');
         
         // Set unsaved changes
-        hasUnsavedChanges = true;
-        this.updateSaveStatus();
+        window.SaveScheduler.reset();
         
         window.DOMUtils.showToast('New database created', 'success');
       } catch (err) {
@@ -134,12 +388,18 @@ window.App = (function() {
       // Show app container
       document.getElementById('app-container').classList.remove('hidden');
       
+      if (window.ToolsMenu && typeof window.ToolsMenu.render === 'function') {
+        window.ToolsMenu.render();
+      }
+      
       // Initialize components
       this.initPartsList();
       this.initTimelineView();
       this.initRigsView();
       this.initPartsBinView();
       this.initRigHistoryView();
+      this.initAuditView();
+      this.initWarrantyView();
       
       // Refresh the parts list
       this.refreshPartsList();
@@ -148,55 +408,78 @@ window.App = (function() {
     // Update file info display
     updateFileInfo: function() {
       const currentFile = window.FileService.getCurrentFileName() || 'New database (unsaved)';
-      document.getElementById('current-file').textContent = currentFile;
+      document.getElementById('current-file').textContent = currentFile +
+        (window.FileService.isEncrypted() ? ' (encrypted)' : '');
       document.getElementById('file-info').classList.remove('hidden');
     },
     
     // Update save status display
     updateSaveStatus: function() {
       const statusElement = document.getElementById('save-status');
+      const status = window.SaveScheduler.getStatus();
       
-      if (hasUnsavedChanges) {
-        statusElement.textContent = 'Unsaved';
-        statusElement.classList.remove('saved');
-        statusElement.classList.add('unsaved');
-      } else {
-        statusElement.textContent = 'Saved';
-        statusElement.classList.remove('unsaved');
-        statusElement.classList.add('saved');
-      }
+      const labels = {
+        saved: 'Saved',
+        pending: 'Unsaved',
+        saving: 'Saving…',
+        error: 'Save failed',
+        conflict: 'Changed elsewhere'
+      };
+      
+      statusElement.textContent = labels[status];
+      statusElement.title = status === 'error' && window.SaveScheduler.getLastError()
+        ? `Retrying. ${window.SaveScheduler.getLastError().message}` : '';
+      statusElement.classList.toggle('saved', status === 'saved');
+      statusElement.classList.toggle('unsaved', status === 'pending' || status === 'saving');
+      statusElement.classList.toggle('save-error', status === 'error' || status === 'conflict');
     },
     
-    // Save the database to file
+    // Save the database to file now, rather than after the auto-save delay
     saveDatabase: async function() {
-      try {
-        if (!window.DatabaseService.getDatabase()) {
-          window.DOMUtils.showToast('No database to save', 'error');
-          return;
-        }
-        
-        // Export database
-        const data = window.DatabaseService.exportDatabase();
-        
-        // Save to file
-        await window.FileService.saveFile(data);
-        
-        // Update status
-        hasUnsavedChanges = false;
-        this.updateSaveStatus();
-        
-        // Update file info
-        this.updateFileInfo();
-        
-        window.DOMUtils.showToast('Database saved successfully', 'success');
-        return true;
-      } catch (err) {
-        if (err.name !== 'AbortError') {
-          console.error('Error saving database:', err);
-          window.DOMUtils.showToast('Error saving database', 'error');
-        }
+      if (!window.DatabaseService.isOpen()) {
+        window.DOMUtils.showToast('No database to save', 'error');
         return false;
       }
+      
+      return window.SaveScheduler.flush();
+    },
+    
+    // Re-render every view after the database changed underneath it (undo/redo, restores)
+    refreshViews: async function() {
+      this.refreshPartsList();
+      
+      if (window.RigsView && typeof window.RigsView.refresh === 'function') {
+        window.RigsView.refresh();
+      }
+      
+      if (window.PartsBinView && typeof window.PartsBinView.refresh === 'function') {
+        window.PartsBinView.refresh();
+      }
+      
+      if (window.AuditView && typeof window.AuditView.refresh === 'function') {
+        window.AuditView.refresh();
+      }
+      
+      if (window.WarrantyView && typeof window.WarrantyView.refresh === 'function') {
+        window.WarrantyView.refresh();
+      }
+      
+      // Re-render the open timeline, or close it if its part no longer exists
+      const timelineView = document.getElementById('part-timeline-view');
+      if (timelineView && !timelineView.classList.contains('hidden') && window.TimelineView) {
+        const partId = window.TimelineView.getCurrentPartId();
+        if (partId && await window.PartModel.getPartById(partId)) {
+          window.TimelineView.showPartTimeline(partId);
+        } else {
+          window.TimelineView.hide();
+        }
+      }
+      
+      // Rig history is a snapshot of one lifecycle; close it rather than show stale data
+      const rigHistoryView = document.getElementById('rig-history-view');
+      if (rigHistoryView && !rigHistoryView.classList.contains('hidden') && window.RigHistoryView) {
+        window.RigHistoryView.hide();
+      }
     },
     
     // Initialize the parts list component
@@ -245,6 +528,20 @@ window.App = (function() {
       if (window.RigHistoryView && typeof window.RigHistoryView.init === 'function') {
         window.RigHistoryView.init();
       }
+    },
+    
+    // Initialize the audit view component
+    initAuditView: function() {
+      if (window.AuditView && typeof window.AuditView.init === 'function') {
+        window.AuditView.init();
+      }
+    },
+    
+    // Initialize the warranty dashboard component
+    initWarrantyView: function() {
+      if (window.WarrantyView && typeof window.WarrantyView.init === 'function') {
+        window.WarrantyView.init();
+      }
     }
   };
 })();
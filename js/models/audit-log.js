@@ -0,0 +1,163 @@
+/**
+ * Audit log model for PC History Tracker
+ * Reads the append-only audit_log written by the database triggers
+ */
+
+// Create namespace
+window.AuditLogModel = (function() {
+  // Private members
+
+  // Default cap on returned entries so very old archives stay responsive
+  const DEFAULT_LIMIT = 500;
+
+  /**
+   * Get the moment a local calendar day starts, in the form changed_at is stored in
+   * @param {string} date - Local date (YYYY-MM-DD)
+   * @param {number} offset - Days to move by (1 for the start of the next day)
+   * @returns {string} UTC ISO timestamp
+   */
+  function localDayStart(date, offset = 0) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(year, month - 1, day + offset).toISOString();
+  }
+
+  /**
+   * Get audit entries, newest first
+   * @param {Object} filters - Optional filters
+   * @param {number} filters.partId - Only changes linked to this part
+   * @param {number} filters.motherboardId - Only changes linked to this rig
+   * @param {string} filters.entity - Only changes to this table
+   * @param {string} filters.action - 'insert', 'update' or 'delete'
+   * @param {string} filters.search - Text matched against field names and values
+   * @param {string} filters.from - Earliest change date (YYYY-MM-DD)
+   * @param {string} filters.to - Latest change date (YYYY-MM-DD)
+   * @param {number} filters.limit - Maximum number of entries
+   * @returns {Promise<Array>} Audit entries with part and motherboard names
+   */
+  async function getEntries(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.partId) {
+      conditions.push('a.part_id = ?');
+      params.push(filters.partId);
+    }
+
+    if (filters.motherboardId) {
+      conditions.push('a.motherboard_id = ?');
+      params.push(filters.motherboardId);
+    }
+
+    if (filters.entity) {
+      conditions.push('a.entity = ?');
+      params.push(filters.entity);
+    }
+
+    if (filters.action) {
+      conditions.push('a.action = ?');
+      params.push(filters.action);
+    }
+
+    if (filters.search) {
+      const pattern = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+      conditions.push(`(a.field LIKE ? ESCAPE '\\' OR a.old_value LIKE ? ESCAPE '\\' OR a.new_value LIKE ? ESCAPE '\\')`);
+      params.push(pattern, pattern, pattern);
+    }
+
+    // changed_at is in UTC, while the filter dates are days in local time
+    if (filters.from) {
+      conditions.push('a.changed_at >= ?');
+      params.push(localDayStart(filters.from));
+    }
+
+    if (filters.to) {
+      conditions.push('a.changed_at < ?');
+      params.push(localDayStart(filters.to, 1));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(filters.limit || DEFAULT_LIMIT);
+
+    try {
+      const query = `
+        SELECT
+          a.id,
+          a.changed_at,
+          a.action,
+          a.entity,
+          a.entity_id,
+          a.field,
+          a.old_value,
+          a.new_value,
+          a.part_id,
+          a.motherboard_id,
+          p.brand || ' ' || p.model AS part_name,
+          m.brand || ' ' || m.model AS motherboard_name
+        FROM audit_log a
+        LEFT JOIN parts p ON a.part_id = p.id
+        LEFT JOIN parts m ON a.motherboard_id = m.id
+        ${where}
+        ORDER BY a.id DESC
+        LIMIT ?
+      `;
+
+      return await window.QueryService.all(query, params);
+    } catch (err) {
+      console.error('Error getting audit entries:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get every part that appears in the audit log, including hard-deleted ones
+   * @returns {Promise<Array>} Array of { id, name }
+   */
+  async function getAuditedParts() {
+    try {
+      const query = `
+        SELECT DISTINCT
+          a.part_id AS id,
+          COALESCE(p.brand || ' ' || p.model, 'Part #' || a.part_id) AS name
+        FROM audit_log a
+        LEFT JOIN parts p ON a.part_id = p.id
+        WHERE a.part_id IS NOT NULL
+        ORDER BY name COLLATE NOCASE
+      `;
+
+      return await window.QueryService.all(query);
+    } catch (err) {
+      console.error('Error getting audited parts:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get every rig (motherboard) that appears in the audit log
+   * @returns {Promise<Array>} Array of { id, name }
+   */
+  async function getAuditedRigs() {
+    try {
+      const query = `
+        SELECT DISTINCT
+          a.motherboard_id AS id,
+          COALESCE(m.brand || ' ' || m.model, 'Part #' || a.motherboard_id) AS name
+        FROM audit_log a
+        LEFT JOIN parts m ON a.motherboard_id = m.id
+        WHERE a.motherboard_id IS NOT NULL
+        ORDER BY name COLLATE NOCASE
+      `;
+
+      return await window.QueryService.all(query);
+    } catch (err) {
+      console.error('Error getting audited rigs:', err);
+      throw err;
+    }
+  }
+
+  // Public API
+  return {
+    getEntries,
+    getAuditedParts,
+    getAuditedRigs
+  };
+})();
@@ -9,12 +9,9 @@ window.ConnectionModel = (function() {
     /**
      * Get all connections for a part
      * @param {number} partId - Part ID
-     * @returns {Array} Array of connection objects
+     * @returns {Promise<Array>} Array of connection objects
      */
-    getConnectionsForPart: function(partId) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    getConnectionsForPart: async function(partId) {
       try {
         const query = `
           SELECT 
@@ -33,22 +30,13 @@ window.ConnectionModel = (function() {
           JOIN parts p ON c.motherboard_id = p.id
           LEFT JOIN rig_identities ri ON ri.motherboard_id = p.id AND 
             (ri.active_from <= c.connected_at AND (ri.active_until IS NULL OR ri.active_until >= c.connected_at))
-          WHERE c.part_id = ${partId}
+          WHERE c.part_id = ?
           ORDER BY c.connected_at ASC
         `;
         
-        const result = db.exec(query);
-        if (result.length === 0) return [];
+        const params = [partId];
         
-        // Map column names to values
-        const columns = result[0].columns;
-        return result[0].values.map(row => {
-          const connection = {};
-          columns.forEach((column, index) => {
-            connection[column] = row[index];
-          });
-          return connection;
-        });
+        return await QueryService.all(query, params);
       } catch (err) {
         console.error(`Error getting connections for part ${partId}:`, err);
         throw err;
@@ -58,12 +46,9 @@ window.ConnectionModel = (function() {
     /**
      * Get all connections for a motherboard
      * @param {number} motherboardId - Motherboard ID
-     * @returns {Array} Array of connection objects
+     * @returns {Promise<Array>} Array of connection objects
      */
-    getConnectionsForMotherboard: function(motherboardId) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    getConnectionsForMotherboard: async function(motherboardId) {
       try {
         const query = `
           SELECT 
@@ -80,22 +65,13 @@ window.ConnectionModel = (function() {
             p.type as part_type
           FROM connections c
           JOIN parts p ON c.part_id = p.id
-          WHERE c.motherboard_id = ${motherboardId}
+          WHERE c.motherboard_id = ?
           ORDER BY c.connected_at ASC, p.type
         `;
         
-        const result = db.exec(query);
-        if (result.length === 0) return [];
+        const params = [motherboardId];
         
-        // Map column names to values
-        const columns = result[0].columns;
-        return result[0].values.map(row => {
-          const connection = {};
-          columns.forEach((column, index) => {
-            connection[column] = row[index];
-          });
-          return connection;
-        });
+        return await QueryService.all(query, params);
       } catch (err) {
         console.error(`Error getting connections for motherboard ${motherboardId}:`, err);
         throw err;
@@ -105,12 +81,9 @@ window.ConnectionModel = (function() {
     /**
      * Get active connections for a part
      * @param {number} partId - Part ID
-     * @returns {Array} Array of connection objects
+     * @returns {Promise<Array>} Array of connection objects
      */
-    getActiveConnectionsForPart: function(partId) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    getActiveConnectionsForPart: async function(partId) {
       try {
         const query = `
           SELECT 
@@ -125,22 +98,13 @@ window.ConnectionModel = (function() {
           FROM connections c
           JOIN parts p ON c.motherboard_id = p.id
           LEFT JOIN rig_identities ri ON ri.motherboard_id = p.id AND ri.active_until IS NULL
-          WHERE c.part_id = ${partId} AND c.disconnected_at IS NULL
+          WHERE c.part_id = ? AND c.disconnected_at IS NULL
           ORDER BY c.connected_at DESC
         `;
         
-        const result = db.exec(query);
-        if (result.length === 0) return [];
+        const params = [partId];
         
-        // Map column names to values
-        const columns = result[0].columns;
-        return result[0].values.map(row => {
-          const connection = {};
-          columns.forEach((column, index) => {
-            connection[column] = row[index];
-          });
-          return connection;
-        });
+        return await QueryService.all(query, params);
       } catch (err) {
         console.error(`Error getting active connections for part ${partId}:`, err);
         throw err;
@@ -150,14 +114,14 @@ window.ConnectionModel = (function() {
     /**
      * Get active connections for a motherboard
      * @param {number} motherboardId - Motherboard ID
-     * @returns {Array} Array of connection objects
+     * @param {string|null} asOf - List the connections active on this date (YYYY-MM-DD) instead of now
+     * @returns {Promise<Array>} Array of connection objects
      */
-    getActiveConnectionsForMotherboard: function(motherboardId) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    getActiveConnectionsForMotherboard: async function(motherboardId, asOf = null) {
       try {
+        const state = PartModel.buildStateCte(asOf);
         const query = `
+          WITH ${state.sql}
           SELECT 
             c.id,
             c.part_id,
@@ -167,24 +131,15 @@ window.ConnectionModel = (function() {
             p.brand as part_brand, 
             p.model as part_model,
             p.type as part_type
-          FROM connections c
+          FROM live_connections c
           JOIN parts p ON c.part_id = p.id
-          WHERE c.motherboard_id = ${motherboardId} AND c.disconnected_at IS NULL
+          WHERE c.motherboard_id = ?
           ORDER BY p.type, p.brand, p.model
         `;
         
-        const result = db.exec(query);
-        if (result.length === 0) return [];
+        const params = [...state.params, motherboardId];
         
-        // Map column names to values
-        const columns = result[0].columns;
-        return result[0].values.map(row => {
-          const connection = {};
-          columns.forEach((column, index) => {
-            connection[column] = row[index];
-          });
-          return connection;
-        });
+        return await QueryService.all(query, params);
       } catch (err) {
         console.error(`Error getting active connections for motherboard ${motherboardId}:`, err);
         throw err;
@@ -198,12 +153,9 @@ window.ConnectionModel = (function() {
      * @param {Object} dateInfo - Connection date information (if not provided or missing year, will use part acquisition date)
      * @param {string} notes - Connection notes
      * @param {boolean} keepExistingParts - If true, existing parts of the same type will not be disconnected
-     * @returns {number} New connection ID
+     * @returns {Promise<number>} New connection ID
      */
-    connectPart: function(partId, motherboardId, dateInfo, notes = '', keepExistingParts = false) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    connectPart: async function(partId, motherboardId, dateInfo, notes = '', keepExistingParts = false) {
       // Extract date info if provided
       let { year, month, day } = dateInfo || {};
       
@@ -214,54 +166,47 @@ window.ConnectionModel = (function() {
       
       try {
         // Check if part is already connected
-        const activeConnections = this.getActiveConnectionsForPart(partId);
+        const activeConnections = await this.getActiveConnectionsForPart(partId);
         if (activeConnections.length > 0) {
           throw new Error('Part is already connected to a motherboard');
         }
         
         // Check that this part isn't a motherboard
-        const partTypeQuery = `SELECT type FROM parts WHERE id = ${partId}`;
-        const partTypeResult = db.exec(partTypeQuery);
+        const part = await QueryService.get(
+          'SELECT type, acquisition_date, date_precision FROM parts WHERE id = ?',
+          [partId]
+        );
         
-        if (partTypeResult.length > 0 && partTypeResult[0].values.length > 0) {
-          const partType = partTypeResult[0].values[0][0];
-          if (partType === 'motherboard') {
-            throw new Error('Cannot connect a motherboard to another motherboard');
-          }
-        } else {
+        if (!part) {
           throw new Error('Part not found');
         }
         
+        if (part.type === 'motherboard') {
+          throw new Error('Cannot connect a motherboard to another motherboard');
+        }
+        
         // If no year provided, try to use the part's acquisition date
         if (!year) {
-          // Get the part's acquisition date
-          const partQuery = `SELECT acquisition_date, date_precision FROM parts WHERE id = ${partId}`;
-          const partResult = db.exec(partQuery);
+          const acquisitionDate = part.acquisition_date;
+          const acquisitionPrecision = part.date_precision;
           
-          if (partResult.length > 0 && partResult[0].values.length > 0) {
-            const acquisitionDate = partResult[0].values[0][0];
-            const acquisitionPrecision = partResult[0].values[0][1];
+          if (acquisitionDate) {
+            console.log(`Using acquisition date ${acquisitionDate} for connection`);
+            
+            // Parse the acquisition date
+            const dateParts = acquisitionDate.split('-');
+            year = parseInt(dateParts[0]);
+            
+            // Only use month and day if we have the right precision
+            if (dateParts.length > 1 && acquisitionPrecision !== 'year') {
+              month = parseInt(dateParts[1]);
+            }
             
-            if (acquisitionDate) {
-              console.log(`Using acquisition date ${acquisitionDate} for connection`);
-              
-              // Parse the acquisition date
-              const dateParts = acquisitionDate.split('-');
-              year = parseInt(dateParts[0]);
-              
-              // Only use month and day if we have the right precision
-              if (dateParts.length > 1 && acquisitionPrecision !== 'year') {
-                month = parseInt(dateParts[1]);
-              }
-              
-              if (dateParts.length > 2 && acquisitionPrecision === 'day') {
-                day = parseInt(dateParts[2]);
-              }
-            } else {
-              throw new Error('Connection year is required (no acquisition date found)');
+            if (dateParts.length > 2 && acquisitionPrecision === 'day') {
+              day = parseInt(dateParts[2]);
             }
           } else {
-            throw new Error('Connection year is required (part not found)');
+            throw new Error('Connection year is required (no acquisition date found)');
           }
         }
         
@@ -269,88 +214,51 @@ window.ConnectionModel = (function() {
         const connectedAt = DateUtils.createDateString(year, month, day);
         const precision = DateUtils.getDatePrecision(year, month, day);
         
-        // Insert the connection
-        const query = `
-          INSERT INTO connections (part_id, motherboard_id, connected_at, connected_precision, notes)
-          VALUES (?, ?, ?, ?, ?)
-        `;
-        
-        const params = [
-          partId,
-          motherboardId,
-          connectedAt,
-          precision,
-          notes || ''
-        ];
-        
-        // Begin a transaction to ensure all operations are atomic
-        db.run('BEGIN TRANSACTION');
-        
-        try {
+        // Run all operations atomically, rejecting any that would leave the dates inconsistent
+        return await TemporalValidator.guard([partId, motherboardId], async () => {
           // If we need to disconnect existing parts of the same type
           if (!keepExistingParts) {
-            // Get the part type
-            const partTypeQuery = `SELECT type FROM parts WHERE id = ${partId}`;
-            const partTypeResult = db.exec(partTypeQuery);
+            // Find active connections of the same type
+            const sameTypeConnections = await QueryService.all(`
+              SELECT c.id 
+              FROM connections c
+              JOIN parts p ON c.part_id = p.id
+              WHERE c.motherboard_id = ?
+              AND p.type = ?
+              AND c.disconnected_at IS NULL
+              AND c.part_id != ?
+            `, [motherboardId, part.type, partId]);
             
-            if (partTypeResult.length > 0 && partTypeResult[0].values.length > 0) {
-              const partType = partTypeResult[0].values[0][0];
-              
-              // Find active connections of the same type
-              const sameTypeQuery = `
-                SELECT c.id 
-                FROM connections c
-                JOIN parts p ON c.part_id = p.id
-                WHERE c.motherboard_id = ${motherboardId}
-                AND p.type = '${partType}'
-                AND c.disconnected_at IS NULL
-                AND c.part_id != ${partId}
-              `;
-              
-              const sameTypeResult = db.exec(sameTypeQuery);
-              
-              // Disconnect existing parts of the same type
-              if (sameTypeResult.length > 0 && sameTypeResult[0].values.length > 0) {
-                for (const row of sameTypeResult[0].values) {
-                  const connectionId = row[0];
-                  
-                  // Update the connection to disconnect it on the connection date
-                  const disconnectQuery = `
-                    UPDATE connections
-                    SET disconnected_at = ?,
-                        disconnected_precision = ?,
-                        notes = CASE WHEN notes IS NULL OR notes = '' THEN ? ELSE notes || '\n' || ? END
-                    WHERE id = ?
-                  `;
-                  
-                  const disconnectNotes = 'Automatically disconnected due to new part connection';
-                  
-                  db.run(disconnectQuery, [
-                    connectedAt,
-                    precision,
-                    disconnectNotes,
-                    disconnectNotes,
-                    connectionId
-                  ]);
-                }
-              }
+            // Disconnect existing parts of the same type on the connection date
+            const disconnectNotes = 'Automatically disconnected due to new part connection';
+            
+            for (const connection of sameTypeConnections) {
+              await QueryService.run(`
+                UPDATE connections
+                SET disconnected_at = ?,
+                    disconnected_precision = ?,
+                    notes = CASE WHEN notes IS NULL OR notes = '' THEN ? ELSE notes || char(10) || ? END
+                WHERE id = ?
+              `, [connectedAt, precision, disconnectNotes, disconnectNotes, connection.id]);
             }
           }
           
           // Insert the new connection
-          db.run(query, params);
+          const query = `
+            INSERT INTO connections (part_id, motherboard_id, connected_at, connected_precision, notes)
+            VALUES (?, ?, ?, ?, ?)
+          `;
           
-          // Commit the transaction
-          db.run('COMMIT');
+          const params = [
+            partId,
+            motherboardId,
+            connectedAt,
+            precision,
+            notes || ''
+          ];
           
-          // Get the last inserted ID
-          const result = db.exec('SELECT last_insert_rowid()');
-          return result[0].values[0][0];
-        } catch (err) {
-          // Rollback on error
-          db.run('ROLLBACK');
-          throw err;
-        }
+          return (await QueryService.run(query, params)).lastInsertId;
+        });
       } catch (err) {
         console.error(`Error connecting part ${partId} to motherboard ${motherboardId}:`, err);
         throw err;
@@ -363,10 +271,7 @@ window.ConnectionModel = (function() {
      * @param {Object} dateInfo - Disconnection date information
      * @param {string} notes - Disconnection notes
      */
-    disconnectPart: function(connectionId, dateInfo, notes = '') {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    disconnectPart: async function(connectionId, dateInfo, notes = '') {
       const { year, month, day } = dateInfo;
       
       // Validate parameters
@@ -380,14 +285,16 @@ window.ConnectionModel = (function() {
       
       try {
         // Get the connection to update its notes
-        const query = `SELECT notes FROM connections WHERE id = ${connectionId}`;
-        const result = db.exec(query);
+        const connection = await QueryService.get(
+          'SELECT part_id, motherboard_id, notes FROM connections WHERE id = ?',
+          [connectionId]
+        );
         
-        if (result.length === 0 || result[0].values.length === 0) {
+        if (!connection) {
           throw new Error(`Connection with ID ${connectionId} not found`);
         }
         
-        const existingNotes = result[0].values[0][0] || '';
+        const existingNotes = connection.notes || '';
         const updatedNotes = notes ? (existingNotes ? `${existingNotes}\n${notes}` : notes) : existingNotes;
         
         // Create the disconnection date
@@ -410,48 +317,143 @@ window.ConnectionModel = (function() {
           connectionId
         ];
         
-        db.run(updateQuery, params);
+        await TemporalValidator.guard([connection.part_id, connection.motherboard_id], async () => {
+          await QueryService.run(updateQuery, params);
+        });
       } catch (err) {
         console.error(`Error disconnecting connection ${connectionId}:`, err);
         throw err;
       }
     },
     
+    /**
+     * Get a connection by ID
+     * @param {number} connectionId - Connection ID
+     * @returns {Promise<Object|null>} Connection with part and motherboard names, or null if not found
+     */
+    getConnectionById: async function(connectionId) {
+      try {
+        const query = `
+          SELECT 
+            c.id,
+            c.part_id,
+            c.motherboard_id,
+            c.connected_at,
+            c.connected_precision,
+            c.disconnected_at,
+            c.disconnected_precision,
+            c.notes,
+            p.brand as part_brand,
+            p.model as part_model,
+            p.type as part_type,
+            m.brand as motherboard_brand,
+            m.model as motherboard_model
+          FROM connections c
+          JOIN parts p ON c.part_id = p.id
+          JOIN parts m ON c.motherboard_id = m.id
+          WHERE c.id = ?
+        `;
+        
+        return await QueryService.get(query, [connectionId]);
+      } catch (err) {
+        console.error(`Error getting connection ${connectionId}:`, err);
+        throw err;
+      }
+    },
+    
+    /**
+     * Correct an existing connection record (current or historical)
+     * @param {number} connectionId - Connection ID
+     * @param {Object} changes - New values
+     * @param {number} changes.motherboardId - Motherboard ID
+     * @param {Object} changes.connected - Connection date information ({ year, month, day })
+     * @param {Object|null} changes.disconnected - Disconnection date information, or null if still connected
+     * @param {string} changes.notes - Connection notes
+     */
+    updateConnection: async function(connectionId, changes) {
+      const { motherboardId, connected, disconnected, notes } = changes;
+      
+      // Validate parameters
+      if (!connectionId || !motherboardId) {
+        throw new Error('Connection ID and motherboard ID are required');
+      }
+      
+      if (!connected || !connected.year) {
+        throw new Error('Connection year is required');
+      }
+      
+      if (disconnected && !disconnected.year) {
+        throw new Error('Disconnection year is required');
+      }
+      
+      try {
+        const connection = await QueryService.get(
+          'SELECT part_id, motherboard_id FROM connections WHERE id = ?',
+          [connectionId]
+        );
+        
+        if (!connection) {
+          throw new Error(`Connection with ID ${connectionId} not found`);
+        }
+        
+        const motherboard = await QueryService.get('SELECT type FROM parts WHERE id = ?', [motherboardId]);
+        if (!motherboard || motherboard.type !== 'motherboard') {
+          throw new Error('Connections can only be made to a motherboard');
+        }
+        
+        // Create the date strings
+        const connectedAt = DateUtils.createDateString(connected.year, connected.month, connected.day);
+        const connectedPrecision = DateUtils.getDatePrecision(connected.year, connected.month, connected.day);
+        const disconnectedAt = disconnected ? DateUtils.createDateString(disconnected.year, disconnected.month, disconnected.day) : null;
+        const disconnectedPrecision = disconnected ? DateUtils.getDatePrecision(disconnected.year, disconnected.month, disconnected.day) : 'day';
+        
+        const partIds = [connection.part_id, connection.motherboard_id, motherboardId];
+        
+        await TemporalValidator.guard(partIds, async () => {
+          await QueryService.run(`
+            UPDATE connections
+            SET motherboard_id = ?,
+                connected_at = ?,
+                connected_precision = ?,
+                disconnected_at = ?,
+                disconnected_precision = ?,
+                notes = ?
+            WHERE id = ?
+          `, [motherboardId, connectedAt, connectedPrecision, disconnectedAt, disconnectedPrecision, notes || '', connectionId]);
+        }, v => (
+          // An edited connection must not overlap the part's other connections, even
+          // where the overlap was already there before the edit
+          v.code === 'overlapping_connections' &&
+          (v.recordId === connectionId || v.relatedRecordId === connectionId)
+        ));
+      } catch (err) {
+        console.error(`Error updating connection ${connectionId}:`, err);
+        throw err;
+      }
+    },
+    
     /**
      * Disconnect a part by part ID (disconnects all active connections)
      * @param {number} partId - Part ID
      * @param {Object} dateInfo - Disconnection date information
      * @param {string} notes - Disconnection notes
      */
-    disconnectPartById: function(partId, dateInfo, notes = '') {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    disconnectPartById: async function(partId, dateInfo, notes = '') {
       try {
         // Get active connections for the part
-        const activeConnections = this.getActiveConnectionsForPart(partId);
+        const activeConnections = await this.getActiveConnectionsForPart(partId);
         
         if (activeConnections.length === 0) {
           throw new Error(`Part with ID ${partId} is not connected to any motherboard`);
         }
         
         // Use a transaction to ensure all updates are atomic
-        db.run('BEGIN TRANSACTION');
-        
-        try {
+        await QueryService.transaction(async () => {
           // Disconnect each active connection
-          activeConnections.forEach(connection => {
-            this.disconnectPart(connection.id, dateInfo, notes);
-          });
-          
-          // Commit the transaction
-          db.run('COMMIT');
-        } catch (transactionErr) {
-          // Rollback on error
-          console.error("Error in disconnect transaction, rolling back:", transactionErr);
-          db.run('ROLLBACK');
-          throw transactionErr;
-        }
+          for (const connection of activeConnections) {
+            await this.disconnectPart(connection.id, dateInfo, notes);
+          }
+        });
       } catch (err) {
         console.error(`Error disconnecting part ${partId}:`, err);
         throw err;
@@ -462,16 +464,22 @@ window.ConnectionModel = (function() {
      * Delete a connection
      * @param {number} connectionId - Connection ID
      */
-    deleteConnection: function(connectionId) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    deleteConnection: async function(connectionId) {
       try {
-        db.run(`DELETE FROM connections WHERE id = ${connectionId}`);
+        await QueryService.run('DELETE FROM connections WHERE id = ?', [connectionId]);
       } catch (err) {
         console.error(`Error deleting connection ${connectionId}:`, err);
         throw err;
       }
     }
   };
-})();
\ No newline at end of file
+})();
+
+// Record connection mutations for undo/redo
+window.HistoryService.track(window.ConnectionModel, {
+  connectPart: 'Connect part',
+  disconnectPart: 'Disconnect part',
+  updateConnection: 'Edit connection',
+  disconnectPartById: 'Disconnect part',
+  deleteConnection: 'Delete connection'
+});
@@ -0,0 +1,310 @@
+/**
+ * Cost report model for PC History Tracker
+ * Works out spend, resale recovery and cost per month from recorded prices
+ */
+
+// Create namespace
+window.CostReportModel = (function() {
+  // Private members
+
+  // Average month length, for turning day counts into months
+  const DAYS_PER_MONTH = 365.25 / 12;
+
+  /**
+   * Today's date as YYYY-MM-DD
+   * @returns {string} Date string
+   */
+  function today() {
+    return new Date().toISOString().substring(0, 10);
+  }
+
+  /**
+   * Day number of a stored date, for interval arithmetic
+   * @param {string} dateStr - ISO date string
+   * @returns {number} Days since the epoch
+   */
+  function dayNumber(dateStr) {
+    const [year, month, day] = dateStr.substring(0, 10).split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / 86400000;
+  }
+
+  /**
+   * Number of days in a date range, counting both ends
+   * @param {string} start - Start date
+   * @param {string} end - End date
+   * @returns {number} Days (0 if the range is reversed)
+   */
+  function spanDays(start, end) {
+    return Math.max(0, dayNumber(end) - dayNumber(start) + 1);
+  }
+
+  /**
+   * Number of days two date ranges share, counting both ends
+   * @param {string} startA - First range start
+   * @param {string} endA - First range end
+   * @param {string} startB - Second range start
+   * @param {string} endB - Second range end
+   * @returns {number} Shared days (0 if the ranges don't meet)
+   */
+  function overlapDays(startA, endA, startB, endB) {
+    const start = Math.max(dayNumber(startA), dayNumber(startB));
+    const end = Math.min(dayNumber(endA), dayNumber(endB));
+    return Math.max(0, end - start + 1);
+  }
+
+  /**
+   * Months between two dates, counting both ends
+   * @param {string} start - Start date
+   * @param {string} end - End date
+   * @returns {number} Months (fractional)
+   */
+  function monthsBetween(start, end) {
+    return spanDays(start, end) / DAYS_PER_MONTH;
+  }
+
+  /**
+   * Add an amount to a per-currency total
+   * @param {Map} totals - Map of currency to { spend, recovery }
+   * @param {string} currency - Currency code
+   * @param {string} field - 'spend' or 'recovery'
+   * @param {number} amount - Amount to add
+   */
+  function addToTotal(totals, currency, field, amount) {
+    if (!totals.has(currency)) {
+      totals.set(currency, { spend: 0, recovery: 0 });
+    }
+    totals.get(currency)[field] += amount;
+  }
+
+  /**
+   * Cost figures for one currency
+   * @param {string} currency - Currency code
+   * @param {Object} total - { spend, recovery }
+   * @param {number|null} months - Months the cost is spread over
+   * @returns {Object} { currency, spend, recovery, net, months, cost_per_month }
+   */
+  function costFigures(currency, total, months) {
+    const net = total.spend - total.recovery;
+    return {
+      currency,
+      spend: total.spend,
+      recovery: total.recovery,
+      net,
+      months,
+      cost_per_month: months ? net / months : null
+    };
+  }
+
+  /**
+   * Load every part with a purchase or sale price, with its latest disposal
+   * @returns {Promise<Array>} Priced part rows
+   */
+  async function getPricedParts() {
+    const query = `
+      SELECT
+        p.id,
+        p.brand,
+        p.model,
+        p.type,
+        p.acquisition_date,
+        p.date_precision,
+        p.purchase_price,
+        p.purchase_currency,
+        d.disposed_at,
+        d.sale_price,
+        d.sale_currency
+      FROM parts p
+      LEFT JOIN disposals d ON d.id = (
+        SELECT id FROM disposals WHERE part_id = p.id ORDER BY disposed_at DESC, id DESC LIMIT 1
+      )
+      WHERE p.purchase_price IS NOT NULL OR d.sale_price IS NOT NULL
+      ORDER BY p.brand, p.model, p.id
+    `;
+
+    return window.QueryService.all(query);
+  }
+
+  /**
+   * Cost per part: what it cost, what selling it recovered, and the net cost
+   * spread over the months it was owned (acquisition to disposal, or today)
+   * @returns {Promise<Array>} Rows with part details and cost figures; net is null when
+   *   the purchase and sale were in different currencies
+   */
+  async function getPartCosts() {
+    try {
+      const end = today();
+
+      return (await getPricedParts()).map(part => {
+        const currency = part.purchase_currency || part.sale_currency;
+        const comparable = part.purchase_price === null || part.sale_price === null ||
+          part.purchase_currency === part.sale_currency;
+
+        const months = part.acquisition_date && part.date_precision !== 'none' ?
+          monthsBetween(part.acquisition_date, part.disposed_at || end) : null;
+
+        const figures = costFigures(currency, {
+          spend: part.purchase_price || 0,
+          recovery: part.sale_price || 0
+        }, months);
+
+        return {
+          id: part.id,
+          brand: part.brand,
+          model: part.model,
+          type: part.type,
+          acquisition_date: part.acquisition_date,
+          disposed_at: part.disposed_at,
+          purchase_price: part.purchase_price,
+          purchase_currency: part.purchase_currency,
+          sale_price: part.sale_price,
+          sale_currency: part.sale_currency,
+          ...figures,
+          net: comparable ? figures.net : null,
+          cost_per_month: comparable ? figures.cost_per_month : null
+        };
+      });
+    } catch (err) {
+      console.error('Error getting part costs:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cost per rig lifecycle. Each part's price (and resale) is shared between the
+   * lifecycles it served in proportion to the days it was connected to each; the
+   * motherboard's own price is shared across its lifecycles by their length.
+   * @returns {Promise<Array>} Rows per lifecycle and currency, newest lifecycles last per rig
+   */
+  async function getRigCosts() {
+    try {
+      const end = today();
+      const priced = new Map((await getPricedParts()).map(part => [part.id, part]));
+
+      const connections = await window.QueryService.all(
+        'SELECT part_id, motherboard_id, connected_at, disconnected_at FROM connections'
+      );
+
+      // Days each part spent connected, across every rig
+      const connectedDays = new Map();
+      connections.forEach(c => {
+        const days = spanDays(c.connected_at, c.disconnected_at || end);
+        connectedDays.set(c.part_id, (connectedDays.get(c.part_id) || 0) + days);
+      });
+
+      // Add a share of a part's purchase and sale to the totals
+      const addShare = (totals, part, share) => {
+        if (part.purchase_price !== null) {
+          addToTotal(totals, part.purchase_currency, 'spend', part.purchase_price * share);
+        }
+        if (part.sale_price !== null) {
+          addToTotal(totals, part.sale_currency, 'recovery', part.sale_price * share);
+        }
+      };
+
+      const motherboards = await window.QueryService.all(
+        "SELECT id, brand, model FROM parts WHERE type = 'motherboard' ORDER BY brand, model, id"
+      );
+
+      const rows = [];
+
+      for (const motherboard of motherboards) {
+        const lifecycles = await window.RigModel.computeRigLifecycles(motherboard.id);
+        if (lifecycles.length === 0) continue;
+
+        const lifecycleDays = lifecycles.map(cycle => spanDays(cycle.start_date, cycle.end_date || end));
+        const totalLifecycleDays = lifecycleDays.reduce((sum, days) => sum + days, 0);
+
+        for (const [index, cycle] of lifecycles.entries()) {
+          const cycleEnd = cycle.end_date || end;
+          const totals = new Map();
+
+          // The motherboard itself
+          if (priced.has(motherboard.id) && totalLifecycleDays > 0) {
+            addShare(totals, priced.get(motherboard.id), lifecycleDays[index] / totalLifecycleDays);
+          }
+
+          // Parts connected during this lifecycle
+          connections
+            .filter(c => c.motherboard_id === motherboard.id && priced.has(c.part_id))
+            .forEach(c => {
+              const days = overlapDays(c.connected_at, c.disconnected_at || end, cycle.start_date, cycleEnd);
+              if (days > 0) {
+                addShare(totals, priced.get(c.part_id), days / connectedDays.get(c.part_id));
+              }
+            });
+
+          const rigName = await window.RigModel.getRigName(motherboard.id, cycle.start_date);
+
+          totals.forEach((total, currency) => {
+            rows.push({
+              motherboard_id: motherboard.id,
+              name: rigName ? rigName.name : `${motherboard.brand} ${motherboard.model}`,
+              sequence: cycle.sequence,
+              start_date: cycle.start_date,
+              start_precision: cycle.start_precision,
+              end_date: cycle.end_date,
+              end_precision: cycle.end_precision,
+              ...costFigures(currency, total, monthsBetween(cycle.start_date, cycleEnd))
+            });
+          });
+        }
+      }
+
+      return rows;
+    } catch (err) {
+      console.error('Error getting rig costs:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Cost per calendar year: purchases made and resales completed in that year.
+   * Cost per month divides the net by the year's months (so far, for this year).
+   * @returns {Promise<Array>} Rows per year and currency, newest first
+   */
+  async function getYearCosts() {
+    try {
+      const end = today();
+      const currentYear = parseInt(end.substring(0, 4));
+      const years = new Map();
+
+      const totalsFor = year => {
+        if (!years.has(year)) {
+          years.set(year, new Map());
+        }
+        return years.get(year);
+      };
+
+      (await getPricedParts()).forEach(part => {
+        if (part.purchase_price !== null && part.acquisition_date && part.date_precision !== 'none') {
+          addToTotal(totalsFor(parseInt(part.acquisition_date.substring(0, 4))),
+            part.purchase_currency, 'spend', part.purchase_price);
+        }
+        if (part.sale_price !== null && part.disposed_at) {
+          addToTotal(totalsFor(parseInt(part.disposed_at.substring(0, 4))),
+            part.sale_currency, 'recovery', part.sale_price);
+        }
+      });
+
+      const rows = [];
+      Array.from(years.keys()).sort((a, b) => b - a).forEach(year => {
+        const months = year === currentYear ? parseInt(end.substring(5, 7)) : 12;
+        Array.from(years.get(year).keys()).sort().forEach(currency => {
+          rows.push({ year, ...costFigures(currency, years.get(year).get(currency), months) });
+        });
+      });
+
+      return rows;
+    } catch (err) {
+      console.error('Error getting yearly costs:', err);
+      throw err;
+    }
+  }
+
+  // Public API
+  return {
+    getPartCosts,
+    getRigCosts,
+    getYearCosts
+  };
+})();
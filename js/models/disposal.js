@@ -7,64 +7,73 @@
 window.DisposalModel = (function() {
   // Private members
   
+  // Columns returned for a disposal record
+  const DISPOSAL_COLUMNS = `
+    id,
+    part_id,
+    disposed_at,
+    disposed_precision,
+    reason,
+    method,
+    recipient,
+    sale_price,
+    sale_currency,
+    notes
+  `;
+  
   /**
    * Get disposal information for a part
    * @param {number} partId - Part ID
-   * @returns {Object|null} Disposal information or null if not disposed
+   * @returns {Promise<Object|null>} Disposal information or null if not disposed
    */
-  function getDisposalForPart(partId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function getDisposalForPart(partId) {
     try {
       const query = `
-        SELECT 
-          id,
-          part_id,
-          disposed_at,
-          disposed_precision,
-          reason,
-          notes
+        SELECT ${DISPOSAL_COLUMNS}
         FROM disposals
-        WHERE part_id = ${partId}
+        WHERE part_id = ?
         ORDER BY disposed_at DESC
         LIMIT 1
       `;
       
-      const result = db.exec(query);
-      if (result.length === 0 || result[0].values.length === 0) {
-        return null;
-      }
-      
-      // Map column names to values
-      const columns = result[0].columns;
-      const row = result[0].values[0];
-      
-      const disposal = {};
-      columns.forEach((column, index) => {
-        disposal[column] = row[index];
-      });
-      
-      return disposal;
+      return await window.QueryService.get(query, [partId]);
     } catch (err) {
       console.error(`Error getting disposal for part ${partId}:`, err);
       throw err;
     }
   }
+  
+  /**
+   * Get every disposal record for a part, newest first
+   * @param {number} partId - Part ID
+   * @returns {Promise<Array>} Array of disposal records
+   */
+  async function getDisposalHistory(partId) {
+    try {
+      const query = `
+        SELECT ${DISPOSAL_COLUMNS}
+        FROM disposals
+        WHERE part_id = ?
+        ORDER BY disposed_at DESC, id DESC
+      `;
+      
+      return await window.QueryService.all(query, [partId]);
+    } catch (err) {
+      console.error(`Error getting disposal history for part ${partId}:`, err);
+      throw err;
+    }
+  }
 
   /**
    * Dispose of a part
    * @param {number} partId - Part ID
    * @param {Object} dateInfo - Disposal date information
-   * @param {Object} disposalInfo - Disposal info (method, recipient, price, etc.)
-   * @returns {number} New disposal ID
+   * @param {Object} disposalInfo - Disposal info (method, recipient, price, currency, notes)
+   * @returns {Promise<number>} New disposal ID
    */
-  function disposePart(partId, dateInfo, disposalInfo = {}) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function disposePart(partId, dateInfo, disposalInfo = {}) {
     const { year, month, day } = dateInfo;
-    const { method, recipient, price, notes } = disposalInfo;
+    const { method, recipient, price, currency, notes } = disposalInfo;
     
     // Validate parameters
     if (!partId) {
@@ -75,103 +84,94 @@ window.DisposalModel = (function() {
       throw new Error('Disposal year is required');
     }
     
+    // Free-text prices ("$50") are still accepted; the currency defaults to the usual one
+    const parsedPrice = price === null || price === undefined || price === '' ? null : window.MoneyUtils.parseAmount(price);
+    const salePrice = parsedPrice ? parsedPrice.amount : null;
+    if (parsedPrice && (salePrice === null || salePrice < 0)) {
+      throw new Error('Sale price must be a number of zero or more');
+    }
+    
+    const saleCurrency = window.MoneyUtils.normalizeCurrency(currency) ||
+      (parsedPrice && parsedPrice.currency) || await window.PartModel.getDefaultCurrency();
+    
     try {
-      // Begin transaction
-      db.run('BEGIN TRANSACTION');
-      
-      // Format the date strings consistently
-      const dateString = window.DateUtils.createDateString(year, month, day);
-      const precision = window.DateUtils.getDatePrecision(year, month, day);
-      
-      // Check if part is a motherboard that has active connections
-      // In that case, we need to disconnect all parts first
-      const checkQuery = `
-        SELECT COUNT(*) as active_connections
-        FROM connections 
-        WHERE motherboard_id = ${partId} AND disconnected_at IS NULL
-      `;
-      
-      const checkResult = db.exec(checkQuery);
-      const activeConnections = checkResult[0].values[0][0];
-      
-      if (activeConnections > 0) {
-        // For a motherboard, disconnect all connected parts with a proper note
-        console.log(`Disconnecting ${activeConnections} parts from motherboard ${partId}`);
+      // Reject disposals that predate the part or its rig's activity
+      return await window.TemporalValidator.guard([partId], async () => {
+        // Format the date strings consistently
+        const dateString = window.DateUtils.createDateString(year, month, day);
+        const precision = window.DateUtils.getDatePrecision(year, month, day);
         
-        db.run(`
-          UPDATE connections
-          SET disconnected_at = '${dateString}',
-              disconnected_precision = '${precision}',
-              notes = CASE 
-                WHEN notes IS NULL OR notes = '' THEN 'Disconnected due to motherboard disposal'
-                ELSE notes || '; Disconnected due to motherboard disposal' 
-              END
-          WHERE motherboard_id = ${partId} AND disconnected_at IS NULL
-        `);
-      }
-      
-      // Now disconnect this part from any motherboard it might be connected to
-      const partActiveQuery = `
-        SELECT id, motherboard_id 
-        FROM connections 
-        WHERE part_id = ${partId} AND disconnected_at IS NULL
-      `;
-      
-      const partActiveResult = db.exec(partActiveQuery);
-      
-      if (partActiveResult.length > 0 && partActiveResult[0].values.length > 0) {
-        // Part is connected to a motherboard, disconnect it with a proper note
-        for (const [connectionId, motherboardId] of partActiveResult[0].values) {
-          db.run(`
+        // Check if part is a motherboard that has active connections
+        // In that case, we need to disconnect all parts first
+        const activeConnections = await window.QueryService.value(`
+          SELECT COUNT(*) as active_connections
+          FROM connections 
+          WHERE motherboard_id = ? AND disconnected_at IS NULL
+        `, [partId]);
+        
+        if (activeConnections > 0) {
+          // For a motherboard, disconnect all connected parts with a proper note
+          console.log(`Disconnecting ${activeConnections} parts from motherboard ${partId}`);
+          
+          await window.QueryService.run(`
             UPDATE connections
-            SET disconnected_at = '${dateString}',
-                disconnected_precision = '${precision}',
+            SET disconnected_at = ?,
+                disconnected_precision = ?,
                 notes = CASE 
-                  WHEN notes IS NULL OR notes = '' THEN 'Disconnected due to part disposal'
-                  ELSE notes || '; Disconnected due to part disposal' 
+                  WHEN notes IS NULL OR notes = '' THEN 'Disconnected due to motherboard disposal'
+                  ELSE notes || '; Disconnected due to motherboard disposal' 
                 END
-            WHERE id = ${connectionId}
-          `);
+            WHERE motherboard_id = ? AND disconnected_at IS NULL
+          `, [dateString, precision, partId]);
         }
-      }
-      
-      // Create a reason string from the disposal info
-      let reasonStr = method || 'Disposed';
-      if (recipient) {
-        reasonStr += ` to ${recipient}`;
-      }
-      if (price) {
-        reasonStr += ` for ${price}`;
-      }
-      
-      // Insert the disposal record
-      const query = `
-        INSERT INTO disposals (part_id, disposed_at, disposed_precision, reason, notes)
-        VALUES (?, ?, ?, ?, ?)
-      `;
-      
-      const params = [
-        partId,
-        dateString,
-        precision,
-        reasonStr,
-        notes || ''
-      ];
-      
-      db.run(query, params);
-      
-      // Mark the part as deleted
-      db.run(`UPDATE parts SET is_deleted = 1 WHERE id = ${partId}`);
-      
-      // Commit transaction
-      db.run('COMMIT');
-      
-      // Get the last inserted ID
-      const result = db.exec('SELECT last_insert_rowid()');
-      return result[0].values[0][0];
+        
+        // Now disconnect this part from any motherboard it might be connected to
+        await window.QueryService.run(`
+          UPDATE connections
+          SET disconnected_at = ?,
+              disconnected_precision = ?,
+              notes = CASE 
+                WHEN notes IS NULL OR notes = '' THEN 'Disconnected due to part disposal'
+                ELSE notes || '; Disconnected due to part disposal' 
+              END
+          WHERE part_id = ? AND disconnected_at IS NULL
+        `, [dateString, precision, partId]);
+        
+        // Keep a readable summary alongside the structured columns
+        let reasonStr = method || 'Disposed';
+        if (recipient) {
+          reasonStr += ` to ${recipient}`;
+        }
+        if (salePrice !== null) {
+          reasonStr += ` for ${window.MoneyUtils.formatAmount(salePrice, saleCurrency)}`;
+        }
+        
+        // Insert the disposal record
+        const query = `
+          INSERT INTO disposals (part_id, disposed_at, disposed_precision, reason, method, recipient, sale_price, sale_currency, notes)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        
+        const params = [
+          partId,
+          dateString,
+          precision,
+          reasonStr,
+          method || 'other',
+          recipient || null,
+          salePrice,
+          salePrice === null ? null : saleCurrency,
+          notes || ''
+        ];
+        
+        const disposalId = (await window.QueryService.run(query, params)).lastInsertId;
+        
+        // Mark the part as deleted
+        await window.QueryService.run('UPDATE parts SET is_deleted = 1 WHERE id = ?', [partId]);
+        
+        return disposalId;
+      });
     } catch (err) {
-      // Rollback transaction on error
-      db.run('ROLLBACK');
       console.error(`Error disposing part ${partId}:`, err);
       throw err;
     }
@@ -181,25 +181,16 @@ window.DisposalModel = (function() {
    * Restore a disposed part
    * @param {number} partId - Part ID
    */
-  function restoreDisposedPart(partId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function restoreDisposedPart(partId) {
     try {
-      // Begin transaction
-      db.run('BEGIN TRANSACTION');
-      
-      // Delete disposal records
-      db.run(`DELETE FROM disposals WHERE part_id = ${partId}`);
-      
-      // Mark the part as not deleted
-      db.run(`UPDATE parts SET is_deleted = 0 WHERE id = ${partId}`);
-      
-      // Commit transaction
-      db.run('COMMIT');
+      await window.QueryService.transaction(async () => {
+        // Delete disposal records
+        await window.QueryService.run('DELETE FROM disposals WHERE part_id = ?', [partId]);
+        
+        // Mark the part as not deleted
+        await window.QueryService.run('UPDATE parts SET is_deleted = 0 WHERE id = ?', [partId]);
+      });
     } catch (err) {
-      // Rollback transaction on error
-      db.run('ROLLBACK');
       console.error(`Error restoring disposed part ${partId}:`, err);
       throw err;
     }
@@ -209,43 +200,33 @@ window.DisposalModel = (function() {
    * Delete a disposal record
    * @param {number} disposalId - Disposal ID
    */
-  function deleteDisposal(disposalId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function deleteDisposal(disposalId) {
     try {
-      // Begin transaction
-      db.run('BEGIN TRANSACTION');
-      
-      // Get the part ID
-      const query = `SELECT part_id FROM disposals WHERE id = ${disposalId}`;
-      const result = db.exec(query);
-      
-      if (result.length === 0 || result[0].values.length === 0) {
-        throw new Error(`Disposal with ID ${disposalId} not found`);
-      }
-      
-      const partId = result[0].values[0][0];
-      
-      // Delete the disposal record
-      db.run(`DELETE FROM disposals WHERE id = ${disposalId}`);
-      
-      // Check if there are other disposal records for this part
-      const checkQuery = `SELECT COUNT(*) FROM disposals WHERE part_id = ${partId}`;
-      const checkResult = db.exec(checkQuery);
-      
-      const disposalCount = checkResult[0].values[0][0];
-      
-      // If no other disposal records, mark part as not deleted
-      if (disposalCount === 0) {
-        db.run(`UPDATE parts SET is_deleted = 0 WHERE id = ${partId}`);
-      }
-      
-      // Commit transaction
-      db.run('COMMIT');
+      await window.QueryService.transaction(async () => {
+        // Get the part ID
+        const disposal = await window.QueryService.get('SELECT part_id FROM disposals WHERE id = ?', [disposalId]);
+        
+        if (!disposal) {
+          throw new Error(`Disposal with ID ${disposalId} not found`);
+        }
+        
+        const partId = disposal.part_id;
+        
+        // Delete the disposal record
+        await window.QueryService.run('DELETE FROM disposals WHERE id = ?', [disposalId]);
+        
+        // Check if there are other disposal records for this part
+        const disposalCount = await window.QueryService.value(
+          'SELECT COUNT(*) FROM disposals WHERE part_id = ?',
+          [partId]
+        );
+        
+        // If no other disposal records, mark part as not deleted
+        if (disposalCount === 0) {
+          await window.QueryService.run('UPDATE parts SET is_deleted = 0 WHERE id = ?', [partId]);
+        }
+      });
     } catch (err) {
-      // Rollback transaction on error
-      db.run('ROLLBACK');
       console.error(`Error deleting disposal ${disposalId}:`, err);
       throw err;
     }
@@ -254,8 +235,16 @@ window.DisposalModel = (function() {
   // Public API
   return {
     getDisposalForPart,
+    getDisposalHistory,
     disposePart,
     restoreDisposedPart,
     deleteDisposal
   };
-})();
\ No newline at end of file
+})();
+
+// Record disposal mutations for undo/redo
+window.HistoryService.track(window.DisposalModel, {
+  disposePart: 'Dispose part',
+  restoreDisposedPart: 'Restore disposed part',
+  deleteDisposal: 'Delete disposal'
+});
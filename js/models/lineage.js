@@ -0,0 +1,166 @@
+/**
+ * Lineage model for PC History Tracker
+ * Links the physical parts that make up one logical component over time
+ */
+
+// Create namespace
+window.LineageModel = (function() {
+  // Private members
+
+  /**
+   * Link types, read as "part <relation> related part", with how each reads
+   * from the part's side (forward) and from the related part's side (reverse)
+   */
+  const RELATIONS = {
+    replaced_by: { forward: 'Replaced by', reverse: 'Replaces' },
+    split_from: { forward: 'Split from', reverse: 'Split into' },
+    merged_into: { forward: 'Merged into', reverse: 'Merged from' }
+  };
+
+  /**
+   * Get every link involving a part, seen from that part's side
+   * @param {number} partId - Part ID
+   * @returns {Promise<Array>} Links with id, relation, direction ('forward' or 'reverse'),
+   *   label, other_part_id, other_brand, other_model, other_type, linked_at,
+   *   linked_precision and notes
+   */
+  async function getLinksForPart(partId) {
+    try {
+      const query = `
+        SELECT
+          l.id,
+          l.relation,
+          CASE WHEN l.part_id = ? THEN 'forward' ELSE 'reverse' END as direction,
+          o.id as other_part_id,
+          o.brand as other_brand,
+          o.model as other_model,
+          o.type as other_type,
+          l.linked_at,
+          l.linked_precision,
+          l.notes
+        FROM part_lineage l
+        JOIN parts o ON o.id = CASE WHEN l.part_id = ? THEN l.related_part_id ELSE l.part_id END
+        WHERE l.part_id = ? OR l.related_part_id = ?
+        ORDER BY l.linked_at, l.id
+      `;
+
+      return (await window.QueryService.all(query, [partId, partId, partId, partId])).map(link => ({
+        ...link,
+        label: RELATIONS[link.relation][link.direction]
+      }));
+    } catch (err) {
+      console.error(`Error getting lineage links for part ${partId}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get every part connected to a part through lineage links, in either
+   * direction and over any number of steps
+   * @param {number} partId - Part ID
+   * @returns {Promise<Array>} Part IDs including partId, oldest acquisition first
+   */
+  async function getLineagePartIds(partId) {
+    try {
+      const query = `
+        WITH RECURSIVE lineage(id) AS (
+          SELECT ?
+          UNION
+          SELECT CASE WHEN l.part_id = lineage.id THEN l.related_part_id ELSE l.part_id END
+          FROM part_lineage l
+          JOIN lineage ON l.part_id = lineage.id OR l.related_part_id = lineage.id
+        )
+        SELECT p.id
+        FROM parts p
+        JOIN lineage ON lineage.id = p.id
+        ORDER BY p.acquisition_date IS NULL, p.acquisition_date, p.id
+      `;
+
+      return (await window.QueryService.all(query, [partId])).map(row => row.id);
+    } catch (err) {
+      console.error(`Error getting lineage for part ${partId}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Link two parts
+   * @param {number} partId - Part the relation is read from
+   * @param {string} relation - 'replaced_by', 'split_from' or 'merged_into'
+   * @param {number} relatedPartId - Part on the other side of the relation
+   * @param {Object|null} dateInfo - Optional date of the change ({ year, month, day })
+   * @param {string} notes - Optional notes
+   * @returns {Promise<number>} New link ID
+   */
+  async function addLink(partId, relation, relatedPartId, dateInfo = null, notes = '') {
+    if (!RELATIONS[relation]) {
+      throw new Error(`Invalid lineage relation: ${relation}`);
+    }
+
+    if (!partId || !relatedPartId) {
+      throw new Error('Both parts are required');
+    }
+
+    if (Number(partId) === Number(relatedPartId)) {
+      throw new Error('A part cannot be linked to itself');
+    }
+
+    try {
+      if (!await window.PartModel.getPartById(partId) || !await window.PartModel.getPartById(relatedPartId)) {
+        throw new Error('Part not found');
+      }
+
+      // One link per pair of parts, whichever way round it was recorded
+      const existing = await window.QueryService.value(`
+        SELECT COUNT(*) FROM part_lineage
+        WHERE (part_id = ? AND related_part_id = ?) OR (part_id = ? AND related_part_id = ?)
+      `, [partId, relatedPartId, relatedPartId, partId]);
+
+      if (existing > 0) {
+        throw new Error('These parts are already linked');
+      }
+
+      const { year, month, day } = dateInfo || {};
+      const dateString = year ? window.DateUtils.createDateString(year, month, day) : null;
+      const precision = year ? window.DateUtils.getDatePrecision(year, month, day) : null;
+
+      const query = `
+        INSERT INTO part_lineage (part_id, relation, related_part_id, linked_at, linked_precision, notes)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `;
+
+      return (await window.QueryService.run(query, [partId, relation, relatedPartId, dateString, precision, notes || ''])).lastInsertId;
+    } catch (err) {
+      console.error(`Error linking part ${partId} to part ${relatedPartId}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Remove a link
+   * @param {number} linkId - Link ID
+   */
+  async function deleteLink(linkId) {
+    try {
+      await window.QueryService.run('DELETE FROM part_lineage WHERE id = ?', [linkId]);
+    } catch (err) {
+      console.error(`Error deleting lineage link ${linkId}:`, err);
+      throw err;
+    }
+  }
+
+  // Public API
+  return {
+    RELATIONS,
+    getLinksForPart,
+    getLineagePartIds,
+    addLink,
+    deleteLink
+  };
+})();
+
+// Record lineage changes for undo/redo
+window.HistoryService.track(window.LineageModel, {
+  addLink: 'Link parts',
+  deleteLink: 'Unlink parts'
+});
@@ -19,24 +19,72 @@ window.PartModel = (function() {
     'other'
   ];
   
+  /**
+   * Trim an optional identifier (serial, SKU, asset tag), storing blanks as NULL
+   * @param {string} value - Entered value
+   * @returns {string|null} Identifier or null
+   */
+  function normalizeIdentifier(value) {
+    const trimmed = (value || '').trim();
+    return trimmed === '' ? null : trimmed;
+  }
+  
+  /**
+   * Validate the purchase price fields of part data
+   * @param {Object} part - Part data
+   * @returns {Promise<Array>} [purchase_price, purchase_currency, vendor] ready to store
+   */
+  async function normalizePurchase(part) {
+    const given = part.purchase_price !== null && part.purchase_price !== undefined && part.purchase_price !== '';
+    const parsed = given ? window.MoneyUtils.parseAmount(part.purchase_price) : { amount: null, currency: null };
+    
+    if (given && (parsed.amount === null || parsed.amount < 0)) {
+      throw new Error('Purchase price must be a number of zero or more');
+    }
+    
+    // Without a currency, assume the one used for most other prices
+    const currency = parsed.amount === null ? null :
+      window.MoneyUtils.normalizeCurrency(part.purchase_currency) || parsed.currency || await window.PartModel.getDefaultCurrency();
+    
+    return [parsed.amount, currency, normalizeIdentifier(part.vendor)];
+  }
+  
+  /**
+   * Validate an optional warranty length
+   * @param {number|string} months - Entered warranty length in months
+   * @returns {number|null} Whole months, or null if none was given
+   */
+  function normalizeWarranty(months) {
+    if (months === null || months === undefined || months === '') return null;
+    
+    const value = Number(months);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error('Warranty must be a whole number of months');
+    }
+    
+    return value;
+  }
+  
   return {
     /**
      * Get all parts
-     * @param {Object} filters - Optional filters
+     * @param {Object} filters - Optional filters (type, status, search, asOf date)
      * @param {string} sortColumn - Column to sort by
      * @param {string} sortDirection - Sort direction ('asc' or 'desc')
-     * @returns {Array} Array of part objects
+     * @returns {Promise<Array>} Array of part objects (queried in the database worker)
      */
-    getAllParts: function(filters = {}, sortColumn = 'id', sortDirection = 'asc') {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
+    getAllParts: async function(filters = {}, sortColumn = 'id', sortDirection = 'asc') {
+      // Connection, rig and disposal state as of the requested date (or now)
+      const state = this.buildStateCte(filters.asOf);
       
       // Build WHERE clause based on filters
-      const whereConditions = [];
+      const whereConditions = ['p.id IN (SELECT id FROM present_parts)'];
+      const params = [...state.params];
       
       // Type filter
       if (filters.type && filters.type !== 'all') {
-        whereConditions.push(`p.type = '${filters.type}'`);
+        whereConditions.push('p.type = ?');
+        params.push(filters.type);
       }
       
       // Status filter
@@ -44,36 +92,48 @@ window.PartModel = (function() {
         switch (filters.status) {
           case 'active':
             whereConditions.push(`
-              ((p.type = 'motherboard' AND EXISTS (SELECT 1 FROM connections c WHERE c.motherboard_id = p.id AND c.disconnected_at IS NULL))
+              ((p.type = 'motherboard' AND EXISTS (SELECT 1 FROM live_connections c WHERE c.motherboard_id = p.id))
               OR
-              (p.type != 'motherboard' AND EXISTS (SELECT 1 FROM connections c WHERE c.part_id = p.id AND c.disconnected_at IS NULL)))
-              AND p.is_deleted = 0
+              (p.type != 'motherboard' AND EXISTS (SELECT 1 FROM live_connections c WHERE c.part_id = p.id)))
+              AND p.id NOT IN (SELECT id FROM retired)
             `);
             break;
           case 'bin':
             whereConditions.push(`
               NOT EXISTS (
-                SELECT 1 FROM connections c 
-                WHERE (c.part_id = p.id OR c.motherboard_id = p.id) 
-                AND c.disconnected_at IS NULL
+                SELECT 1 FROM live_connections c 
+                WHERE (c.part_id = p.id OR c.motherboard_id = p.id)
               )
-              AND p.is_deleted = 0
+              AND p.id NOT IN (SELECT id FROM retired)
+              AND p.id NOT IN (SELECT id FROM away_parts)
+            `);
+            break;
+          case 'repair':
+            whereConditions.push(`
+              p.id IN (SELECT id FROM away_parts)
+              AND p.id NOT IN (SELECT id FROM retired)
             `);
             break;
           case 'deleted':
-            whereConditions.push(`p.is_deleted = 1`);
+            whereConditions.push(`p.id IN (SELECT id FROM retired)`);
             break;
         }
       }
       
       // Search filter
       if (filters.search && filters.search.trim() !== '') {
-        const searchTerm = filters.search.trim().replace(/'/g, "''"); // Escape single quotes
+        // Escape LIKE wildcards so the search term matches literally
+        const searchTerm = '%' + filters.search.trim().replace(/[\\%_]/g, '\\$&') + '%';
         whereConditions.push(`
-          (p.brand LIKE '%${searchTerm}%' OR 
-           p.model LIKE '%${searchTerm}%' OR 
-           p.notes LIKE '%${searchTerm}%')
+          (p.brand LIKE ? ESCAPE '\\' OR 
+           p.model LIKE ? ESCAPE '\\' OR 
+           p.notes LIKE ? ESCAPE '\\' OR 
+           p.serial_number LIKE ? ESCAPE '\\' OR 
+           p.sku LIKE ? ESCAPE '\\' OR 
+           p.asset_tag LIKE ? ESCAPE '\\' OR 
+           p.vendor LIKE ? ESCAPE '\\')
         `);
+        params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
       }
       
       // Combine all WHERE conditions
@@ -82,7 +142,8 @@ window.PartModel = (function() {
         whereClause = 'WHERE ' + whereConditions.join(' AND ');
       }
       
-      // Build ORDER BY clause based on sort
+      // Build ORDER BY clause based on sort (direction can't be bound, so whitelist it)
+      sortDirection = String(sortDirection).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
       let orderByClause = '';
       
       switch (sortColumn) {
@@ -110,6 +171,7 @@ window.PartModel = (function() {
       
       // Execute the query
       const query = `
+        WITH ${state.sql}
         SELECT 
           p.id,
           p.brand,
@@ -118,32 +180,39 @@ window.PartModel = (function() {
           p.acquisition_date,
           p.date_precision,
           p.notes,
+          p.serial_number,
+          p.sku,
+          p.asset_tag,
+          p.purchase_price,
+          p.purchase_currency,
+          p.vendor,
+          p.warranty_months,
           p.is_deleted,
           CASE
-            WHEN p.is_deleted = 1 THEN 'deleted'
-            WHEN p.type = 'motherboard' AND EXISTS (SELECT 1 FROM connections c WHERE c.motherboard_id = p.id AND c.disconnected_at IS NULL) THEN 'active'
-            WHEN p.type != 'motherboard' AND EXISTS (SELECT 1 FROM connections c WHERE c.part_id = p.id AND c.disconnected_at IS NULL) THEN 'active'
+            WHEN p.id IN (SELECT id FROM retired) THEN 'deleted'
+            WHEN p.type = 'motherboard' AND EXISTS (SELECT 1 FROM live_connections c WHERE c.motherboard_id = p.id) THEN 'active'
+            WHEN p.type != 'motherboard' AND EXISTS (SELECT 1 FROM live_connections c WHERE c.part_id = p.id) THEN 'active'
+            WHEN p.id IN (SELECT id FROM away_parts) THEN 'repair'
             ELSE 'bin'
           END as status,
           CASE
-            WHEN p.is_deleted = 1 THEN 2
-            WHEN (p.type = 'motherboard' AND EXISTS (SELECT 1 FROM connections c WHERE c.motherboard_id = p.id AND c.disconnected_at IS NULL))
-              OR (p.type != 'motherboard' AND EXISTS (SELECT 1 FROM connections c WHERE c.part_id = p.id AND c.disconnected_at IS NULL)) THEN 0
+            WHEN p.id IN (SELECT id FROM retired) THEN 3
+            WHEN (p.type = 'motherboard' AND EXISTS (SELECT 1 FROM live_connections c WHERE c.motherboard_id = p.id))
+              OR (p.type != 'motherboard' AND EXISTS (SELECT 1 FROM live_connections c WHERE c.part_id = p.id)) THEN 0
+            WHEN p.id IN (SELECT id FROM away_parts) THEN 2
             ELSE 1
           END as status_order,
           CASE
-            WHEN p.type = 'motherboard' THEN (SELECT COUNT(*) FROM connections c WHERE c.motherboard_id = p.id AND c.disconnected_at IS NULL)
-            ELSE (SELECT COUNT(*) FROM connections c WHERE c.part_id = p.id AND c.disconnected_at IS NULL)
+            WHEN p.type = 'motherboard' THEN (SELECT COUNT(*) FROM live_connections c WHERE c.motherboard_id = p.id)
+            ELSE (SELECT COUNT(*) FROM live_connections c WHERE c.part_id = p.id)
           END as active_connections,
           CASE
-            WHEN p.type = 'motherboard' THEN (SELECT name FROM rig_identities ri WHERE ri.motherboard_id = p.id AND ri.active_until IS NULL ORDER BY ri.active_from DESC LIMIT 1)
+            WHEN p.type = 'motherboard' THEN (SELECT name FROM live_identities ri WHERE ri.motherboard_id = p.id ORDER BY ri.active_from DESC LIMIT 1)
             ELSE (
               SELECT ri.name 
-              FROM rig_identities ri 
-              JOIN connections c ON c.motherboard_id = ri.motherboard_id 
+              FROM live_identities ri 
+              JOIN live_connections c ON c.motherboard_id = ri.motherboard_id 
               WHERE c.part_id = p.id 
-              AND c.disconnected_at IS NULL 
-              AND ri.active_until IS NULL 
               ORDER BY ri.active_from DESC LIMIT 1
             )
           END as rig_name
@@ -153,33 +222,65 @@ window.PartModel = (function() {
       `;
       
       try {
-        const result = db.exec(query);
-        if (result.length === 0) return [];
-        
-        // Map column names to values
-        const columns = result[0].columns;
-        return result[0].values.map(row => {
-          const part = {};
-          columns.forEach((column, index) => {
-            part[column] = row[index];
-          });
-          return part;
-        });
+        return await QueryService.all(query, params);
       } catch (err) {
         console.error('Error getting parts:', err);
         throw err;
       }
     },
     
+    /**
+     * Build common table expressions describing the collection at a point in time:
+     * present_parts (acquired by then), live_connections, live_identities (rig
+     * identities in effect), away_parts (out on an RMA) and retired (disposed or
+     * deleted parts). Dates are
+     * compared by precision, so a year-precision date counts for the whole year.
+     * @param {string|null} asOf - Date (YYYY-MM-DD), or null for the current state
+     * @returns {Object} { sql, params } - CTE list (without WITH) and its parameters
+     */
+    buildStateCte: function(asOf = null) {
+      if (!asOf) {
+        return {
+          sql: `
+            present_parts AS (SELECT id FROM parts),
+            live_connections AS (SELECT * FROM connections WHERE disconnected_at IS NULL),
+            live_identities AS (SELECT * FROM rig_identities WHERE active_until IS NULL),
+            away_parts AS (SELECT part_id AS id, id AS rma_id FROM rmas WHERE returned_at IS NULL),
+            retired AS (SELECT id FROM parts WHERE is_deleted = 1)
+          `,
+          params: []
+        };
+      }
+      
+      const connected = DateUtils.sqlActiveAt(asOf, 'c.connected_at', 'c.disconnected_at', 'c.disconnected_precision');
+      const named = DateUtils.sqlActiveAt(asOf, 'ri.active_from', 'ri.active_until', 'ri.active_until_precision');
+      const owned = DateUtils.sqlActiveAt(asOf, null, 'd.disposed_at', 'd.disposed_precision');
+      const away = DateUtils.sqlActiveAt(asOf, 'r.sent_at', 'r.returned_at', 'r.returned_precision');
+      
+      // A deleted part is only retired if its disposal had happened by then;
+      // parts deleted without a disposal record have no date, so they stay retired
+      return {
+        sql: `
+          present_parts AS (SELECT id FROM parts WHERE acquisition_date IS NULL OR acquisition_date <= ?),
+          live_connections AS (SELECT * FROM connections c WHERE ${connected.sql}),
+          live_identities AS (SELECT * FROM rig_identities ri WHERE ${named.sql}),
+          away_parts AS (SELECT r.part_id AS id, r.id AS rma_id FROM rmas r WHERE ${away.sql}),
+          retired AS (
+            SELECT p.id FROM parts p
+            WHERE p.is_deleted = 1
+              AND NOT EXISTS (SELECT 1 FROM disposals d WHERE d.part_id = p.id AND ${owned.sql})
+          )
+        `,
+        params: [asOf, ...connected.params, ...named.params, ...away.params, ...owned.params]
+      };
+    },
+    
     /**
      * Get a part by ID
      * @param {number} id - Part ID
-     * @returns {Object} Part object
+     * @returns {Promise<Object>} Part object
      */
-    getPartById: function(id) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    getPartById: async function(id) {
       try {
         const query = `
           SELECT 
@@ -190,11 +291,19 @@ window.PartModel = (function() {
             p.acquisition_date,
             p.date_precision,
             p.notes,
+            p.serial_number,
+            p.sku,
+            p.asset_tag,
+            p.purchase_price,
+            p.purchase_currency,
+            p.vendor,
+            p.warranty_months,
             p.is_deleted,
             CASE
               WHEN p.is_deleted = 1 THEN 'deleted'
               WHEN p.type = 'motherboard' AND EXISTS (SELECT 1 FROM connections c WHERE c.motherboard_id = p.id AND c.disconnected_at IS NULL) THEN 'active'
               WHEN p.type != 'motherboard' AND EXISTS (SELECT 1 FROM connections c WHERE c.part_id = p.id AND c.disconnected_at IS NULL) THEN 'active'
+              WHEN EXISTS (SELECT 1 FROM rmas r WHERE r.part_id = p.id AND r.returned_at IS NULL) THEN 'repair'
               ELSE 'bin'
             END as status,
             CASE
@@ -203,24 +312,10 @@ window.PartModel = (function() {
             END as active_connections,
             (SELECT name FROM rig_identities ri WHERE ri.motherboard_id = p.id AND ri.active_until IS NULL ORDER BY ri.active_from DESC LIMIT 1) as rig_name
           FROM parts p
-          WHERE p.id = ${id}
+          WHERE p.id = ?
         `;
         
-        const result = db.exec(query);
-        if (result.length === 0 || result[0].values.length === 0) {
-          return null;
-        }
-        
-        // Map column names to values
-        const columns = result[0].columns;
-        const row = result[0].values[0];
-        
-        const part = {};
-        columns.forEach((column, index) => {
-          part[column] = row[index];
-        });
-        
-        return part;
+        return await QueryService.get(query, [id]);
       } catch (err) {
         console.error(`Error getting part with ID ${id}:`, err);
         throw err;
@@ -230,12 +325,9 @@ window.PartModel = (function() {
     /**
      * Add a new part
      * @param {Object} part - Part data
-     * @returns {number} New part ID
+     * @returns {Promise<number>} New part ID
      */
-    addPart: function(part) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    addPart: async function(part) {
       try {
         // Validate part data
         if (!part.brand || !part.model || !part.type) {
@@ -248,8 +340,9 @@ window.PartModel = (function() {
         
         // Insert the part
         const query = `
-          INSERT INTO parts (brand, model, type, acquisition_date, date_precision, notes)
-          VALUES (?, ?, ?, ?, ?, ?)
+          INSERT INTO parts (brand, model, type, acquisition_date, date_precision, notes, serial_number, sku, asset_tag,
+                             purchase_price, purchase_currency, vendor, warranty_months)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
         
         const params = [
@@ -258,14 +351,15 @@ window.PartModel = (function() {
           part.type,
           part.acquisition_date || null,
           part.date_precision || 'day',
-          part.notes || ''
+          part.notes || '',
+          normalizeIdentifier(part.serial_number),
+          normalizeIdentifier(part.sku),
+          normalizeIdentifier(part.asset_tag),
+          ...await normalizePurchase(part),
+          normalizeWarranty(part.warranty_months)
         ];
         
-        db.run(query, params);
-        
-        // Get the last inserted ID
-        const result = db.exec('SELECT last_insert_rowid()');
-        return result[0].values[0][0];
+        return (await QueryService.run(query, params)).lastInsertId;
       } catch (err) {
         console.error('Error adding part:', err);
         throw err;
@@ -277,10 +371,7 @@ window.PartModel = (function() {
      * @param {number} id - Part ID
      * @param {Object} part - Part data
      */
-    updatePart: function(id, part) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    updatePart: async function(id, part) {
       try {
         // Validate part data
         if (!part.brand || !part.model || !part.type) {
@@ -299,7 +390,14 @@ window.PartModel = (function() {
               type = ?,
               acquisition_date = ?,
               date_precision = ?,
-              notes = ?
+              notes = ?,
+              serial_number = ?,
+              sku = ?,
+              asset_tag = ?,
+              purchase_price = ?,
+              purchase_currency = ?,
+              vendor = ?,
+              warranty_months = ?
           WHERE id = ?
         `;
         
@@ -310,10 +408,18 @@ window.PartModel = (function() {
           part.acquisition_date || null,
           part.date_precision || 'day',
           part.notes || '',
+          normalizeIdentifier(part.serial_number),
+          normalizeIdentifier(part.sku),
+          normalizeIdentifier(part.asset_tag),
+          ...await normalizePurchase(part),
+          normalizeWarranty(part.warranty_months),
           id
         ];
         
-        db.run(query, params);
+        // A new acquisition date must not postdate the part's connections or disposal
+        await TemporalValidator.guard([id], async () => {
+          await QueryService.run(query, params);
+        });
       } catch (err) {
         console.error(`Error updating part with ID ${id}:`, err);
         throw err;
@@ -324,12 +430,9 @@ window.PartModel = (function() {
      * Mark a part as deleted (soft delete)
      * @param {number} id - Part ID
      */
-    deletePart: function(id) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    deletePart: async function(id) {
       try {
-        db.run(`UPDATE parts SET is_deleted = 1 WHERE id = ${id}`);
+        await QueryService.run('UPDATE parts SET is_deleted = 1 WHERE id = ?', [id]);
       } catch (err) {
         console.error(`Error deleting part with ID ${id}:`, err);
         throw err;
@@ -340,28 +443,258 @@ window.PartModel = (function() {
      * Permanently delete a part and all related data
      * @param {number} id - Part ID
      */
-    hardDeletePart: function(id) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    hardDeletePart: async function(id) {
       try {
-        // Begin transaction
-        db.run('BEGIN TRANSACTION');
+        await QueryService.transaction(async () => {
+          // Delete related data
+          await QueryService.run('DELETE FROM connections WHERE part_id = ? OR motherboard_id = ?', [id, id]);
+          await QueryService.run('DELETE FROM rig_identities WHERE motherboard_id = ?', [id]);
+          await QueryService.run('DELETE FROM disposals WHERE part_id = ?', [id]);
+          await QueryService.run('DELETE FROM rmas WHERE part_id = ?', [id]);
+          await QueryService.run('UPDATE rmas SET replacement_part_id = NULL WHERE replacement_part_id = ?', [id]);
+          await QueryService.run('DELETE FROM part_lineage WHERE part_id = ? OR related_part_id = ?', [id, id]);
+          
+          // Delete the part
+          await QueryService.run('DELETE FROM parts WHERE id = ?', [id]);
+        });
+      } catch (err) {
+        console.error(`Error hard deleting part with ID ${id}:`, err);
+        throw err;
+      }
+    },
+    
+    /**
+     * Split a part (such as a RAM kit) into separate parts. Each new part takes
+     * the original's acquisition details and a copy of every connection it had
+     * up to the split date; the original leaves its rig and is recorded as
+     * disposed on that date, linked to the new parts. The purchase price stays with the original
+     * so it isn't counted once per new part.
+     * @param {number} id - Part ID
+     * @param {Array} children - At least two { model, serial_number } objects;
+     *   a blank model keeps the original's
+     * @param {Object} dateInfo - Split date information ({ year, month, day })
+     * @param {string} notes - Optional notes
+     * @returns {Promise<Array>} New part IDs
+     */
+    splitPart: async function(id, children, dateInfo, notes = '') {
+      try {
+        const part = await this.getPartById(id);
+        if (!part) {
+          throw new Error('Part not found');
+        }
         
-        // Delete related data
-        db.run(`DELETE FROM connections WHERE part_id = ${id} OR motherboard_id = ${id}`);
-        db.run(`DELETE FROM rig_identities WHERE motherboard_id = ${id}`);
-        db.run(`DELETE FROM disposals WHERE part_id = ${id}`);
+        if (part.type === 'motherboard') {
+          throw new Error('Motherboards cannot be split');
+        }
+        
+        if (part.is_deleted) {
+          throw new Error('Disposed parts cannot be split');
+        }
+        
+        if (part.status === 'repair') {
+          throw new Error('Complete the part\'s RMA before splitting it');
+        }
+        
+        if (!Array.isArray(children) || children.length < 2) {
+          throw new Error('A part must be split into at least two parts');
+        }
+        
+        if (!dateInfo || !dateInfo.year) {
+          throw new Error('Split year is required');
+        }
         
-        // Delete the part
-        db.run(`DELETE FROM parts WHERE id = ${id}`);
+        const { year, month, day } = dateInfo;
+        const dateString = DateUtils.createDateString(year, month, day);
+        const precision = DateUtils.getDatePrecision(year, month, day);
+        const splitText = `Split from ${part.brand} ${part.model}`;
         
-        // Commit transaction
-        db.run('COMMIT');
+        // Later connections of the original would fall after its disposal, which the guard rejects
+        return await TemporalValidator.guard([id], async () => {
+          const connections = await QueryService.all(`
+            SELECT motherboard_id, connected_at, connected_precision, disconnected_at, disconnected_precision, notes
+            FROM connections
+            WHERE part_id = ? AND connected_at <= ?
+            ORDER BY connected_at, id
+          `, [id, dateString]);
+          
+          const childIds = [];
+          for (const child of children) {
+            const childId = await this.addPart({
+              brand: part.brand,
+              model: (child.model || '').trim() || part.model,
+              type: part.type,
+              acquisition_date: part.acquisition_date,
+              date_precision: part.date_precision,
+              notes: notes ? `${splitText}: ${notes}` : splitText,
+              serial_number: child.serial_number,
+              sku: part.sku,
+              vendor: part.vendor,
+              warranty_months: part.warranty_months
+            });
+            
+            // Connections still open at the split carry on for the new part
+            for (const c of connections) {
+              await QueryService.run(`
+                INSERT INTO connections (motherboard_id, part_id, connected_at, connected_precision,
+                                         disconnected_at, disconnected_precision, notes)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+              `, [c.motherboard_id, childId, c.connected_at, c.connected_precision,
+                c.disconnected_at, c.disconnected_precision, c.notes]);
+            }
+            
+            await window.LineageModel.addLink(childId, 'split_from', id, dateInfo, notes);
+            
+            childIds.push(childId);
+          }
+          
+          // The original leaves its rig (if any) as the new parts take its place
+          await QueryService.run(`
+            UPDATE connections
+            SET disconnected_at = ?,
+                disconnected_precision = ?,
+                notes = CASE
+                  WHEN notes IS NULL OR notes = '' THEN 'Disconnected due to part split'
+                  ELSE notes || '; Disconnected due to part split'
+                END
+            WHERE part_id = ? AND connected_at <= ? AND (disconnected_at IS NULL OR disconnected_at > ?)
+          `, [dateString, precision, id, dateString, dateString]);
+          
+          await window.DisposalModel.disposePart(id, dateInfo, {
+            method: 'other',
+            notes: `Split into ${childIds.length} parts${notes ? `: ${notes}` : ''}`
+          });
+          
+          return childIds;
+        });
       } catch (err) {
-        // Rollback transaction on error
-        db.run('ROLLBACK');
-        console.error(`Error hard deleting part with ID ${id}:`, err);
+        console.error(`Error splitting part with ID ${id}:`, err);
+        throw err;
+      }
+    },
+    
+    /**
+     * Merge duplicate records of the same part (for example from an import)
+     * into one. Connection histories, RMAs, disposals and lineage links are
+     * moved to the kept part, identical connections are dropped, and empty
+     * fields of the kept part are filled from the duplicates, which are then
+     * deleted.
+     * @param {number} keepId - ID of the part to keep
+     * @param {Array} duplicateIds - IDs of the parts to merge into it
+     */
+    mergeParts: async function(keepId, duplicateIds) {
+      try {
+        const keep = await this.getPartById(keepId);
+        if (!keep) {
+          throw new Error('Part not found');
+        }
+        
+        const ids = [...new Set((duplicateIds || []).map(Number))].filter(dupId => dupId !== Number(keepId));
+        if (ids.length === 0) {
+          throw new Error('Select at least one part to merge');
+        }
+        
+        const duplicates = await Promise.all(ids.map(dupId => this.getPartById(dupId)));
+        if (duplicates.some(dup => !dup)) {
+          throw new Error('Part not found');
+        }
+        
+        if (duplicates.some(dup => dup.type !== keep.type)) {
+          throw new Error('Only parts of the same type can be merged');
+        }
+        
+        // Overlapping (but not identical) stays in different rigs are rejected by the guard
+        await TemporalValidator.guard([keepId, ...ids], async () => {
+          for (const dupId of ids) {
+            // Drop connections the kept part already has, then move the rest
+            await QueryService.run(`
+              DELETE FROM connections
+              WHERE part_id = ? AND EXISTS (
+                SELECT 1 FROM connections k
+                WHERE k.part_id = ?
+                  AND k.motherboard_id IS connections.motherboard_id
+                  AND k.connected_at = connections.connected_at
+                  AND k.disconnected_at IS connections.disconnected_at
+              )
+            `, [dupId, keepId]);
+            await QueryService.run('UPDATE connections SET part_id = ? WHERE part_id = ?', [keepId, dupId]);
+            
+            // The same for parts connected to a duplicated motherboard
+            await QueryService.run(`
+              DELETE FROM connections
+              WHERE motherboard_id = ? AND EXISTS (
+                SELECT 1 FROM connections k
+                WHERE k.motherboard_id = ?
+                  AND k.part_id IS connections.part_id
+                  AND k.connected_at = connections.connected_at
+                  AND k.disconnected_at IS connections.disconnected_at
+              )
+            `, [dupId, keepId]);
+            await QueryService.run('UPDATE connections SET motherboard_id = ? WHERE motherboard_id = ?', [keepId, dupId]);
+            await QueryService.run('UPDATE rig_identities SET motherboard_id = ? WHERE motherboard_id = ?', [keepId, dupId]);
+            await QueryService.run('UPDATE rig_names SET motherboard_id = ? WHERE motherboard_id = ?', [keepId, dupId]);
+            
+            await QueryService.run('UPDATE rmas SET part_id = ? WHERE part_id = ?', [keepId, dupId]);
+            await QueryService.run('UPDATE rmas SET replacement_part_id = ? WHERE replacement_part_id = ?', [keepId, dupId]);
+            
+            // A disposal recorded on a duplicate applies unless the kept part has its own
+            const keepDisposed = await QueryService.value('SELECT COUNT(*) FROM disposals WHERE part_id = ?', [keepId]) > 0;
+            if (keepDisposed) {
+              await QueryService.run('DELETE FROM disposals WHERE part_id = ?', [dupId]);
+            } else {
+              await QueryService.run('UPDATE disposals SET part_id = ? WHERE part_id = ?', [keepId, dupId]);
+            }
+            
+            // Lineage links move too, except ones between the merged records or already present
+            await QueryService.run(`
+              DELETE FROM part_lineage
+              WHERE (part_id = ? AND related_part_id = ?) OR (part_id = ? AND related_part_id = ?)
+            `, [dupId, keepId, keepId, dupId]);
+            await QueryService.run('UPDATE part_lineage SET part_id = ? WHERE part_id = ?', [keepId, dupId]);
+            await QueryService.run('UPDATE part_lineage SET related_part_id = ? WHERE related_part_id = ?', [keepId, dupId]);
+            await QueryService.run(`
+              DELETE FROM part_lineage
+              WHERE (part_id = ? OR related_part_id = ?) AND EXISTS (
+                SELECT 1 FROM part_lineage e
+                WHERE e.id < part_lineage.id
+                  AND ((e.part_id = part_lineage.part_id AND e.related_part_id = part_lineage.related_part_id)
+                    OR (e.part_id = part_lineage.related_part_id AND e.related_part_id = part_lineage.part_id))
+              )
+            `, [keepId, keepId]);
+            
+            // Fill in whatever the kept record is missing
+            await QueryService.run(`
+              UPDATE parts
+              SET serial_number = COALESCE(parts.serial_number, d.serial_number),
+                  sku = COALESCE(parts.sku, d.sku),
+                  asset_tag = COALESCE(parts.asset_tag, d.asset_tag),
+                  vendor = COALESCE(parts.vendor, d.vendor),
+                  warranty_months = COALESCE(parts.warranty_months, d.warranty_months),
+                  purchase_currency = CASE WHEN parts.purchase_price IS NULL THEN d.purchase_currency ELSE parts.purchase_currency END,
+                  purchase_price = COALESCE(parts.purchase_price, d.purchase_price),
+                  date_precision = CASE WHEN parts.acquisition_date IS NULL OR parts.date_precision = 'none'
+                    THEN d.date_precision ELSE parts.date_precision END,
+                  acquisition_date = CASE WHEN parts.acquisition_date IS NULL OR parts.date_precision = 'none'
+                    THEN d.acquisition_date ELSE parts.acquisition_date END,
+                  notes = CASE
+                    WHEN COALESCE(d.notes, '') = '' OR d.notes = parts.notes THEN parts.notes
+                    WHEN COALESCE(parts.notes, '') = '' THEN d.notes
+                    ELSE parts.notes || '; ' || d.notes
+                  END
+              FROM (SELECT * FROM parts WHERE id = ?) AS d
+              WHERE parts.id = ?
+            `, [dupId, keepId]);
+            
+            await QueryService.run('DELETE FROM parts WHERE id = ?', [dupId]);
+          }
+          
+          // A disposal moved over from a duplicate retires the kept part; a kept
+          // part that was already deleted stays deleted
+          await QueryService.run(`
+            UPDATE parts SET is_deleted = MAX(COALESCE(is_deleted, 0), EXISTS (SELECT 1 FROM disposals WHERE part_id = ?)) WHERE id = ?
+          `, [keepId, keepId]);
+        });
+      } catch (err) {
+        console.error(`Error merging parts into part with ID ${keepId}:`, err);
         throw err;
       }
     },
@@ -369,19 +702,21 @@ window.PartModel = (function() {
     /**
      * Get parts in the bin (not connected to any rig)
      * @param {string} type - Filter by part type (optional)
-     * @returns {Array} Array of part objects
+     * @param {string|null} asOf - Show the bin as of this date (YYYY-MM-DD) instead of now
+     * @returns {Promise<Array>} Array of part objects
      */
-    getPartsInBin: function(type = null) {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
-      
+    getPartsInBin: async function(type = null, asOf = null) {
+      const state = this.buildStateCte(asOf);
       let typeFilter = '';
+      const params = [...state.params];
       if (type && type !== 'all') {
-        typeFilter = `AND p.type = '${type}'`;
+        typeFilter = 'AND p.type = ?';
+        params.push(type);
       }
       
       try {
         const query = `
+          WITH ${state.sql}
           SELECT 
             p.id,
             p.brand,
@@ -391,28 +726,18 @@ window.PartModel = (function() {
             p.date_precision,
             p.notes
           FROM parts p
-          WHERE p.is_deleted = 0
+          WHERE p.id IN (SELECT id FROM present_parts)
+            AND p.id NOT IN (SELECT id FROM retired)
+            AND p.id NOT IN (SELECT id FROM away_parts)
             AND NOT EXISTS (
-              SELECT 1 FROM connections c 
-              WHERE (c.part_id = p.id OR c.motherboard_id = p.id) 
-              AND c.disconnected_at IS NULL
+              SELECT 1 FROM live_connections c 
+              WHERE (c.part_id = p.id OR c.motherboard_id = p.id)
             )
             ${typeFilter}
           ORDER BY p.type, p.brand, p.model
         `;
         
-        const result = db.exec(query);
-        if (result.length === 0) return [];
-        
-        // Map column names to values
-        const columns = result[0].columns;
-        return result[0].values.map(row => {
-          const part = {};
-          columns.forEach((column, index) => {
-            part[column] = row[index];
-          });
-          return part;
-        });
+        return await QueryService.all(query, params);
       } catch (err) {
         console.error('Error getting parts in bin:', err);
         throw err;
@@ -420,13 +745,55 @@ window.PartModel = (function() {
     },
     
     /**
-     * Get unique brands for autocomplete
-     * @returns {Array} Array of brand names
+     * Get parts away for repair (out on an RMA that hasn't come back)
+     * @param {string} type - Filter by part type (optional)
+     * @param {string|null} asOf - Show the parts away on this date (YYYY-MM-DD) instead of now
+     * @returns {Promise<Array>} Array of part objects with the open RMA's details
      */
-    getUniqueBrands: function() {
-      const db = DatabaseService.getDatabase();
-      if (!db) throw new Error('No database is open');
+    getPartsAwayForRepair: async function(type = null, asOf = null) {
+      const state = this.buildStateCte(asOf);
+      let typeFilter = '';
+      const params = [...state.params];
+      if (type && type !== 'all') {
+        typeFilter = 'AND p.type = ?';
+        params.push(type);
+      }
       
+      try {
+        const query = `
+          WITH ${state.sql}
+          SELECT 
+            p.id,
+            p.brand,
+            p.model,
+            p.type,
+            p.acquisition_date,
+            p.date_precision,
+            p.notes,
+            r.id as rma_id,
+            r.sent_at,
+            r.sent_precision,
+            r.rma_number
+          FROM parts p
+          JOIN rmas r ON r.id = (SELECT MAX(rma_id) FROM away_parts a WHERE a.id = p.id)
+          WHERE p.id IN (SELECT id FROM present_parts)
+            AND p.id NOT IN (SELECT id FROM retired)
+            ${typeFilter}
+          ORDER BY r.sent_at, p.brand, p.model
+        `;
+        
+        return await QueryService.all(query, params);
+      } catch (err) {
+        console.error('Error getting parts away for repair:', err);
+        throw err;
+      }
+    },
+    
+    /**
+     * Get unique brands for autocomplete
+     * @returns {Promise<Array>} Array of brand names
+     */
+    getUniqueBrands: async function() {
       try {
         const query = `
           SELECT DISTINCT brand
@@ -434,14 +801,92 @@ window.PartModel = (function() {
           ORDER BY brand
         `;
         
-        const result = db.exec(query);
-        if (result.length === 0) return [];
-        
-        return result[0].values.map(row => row[0]);
+        return (await QueryService.all(query)).map(row => row.brand);
       } catch (err) {
         console.error('Error getting unique brands:', err);
         throw err;
       }
+    },
+    
+    /**
+     * Get unique vendors for autocomplete
+     * @returns {Promise<Array>} Array of vendor names
+     */
+    getUniqueVendors: async function() {
+      try {
+        const query = `
+          SELECT DISTINCT vendor
+          FROM parts
+          WHERE vendor IS NOT NULL
+          ORDER BY vendor
+        `;
+        
+        return (await QueryService.all(query)).map(row => row.vendor);
+      } catch (err) {
+        console.error('Error getting unique vendors:', err);
+        throw err;
+      }
+    },
+    
+    /**
+     * Get the currency to suggest for new prices: the one used most so far
+     * @returns {Promise<string>} ISO currency code (USD if no prices are recorded yet)
+     */
+    getDefaultCurrency: async function() {
+      try {
+        const query = `
+          SELECT currency, COUNT(*) as uses
+          FROM (
+            SELECT purchase_currency as currency FROM parts WHERE purchase_currency IS NOT NULL
+            UNION ALL
+            SELECT sale_currency FROM disposals WHERE sale_currency IS NOT NULL
+          )
+          GROUP BY currency
+          ORDER BY uses DESC, currency
+          LIMIT 1
+        `;
+        
+        return await QueryService.value(query) || 'USD';
+      } catch (err) {
+        console.error('Error getting default currency:', err);
+        throw err;
+      }
+    },
+    
+    /**
+     * Find parts that already carry a serial number (case-insensitive), including
+     * removed parts, so duplicate entries can be flagged
+     * @param {string} serialNumber - Serial number
+     * @param {number} excludeId - Part to leave out (the one being edited)
+     * @returns {Promise<Array>} Array of { id, brand, model, type, is_deleted }
+     */
+    getPartsBySerial: async function(serialNumber, excludeId = null) {
+      const serial = normalizeIdentifier(serialNumber);
+      if (!serial) return [];
+      
+      try {
+        const query = `
+          SELECT id, brand, model, type, is_deleted
+          FROM parts
+          WHERE serial_number = ? COLLATE NOCASE AND id IS NOT ?
+          ORDER BY id
+        `;
+        
+        return await QueryService.all(query, [serial, excludeId]);
+      } catch (err) {
+        console.error('Error finding parts by serial number:', err);
+        throw err;
+      }
     }
   };
-})();
\ No newline at end of file
+})();
+
+// Record part mutations for undo/redo
+window.HistoryService.track(window.PartModel, {
+  addPart: 'Add part',
+  updatePart: 'Edit part',
+  deletePart: 'Delete part',
+  hardDeletePart: 'Permanently delete part',
+  splitPart: 'Split part',
+  mergeParts: 'Merge parts'
+});
@@ -9,49 +9,50 @@ window.RigModel = (function() {
   
   /**
    * Get all active rigs
-   * @returns {Array} Array of rig objects with a has_been_rig flag
+   * @param {string|null} asOf - Show rigs as they stood on this date (YYYY-MM-DD) instead of now
+   * @returns {Promise<Array>} Array of rig objects with a has_been_rig flag (queried in the database worker)
    */
-  function getActiveRigs() {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function getActiveRigs(asOf = null) {
     try {
       console.log('Getting active rigs from database...');
       
+      const state = window.PartModel.buildStateCte(asOf);
+      const params = [...state.params];
+      
+      // As of a past date, only connections made by then count towards rig history
+      let connectedBy = '';
+      if (asOf) {
+        connectedBy = 'AND c.connected_at <= ?';
+        params.push(asOf);
+      }
+      
       // Query for motherboards with connection history information
       const query = `
+        WITH ${state.sql}
         SELECT 
           p.id,
           p.brand,
           p.model,
-          (SELECT COUNT(*) FROM connections c WHERE c.motherboard_id = p.id AND c.disconnected_at IS NULL) as connected_parts,
-          (SELECT name FROM rig_identities ri WHERE ri.motherboard_id = p.id AND ri.active_until IS NULL ORDER BY ri.active_from DESC LIMIT 1) as rig_name,
-          (SELECT active_from FROM rig_identities ri WHERE ri.motherboard_id = p.id AND ri.active_until IS NULL ORDER BY ri.active_from DESC LIMIT 1) as active_from,
-          (SELECT active_from_precision FROM rig_identities ri WHERE ri.motherboard_id = p.id AND ri.active_until IS NULL ORDER BY ri.active_from DESC LIMIT 1) as active_from_precision,
+          (SELECT COUNT(*) FROM live_connections c WHERE c.motherboard_id = p.id) as connected_parts,
+          (SELECT name FROM live_identities ri WHERE ri.motherboard_id = p.id ORDER BY ri.active_from DESC LIMIT 1) as rig_name,
+          (SELECT active_from FROM live_identities ri WHERE ri.motherboard_id = p.id ORDER BY ri.active_from DESC LIMIT 1) as active_from,
+          (SELECT active_from_precision FROM live_identities ri WHERE ri.motherboard_id = p.id ORDER BY ri.active_from DESC LIMIT 1) as active_from_precision,
           -- Check if this motherboard has ever had connections (making it a rig at some point)
-          EXISTS (SELECT 1 FROM connections c WHERE c.motherboard_id = p.id) as has_been_rig
+          EXISTS (SELECT 1 FROM connections c WHERE c.motherboard_id = p.id ${connectedBy}) as has_been_rig
         FROM parts p
-        WHERE p.type = 'motherboard' AND p.is_deleted = 0
+        WHERE p.type = 'motherboard'
+          AND p.id IN (SELECT id FROM present_parts)
+          AND p.id NOT IN (SELECT id FROM retired)
         ORDER BY connected_parts DESC, rig_name, p.brand, p.model
       `;
       
-      const result = db.exec(query);
+      const rigs = await window.QueryService.all(query, params);
       
-      if (result.length === 0) {
+      if (rigs.length === 0) {
         console.log('No motherboards found in the database');
         return [];
       }
       
-      // Map column names to values
-      const columns = result[0].columns;
-      const rigs = result[0].values.map(row => {
-        const rig = {};
-        columns.forEach((column, index) => {
-          rig[column] = row[index];
-        });
-        return rig;
-      });
-      
       console.log(`Found ${rigs.length} motherboards, with ${rigs.filter(r => r.connected_parts > 0).length} active rigs`);
       return rigs;
     } catch (err) {
@@ -62,12 +63,9 @@ window.RigModel = (function() {
 
   /**
    * Get all historical rigs
-   * @returns {Array} Array of historical rig objects
+   * @returns {Promise<Array>} Array of historical rig objects (queried in the database worker)
    */
-  function getHistoricalRigs() {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function getHistoricalRigs() {
     try {
       console.log('Getting historical rigs from database...');
       
@@ -159,23 +157,13 @@ window.RigModel = (function() {
         ORDER BY rim.rig_end_date DESC
       `;
       
-      const result = db.exec(query);
+      const historicalRigs = await window.QueryService.all(query);
       
-      if (result.length === 0) {
+      if (historicalRigs.length === 0) {
         console.log('No historical rigs found in the database');
         return [];
       }
       
-      // Map column names to values
-      const columns = result[0].columns;
-      const historicalRigs = result[0].values.map(row => {
-        const rig = {};
-        columns.forEach((column, index) => {
-          rig[column] = row[index];
-        });
-        return rig;
-      });
-      
       console.log(`Found ${historicalRigs.length} historical rigs`);
       return historicalRigs;
     } catch (err) {
@@ -187,12 +175,9 @@ window.RigModel = (function() {
   /**
    * Get a rig's details including connected parts
    * @param {number} motherboardId - Motherboard ID
-   * @returns {Object} Rig details with connected parts
+   * @returns {Promise<Object>} Rig details with connected parts
    */
-  function getRigDetails(motherboardId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function getRigDetails(motherboardId) {
     try {
       // Get motherboard details
       const query = `
@@ -207,25 +192,16 @@ window.RigModel = (function() {
           (SELECT active_from FROM rig_identities ri WHERE ri.motherboard_id = p.id AND ri.active_until IS NULL ORDER BY ri.active_from DESC LIMIT 1) as active_from,
           (SELECT active_from_precision FROM rig_identities ri WHERE ri.motherboard_id = p.id AND ri.active_until IS NULL ORDER BY ri.active_from DESC LIMIT 1) as active_from_precision
         FROM parts p
-        WHERE p.id = ${motherboardId} AND p.type = 'motherboard'
+        WHERE p.id = ? AND p.type = 'motherboard'
       `;
       
-      const result = db.exec(query);
-      if (result.length === 0 || result[0].values.length === 0) {
+      const rig = await window.QueryService.get(query, [motherboardId]);
+      if (!rig) {
         throw new Error(`Motherboard with ID ${motherboardId} not found`);
       }
       
-      // Map column names to values
-      const columns = result[0].columns;
-      const row = result[0].values[0];
-      
-      const rig = {};
-      columns.forEach((column, index) => {
-        rig[column] = row[index];
-      });
-      
       // Get connected parts
-      rig.connected_parts = window.ConnectionModel.getActiveConnectionsForMotherboard(motherboardId);
+      rig.connected_parts = await window.ConnectionModel.getActiveConnectionsForMotherboard(motherboardId);
       
       return rig;
     } catch (err) {
@@ -239,12 +215,9 @@ window.RigModel = (function() {
    * @param {number} motherboardId - Motherboard ID
    * @param {string} name - Rig name
    * @param {Object} dateInfo - Active from date information
-   * @returns {number} Rig identity ID
+   * @returns {Promise<number>} Rig identity ID
    */
-  function setRigIdentity(motherboardId, name, dateInfo) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function setRigIdentity(motherboardId, name, dateInfo) {
     const { year, month, day } = dateInfo;
     
     // Validate parameters
@@ -261,45 +234,35 @@ window.RigModel = (function() {
     }
     
     try {
-      // Begin transaction
-      db.run('BEGIN TRANSACTION');
-      
-      // End any active rig identities for this motherboard
-      db.run(`
-        UPDATE rig_identities
-        SET active_until = '${window.DateUtils.createDateString(year, month, day)}',
-            active_until_precision = '${window.DateUtils.getDatePrecision(year, month, day)}'
-        WHERE motherboard_id = ${motherboardId} AND active_until IS NULL
-      `);
-      
       // Create the active from date
       const activeFrom = window.DateUtils.createDateString(year, month, day);
       const precision = window.DateUtils.getDatePrecision(year, month, day);
       
-      // Insert the new rig identity
-      const query = `
-        INSERT INTO rig_identities (motherboard_id, name, active_from, active_from_precision)
-        VALUES (?, ?, ?, ?)
-      `;
-      
-      const params = [
-        motherboardId,
-        name,
-        activeFrom,
-        precision
-      ];
-      
-      db.run(query, params);
-      
-      // Commit transaction
-      db.run('COMMIT');
-      
-      // Get the last inserted ID
-      const result = db.exec('SELECT last_insert_rowid()');
-      return result[0].values[0][0];
+      return await window.QueryService.transaction(async () => {
+        // End any active rig identities for this motherboard
+        await window.QueryService.run(`
+          UPDATE rig_identities
+          SET active_until = ?,
+              active_until_precision = ?
+          WHERE motherboard_id = ? AND active_until IS NULL
+        `, [activeFrom, precision, motherboardId]);
+        
+        // Insert the new rig identity
+        const query = `
+          INSERT INTO rig_identities (motherboard_id, name, active_from, active_from_precision)
+          VALUES (?, ?, ?, ?)
+        `;
+        
+        const params = [
+          motherboardId,
+          name,
+          activeFrom,
+          precision
+        ];
+        
+        return (await window.QueryService.run(query, params)).lastInsertId;
+      });
     } catch (err) {
-      // Rollback transaction on error
-      db.run('ROLLBACK');
       console.error(`Error setting rig identity for motherboard ${motherboardId}:`, err);
       throw err;
     }
@@ -308,12 +271,9 @@ window.RigModel = (function() {
   /**
    * Get all rig identities for a motherboard
    * @param {number} motherboardId - Motherboard ID
-   * @returns {Array} Array of rig identity objects
+   * @returns {Promise<Array>} Array of rig identity objects
    */
-  function getRigIdentities(motherboardId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function getRigIdentities(motherboardId) {
     try {
       const query = `
         SELECT 
@@ -326,22 +286,11 @@ window.RigModel = (function() {
           active_until_precision,
           notes
         FROM rig_identities
-        WHERE motherboard_id = ${motherboardId}
+        WHERE motherboard_id = ?
         ORDER BY active_from DESC
       `;
       
-      const result = db.exec(query);
-      if (result.length === 0) return [];
-      
-      // Map column names to values
-      const columns = result[0].columns;
-      return result[0].values.map(row => {
-        const identity = {};
-        columns.forEach((column, index) => {
-          identity[column] = row[index];
-        });
-        return identity;
-      });
+      return await window.QueryService.all(query, [motherboardId]);
     } catch (err) {
       console.error(`Error getting rig identities for motherboard ${motherboardId}:`, err);
       throw err;
@@ -351,12 +300,9 @@ window.RigModel = (function() {
   /**
    * Get the current rig identity for a motherboard
    * @param {number} motherboardId - Motherboard ID
-   * @returns {Object|null} Current rig identity or null if none
+   * @returns {Promise<Object|null>} Current rig identity or null if none
    */
-  function getCurrentRigIdentity(motherboardId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function getCurrentRigIdentity(motherboardId) {
     try {
       const query = `
         SELECT 
@@ -367,26 +313,12 @@ window.RigModel = (function() {
           active_from_precision,
           notes
         FROM rig_identities
-        WHERE motherboard_id = ${motherboardId} AND active_until IS NULL
+        WHERE motherboard_id = ? AND active_until IS NULL
         ORDER BY active_from DESC
         LIMIT 1
       `;
       
-      const result = db.exec(query);
-      if (result.length === 0 || result[0].values.length === 0) {
-        return null;
-      }
-      
-      // Map column names to values
-      const columns = result[0].columns;
-      const row = result[0].values[0];
-      
-      const identity = {};
-      columns.forEach((column, index) => {
-        identity[column] = row[index];
-      });
-      
-      return identity;
+      return await window.QueryService.get(query, [motherboardId]);
     } catch (err) {
       console.error(`Error getting current rig identity for motherboard ${motherboardId}:`, err);
       throw err;
@@ -396,12 +328,9 @@ window.RigModel = (function() {
   /**
    * Get a rig by its identity ID
    * @param {number} rigIdentityId - Rig identity ID
-   * @returns {Object|null} Rig object or null if not found
+   * @returns {Promise<Object|null>} Rig object or null if not found
    */
-  function getRigById(rigIdentityId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function getRigById(rigIdentityId) {
     try {
       // Get the rig identity first
       const identityQuery = `
@@ -415,23 +344,14 @@ window.RigModel = (function() {
           ri.active_until_precision,
           ri.notes
         FROM rig_identities ri
-        WHERE ri.id = ${rigIdentityId}
+        WHERE ri.id = ?
       `;
       
-      const identityResult = db.exec(identityQuery);
-      if (identityResult.length === 0 || identityResult[0].values.length === 0) {
+      const rigIdentity = await window.QueryService.get(identityQuery, [rigIdentityId]);
+      if (!rigIdentity) {
         return null;
       }
       
-      // Map column names to values
-      const identityColumns = identityResult[0].columns;
-      const identityRow = identityResult[0].values[0];
-      
-      const rigIdentity = {};
-      identityColumns.forEach((column, index) => {
-        rigIdentity[column] = identityRow[index];
-      });
-      
       // Get the motherboard details
       const motherboardId = rigIdentity.motherboard_id;
       const motherboardQuery = `
@@ -443,36 +363,24 @@ window.RigModel = (function() {
           date_precision,
           notes
         FROM parts
-        WHERE id = ${motherboardId}
+        WHERE id = ?
       `;
       
-      const motherboardResult = db.exec(motherboardQuery);
-      if (motherboardResult.length === 0 || motherboardResult[0].values.length === 0) {
+      const motherboard = await window.QueryService.get(motherboardQuery, [motherboardId]);
+      if (!motherboard) {
         throw new Error(`Motherboard with ID ${motherboardId} not found`);
       }
       
-      // Map motherboard data
-      const motherboardColumns = motherboardResult[0].columns;
-      const motherboardRow = motherboardResult[0].values[0];
-      
-      const motherboard = {};
-      motherboardColumns.forEach((column, index) => {
-        motherboard[column] = motherboardRow[index];
-      });
-      
       // Count connected parts if this is an active rig
       let connectedParts = 0;
       if (!rigIdentity.active_until) {
         const countQuery = `
           SELECT COUNT(*) as count
           FROM connections
-          WHERE motherboard_id = ${motherboardId} AND disconnected_at IS NULL
+          WHERE motherboard_id = ? AND disconnected_at IS NULL
         `;
         
-        const countResult = db.exec(countQuery);
-        if (countResult.length > 0 && countResult[0].values.length > 0) {
-          connectedParts = countResult[0].values[0][0];
-        }
+        connectedParts = await window.QueryService.value(countQuery, [motherboardId]) || 0;
       }
       
       // Combine data into a single rig object
@@ -498,12 +406,9 @@ window.RigModel = (function() {
   /**
    * Compute a rig's lifecycle periods from connections
    * @param {number} motherboardId - Motherboard ID
-   * @returns {Array} Array of lifecycle objects with start/end dates and sequence numbers
+   * @returns {Promise<Array>} Array of lifecycle objects with start/end dates and sequence numbers
    */
-  function computeRigLifecycles(motherboardId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function computeRigLifecycles(motherboardId) {
     try {
       console.log(`Computing rig lifecycles for motherboard ${motherboardId}`);
       
@@ -520,7 +425,7 @@ window.RigModel = (function() {
           connected_precision as event_precision,
           part_id
         FROM connections 
-        WHERE motherboard_id = ${motherboardId}
+        WHERE motherboard_id = ?
         UNION ALL
         SELECT 
           'disconnect' as event_type,
@@ -528,28 +433,17 @@ window.RigModel = (function() {
           disconnected_precision as event_precision,
           part_id
         FROM connections 
-        WHERE motherboard_id = ${motherboardId} AND disconnected_at IS NOT NULL
+        WHERE motherboard_id = ? AND disconnected_at IS NOT NULL
         ORDER BY event_date
       `;
       
-      const connectionsResult = db.exec(connectionsQuery);
-      if (connectionsResult.length === 0) {
+      // Process events to identify lifecycle periods
+      const events = await window.QueryService.all(connectionsQuery, [motherboardId, motherboardId]);
+      if (events.length === 0) {
         console.log(`No connection events found for motherboard ${motherboardId}`);
         return [];
       }
       
-      // Process events to identify lifecycle periods
-      const events = [];
-      const columns = connectionsResult[0].columns;
-      
-      connectionsResult[0].values.forEach(row => {
-        const event = {};
-        columns.forEach((column, index) => {
-          event[column] = row[index];
-        });
-        events.push(event);
-      });
-      
       console.log(`Found ${events.length} connection events for motherboard ${motherboardId}`);
       
       // Compute lifecycles
@@ -607,25 +501,10 @@ window.RigModel = (function() {
    * @param {string} startDate - Lifecycle start date
    * @param {string} name - Rig name
    * @param {string} notes - Optional notes
-   * @returns {number} Rig name ID
+   * @returns {Promise<number>} Rig name ID
    */
-  function setRigName(motherboardId, startDate, name, notes = '') {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function setRigName(motherboardId, startDate, name, notes = '') {
     try {
-      // Ensure the rig_names table exists
-      db.run(`
-        CREATE TABLE IF NOT EXISTS rig_names (
-          id INTEGER PRIMARY KEY,
-          motherboard_id INTEGER NOT NULL,
-          start_date TEXT NOT NULL,
-          name TEXT NOT NULL,
-          notes TEXT,
-          FOREIGN KEY (motherboard_id) REFERENCES parts(id) ON DELETE CASCADE
-        )
-      `);
-      
       // Insert or replace the rig name
       const query = `
         INSERT OR REPLACE INTO rig_names (motherboard_id, start_date, name, notes)
@@ -633,11 +512,7 @@ window.RigModel = (function() {
       `;
       
       const params = [motherboardId, startDate, name, notes];
-      db.run(query, params);
-      
-      // Get the ID of the inserted/updated record
-      const result = db.exec('SELECT last_insert_rowid()');
-      return result[0].values[0][0];
+      return (await window.QueryService.run(query, params)).lastInsertId;
     } catch (err) {
       console.error(`Error setting rig name for motherboard ${motherboardId}:`, err);
       throw err;
@@ -648,12 +523,9 @@ window.RigModel = (function() {
    * Get the name for a specific rig lifecycle
    * @param {number} motherboardId - Motherboard ID
    * @param {string} startDate - Lifecycle start date
-   * @returns {Object|null} Rig name object or null if not found
+   * @returns {Promise<Object|null>} Rig name object or null if not found
    */
-  function getRigName(motherboardId, startDate) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function getRigName(motherboardId, startDate) {
     try {
       console.log(`Looking up rig name for motherboard ${motherboardId} with start date ${startDate}`);
       
@@ -667,39 +539,18 @@ window.RigModel = (function() {
         return null;
       }
       
-      // First ensure the table exists (in case database was created before this feature)
-      db.run(`
-        CREATE TABLE IF NOT EXISTS rig_names (
-          id INTEGER PRIMARY KEY,
-          motherboard_id INTEGER NOT NULL,
-          start_date TEXT NOT NULL,
-          name TEXT NOT NULL,
-          notes TEXT,
-          FOREIGN KEY (motherboard_id) REFERENCES parts(id) ON DELETE CASCADE
-        )
-      `);
-      
       const query = `
         SELECT id, motherboard_id, start_date, name, notes
         FROM rig_names
         WHERE motherboard_id = ? AND start_date = ?
       `;
       
-      const result = db.exec(query, [motherboardId, startDate]);
-      if (result.length === 0 || result[0].values.length === 0) {
+      const rigName = await window.QueryService.get(query, [motherboardId, startDate]);
+      if (!rigName) {
         console.log(`No rig name found for motherboard ${motherboardId} with start date ${startDate}`);
         return null;
       }
       
-      // Map columns to values
-      const columns = result[0].columns;
-      const row = result[0].values[0];
-      
-      const rigName = {};
-      columns.forEach((column, index) => {
-        rigName[column] = row[index];
-      });
-      
       console.log(`Found rig name for motherboard ${motherboardId}: ${rigName.name}`);
       return rigName;
     } catch (err) {
@@ -711,26 +562,11 @@ window.RigModel = (function() {
   /**
    * Delete all rig names for a motherboard
    * @param {number} motherboardId - Motherboard ID
-   * @returns {boolean} Success
+   * @returns {Promise<boolean>} Success
    */
-  function deleteAllRigNames(motherboardId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function deleteAllRigNames(motherboardId) {
     try {
-      // Ensure table exists before attempting to delete
-      db.run(`
-        CREATE TABLE IF NOT EXISTS rig_names (
-          id INTEGER PRIMARY KEY,
-          motherboard_id INTEGER NOT NULL,
-          start_date TEXT NOT NULL,
-          name TEXT NOT NULL,
-          notes TEXT,
-          FOREIGN KEY (motherboard_id) REFERENCES parts(id) ON DELETE CASCADE
-        )
-      `);
-      
-      db.run(`DELETE FROM rig_names WHERE motherboard_id = ?`, [motherboardId]);
+      await window.QueryService.run('DELETE FROM rig_names WHERE motherboard_id = ?', [motherboardId]);
       return true;
     } catch (err) {
       console.error(`Error deleting rig names for motherboard ${motherboardId}:`, err);
@@ -753,4 +589,11 @@ window.RigModel = (function() {
     getRigName,
     deleteAllRigNames
   };
-})();
\ No newline at end of file
+})();
+
+// Record rig mutations for undo/redo
+window.HistoryService.track(window.RigModel, {
+  setRigIdentity: 'Set rig identity',
+  setRigName: 'Set rig name',
+  deleteAllRigNames: 'Purge rig names'
+});
@@ -14,21 +14,36 @@ window.TimelineEvent = (function() {
     ACQUISITION: 'acquisition',
     CONNECTED: 'connected',
     DISCONNECTED: 'disconnected',
-    DISPOSED: 'disposed'
+    DISPOSED: 'disposed',
+    RMA_SENT: 'rma_sent',
+    RMA_RETURNED: 'rma_returned',
+    LINEAGE: 'lineage',
+    WARRANTY_EXPIRY: 'warranty_expiry'
+  };
+  
+  /**
+   * Title and description for the end of an RMA
+   */
+  const RMA_OUTCOME_TEXT = {
+    repaired: { title: 'Back from Repair', content: () => 'The part came back repaired.' },
+    replaced: {
+      title: 'Replaced under RMA',
+      content: rma => rma.replacement_part_id ?
+        `The part was replaced by a ${rma.replacement_brand} ${rma.replacement_model}.` : 'The part was replaced.'
+    },
+    refused: { title: 'RMA Refused', content: () => 'The repair was refused and the part came back as it was.' },
+    lost: { title: 'Lost during RMA', content: () => 'The part never came back.' }
   };
 
   /**
    * Get all timeline events for a part
    * @param {number} partId - Part ID
-   * @returns {Array} Array of timeline events
+   * @returns {Promise<Array>} Array of timeline events
    */
-  function getTimelineEventsForPart(partId) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function getTimelineEventsForPart(partId) {
     try {
       // Get part details
-      const part = window.PartModel.getPartById(partId);
+      const part = await window.PartModel.getPartById(partId);
       
       if (!part) {
         throw new Error(`Part with ID ${partId} not found`);
@@ -44,13 +59,15 @@ window.TimelineEvent = (function() {
           precision: part.date_precision || 'none',
           type: EVENT_TYPES.ACQUISITION,
           title: 'Part Acquired',
-          content: `The ${part.brand} ${part.model} was acquired.`,
+          content: `The ${part.brand} ${part.model} was acquired` +
+            (part.purchase_price !== null ? ` for ${window.MoneyUtils.formatAmount(part.purchase_price, part.purchase_currency)}` : '') +
+            (part.vendor ? ` from ${part.vendor}` : '') + '.',
           notes: ''
         });
       }
       
       // Get all connections
-      const connections = window.ConnectionModel.getConnectionsForPart(partId);
+      const connections = await window.ConnectionModel.getConnectionsForPart(partId);
       
       // Add connection events
       connections.forEach(conn => {
@@ -90,7 +107,7 @@ window.TimelineEvent = (function() {
       });
       
       // Get disposal event if applicable
-      const disposal = window.DisposalModel.getDisposalForPart(partId);
+      const disposal = await window.DisposalModel.getDisposalForPart(partId);
       
       // Add disposal event if found
       if (disposal) {
@@ -105,6 +122,64 @@ window.TimelineEvent = (function() {
         });
       }
       
+      // Repairs and returns; a replacement links to the part it came from
+      (await window.WarrantyModel.getRmasForPart(partId)).forEach(rma => {
+        const rmaText = rma.rma_number ? ` (RMA ${rma.rma_number})` : '';
+        
+        timelineEvents.push({
+          id: rma.id,
+          date: rma.sent_at,
+          precision: rma.sent_precision || 'day',
+          type: EVENT_TYPES.RMA_SENT,
+          title: 'Sent for Repair',
+          content: `The part was sent away for repair or replacement${rmaText}.`,
+          notes: rma.returned_at ? '' : (rma.notes || '')
+        });
+        
+        if (rma.returned_at) {
+          const outcome = RMA_OUTCOME_TEXT[rma.outcome] || RMA_OUTCOME_TEXT.repaired;
+          timelineEvents.push({
+            id: rma.id,
+            date: rma.returned_at,
+            precision: rma.returned_precision || 'day',
+            type: EVENT_TYPES.RMA_RETURNED,
+            title: outcome.title,
+            content: outcome.content(rma),
+            notes: rma.notes || ''
+          });
+        }
+      });
+      
+      // Links to the other physical parts of the same component (undated links
+      // are shown at the part's acquisition)
+      (await window.LineageModel.getLinksForPart(partId)).forEach(link => {
+        timelineEvents.push({
+          id: link.id,
+          date: link.linked_at || part.acquisition_date,
+          precision: link.linked_at ? (link.linked_precision || 'day') : (part.date_precision || 'none'),
+          type: EVENT_TYPES.LINEAGE,
+          title: link.label,
+          content: `${link.label} ${link.other_brand} ${link.other_model} (${link.other_type}).`,
+          notes: link.notes || '',
+          linkedPartId: link.other_part_id,
+          direction: link.direction
+        });
+      });
+      
+      // Warranty end, derived from the acquisition date
+      const expiry = window.WarrantyModel.getWarrantyExpiry(part);
+      if (expiry) {
+        const expired = expiry.end < new Date().toISOString().substring(0, 10);
+        timelineEvents.push({
+          date: expiry.date,
+          precision: expiry.precision,
+          type: EVENT_TYPES.WARRANTY_EXPIRY,
+          title: expired ? 'Warranty Expired' : 'Warranty Expires',
+          content: `End of the ${part.warranty_months}-month warranty.`,
+          notes: ''
+        });
+      }
+      
       // Sort by date (using lexicographical sorting since our dates are ISO format)
       timelineEvents.sort((a, b) => {
         // If no dates, put at beginning
@@ -120,49 +195,107 @@ window.TimelineEvent = (function() {
     }
   }
 
+  /**
+   * Get the timeline of every physical part in a part's lineage, merged into
+   * one story. Each event carries the partId and partName it belongs to; a link
+   * between two parts of the lineage is only shown once.
+   * @param {number} partId - Any part in the lineage
+   * @returns {Promise<Array>} Array of timeline events
+   */
+  async function getTimelineEventsForLineage(partId) {
+    try {
+      const timelineEvents = [];
+      
+      for (const id of await window.LineageModel.getLineagePartIds(partId)) {
+        const part = await window.PartModel.getPartById(id);
+        const partName = `${part.brand} ${part.model}`;
+        
+        (await getTimelineEventsForPart(id))
+          .filter(event => event.type !== EVENT_TYPES.LINEAGE || event.direction === 'forward')
+          .forEach(event => timelineEvents.push({ ...event, partId: id, partName }));
+      }
+      
+      timelineEvents.sort((a, b) => {
+        if (!a.date) return -1;
+        if (!b.date) return 1;
+        return a.date.localeCompare(b.date);
+      });
+      
+      return timelineEvents;
+    } catch (err) {
+      console.error(`Error getting lineage timeline for part ${partId}:`, err);
+      throw err;
+    }
+  }
+
   /**
    * Delete a timeline event
    * @param {number} partId - Part ID
    * @param {string} eventType - Event type
    * @param {string} eventDate - Event date
    */
-  function deleteTimelineEvent(partId, eventType, eventDate) {
-    const db = window.DatabaseService.getDatabase();
-    if (!db) throw new Error('No database is open');
-    
+  async function deleteTimelineEvent(partId, eventType, eventDate) {
     try {
       // Different handling based on event type
       switch(eventType) {
         case EVENT_TYPES.ACQUISITION:
           // Clear acquisition date
-          db.run(`UPDATE parts SET acquisition_date = NULL, date_precision = 'none' WHERE id = ${partId}`);
+          await window.QueryService.run(
+            "UPDATE parts SET acquisition_date = NULL, date_precision = 'none' WHERE id = ?",
+            [partId]
+          );
           break;
           
         case EVENT_TYPES.CONNECTED:
           // Delete specific connection by finding the matching record
-          db.run(`
+          await window.QueryService.run(`
             DELETE FROM connections 
-            WHERE part_id = ${partId} 
-            AND connected_at = '${eventDate}'
+            WHERE part_id = ? 
+            AND connected_at = ?
             AND disconnected_at IS NULL
-          `);
+          `, [partId, eventDate]);
           break;
           
         case EVENT_TYPES.DISCONNECTED:
           // Find the connection and clear its disconnected date
-          db.run(`
+          await window.QueryService.run(`
             UPDATE connections 
             SET disconnected_at = NULL, disconnected_precision = NULL
-            WHERE part_id = ${partId} 
-            AND disconnected_at = '${eventDate}'
-          `);
+            WHERE part_id = ? 
+            AND disconnected_at = ?
+          `, [partId, eventDate]);
           break;
           
         case EVENT_TYPES.DISPOSED:
           // Delete disposal record and un-delete the part
-          db.run(`DELETE FROM disposals WHERE part_id = ${partId} AND disposed_at = '${eventDate}'`);
-          db.run(`UPDATE parts SET is_deleted = 0 WHERE id = ${partId}`);
+          await window.QueryService.transaction(async () => {
+            await window.QueryService.run(
+              'DELETE FROM disposals WHERE part_id = ? AND disposed_at = ?',
+              [partId, eventDate]
+            );
+            await window.QueryService.run('UPDATE parts SET is_deleted = 0 WHERE id = ?', [partId]);
+          });
+          break;
+          
+        case EVENT_TYPES.RMA_SENT: {
+          // Delete the whole RMA record
+          const rmaId = await window.QueryService.value(
+            'SELECT id FROM rmas WHERE part_id = ? AND sent_at = ?',
+            [partId, eventDate]
+          );
+          await window.WarrantyModel.deleteRma(rmaId);
+          break;
+        }
+          
+        case EVENT_TYPES.RMA_RETURNED: {
+          // The part goes back to being away for repair
+          const rmaId = await window.QueryService.value(
+            'SELECT id FROM rmas WHERE part_id = ? AND returned_at = ?',
+            [partId, eventDate]
+          );
+          await window.WarrantyModel.reopenRma(rmaId);
           break;
+        }
           
         default:
           throw new Error(`Unknown event type: ${eventType}`);
@@ -177,6 +310,12 @@ window.TimelineEvent = (function() {
   return {
     EVENT_TYPES,
     getTimelineEventsForPart,
+    getTimelineEventsForLineage,
     deleteTimelineEvent
   };
-})();
\ No newline at end of file
+})();
+
+// Record timeline edits for undo/redo
+window.HistoryService.track(window.TimelineEvent, {
+  deleteTimelineEvent: 'Delete timeline event'
+});
@@ -0,0 +1,402 @@
+/**
+ * Warranty model for PC History Tracker
+ * Derives warranty expiry dates and manages RMA (repair and return) records
+ */
+
+// Create namespace
+window.WarrantyModel = (function() {
+  // Private members
+
+  // How an RMA can end
+  const RMA_OUTCOMES = ['repaired', 'replaced', 'refused', 'lost'];
+
+  // Columns returned for an RMA record
+  const RMA_COLUMNS = `
+    r.id,
+    r.part_id,
+    r.sent_at,
+    r.sent_precision,
+    r.returned_at,
+    r.returned_precision,
+    r.outcome,
+    r.replacement_part_id,
+    r.rma_number,
+    r.notes
+  `;
+
+  /**
+   * Today's date as YYYY-MM-DD
+   * @returns {string} Date string
+   */
+  function today() {
+    return new Date().toISOString().substring(0, 10);
+  }
+
+  /**
+   * Days from one date to another
+   * @param {string} from - Start date (YYYY-MM-DD)
+   * @param {string} to - End date (YYYY-MM-DD)
+   * @returns {number} Whole days (negative if to is earlier)
+   */
+  function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+  }
+
+  /**
+   * Work out when a part's warranty ends. The expiry has the same precision as
+   * the acquisition date: a part bought "in 2020" with a 24-month warranty
+   * expires "in 2022".
+   * @param {Object} part - Part with acquisition_date, date_precision and warranty_months
+   * @returns {Object|null} { date, precision, start, end } where start and end are the
+   *   earliest and latest days the warranty could end, or null without a warranty or date
+   */
+  function getWarrantyExpiry(part) {
+    if (!part || part.warranty_months === null || part.warranty_months === undefined) return null;
+    if (!part.acquisition_date || part.date_precision === 'none') return null;
+
+    const precision = part.date_precision || 'day';
+    const date = window.DateUtils.addMonths(part.acquisition_date, part.warranty_months);
+    const range = window.DateUtils.getDateRange(date, precision);
+
+    return { date, precision, start: range.start, end: range.end };
+  }
+
+  /**
+   * Classify a warranty on a date. A warranty only counts as expired once its
+   * latest possible end has passed.
+   * @param {Object} expiry - Result of getWarrantyExpiry
+   * @param {string} date - Date to classify on (YYYY-MM-DD)
+   * @param {number} withinDays - How close the end must be to count as expiring
+   * @returns {string} 'expired', 'expiring' or 'active'
+   */
+  function classifyWarranty(expiry, date, withinDays) {
+    if (expiry.end < date) return 'expired';
+    if (daysBetween(date, expiry.start) <= withinDays) return 'expiring';
+    return 'active';
+  }
+
+  /**
+   * Get every part (not disposed) that has a warranty, with its expiry
+   * @param {number} withinDays - Days ahead that count as expiring soon
+   * @returns {Promise<Array>} Part rows with expiry_date, expiry_precision, expiry_end,
+   *   days_left (to the latest possible end) and warranty_status, soonest first
+   */
+  async function getWarranties(withinDays = 90) {
+    try {
+      const date = today();
+
+      const parts = await window.QueryService.all(`
+        SELECT id, brand, model, type, acquisition_date, date_precision, warranty_months, serial_number
+        FROM parts
+        WHERE is_deleted = 0 AND warranty_months IS NOT NULL
+      `);
+
+      return parts
+        .map(part => ({ part, expiry: getWarrantyExpiry(part) }))
+        .filter(({ expiry }) => expiry !== null)
+        .map(({ part, expiry }) => ({
+          ...part,
+          expiry_date: expiry.date,
+          expiry_precision: expiry.precision,
+          expiry_end: expiry.end,
+          days_left: daysBetween(date, expiry.end),
+          warranty_status: classifyWarranty(expiry, date, withinDays)
+        }))
+        .sort((a, b) => a.expiry_end.localeCompare(b.expiry_end));
+    } catch (err) {
+      console.error('Error getting warranties:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get warranties that end within a number of days from today
+   * @param {number} withinDays - Days ahead
+   * @returns {Promise<Array>} Rows as returned by getWarranties
+   */
+  async function getExpiringWarranties(withinDays = 90) {
+    return (await getWarranties(withinDays)).filter(row => row.warranty_status === 'expiring');
+  }
+
+  /**
+   * Get an RMA record
+   * @param {number} rmaId - RMA ID
+   * @returns {Promise<Object|null>} RMA record
+   */
+  async function getRmaById(rmaId) {
+    try {
+      return await window.QueryService.get(`SELECT ${RMA_COLUMNS} FROM rmas r WHERE r.id = ?`, [rmaId]);
+    } catch (err) {
+      console.error(`Error getting RMA ${rmaId}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get every RMA for a part, oldest first, with the replacement's name
+   * @param {number} partId - Part ID
+   * @returns {Promise<Array>} RMA records
+   */
+  async function getRmasForPart(partId) {
+    try {
+      const query = `
+        SELECT ${RMA_COLUMNS},
+          rp.brand as replacement_brand,
+          rp.model as replacement_model
+        FROM rmas r
+        LEFT JOIN parts rp ON rp.id = r.replacement_part_id
+        WHERE r.part_id = ?
+        ORDER BY r.sent_at, r.id
+      `;
+
+      return await window.QueryService.all(query, [partId]);
+    } catch (err) {
+      console.error(`Error getting RMAs for part ${partId}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Get a part's open RMA (sent and not yet back)
+   * @param {number} partId - Part ID
+   * @returns {Promise<Object|null>} RMA record or null if the part isn't away
+   */
+  async function getOpenRma(partId) {
+    try {
+      const query = `
+        SELECT ${RMA_COLUMNS}
+        FROM rmas r
+        WHERE r.part_id = ? AND r.returned_at IS NULL
+        ORDER BY r.sent_at DESC, r.id DESC
+        LIMIT 1
+      `;
+
+      return await window.QueryService.get(query, [partId]);
+    } catch (err) {
+      console.error(`Error getting open RMA for part ${partId}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Send a part away for repair or replacement
+   * @param {number} partId - Part ID
+   * @param {Object} dateInfo - Date sent ({ year, month, day })
+   * @param {Object} rmaInfo - Optional { rmaNumber, notes }
+   * @returns {Promise<number>} New RMA ID
+   */
+  async function sendForRepair(partId, dateInfo, rmaInfo = {}) {
+    const { year, month, day } = dateInfo || {};
+
+    if (!partId) {
+      throw new Error('Part ID is required');
+    }
+
+    if (!year) {
+      throw new Error('Date sent is required');
+    }
+
+    try {
+      const part = await window.PartModel.getPartById(partId);
+      if (!part) {
+        throw new Error('Part not found');
+      }
+
+      if (part.is_deleted === 1) {
+        throw new Error('A disposed part cannot be sent for repair');
+      }
+
+      if (part.active_connections > 0) {
+        throw new Error('Disconnect the part before sending it for repair');
+      }
+
+      if (await getOpenRma(partId)) {
+        throw new Error('This part is already away for repair');
+      }
+
+      const dateString = window.DateUtils.createDateString(year, month, day);
+      const precision = window.DateUtils.getDatePrecision(year, month, day);
+
+      // A backdated RMA must not overlap the part's time in a rig
+      return await window.TemporalValidator.guard([partId], async () => {
+        const query = `
+          INSERT INTO rmas (part_id, sent_at, sent_precision, rma_number, notes)
+          VALUES (?, ?, ?, ?, ?)
+        `;
+
+        return (await window.QueryService.run(query, [
+          partId,
+          dateString,
+          precision,
+          (rmaInfo.rmaNumber || '').trim() || null,
+          rmaInfo.notes || ''
+        ])).lastInsertId;
+      });
+    } catch (err) {
+      console.error(`Error sending part ${partId} for repair:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Record how an RMA ended. A replacement becomes a new part of the same type,
+   * linked to the original in its lineage, and the original is disposed of as
+   * returned; a part lost in the post is disposed of as lost.
+   * @param {number} rmaId - RMA ID
+   * @param {Object} dateInfo - Date the RMA ended ({ year, month, day })
+   * @param {Object} returnInfo - { outcome, notes, replacement } where replacement
+   *   is optional part data ({ brand, model, serial_number, warranty_months, notes })
+   * @returns {Promise<number|null>} Replacement part ID, if one was created
+   */
+  async function completeRepair(rmaId, dateInfo, returnInfo = {}) {
+    const { year, month, day } = dateInfo || {};
+    const { outcome, notes, replacement } = returnInfo;
+
+    if (!year) {
+      throw new Error('Return date is required');
+    }
+
+    if (!RMA_OUTCOMES.includes(outcome)) {
+      throw new Error(`Invalid RMA outcome: ${outcome}`);
+    }
+
+    try {
+      const rma = await getRmaById(rmaId);
+      if (!rma) {
+        throw new Error(`RMA with ID ${rmaId} not found`);
+      }
+
+      if (rma.returned_at) {
+        throw new Error('This RMA has already been completed');
+      }
+
+      const part = await window.PartModel.getPartById(rma.part_id);
+      const dateString = window.DateUtils.createDateString(year, month, day);
+      const precision = window.DateUtils.getDatePrecision(year, month, day);
+      const rmaText = rma.rma_number ? `RMA ${rma.rma_number}` : 'RMA';
+
+      return await window.TemporalValidator.guard([rma.part_id], async () => {
+        let replacementId = null;
+
+        if (outcome === 'replaced') {
+          const data = replacement || {};
+          replacementId = await window.PartModel.addPart({
+            brand: data.brand || part.brand,
+            model: data.model || part.model,
+            type: part.type,
+            acquisition_date: dateString,
+            date_precision: precision,
+            serial_number: data.serial_number,
+            warranty_months: data.warranty_months,
+            notes: data.notes || `Replacement for ${part.brand} ${part.model} (${rmaText})`
+          });
+        }
+
+        await window.QueryService.run(`
+          UPDATE rmas
+          SET returned_at = ?,
+              returned_precision = ?,
+              outcome = ?,
+              replacement_part_id = ?,
+              notes = CASE
+                WHEN ? = '' THEN notes
+                WHEN notes IS NULL OR notes = '' THEN ?
+                ELSE notes || '; ' || ?
+              END
+          WHERE id = ?
+        `, [dateString, precision, outcome, replacementId, notes || '', notes || '', notes || '', rmaId]);
+
+        if (replacementId) {
+          await window.LineageModel.addLink(rma.part_id, 'replaced_by', replacementId, dateInfo, rmaText);
+        }
+
+        // The original doesn't come back when it was swapped or lost
+        if (outcome === 'replaced' || outcome === 'lost') {
+          await window.DisposalModel.disposePart(rma.part_id, dateInfo, {
+            method: outcome === 'replaced' ? 'returned' : 'lost',
+            recipient: outcome === 'replaced' ? (part.vendor || 'Manufacturer') : null,
+            notes: outcome === 'replaced' ? `Replaced under ${rmaText}` : `Lost during ${rmaText}`
+          });
+        }
+
+        return replacementId;
+      });
+    } catch (err) {
+      console.error(`Error completing RMA ${rmaId}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Mark a completed repair as still away. RMAs that ended in a replacement or a
+   * loss disposed of the part, so they are reversed with undo instead.
+   * @param {number} rmaId - RMA ID
+   */
+  async function reopenRma(rmaId) {
+    try {
+      const rma = await getRmaById(rmaId);
+      if (!rma) {
+        throw new Error(`RMA with ID ${rmaId} not found`);
+      }
+
+      if (rma.outcome === 'replaced' || rma.outcome === 'lost') {
+        throw new Error('An RMA that ended in a replacement or loss cannot be reopened; use Undo instead');
+      }
+
+      await window.TemporalValidator.guard([rma.part_id], async () => {
+        await window.QueryService.run(
+          'UPDATE rmas SET returned_at = NULL, returned_precision = NULL, outcome = NULL WHERE id = ?',
+          [rmaId]
+        );
+      });
+    } catch (err) {
+      console.error(`Error reopening RMA ${rmaId}:`, err);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete an RMA record
+   * @param {number} rmaId - RMA ID
+   */
+  async function deleteRma(rmaId) {
+    try {
+      const rma = await getRmaById(rmaId);
+      if (!rma) {
+        throw new Error(`RMA with ID ${rmaId} not found`);
+      }
+
+      if (rma.outcome === 'replaced' || rma.outcome === 'lost') {
+        throw new Error('An RMA that ended in a replacement or loss cannot be deleted; use Undo instead');
+      }
+
+      await window.QueryService.run('DELETE FROM rmas WHERE id = ?', [rmaId]);
+    } catch (err) {
+      console.error(`Error deleting RMA ${rmaId}:`, err);
+      throw err;
+    }
+  }
+
+  // Public API
+  return {
+    RMA_OUTCOMES,
+    getWarrantyExpiry,
+    getWarranties,
+    getExpiringWarranties,
+    getRmaById,
+    getRmasForPart,
+    getOpenRma,
+    sendForRepair,
+    completeRepair,
+    reopenRma,
+    deleteRma
+  };
+})();
+
+// Record RMA changes for undo/redo
+window.HistoryService.track(window.WarrantyModel, {
+  sendForRepair: 'Send for repair',
+  completeRepair: 'Complete RMA',
+  reopenRma: 'Reopen RMA',
+  deleteRma: 'Delete RMA'
+});
@@ -0,0 +1,163 @@
+/**
+ * Archive service for PC History Tracker
+ * Reads and writes the history tables as plain records, for the CSV and JSON archives
+ */
+
+// Create ArchiveService namespace
+window.ArchiveService = (function() {
+  // Private members
+
+  // History tables, parts first so references to them can be remapped on import
+  const TABLES = [
+    { name: 'parts', partColumns: [] },
+    { name: 'connections', partColumns: ['motherboard_id', 'part_id'] },
+    { name: 'rig_identities', partColumns: ['motherboard_id'] },
+    { name: 'rig_names', partColumns: ['motherboard_id'] },
+    { name: 'disposals', partColumns: ['part_id'] },
+    { name: 'rmas', partColumns: ['part_id', 'replacement_part_id'] },
+    { name: 'part_lineage', partColumns: ['part_id', 'related_part_id'] }
+  ];
+
+  /**
+   * Run a query on the open database, or on a detached one
+   * @param {string} sql - SQL query
+   * @param {Object} database - Database from DatabaseService.openDetachedDatabase
+   *   (defaults to the open one)
+   * @returns {Promise<Array>} Array of row objects
+   */
+  async function all(sql, database) {
+    if (!database) return window.QueryService.all(sql);
+
+    const result = await database.exec(sql);
+    if (result.length === 0) return [];
+
+    const { columns, values } = result[0];
+    return values.map(row => {
+      const mapped = {};
+      columns.forEach((column, index) => {
+        mapped[column] = row[index];
+      });
+      return mapped;
+    });
+  }
+
+  /**
+   * Columns of a table
+   * @param {string} table - Table name
+   * @param {Object} database - Detached database (defaults to the open one)
+   * @returns {Promise<Array>} { name, type } for each column, type upper-cased (INTEGER, REAL, TEXT)
+   */
+  async function getColumns(table, database) {
+    return (await all(`PRAGMA table_info(${table})`, database)).map(column => ({
+      name: column.name,
+      type: (column.type || '').toUpperCase()
+    }));
+  }
+
+  /**
+   * Read every history table
+   * @param {Object} database - Detached database (defaults to the open one)
+   * @returns {Promise<Object>} Map of table name to records (all columns, by ID)
+   */
+  async function exportTables(database) {
+    const tables = {};
+    for (const table of TABLES) {
+      const columns = (await getColumns(table.name, database)).map(column => column.name);
+      tables[table.name] = await all(`SELECT ${columns.join(', ')} FROM ${table.name} ORDER BY id`, database);
+    }
+    return tables;
+  }
+
+  /**
+   * Insert records into the history tables. With keepIds every record keeps its
+   * ID; otherwise records get new IDs and their references to parts are
+   * remapped. Columns the open database doesn't have are ignored. Runs in the
+   * caller's transaction if there is one.
+   * @param {Object} tables - Map of table name to records (missing tables are skipped)
+   * @param {Object} options - { keepIds, describe, partIds } where describe(table, index, column)
+   *   names a value in error messages and partIds is a Map of part IDs the records may
+   *   refer to without including them (for parts already in the open database); the
+   *   parts inserted are added to it
+   * @returns {Promise<Object>} Number of records inserted per table
+   */
+  async function importTables(tables, options = {}) {
+    const keepIds = !!options.keepIds;
+    const describe = options.describe || ((table, index, column) => `${table}[${index}].${column}`);
+    const partIds = options.partIds || new Map();
+    const counts = {};
+
+    await window.DatabaseService.transaction(async () => {
+      for (const table of TABLES) {
+        counts[table.name] = 0;
+
+        const records = tables[table.name];
+        if (!records) continue;
+
+        const columns = (await getColumns(table.name)).map(column => column.name);
+
+        for (const [index, record] of records.entries()) {
+          const names = [];
+          const values = [];
+
+          columns.forEach(column => {
+            if (!(column in record)) return;
+            if (column === 'id' && !keepIds) return;
+
+            let value = record[column];
+
+            if (table.partColumns.includes(column) && value !== null) {
+              if (!partIds.has(value)) {
+                throw new Error(`${describe(table.name, index, column)} refers to part ${value}, which is not in the archive`);
+              }
+              value = partIds.get(value);
+            }
+
+            names.push(column);
+            values.push(value);
+          });
+
+          const result = await window.QueryService.run(
+            `INSERT INTO ${table.name} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+            values
+          );
+
+          if (table.name === 'parts') {
+            partIds.set(record.id, keepIds ? record.id : result.lastInsertId);
+          }
+          counts[table.name]++;
+        }
+      }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Delete every record from the history tables (the audit log keeps its entries)
+   */
+  async function clearTables() {
+    await window.DatabaseService.transaction(async () => {
+      for (const table of [...TABLES].reverse()) {
+        await window.QueryService.run(`DELETE FROM ${table.name}`);
+      }
+    });
+  }
+
+  /**
+   * Whether the open database has no parts yet
+   * @returns {Promise<boolean>} True if empty
+   */
+  async function isEmpty() {
+    return await window.QueryService.value('SELECT COUNT(*) FROM parts') === 0;
+  }
+
+  // Public API
+  return {
+    TABLES,
+    getColumns,
+    exportTables,
+    importTables,
+    clearTables,
+    isEmpty
+  };
+})();
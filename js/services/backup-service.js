@@ -0,0 +1,383 @@
+/**
+ * Backup service for PC History Tracker
+ * Keeps rolling snapshots of the database in IndexedDB, taken before every save.
+ * Snapshots of an encrypted file are encrypted with its key.
+ */
+
+// Create BackupService namespace
+window.BackupService = (function() {
+  // Private members
+
+  const DB_NAME = 'pc-history-backups';
+  const DB_VERSION = 2;
+  const SETTINGS_KEY = 'pc-history-backup-settings';
+
+  // Keep the 10 latest snapshots, plus the last one of each of the 7 latest
+  // days and 8 latest weeks that have any
+  const DEFAULT_SETTINGS = {
+    enabled: true,
+    keepLast: 10,
+    keepDaily: 7,
+    keepWeekly: 8
+  };
+
+  // Open IndexedDB connection, shared by every call
+  let connection = null;
+
+  /**
+   * Open the backup database. Snapshot bytes live in their own store so
+   * listing backups doesn't read every snapshot into memory.
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  async function openStore() {
+    if (!connection) {
+      connection = await window.IDBUtils.open(DB_NAME, DB_VERSION, (db, oldVersion, transaction) => {
+        if (oldVersion < 1) {
+          const backups = db.createObjectStore('backups', { keyPath: 'id', autoIncrement: true });
+          backups.createIndex('file', 'file');
+          db.createObjectStore('backup_data');
+        }
+
+        if (oldVersion < 2) {
+          // Backups are grouped by the file's identity rather than its name, so
+          // two files called the same don't share (and prune) each other's
+          // backups. Older backups have no key and stay until deleted by hand.
+          transaction.objectStore('backups').createIndex('file_key', 'file_key');
+          db.createObjectStore('files', { keyPath: 'id', autoIncrement: true });
+        }
+      });
+    }
+    return connection;
+  }
+
+  /**
+   * Key a file's backups are kept under. Files on disk are told apart by
+   * their handle, remembered in the files store; files in browser storage by
+   * their name, which is unique there.
+   * @param {FileSystemFileHandle|null} handle - The file's handle, if it is on disk
+   * @param {string|null} name - The file's name (null for a new database)
+   * @returns {Promise<string>} 'disk:<id>', 'browser:<name>' or 'untitled'
+   */
+  async function fileKey(handle, name) {
+    if (!handle) {
+      return name ? `browser:${name}` : 'untitled';
+    }
+
+    const db = await openStore();
+    const files = await window.IDBUtils.request(db.transaction('files').objectStore('files').getAll());
+    for (const file of files) {
+      if (file.name === handle.name && await file.handle.isSameEntry(handle)) {
+        return `disk:${file.id}`;
+      }
+    }
+
+    const transaction = db.transaction('files', 'readwrite');
+    const id = await window.IDBUtils.request(transaction.objectStore('files').add({ name: handle.name, handle }));
+    await window.IDBUtils.done(transaction);
+    return `disk:${id}`;
+  }
+
+  /**
+   * Key of the open file's backups (see fileKey)
+   * @returns {Promise<string>} File key
+   */
+  function currentFileKey() {
+    return fileKey(window.FileService.getFileHandle(), window.FileService.getCurrentFileName());
+  }
+
+  /**
+   * Local calendar day of a timestamp
+   * @param {Date} date - Timestamp
+   * @returns {string} YYYY-MM-DD
+   */
+  function dayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Week of a timestamp, named by its Monday
+   * @param {Date} date - Timestamp
+   * @returns {string} YYYY-MM-DD of the Monday
+   */
+  function weekKey(date) {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    return dayKey(monday);
+  }
+
+  /**
+   * Pick the backups retention keeps
+   * @param {Array} backups - One file's backups, newest first
+   * @param {Object} settings - Retention settings
+   * @returns {Set} IDs to keep
+   */
+  function selectKept(backups, settings) {
+    const kept = new Set(backups.slice(0, settings.keepLast).map(backup => backup.id));
+
+    // The newest backup of each of the latest days and weeks
+    [[dayKey, settings.keepDaily], [weekKey, settings.keepWeekly]].forEach(([periodOf, count]) => {
+      const periods = new Set();
+      backups.forEach(backup => {
+        const period = periodOf(new Date(backup.created_at));
+        if (periods.has(period) || periods.size >= count) return;
+        periods.add(period);
+        kept.add(backup.id);
+      });
+    });
+
+    return kept;
+  }
+
+  /**
+   * Delete one file's backups that retention no longer keeps
+   * @param {string} key - File key
+   * @returns {Promise<number>} Number of backups deleted
+   */
+  async function prune(key) {
+    const backups = await listBackups(key);
+
+    const kept = selectKept(backups, getSettings());
+    const expired = backups.filter(backup => !kept.has(backup.id));
+    if (expired.length === 0) return 0;
+
+    const db = await openStore();
+    const transaction = db.transaction(['backups', 'backup_data'], 'readwrite');
+    expired.forEach(backup => {
+      transaction.objectStore('backups').delete(backup.id);
+      transaction.objectStore('backup_data').delete(backup.id);
+    });
+    await window.IDBUtils.done(transaction);
+
+    return expired.length;
+  }
+
+  /**
+   * Get the retention settings
+   * @returns {Object} { enabled, keepLast, keepDaily, keepWeekly }
+   */
+  function getSettings() {
+    try {
+      return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+    } catch (err) {
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Change the retention settings. They apply from the next backup on.
+   * @param {Object} settings - Any of { enabled, keepLast, keepDaily, keepWeekly }
+   * @returns {Object} The complete settings
+   */
+  function saveSettings(settings) {
+    const merged = { ...getSettings(), ...settings };
+    merged.keepLast = Math.max(1, Math.floor(merged.keepLast) || DEFAULT_SETTINGS.keepLast);
+    merged.keepDaily = Math.max(0, Math.floor(merged.keepDaily) || 0);
+    merged.keepWeekly = Math.max(0, Math.floor(merged.keepWeekly) || 0);
+
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(merged));
+    return merged;
+  }
+
+  /**
+   * Store a snapshot of the open database, encrypted if its file is, then drop
+   * backups retention no longer keeps. Nothing is stored if the database hasn't
+   * changed since the file's latest backup.
+   * @param {Uint8Array} data - Exported database
+   * @param {string} reason - Why the backup was taken ('save', 'before restore')
+   * @returns {Promise<Object|null>} The backup's details, or null if none was stored
+   */
+  async function createBackup(data, reason = 'save') {
+    try {
+      if (!getSettings().enabled || !window.IDBUtils.isSupported()) return null;
+
+      // Note which file this is before the first await, in case another is
+      // opened meanwhile
+      const key = window.FileService.getEncryptionKey();
+      const backup = {
+        file: window.FileService.getCurrentFileName() || 'Untitled',
+        created_at: new Date().toISOString(),
+        reason,
+        size: data.length,
+        checksum: window.ZipUtils.crc32(data),
+        schema_version: window.DatabaseService.getSchemaVersion(),
+        encrypted: !!key
+      };
+      backup.file_key = await currentFileKey();
+      backup.parts = await window.QueryService.value('SELECT COUNT(*) FROM parts');
+      backup.connections = await window.QueryService.value('SELECT COUNT(*) FROM connections');
+
+      const latest = (await listBackups(backup.file_key))[0];
+      if (latest && latest.checksum === backup.checksum && latest.size === backup.size) return null;
+
+      const stored = key ? await window.CryptoService.encrypt(data, key) : data;
+
+      const db = await openStore();
+      const transaction = db.transaction(['backups', 'backup_data'], 'readwrite');
+      const id = await window.IDBUtils.request(transaction.objectStore('backups').add(backup));
+      transaction.objectStore('backup_data').put(stored, id);
+      await window.IDBUtils.done(transaction);
+
+      await prune(backup.file_key);
+      return { ...backup, id };
+    } catch (err) {
+      console.error('Error creating backup:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * List backups, newest first
+   * @param {string} key - Only this file's backups (all files if omitted; see
+   *   currentFileKey)
+   * @returns {Promise<Array>} Backup details without their data
+   */
+  async function listBackups(key) {
+    const db = await openStore();
+    const store = db.transaction('backups').objectStore('backups');
+    const backups = await window.IDBUtils.request(key ? store.index('file_key').getAll(key) : store.getAll());
+    return backups.sort((a, b) => b.id - a.id);
+  }
+
+  /**
+   * Read a backup's stored bytes
+   * @param {number} id - Backup ID
+   * @returns {Promise<Uint8Array>} Exported database, encrypted if the backup is
+   *   (see readBackup)
+   */
+  async function getBackupData(id) {
+    const db = await openStore();
+    const data = await window.IDBUtils.request(db.transaction('backup_data').objectStore('backup_data').get(id));
+    if (!data) {
+      throw new Error(`Backup ${id} not found`);
+    }
+    return data;
+  }
+
+  /**
+   * Read a backup's database, decrypting it with the open file's key or, if it
+   * was taken under another passphrase, one the user enters
+   * @param {number} id - Backup ID
+   * @returns {Promise<Uint8Array>} Exported database
+   */
+  async function readBackup(id) {
+    const data = await getBackupData(id);
+    if (!window.CryptoService.isEncrypted(data)) return data;
+
+    const key = window.FileService.getEncryptionKey();
+    if (key) {
+      try {
+        return (await window.CryptoService.decrypt(data, key)).data;
+      } catch (err) {
+        if (err.name !== 'PassphraseError') throw err;
+      }
+    }
+
+    const unlocked = await window.EncryptionDialog.unlock(data, 'This backup');
+    if (!unlocked) {
+      const err = new Error('No passphrase entered');
+      err.name = 'AbortError';
+      throw err;
+    }
+    return unlocked.data;
+  }
+
+  /**
+   * Store the open file's backups the way the file is now stored, after its
+   * passphrase was set, changed or removed. Backups the old key can't open
+   * (taken under an even older passphrase) are left as they are.
+   * @param {Object|null} oldKey - Key the file was saved with before
+   * @param {Object|null} newKey - Key it is saved with now
+   * @returns {Promise<number>} Number of backups changed
+   */
+  async function rekeyBackups(oldKey, newKey) {
+    try {
+      const db = await openStore();
+      let changed = 0;
+
+      for (const backup of await listBackups(await currentFileKey())) {
+        const stored = await getBackupData(backup.id);
+        let data = stored;
+        if (window.CryptoService.isEncrypted(stored)) {
+          if (!oldKey) continue;
+          try {
+            data = (await window.CryptoService.decrypt(stored, oldKey)).data;
+          } catch (err) {
+            if (err.name !== 'PassphraseError') throw err;
+            continue;
+          }
+        } else if (!newKey) {
+          continue;
+        }
+
+        // Encrypt before the transaction: it would commit while waiting
+        const rekeyed = newKey ? await window.CryptoService.encrypt(data, newKey) : data;
+        const transaction = db.transaction(['backups', 'backup_data'], 'readwrite');
+        transaction.objectStore('backups').put({ ...backup, encrypted: !!newKey });
+        transaction.objectStore('backup_data').put(rekeyed, backup.id);
+        await window.IDBUtils.done(transaction);
+        changed++;
+      }
+
+      return changed;
+    } catch (err) {
+      console.error('Error re-encrypting backups:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete a backup
+   * @param {number} id - Backup ID
+   */
+  async function deleteBackup(id) {
+    const db = await openStore();
+    const transaction = db.transaction(['backups', 'backup_data'], 'readwrite');
+    transaction.objectStore('backups').delete(id);
+    transaction.objectStore('backup_data').delete(id);
+    await window.IDBUtils.done(transaction);
+  }
+
+  /**
+   * Compare a backup with the open database
+   * @param {number} id - Backup ID
+   * @returns {Promise<Object>} Diff going from the backup to the open database
+   *   (see DiffEngine.compareTables)
+   */
+  async function compareBackup(id) {
+    return window.DiffEngine.compare(await readBackup(id));
+  }
+
+  /**
+   * Replace the open database with a backup. The current state is backed up
+   * first, and the restore is one undoable step.
+   * @param {number} id - Backup ID
+   */
+  async function restoreBackup(id) {
+    try {
+      // Bring older snapshots up to the current schema before swapping them in
+      const detached = await window.DatabaseService.openDetachedDatabase(await readBackup(id));
+      const data = await detached.export();
+      await detached.close();
+
+      await createBackup(await window.DatabaseService.exportDatabase(), 'before restore');
+
+      await window.HistoryService.record('Restore backup', () => window.DatabaseService.restoreSnapshot(data), { snapshot: true });
+    } catch (err) {
+      console.error('Error restoring backup:', err);
+      throw err;
+    }
+  }
+
+  // Public API
+  return {
+    getSettings,
+    saveSettings,
+    currentFileKey,
+    createBackup,
+    listBackups,
+    getBackupData,
+    rekeyBackups,
+    deleteBackup,
+    compareBackup,
+    restoreBackup
+  };
+})();
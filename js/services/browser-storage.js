@@ -0,0 +1,252 @@
+/**
+ * Browser storage service for PC History Tracker
+ * Keeps database files inside the browser, for browsers without the File
+ * System Access API. Files live in the Origin Private File System where the
+ * browser can write to it, and in IndexedDB otherwise.
+ */
+
+// Create BrowserStorage namespace
+window.BrowserStorage = (function() {
+  // Private members
+
+  // OPFS directory the files are kept in
+  const DIRECTORY = 'pc-history';
+
+  // IndexedDB database for browsers without a writable OPFS
+  const DB_NAME = 'pc-history-files';
+  const DB_VERSION = 1;
+
+  /**
+   * Create an error for a file that isn't stored
+   * @param {string} name - File name
+   * @returns {Error} Error named NotFoundError, like the File System Access API's
+   */
+  function notFound(name) {
+    const err = new Error(`${name} is not in this browser's storage`);
+    err.name = 'NotFoundError';
+    return err;
+  }
+
+  // Origin Private File System backend
+  const opfs = {
+    isSupported: function() {
+      return !!(navigator.storage && navigator.storage.getDirectory) &&
+        typeof FileSystemFileHandle !== 'undefined' && 'createWritable' in FileSystemFileHandle.prototype;
+    },
+
+    directory: async function() {
+      const root = await navigator.storage.getDirectory();
+      return root.getDirectoryHandle(DIRECTORY, { create: true });
+    },
+
+    getFile: async function(name) {
+      try {
+        return await (await (await this.directory()).getFileHandle(name)).getFile();
+      } catch (err) {
+        throw err.name === 'NotFoundError' ? notFound(name) : err;
+      }
+    },
+
+    list: async function() {
+      const files = [];
+      for await (const handle of (await this.directory()).values()) {
+        if (handle.kind !== 'file') continue;
+
+        const file = await handle.getFile();
+        files.push({ name: handle.name, size: file.size, lastModified: file.lastModified });
+      }
+      return files;
+    },
+
+    read: async function(name) {
+      const file = await this.getFile(name);
+      return { buffer: await file.arrayBuffer(), lastModified: file.lastModified };
+    },
+
+    write: async function(name, data) {
+      const handle = await (await this.directory()).getFileHandle(name, { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(data);
+      await writable.close();
+      return (await handle.getFile()).lastModified;
+    },
+
+    getLastModified: async function(name) {
+      return (await this.getFile(name)).lastModified;
+    },
+
+    remove: async function(name) {
+      await (await this.directory()).removeEntry(name);
+    }
+  };
+
+  // IndexedDB backend
+  const indexedDb = {
+    connection: null,
+
+    isSupported: function() {
+      return window.IDBUtils.isSupported();
+    },
+
+    open: async function() {
+      if (!this.connection) {
+        this.connection = await window.IDBUtils.open(DB_NAME, DB_VERSION, (db) => {
+          db.createObjectStore('files', { keyPath: 'name' });
+        });
+      }
+      return this.connection;
+    },
+
+    get: async function(name) {
+      const db = await this.open();
+      const record = await window.IDBUtils.request(db.transaction('files').objectStore('files').get(name));
+      if (!record) throw notFound(name);
+      return record;
+    },
+
+    list: async function() {
+      const db = await this.open();
+      const records = await window.IDBUtils.request(db.transaction('files').objectStore('files').getAll());
+      return records.map(({ name, size, lastModified }) => ({ name, size, lastModified }));
+    },
+
+    read: async function(name) {
+      const { data, lastModified } = await this.get(name);
+      return { buffer: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength), lastModified };
+    },
+
+    write: async function(name, data) {
+      const db = await this.open();
+      const transaction = db.transaction('files', 'readwrite');
+      const store = transaction.objectStore('files');
+
+      // Every write must change lastModified, or another tab's save goes unnoticed
+      const existing = await window.IDBUtils.request(store.get(name));
+      const lastModified = Math.max(Date.now(), existing ? existing.lastModified + 1 : 0);
+
+      store.put({ name, data: new Uint8Array(data), size: data.byteLength, lastModified });
+      await window.IDBUtils.done(transaction);
+      return lastModified;
+    },
+
+    getLastModified: async function(name) {
+      return (await this.get(name)).lastModified;
+    },
+
+    remove: async function(name) {
+      const db = await this.open();
+      const transaction = db.transaction('files', 'readwrite');
+      transaction.objectStore('files').delete(name);
+      await window.IDBUtils.done(transaction);
+    }
+  };
+
+  // Whether persistent storage was asked for in this session
+  let persistenceRequested = false;
+
+  /**
+   * The backend in use
+   * @returns {Object} Backend
+   */
+  function backend() {
+    if (opfs.isSupported()) return opfs;
+    if (indexedDb.isSupported()) return indexedDb;
+    throw new Error('This browser can\'t store databases. Use a browser with file access, such as Chrome or Edge.');
+  }
+
+  /**
+   * Whether databases can be kept in this browser
+   * @returns {boolean} True if OPFS or IndexedDB is available
+   */
+  function isSupported() {
+    return opfs.isSupported() || indexedDb.isSupported();
+  }
+
+  /**
+   * Where files are kept
+   * @returns {string} 'opfs' or 'indexeddb'
+   */
+  function getKind() {
+    return backend() === opfs ? 'opfs' : 'indexeddb';
+  }
+
+  /**
+   * List the stored files
+   * @returns {Promise<Array>} { name, size, lastModified }, most recently changed first
+   */
+  async function list() {
+    const files = await backend().list();
+    return files.sort((a, b) => b.lastModified - a.lastModified);
+  }
+
+  /**
+   * Read a stored file
+   * @param {string} name - File name
+   * @returns {Promise<Object>} { buffer, lastModified }
+   */
+  async function read(name) {
+    return backend().read(name);
+  }
+
+  /**
+   * Write a file, creating or replacing it
+   * @param {string} name - File name
+   * @param {Uint8Array} data - File contents
+   * @returns {Promise<number>} The file's new lastModified
+   */
+  async function write(name, data) {
+    // Ask once for the browser not to clear the files when it runs low on space
+    if (!persistenceRequested && navigator.storage && navigator.storage.persist) {
+      persistenceRequested = true;
+      navigator.storage.persist().catch(err => console.warn('Could not make storage persistent:', err));
+    }
+
+    return backend().write(name, data);
+  }
+
+  /**
+   * When a stored file was last written
+   * @param {string} name - File name
+   * @returns {Promise<number>} lastModified
+   */
+  async function getLastModified(name) {
+    return backend().getLastModified(name);
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} name - File name
+   */
+  async function remove(name) {
+    await backend().remove(name);
+  }
+
+  /**
+   * A name for a new file that no stored file has yet
+   * @param {string} name - Wanted name, such as "pc-history.db"
+   * @returns {Promise<string>} The name, or "pc-history (2).db" and so on
+   */
+  async function uniqueName(name) {
+    const taken = new Set((await list()).map(file => file.name));
+    if (!taken.has(name)) return name;
+
+    const match = name.match(/^(.*?)(\.[^.]*)?$/);
+    const base = match[1];
+    const extension = match[2] || '';
+    let number = 2;
+    while (taken.has(`${base} (${number})${extension}`)) number++;
+    return `${base} (${number})${extension}`;
+  }
+
+  // Public API
+  return {
+    isSupported,
+    getKind,
+    list,
+    read,
+    write,
+    getLastModified,
+    remove,
+    uniqueName
+  };
+})();
@@ -0,0 +1,175 @@
+/**
+ * Crypto service for PC History Tracker
+ * Wraps database files in a passphrase-encrypted container (AES-GCM with a
+ * PBKDF2 key), so serial numbers, prices and buyers aren't readable from the file
+ */
+
+// Create CryptoService namespace
+window.CryptoService = (function() {
+  // Private members
+
+  // Container layout: magic, format version, PBKDF2 iterations (uint32, big
+  // endian), salt, IV, then the AES-GCM ciphertext with its tag. The header is
+  // authenticated along with the contents. SQLite files start "SQLite format 3",
+  // so the two can't be mistaken for each other.
+  const MAGIC = 'PCHCRYPT';
+  const FORMAT_VERSION = 1;
+  const SALT_BYTES = 16;
+  const IV_BYTES = 12;
+  const HEADER_BYTES = MAGIC.length + 1 + 4 + SALT_BYTES + IV_BYTES;
+  const TAG_BYTES = 16;
+
+  // PBKDF2-SHA256 work factor for new keys (WebCrypto has no Argon2)
+  const ITERATIONS = 600000;
+
+  /**
+   * Create an error for a passphrase that doesn't open the file
+   * @param {string} message - Error message
+   * @returns {Error} Error named PassphraseError
+   */
+  function passphraseError(message) {
+    const err = new Error(message);
+    err.name = 'PassphraseError';
+    return err;
+  }
+
+  /**
+   * Read a container's header
+   * @param {Uint8Array} bytes - Container
+   * @returns {Object} { version, iterations, salt, iv, header }
+   */
+  function readHeader(bytes) {
+    if (!isEncrypted(bytes) || bytes.length < HEADER_BYTES + TAG_BYTES) {
+      throw new Error('Not an encrypted database file');
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const version = bytes[MAGIC.length];
+    if (version > FORMAT_VERSION) {
+      throw new Error('This file was encrypted by a newer version of the app. Update the app to open it.');
+    }
+
+    let offset = MAGIC.length + 1;
+    const iterations = view.getUint32(offset);
+    if (iterations === 0 || iterations > ITERATIONS * 10) {
+      throw new Error('Not a valid encrypted database file');
+    }
+    offset += 4;
+    const salt = bytes.slice(offset, offset + SALT_BYTES);
+    offset += SALT_BYTES;
+    const iv = bytes.slice(offset, offset + IV_BYTES);
+
+    return { version, iterations, salt, iv, header: bytes.subarray(0, HEADER_BYTES) };
+  }
+
+  /**
+   * Whether two byte arrays hold the same bytes
+   * @param {Uint8Array} a - Bytes
+   * @param {Uint8Array} b - Bytes
+   * @returns {boolean} True if equal
+   */
+  function sameBytes(a, b) {
+    return a.length === b.length && a.every((byte, index) => byte === b[index]);
+  }
+
+  /**
+   * Whether a file is an encrypted database
+   * @param {ArrayBuffer|Uint8Array} data - File contents
+   * @returns {boolean} True if it starts with the container header
+   */
+  function isEncrypted(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    return bytes.length >= MAGIC.length && [...MAGIC].every((char, index) => bytes[index] === char.charCodeAt(0));
+  }
+
+  /**
+   * Derive an encryption key from a passphrase
+   * @param {string} passphrase - Passphrase
+   * @param {Uint8Array} salt - Salt (random for a new key)
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<Object>} Key for encrypt and decrypt: { key, salt, iterations }
+   */
+  async function deriveKey(passphrase, salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES)), iterations = ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    const key = await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+    return { key, salt, iterations };
+  }
+
+  /**
+   * Encrypt a database file
+   * @param {Uint8Array} data - Database bytes (DatabaseService.exportDatabase)
+   * @param {Object} keyInfo - Key from deriveKey
+   * @returns {Promise<Uint8Array>} Encrypted container
+   */
+  async function encrypt(data, keyInfo) {
+    const header = new Uint8Array(HEADER_BYTES);
+    const view = new DataView(header.buffer);
+    let offset = 0;
+
+    [...MAGIC].forEach(char => { header[offset++] = char.charCodeAt(0); });
+    header[offset++] = FORMAT_VERSION;
+    view.setUint32(offset, keyInfo.iterations);
+    offset += 4;
+    header.set(keyInfo.salt, offset);
+    offset += SALT_BYTES;
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    header.set(iv, offset);
+
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: header },
+      keyInfo.key,
+      data
+    ));
+
+    const container = new Uint8Array(HEADER_BYTES + ciphertext.length);
+    container.set(header);
+    container.set(ciphertext, HEADER_BYTES);
+    return container;
+  }
+
+  /**
+   * Decrypt an encrypted database file
+   * @param {ArrayBuffer|Uint8Array} data - Encrypted container
+   * @param {string|Object} passphrase - Passphrase, or a key from deriveKey or an
+   *   earlier decrypt of the same file
+   * @returns {Promise<Object>} { data, key }: the database bytes, and the key for
+   *   saving the file encrypted the same way
+   */
+  async function decrypt(data, passphrase) {
+    const bytes = new Uint8Array(data);
+    const { iterations, salt, iv, header } = readHeader(bytes);
+
+    let keyInfo = passphrase;
+    if (typeof passphrase === 'string') {
+      keyInfo = await deriveKey(passphrase, salt, iterations);
+    } else if (!sameBytes(keyInfo.salt, salt) || keyInfo.iterations !== iterations) {
+      throw passphraseError('The file\'s passphrase was changed elsewhere. Reopen it to enter the new one.');
+    }
+
+    try {
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv, additionalData: header },
+        keyInfo.key,
+        bytes.subarray(HEADER_BYTES)
+      );
+      return { data: new Uint8Array(plain), key: keyInfo };
+    } catch (err) {
+      // AES-GCM can't tell a wrong key from a damaged file
+      throw passphraseError('Wrong passphrase, or the file is damaged');
+    }
+  }
+
+  // Public API
+  return {
+    isEncrypted,
+    deriveKey,
+    encrypt,
+    decrypt
+  };
+})();
@@ -0,0 +1,168 @@
+/**
+ * CSV archive for PC History Tracker
+ * Exports the whole history as one CSV file per table and imports it back
+ */
+
+// Create CsvArchive namespace
+window.CsvArchive = (function() {
+  // Private members
+
+  // Identifies bundles written by this app
+  const FORMAT = 'pc-history-csv';
+  const FORMAT_VERSION = 1;
+
+  /**
+   * Convert a CSV value to what its column stores
+   * @param {string|null} value - Value read from the file
+   * @param {string} type - Column type
+   * @param {string} where - Description of the cell for error messages
+   * @returns {*} Stored value
+   */
+  function toColumnValue(value, type, where) {
+    if (value === null) return null;
+
+    if (type === 'INTEGER' || type === 'REAL') {
+      const number = Number(value);
+      if (value.trim() === '' || !isFinite(number) || (type === 'INTEGER' && !Number.isInteger(number))) {
+        throw new Error(`${where}: "${value}" is not a number`);
+      }
+      return number;
+    }
+
+    return value;
+  }
+
+  /**
+   * Build the bundle's files
+   * @returns {Promise<Array>} { name, data } CSV files, manifest first
+   */
+  async function exportFiles() {
+    const manifest = window.CSVUtils.stringify([
+      ['key', 'value'],
+      ['format', FORMAT],
+      ['format_version', FORMAT_VERSION],
+      ['schema_version', window.DatabaseService.getSchemaVersion()],
+      ['exported_at', new Date().toISOString()]
+    ]);
+
+    const files = [{ name: 'manifest.csv', data: manifest }];
+
+    const tables = await window.ArchiveService.exportTables();
+
+    for (const table of window.ArchiveService.TABLES) {
+      const columns = (await window.ArchiveService.getColumns(table.name)).map(column => column.name);
+      const rows = tables[table.name];
+
+      files.push({
+        name: `${table.name}.csv`,
+        data: window.CSVUtils.stringify([columns, ...rows.map(row => columns.map(column => row[column]))])
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Export the open database as a zip of CSV files
+   * @returns {Promise<Uint8Array>} Zip file bytes
+   */
+  async function exportZip() {
+    try {
+      return window.ZipUtils.createZip(await exportFiles());
+    } catch (err) {
+      console.error('Error exporting CSV archive:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Import a bundle into the open database. Into an empty database every
+   * record keeps its ID, so the history comes back exactly as exported;
+   * otherwise records get new IDs and the references between them are remapped.
+   * The import is one undoable step.
+   * @param {Object} files - Map of file name to CSV text (folders in names are ignored)
+   * @returns {Promise<Object>} Number of records imported per table
+   */
+  async function importFiles(files) {
+    try {
+      const byName = {};
+      Object.keys(files).forEach(path => {
+        byName[path.split('/').pop().toLowerCase()] = files[path];
+      });
+
+      if (byName['manifest.csv'] !== undefined) {
+        const manifest = {};
+        window.CSVUtils.toObjects(window.CSVUtils.parse(byName['manifest.csv'])).forEach(entry => {
+          manifest[entry.key] = entry.value;
+        });
+
+        if (manifest.format !== FORMAT) {
+          throw new Error('This is not a PC History Tracker CSV archive');
+        }
+
+        if (Number(manifest.schema_version) > window.DatabaseService.getSupportedSchemaVersion()) {
+          const err = new Error('This archive was exported by a newer version of PC History Tracker. Please update the app to import it.');
+          err.name = 'SchemaVersionError';
+          throw err;
+        }
+      }
+
+      if (byName['parts.csv'] === undefined) {
+        throw new Error('The archive has no parts.csv');
+      }
+
+      // Read each file into records typed like the columns they go into
+      const tables = {};
+      for (const table of window.ArchiveService.TABLES) {
+        const text = byName[`${table.name}.csv`];
+        if (text === undefined) continue;
+
+        const columns = await window.ArchiveService.getColumns(table.name);
+        tables[table.name] = window.CSVUtils.toObjects(window.CSVUtils.parse(text, { emptyAsNull: true }))
+          .map((record, index) => {
+            const typed = {};
+            columns.forEach(column => {
+              if (column.name in record) {
+                typed[column.name] = toColumnValue(record[column.name], column.type,
+                  `${table.name}.csv row ${index + 2}, ${column.name}`);
+              }
+            });
+            return typed;
+          });
+      }
+
+      return await window.HistoryService.record('Import CSV archive', async () => window.ArchiveService.importTables(tables, {
+        keepIds: await window.ArchiveService.isEmpty(),
+        describe: (table, index, column) => `${table}.csv row ${index + 2}, ${column}`
+      }));
+    } catch (err) {
+      console.error('Error importing CSV archive:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Import a zip of CSV files
+   * @param {Uint8Array|ArrayBuffer} zip - Zip file bytes
+   * @returns {Promise<Object>} Number of records imported per table
+   */
+  async function importZip(zip) {
+    const entries = await window.ZipUtils.readZip(zip);
+    const decoder = new TextDecoder();
+
+    const files = {};
+    Object.keys(entries).forEach(name => {
+      files[name] = decoder.decode(entries[name]);
+    });
+
+    return importFiles(files);
+  }
+
+  // Public API
+  return {
+    exportFiles,
+    exportZip,
+    importFiles,
+    importZip
+  };
+})();
@@ -0,0 +1,287 @@
+/**
+ * Database merge for PC History Tracker
+ * Combines another database file, kept separately, into the open database:
+ * parts recorded in both are matched up and everything else is added
+ */
+
+// Create DatabaseMerge namespace
+window.DatabaseMerge = (function() {
+  // Private members
+
+  // Columns that identify the same record in both files once part IDs are
+  // mapped; such records are already here and aren't added again. A part has
+  // one disposal, and a rig one name from a given date, so the open
+  // database's version is kept when both have one.
+  const SAME_RECORD = {
+    connections: ['part_id', 'motherboard_id', 'connected_at'],
+    rig_identities: ['motherboard_id', 'name', 'active_from'],
+    rig_names: ['motherboard_id', 'start_date'],
+    disposals: ['part_id'],
+    rmas: ['part_id', 'sent_at'],
+    part_lineage: ['part_id', 'relation', 'related_part_id']
+  };
+
+  // Part columns that aren't details to fill in from the other file
+  const PART_STATE_COLUMNS = ['id', 'is_deleted'];
+
+  /**
+   * Key of a record for finding the same record in both files
+   * @param {string} table - Table name
+   * @param {Object} record - Record, with part IDs of the open database
+   * @returns {string} Key
+   */
+  function recordKey(table, record) {
+    return JSON.stringify(SAME_RECORD[table].map(column => record[column]));
+  }
+
+  /**
+   * A record of the other file with its part IDs changed to the open database's
+   * @param {Object} table - Table from ArchiveService.TABLES
+   * @param {Object} record - Record of the other file
+   * @param {Map} partIds - Their part ID to the matching part ID here
+   * @returns {Object|null} Mapped record, or null if it refers to a part that is
+   *   only in the other file (so it can't be here yet)
+   */
+  function mapRecord(table, record, partIds) {
+    const mapped = { ...record };
+    for (const column of table.partColumns) {
+      if (record[column] === null) continue;
+      if (!partIds.has(record[column])) return null;
+      mapped[column] = partIds.get(record[column]);
+    }
+    return mapped;
+  }
+
+  /**
+   * Whether a value is missing
+   * @param {*} value - Column value
+   * @returns {boolean} True if null or empty
+   */
+  function isBlank(value) {
+    return value === null || value === undefined || value === '';
+  }
+
+  /**
+   * Add another file's records to the open database. Matched parts get any
+   * details only the other file has and are disposed of here if they were
+   * there; every other part is added. Their connections, rig names, disposals,
+   * RMAs and lineage links are added with part IDs remapped, skipping records
+   * already here. Runs in the caller's transaction.
+   * @param {Object} tables - Map of table name to the other file's records, with their IDs
+   * @param {Array} matched - { theirs, mine } for each of their parts that is already here
+   * @param {Object} options - { keepIds, leaveOut } where keepIds keeps the IDs of
+   *   the records added (for an empty database) and leaveOut is a Set of their
+   *   connection IDs not to add
+   * @returns {Promise<Object>} { partsAdded, partsUpdated, recordsAdded, skipped, counts }
+   *   where counts is the number of records added per table
+   */
+  async function mergeTables(tables, matched, options = {}) {
+    const TABLES = window.ArchiveService.TABLES;
+    const leaveOut = options.leaveOut || new Set();
+    const partIds = new Map(matched.map(({ theirs, mine }) => [theirs.id, mine.id]));
+    const result = {
+      partsAdded: 0,
+      partsUpdated: 0,
+      recordsAdded: 0,
+      skipped: 0
+    };
+
+    // Fill in details of matched parts that only the other file has
+    const partColumns = (await window.ArchiveService.getColumns('parts'))
+      .map(column => column.name)
+      .filter(column => !PART_STATE_COLUMNS.includes(column));
+    for (const { theirs, mine } of matched) {
+      const current = await window.QueryService.get('SELECT * FROM parts WHERE id = ?', [mine.id]);
+      const columns = partColumns.filter(column => isBlank(current[column]) && !isBlank(theirs[column]));
+      if (columns.length === 0) continue;
+
+      await window.QueryService.run(
+        `UPDATE parts SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => theirs[column]), mine.id]
+      );
+      result.partsUpdated++;
+    }
+
+    // Everything else, without the records already here
+    const added = { parts: (tables.parts || []).filter(part => !partIds.has(part.id)) };
+    for (const table of TABLES.slice(1)) {
+      const existing = new Set((await window.QueryService.all(`SELECT * FROM ${table.name}`))
+        .map(record => recordKey(table.name, record)));
+
+      added[table.name] = (tables[table.name] || []).filter(record => {
+        if (table.name === 'connections' && leaveOut.has(record.id)) return false;
+
+        const mapped = mapRecord(table, record, partIds);
+        if (mapped && existing.has(recordKey(table.name, mapped))) {
+          result.skipped++;
+          return false;
+        }
+        return true;
+      });
+    }
+
+    const counts = await window.ArchiveService.importTables(added, { keepIds: options.keepIds, partIds: new Map(partIds) });
+    result.partsAdded = counts.parts;
+    result.recordsAdded = Object.keys(counts).reduce((sum, table) => table === 'parts' ? sum : sum + counts[table], 0);
+
+    // Matched parts disposed of in the other file are disposed of here too
+    for (const { mine } of matched) {
+      await window.QueryService.run(`
+        UPDATE parts SET is_deleted = 1 WHERE id = ? AND EXISTS (SELECT 1 FROM disposals WHERE part_id = ?)
+      `, [mine.id, mine.id]);
+    }
+
+    return { ...result, counts };
+  }
+
+  /**
+   * Read another database file and work out how it fits onto the open one.
+   * Its parts are matched by serial number, then by brand, model and
+   * acquisition date; each part here matches at most one of theirs. Their
+   * connections of a matched part that overlap a different connection of it
+   * here are conflicts to resolve before merging.
+   * @param {ArrayBuffer|Uint8Array} buffer - The other database file
+   * @returns {Promise<Object>} Plan for apply: { tables, partIds, matched, newParts,
+   *   duplicates, conflicts }. matched holds { theirs, mine, matchedBy };
+   *   conflicts hold { id, part, theirs, mine, resolution } where theirs is their
+   *   connection and mine the overlapping connections here, each with a
+   *   motherboard_name, and resolution starts as 'mine'.
+   */
+  async function prepare(buffer) {
+    try {
+      const detached = await window.DatabaseService.openDetachedDatabase(buffer);
+      let tables;
+      try {
+        tables = await window.ArchiveService.exportTables(detached);
+      } finally {
+        await detached.close();
+      }
+
+      // Their IDs mean nothing here, so match on the details alone. Each part here
+      // matches at most one of theirs, so two identical sticks without serials
+      // pair up with the two sticks here rather than both with the first.
+      const matches = await window.DuplicateFinder.findMatches(tables.parts.map(({ id, ...part }) => part));
+
+      const partIds = new Map();
+      const matched = [];
+      tables.parts.forEach((part, index) => {
+        const match = matches[index];
+        if (!match) return;
+
+        partIds.set(part.id, match.part.id);
+        matched.push({ theirs: part, mine: match.part, matchedBy: match.matchedBy });
+      });
+
+      const theirParts = new Map(tables.parts.map(part => [part.id, part]));
+      const theirName = id => {
+        const part = theirParts.get(id);
+        return part ? `${part.brand} ${part.model}` : `Part #${id}`;
+      };
+
+      const mineConnections = await window.QueryService.all(`
+        SELECT c.*, p.brand || ' ' || p.model AS motherboard_name
+        FROM connections c
+        LEFT JOIN parts p ON p.id = c.motherboard_id
+        ORDER BY c.connected_at, c.id
+      `);
+      const mineKeys = new Set(mineConnections.map(connection => recordKey('connections', connection)));
+      const connectionTable = window.ArchiveService.TABLES.find(table => table.name === 'connections');
+
+      let duplicates = 0;
+      const conflicts = [];
+      tables.connections.forEach(connection => {
+        if (!partIds.has(connection.part_id)) return;
+
+        const mapped = mapRecord(connectionTable, connection, partIds);
+        if (mapped && mineKeys.has(recordKey('connections', mapped))) {
+          duplicates++;
+          return;
+        }
+
+        const partId = partIds.get(connection.part_id);
+        const overlapping = mineConnections.filter(mine =>
+          mine.part_id === partId && window.TemporalValidator.overlaps(mine, connection));
+        if (overlapping.length === 0) return;
+
+        conflicts.push({
+          id: connection.id,
+          part: matched.find(match => match.theirs.id === connection.part_id).mine,
+          theirs: { ...connection, motherboard_name: theirName(connection.motherboard_id) },
+          mine: overlapping,
+          resolution: 'mine'
+        });
+      });
+
+      return {
+        tables,
+        partIds,
+        matched,
+        newParts: tables.parts.filter(part => !partIds.has(part.id)),
+        duplicates,
+        conflicts
+      };
+    } catch (err) {
+      console.error('Error reading database to merge:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Merge a prepared file into the open database as one undoable step. New
+   * parts are added, matched parts get any details only the other file has,
+   * and their connections, rig names, disposals, RMAs and lineage links are
+   * added with part IDs remapped, skipping records already here. A conflict
+   * resolved 'theirs' replaces the overlapping connections here with theirs;
+   * 'mine' leaves their connection out.
+   * @param {Object} plan - Result of prepare, with each conflict's resolution set
+   * @returns {Promise<Object>} { matched, partsAdded, partsUpdated, recordsAdded, skipped,
+   *   replaced, violations } where violations counts date problems the merge
+   *   introduced (see TemporalValidator.check)
+   */
+  function apply(plan) {
+    return window.HistoryService.record('Merge database', async () => {
+      const before = new Set((await window.TemporalValidator.check()).map(v => v.key));
+      const result = {
+        matched: plan.matched.length,
+        partsAdded: 0,
+        partsUpdated: 0,
+        recordsAdded: 0,
+        skipped: 0,
+        replaced: 0,
+        violations: 0
+      };
+
+      // Resolve conflicts
+      const leftOut = new Set();
+      const replaced = new Set();
+      plan.conflicts.forEach(conflict => {
+        if (conflict.resolution === 'theirs') {
+          conflict.mine.forEach(connection => replaced.add(connection.id));
+        } else {
+          leftOut.add(conflict.id);
+        }
+      });
+      for (const id of replaced) {
+        await window.QueryService.run('DELETE FROM connections WHERE id = ?', [id]);
+      }
+      result.replaced = replaced.size;
+      result.skipped += leftOut.size;
+
+      const merged = await mergeTables(plan.tables, plan.matched, { leaveOut: leftOut });
+      result.partsAdded = merged.partsAdded;
+      result.partsUpdated = merged.partsUpdated;
+      result.recordsAdded = merged.recordsAdded;
+      result.skipped += merged.skipped;
+
+      result.violations = (await window.TemporalValidator.check()).filter(v => !before.has(v.key)).length;
+      return result;
+    });
+  }
+
+  // Public API
+  return {
+    prepare,
+    apply,
+    mergeTables
+  };
+})();
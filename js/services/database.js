@@ -1,47 +1,177 @@
 /**
  * Database service for PC History Tracker
- * Handles all database operations
+ * The page's interface to the open database, which lives in a Web Worker
+ * (js/workers/database-worker.js) along with the schema migrations. Every
+ * call is async and answered in the order it was made.
  */
 
 // Create DatabaseService namespace
 window.DatabaseService = (function() {
   // Private variables
-  let db = null;
-  let SQL = null;
+  
+  // Where sql-wasm.wasm is loaded from: the copy bundled with the app, then the CDN
+  const SQL_JS_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/';
+  let sqlJsPath = 'vendor/sql.js/';
+  
+  // The worker holding the database, and its calls waiting for an answer.
+  // ready settles once the worker has loaded SQL.js.
+  const WORKER_URL = 'js/workers/database-worker.js';
+  let worker = null;
+  let ready = null;
+  const workerCalls = new Map();
+  let workerCallId = 0;
+  
+  // Whether a database is open, its schema version, and the latest version
+  // the worker's migrations reach
+  let isDatabaseOpen = false;
+  let schemaVersion = null;
+  let supportedSchemaVersion = null;
+  
+  // Nesting depth of DatabaseService.transaction calls and a counter for unique savepoint names
+  let transactionDepth = 0;
+  let savepointCounter = 0;
+  
+  // Exports wait for the outermost transaction to finish: exporting reopens
+  // the connection, which would drop its uncommitted work
+  let transactionFinished = null;
+  let finishTransaction = null;
+  
+  // Counter for the names of databases opened alongside the open one
+  let detachedCounter = 0;
+  
+  /**
+   * Stop using the worker, failing the calls it still had. The database it
+   * held is gone with it.
+   * @param {string} reason - Why it stopped
+   */
+  function failWorker(reason) {
+    console.error('Database worker stopped:', reason);
+    
+    if (worker) worker.terminate();
+    worker = null;
+    ready = null;
+    isDatabaseOpen = false;
+    schemaVersion = null;
+    
+    workerCalls.forEach(({ reject }) => {
+      const err = new Error(reason);
+      err.name = 'WorkerError';
+      reject(err);
+    });
+    workerCalls.clear();
+  }
+  
+  /**
+   * Send the worker a message
+   * @param {string} type - Message type (see database-worker.js)
+   * @param {Object} message - Message fields
+   * @returns {Promise<*>} The worker's result
+   */
+  function callWorker(type, message = {}) {
+    if (!worker) return Promise.reject(new Error('No database is open'));
+    
+    return new Promise((resolve, reject) => {
+      const id = ++workerCallId;
+      workerCalls.set(id, { resolve, reject });
+      worker.postMessage({ ...message, id, type });
+    });
+  }
+  
+  /**
+   * Fetch sql-wasm.wasm, start the worker and load SQL.js in it. The wasm is
+   * fetched here so a missing local copy can fall back to the CDN, and the
+   * worker imports sql-wasm.js from wherever the wasm was found.
+   * @returns {Promise<void>} Settles once the worker is ready
+   */
+  async function startWorker() {
+    if (typeof Worker === 'undefined') {
+      throw new Error('This browser cannot run the database worker');
+    }
+    
+    let wasmBinary = null;
+    let wasmBase = null;
+    for (const base of [sqlJsPath, SQL_JS_CDN]) {
+      try {
+        const response = await fetch(`${base}sql-wasm.wasm`);
+        if (response.ok) {
+          wasmBinary = await response.arrayBuffer();
+          wasmBase = base;
+          break;
+        }
+        console.warn(`Could not load sql-wasm.wasm from ${base}: HTTP ${response.status}`);
+      } catch (err) {
+        console.warn(`Could not load sql-wasm.wasm from ${base}:`, err);
+      }
+    }
+    
+    if (!wasmBinary) {
+      throw new Error('SQL.js could not be loaded');
+    }
+    
+    worker = new Worker(WORKER_URL);
+    worker.onmessage = (e) => {
+      const { id, result, error } = e.data;
+      const call = workerCalls.get(id);
+      if (!call) return;
+      
+      workerCalls.delete(id);
+      if (error) {
+        const err = new Error(error.message);
+        err.name = error.name;
+        call.reject(err);
+      } else {
+        call.resolve(result);
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      failWorker(e.message || 'The database worker could not be started');
+    };
+    
+    const result = await callWorker('init', {
+      scriptUrl: new URL(`${wasmBase}sql-wasm.js`, location.href).href,
+      wasmBinary
+    });
+    supportedSchemaVersion = result.supportedSchemaVersion;
+  }
+  
+  /**
+   * Open a database in the worker under a name, upgrading it to the current schema
+   * @param {string} name - 'main' for the open database, or a detached database's name
+   * @param {ArrayBuffer|Uint8Array|null} buffer - File contents, or null for a new database
+   * @returns {Promise<Object>} { schemaVersion }
+   */
+  async function openInWorker(name, buffer) {
+    await window.DatabaseService.initSqlJs();
+    return callWorker('open', { name, data: buffer ? new Uint8Array(buffer) : null });
+  }
   
   return {
     /**
-     * Initialize SQL.js library
+     * Start the database worker and load SQL.js in it, once
+     * @returns {Promise<void>} Settles once the worker is ready
      */
-    initSqlJs: async function() {
-      // Check if SQL is already initialized
-      if (SQL) return SQL;
-      
-      try {
-        // Initialize SQL.js
-        SQL = await this.initSqlJsAsync();
-        return SQL;
-      } catch (err) {
-        console.error('Error initializing SQL.js:', err);
-        throw err;
+    initSqlJs: function() {
+      if (!ready) {
+        ready = startWorker().catch(err => {
+          console.error('Error initializing SQL.js:', err);
+          if (worker) worker.terminate();
+          worker = null;
+          ready = null;
+          throw err;
+        });
       }
+      return ready;
     },
     
     /**
-     * Create a promise-based wrapper for SQL.js initialization
+     * Set where sql-wasm.wasm is loaded from, for copies of the app that keep
+     * sql.js somewhere other than vendor/sql.js/. Takes effect the next time
+     * SQL.js is initialized.
+     * @param {string} path - Folder URL, relative to the page or absolute
      */
-    initSqlJsAsync: function() {
-      return new Promise((resolve, reject) => {
-        try {
-          // Initialize SQL.js with the wasm file
-          const sqlJs = window.initSqlJs({
-            locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/${file}`
-          });
-          resolve(sqlJs);
-        } catch (err) {
-          reject(err);
-        }
-      });
+    setSqlJsPath: function(path) {
+      sqlJsPath = path.endsWith('/') ? path : `${path}/`;
     },
     
     /**
@@ -49,10 +179,8 @@ window.DatabaseService = (function() {
      */
     createDatabase: async function() {
       try {
-        const SQL = await this.initSqlJs();
-        db = new SQL.Database();
-        await this.setupSchema();
-        return db;
+        ({ schemaVersion } = await openInWorker('main', null));
+        isDatabaseOpen = true;
       } catch (err) {
         console.error('Error creating database:', err);
         throw err;
@@ -60,14 +188,14 @@ window.DatabaseService = (function() {
     },
     
     /**
-     * Load database from array buffer
-     * @param {ArrayBuffer} buffer - The database file buffer
+     * Load database from array buffer. The file is upgraded before it replaces
+     * the open database, so a refused or failed upgrade leaves that untouched.
+     * @param {ArrayBuffer|Uint8Array} buffer - The database file buffer
      */
     loadDatabase: async function(buffer) {
       try {
-        const SQL = await this.initSqlJs();
-        db = new SQL.Database(new Uint8Array(buffer));
-        return db;
+        ({ schemaVersion } = await openInWorker('main', buffer));
+        isDatabaseOpen = true;
       } catch (err) {
         console.error('Error loading database:', err);
         throw err;
@@ -75,124 +203,169 @@ window.DatabaseService = (function() {
     },
     
     /**
-     * Save database to array buffer
-     * @returns {Uint8Array} - Database as array buffer
+     * Open a database file alongside the open one, for reading or comparing it.
+     * The file is upgraded to the current schema in memory; the caller closes it.
+     * @param {ArrayBuffer|Uint8Array} buffer - The database file buffer
+     * @returns {Promise<Object>} Detached database with async exec(sql, params)
+     *   (result sets, as from runQuery), export() and close()
      */
-    exportDatabase: function() {
-      if (!db) throw new Error('No database is open');
-      return db.export();
+    openDetachedDatabase: async function(buffer) {
+      const name = `detached_${++detachedCounter}`;
+      await openInWorker(name, buffer);
+      
+      return {
+        exec: (sql, params = []) => callWorker('exec', { name, sql, params }),
+        export: () => callWorker('export', { name }),
+        close: () => callWorker('close', { name })
+      };
     },
     
     /**
-     * Get current database instance
-     * @returns {Object} - SQL.js database instance
+     * Save database to array buffer, once any transaction in progress has finished
+     * @returns {Promise<Uint8Array>} - Database as array buffer
      */
-    getDatabase: function() {
-      return db;
+    exportDatabase: async function() {
+      if (!isDatabaseOpen) throw new Error('No database is open');
+      
+      while (transactionFinished) {
+        await transactionFinished;
+      }
+      return callWorker('export', { name: 'main' });
     },
     
     /**
-     * Close the database
+     * Replace the open database with a snapshot taken by exportDatabase in this session.
+     * The audit log is append-only, so entries written since the snapshot was
+     * taken are carried over instead of being rolled back with the data.
+     * @param {Uint8Array} data - Snapshot bytes
      */
-    closeDatabase: function() {
-      if (db) {
-        db.close();
-        db = null;
-      }
+    restoreSnapshot: async function(data) {
+      if (!isDatabaseOpen) throw new Error('No database is open');
+      if (transactionDepth > 0) throw new Error('Cannot restore a snapshot inside a transaction');
+      
+      ({ schemaVersion } = await callWorker('restore', { data }));
     },
     
     /**
-     * Setup the database schema
+     * Check whether a database is open
+     * @returns {boolean} True once a database has been created or loaded
      */
-    setupSchema: async function() {
-      if (!db) throw new Error('No database is open');
-      
-      // Create parts table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS parts (
-          id INTEGER PRIMARY KEY,
-          brand TEXT NOT NULL,
-          model TEXT NOT NULL,
-          type TEXT CHECK(type IN ('motherboard', 'cpu', 'gpu', 'ram', 'storage', 'psu', 'case', 'cooling', 'monitor', 'peripheral', 'other')),
-          acquisition_date TEXT,
-          date_precision TEXT DEFAULT 'day',
-          notes TEXT,
-          is_deleted INTEGER DEFAULT 0
-        )
-      `);
-      
-      // Create connections table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS connections (
-          id INTEGER PRIMARY KEY,
-          motherboard_id INTEGER,
-          part_id INTEGER,
-          connected_at TEXT NOT NULL,
-          connected_precision TEXT DEFAULT 'day',
-          disconnected_at TEXT,
-          disconnected_precision TEXT DEFAULT 'day',
-          notes TEXT,
-          FOREIGN KEY (motherboard_id) REFERENCES parts(id),
-          FOREIGN KEY (part_id) REFERENCES parts(id)
-        )
-      `);
+    isOpen: function() {
+      return isDatabaseOpen;
+    },
+    
+    /**
+     * Close the database
+     */
+    closeDatabase: async function() {
+      if (!isDatabaseOpen) return;
       
-      // Create rig identities table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS rig_identities (
-          id INTEGER PRIMARY KEY,
-          motherboard_id INTEGER,
-          name TEXT NOT NULL,
-          active_from TEXT NOT NULL,
-          active_from_precision TEXT DEFAULT 'day',
-          active_until TEXT,
-          active_until_precision TEXT DEFAULT 'day',
-          notes TEXT,
-          FOREIGN KEY (motherboard_id) REFERENCES parts(id) ON DELETE CASCADE
-        )
-      `);
+      isDatabaseOpen = false;
+      schemaVersion = null;
+      await callWorker('close', { name: 'main' });
+    },
+    
+    /**
+     * Get the schema version of the open database
+     * @returns {number} Schema version
+     */
+    getSchemaVersion: function() {
+      if (!isDatabaseOpen) throw new Error('No database is open');
+      return schemaVersion;
+    },
+    
+    /**
+     * Get the latest schema version supported by this version of the app
+     * @returns {number|null} Schema version, or null before SQL.js is initialized
+     */
+    getSupportedSchemaVersion: function() {
+      return supportedSchemaVersion;
+    },
+    
+    /**
+     * Run a function atomically. Each call opens a SAVEPOINT, so calls nest
+     * safely: an inner failure rolls back only the inner scope, and an outer
+     * failure rolls back everything done inside it. Every query made while a
+     * transaction is open runs inside it, whoever makes it.
+     * @param {Function} fn - Async function performing the work
+     * @returns {Promise<*>} Whatever fn returns
+     */
+    transaction: async function(fn) {
+      if (!isDatabaseOpen) throw new Error('No database is open');
       
-      // Create rig_names table (simpler approach for naming rigs)
-      db.run(`
-        CREATE TABLE IF NOT EXISTS rig_names (
-          id INTEGER PRIMARY KEY,
-          motherboard_id INTEGER NOT NULL,
-          start_date TEXT NOT NULL,
-          name TEXT NOT NULL,
-          notes TEXT,
-          FOREIGN KEY (motherboard_id) REFERENCES parts(id) ON DELETE CASCADE
-        )
-      `);
+      const savepoint = `sp_${++savepointCounter}`;
+      if (transactionDepth === 0) {
+        transactionFinished = new Promise(resolve => {
+          finishTransaction = resolve;
+        });
+      }
+      transactionDepth++;
       
-      // Create disposals table
-      db.run(`
-        CREATE TABLE IF NOT EXISTS disposals (
-          id INTEGER PRIMARY KEY,
-          part_id INTEGER,
-          disposed_at TEXT NOT NULL,
-          disposed_precision TEXT DEFAULT 'day',
-          reason TEXT,
-          notes TEXT,
-          FOREIGN KEY (part_id) REFERENCES parts(id)
-        )
-      `);
+      try {
+        await this.runQuery(`SAVEPOINT ${savepoint}`);
+        
+        try {
+          const result = await fn();
+          await this.runQuery(`RELEASE ${savepoint}`);
+          return result;
+        } catch (err) {
+          // Undo everything since the savepoint, then discard it (unless the
+          // worker stopped, taking the database with it)
+          if (isDatabaseOpen) {
+            await this.runQuery(`ROLLBACK TO ${savepoint}`);
+            await this.runQuery(`RELEASE ${savepoint}`);
+          }
+          throw err;
+        }
+      } finally {
+        transactionDepth--;
+        if (transactionDepth === 0) {
+          transactionFinished = null;
+          finishTransaction();
+        }
+      }
+    },
+    
+    /**
+     * Check whether a transaction is currently open
+     * @returns {boolean} True while inside DatabaseService.transaction
+     */
+    isInTransaction: function() {
+      return transactionDepth > 0;
     },
     
     /**
      * Run a SQL query and return results
      * @param {string} query - SQL query to execute
-     * @param {Object} params - Parameters for the SQL query
-     * @returns {Object} - Query results
+     * @param {Array|Object} params - Parameters for the SQL query
+     * @returns {Promise<Array>} - Result sets of the query's statements, as from SQL.js exec
+     */
+    runQuery: async function(query, params = []) {
+      if (!isDatabaseOpen) throw new Error('No database is open');
+      
+      try {
+        return await callWorker('exec', { name: 'main', sql: query, params });
+      } catch (err) {
+        console.error('Error executing query:', query, err);
+        throw err;
+      }
+    },
+    
+    /**
+     * Run a SQL statement that does not return rows
+     * @param {string} query - SQL statement to execute
+     * @param {Array|Object} params - Parameters for the SQL statement
+     * @returns {Promise<Object>} { changes, lastInsertId }
      */
-    runQuery: function(query, params = {}) {
-      if (!db) throw new Error('No database is open');
+    run: async function(query, params = []) {
+      if (!isDatabaseOpen) throw new Error('No database is open');
       
       try {
-        return db.exec(query, params);
+        return await callWorker('run', { name: 'main', sql: query, params });
       } catch (err) {
         console.error('Error executing query:', query, err);
         throw err;
       }
     }
   };
-})();
\ No newline at end of file
+})();
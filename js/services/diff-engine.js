@@ -0,0 +1,309 @@
+/**
+ * Diff engine for PC History Tracker
+ * Compares two copies of the database table by table and describes the
+ * differences as history: parts added or changed, connections made or closed,
+ * rigs renamed, parts disposed of
+ */
+
+// Create DiffEngine namespace
+window.DiffEngine = (function() {
+  // Private members
+
+  const FORMAT = 'pc-history-diff';
+  const FORMAT_VERSION = 1;
+
+  // Names for the tables
+  const TABLE_LABELS = {
+    parts: 'Parts',
+    connections: 'Connections',
+    rig_identities: 'Rig identities',
+    rig_names: 'Rig names',
+    disposals: 'Disposals',
+    rmas: 'RMAs',
+    part_lineage: 'Lineage links'
+  };
+
+  // Lineage relations as text
+  const RELATION_LABELS = {
+    replaced_by: 'was replaced by',
+    split_from: 'was split from',
+    merged_into: 'was merged into'
+  };
+
+  /**
+   * Compare two sets of records by ID
+   * @param {Array} before - Records in the older copy
+   * @param {Array} after - Records in the newer copy
+   * @returns {Object} { added, removed, changed } where changed holds { before, after, fields }
+   */
+  function compareRecords(before, after) {
+    const beforeById = new Map(before.map(record => [record.id, record]));
+    const afterById = new Map(after.map(record => [record.id, record]));
+
+    const changed = [];
+    after.forEach(record => {
+      const old = beforeById.get(record.id);
+      if (!old) return;
+
+      const fields = Object.keys(record).filter(field => field in old && old[field] !== record[field]);
+      if (fields.length > 0) {
+        changed.push({ before: old, after: record, fields });
+      }
+    });
+
+    return {
+      added: after.filter(record => !beforeById.has(record.id)),
+      removed: before.filter(record => !afterById.has(record.id)),
+      changed
+    };
+  }
+
+  /**
+   * Format a stored date at its precision
+   * @param {string} dateStr - ISO date string
+   * @param {string} precision - Stored precision
+   * @returns {string} Date text
+   */
+  function formatDate(dateStr, precision) {
+    return window.DateUtils.formatDateByPrecision(dateStr, precision || 'day');
+  }
+
+  /**
+   * Format a column value for a change message
+   * @param {*} value - Column value
+   * @returns {string} Value text
+   */
+  function formatValue(value) {
+    return value === null || value === undefined || value === '' ? '(empty)' : JSON.stringify(value);
+  }
+
+  /**
+   * Describe what happened to each record, in history terms where the change
+   * has a meaning (a connection closed, a rig renamed) and field by field otherwise
+   * @param {Object} tables - Record changes from compareTables
+   * @param {Object} before - Tables of the older copy
+   * @param {Object} after - Tables of the newer copy
+   * @returns {Array} { table, kind, id, partIds, message, fields } where fields
+   *   lists { field, before, after } for changed records
+   */
+  function describeChanges(tables, before, after) {
+    const parts = new Map(before.parts.map(part => [part.id, part]));
+    after.parts.forEach(part => parts.set(part.id, part));
+
+    const name = id => {
+      const part = parts.get(id);
+      return part ? `${part.brand} ${part.model}` : `Part #${id}`;
+    };
+
+    // Latest rig name per motherboard in the older copy, to tell a rename from a first name
+    const rigNamesBefore = new Map();
+    [...before.rig_names].sort((a, b) => a.start_date.localeCompare(b.start_date))
+      .forEach(rigName => rigNamesBefore.set(rigName.motherboard_id, rigName.name));
+
+    const changes = [];
+    const add = (table, kind, record, partIds, message, change = null) => {
+      changes.push({
+        table,
+        kind,
+        id: record.id,
+        partIds: partIds.filter(id => id !== null && id !== undefined),
+        message,
+        ...(change ? {
+          fields: change.fields.map(field => ({ field, before: change.before[field], after: change.after[field] }))
+        } : {})
+      });
+    };
+    const fieldText = change => change.fields
+      .map(field => `${field} ${formatValue(change.before[field])} → ${formatValue(change.after[field])}`)
+      .join(', ');
+
+    // Parts
+    tables.parts.added.forEach(part => add('parts', 'added', part, [part.id], `Added ${name(part.id)} (${part.type})`));
+    tables.parts.removed.forEach(part => add('parts', 'removed', part, [part.id], `Removed ${name(part.id)} (${part.type})`));
+    tables.parts.changed.forEach(change => add('parts', 'changed', change.after, [change.after.id],
+      `Changed ${name(change.after.id)}: ${fieldText(change)}`, change));
+
+    // Connections
+    tables.connections.added.forEach(c => {
+      const period = c.disconnected_at
+        ? `from ${formatDate(c.connected_at, c.connected_precision)} to ${formatDate(c.disconnected_at, c.disconnected_precision)}`
+        : `on ${formatDate(c.connected_at, c.connected_precision)}`;
+      add('connections', 'added', c, [c.part_id, c.motherboard_id], `Connected ${name(c.part_id)} to ${name(c.motherboard_id)} ${period}`);
+    });
+    tables.connections.removed.forEach(c => add('connections', 'removed', c, [c.part_id, c.motherboard_id],
+      `Removed the connection of ${name(c.part_id)} to ${name(c.motherboard_id)} from ${formatDate(c.connected_at, c.connected_precision)}`));
+    tables.connections.changed.forEach(change => {
+      const c = change.after;
+      const partIds = [c.part_id, c.motherboard_id];
+      if (!change.before.disconnected_at && c.disconnected_at) {
+        add('connections', 'closed', c, partIds,
+          `Disconnected ${name(c.part_id)} from ${name(c.motherboard_id)} on ${formatDate(c.disconnected_at, c.disconnected_precision)}`,
+          change);
+      } else if (change.before.disconnected_at && !c.disconnected_at) {
+        add('connections', 'reopened', c, partIds,
+          `${name(c.part_id)} is connected to ${name(c.motherboard_id)} again (no longer disconnected)`, change);
+      } else {
+        add('connections', 'changed', c, partIds,
+          `Changed the connection of ${name(c.part_id)} to ${name(c.motherboard_id)}: ${fieldText(change)}`, change);
+      }
+    });
+
+    // Rig names
+    tables.rig_names.added.forEach(rigName => {
+      const previous = rigNamesBefore.get(rigName.motherboard_id);
+      if (previous && previous !== rigName.name) {
+        add('rig_names', 'renamed', rigName, [rigName.motherboard_id],
+          `Renamed the rig on ${name(rigName.motherboard_id)} from "${previous}" to "${rigName.name}" from ${formatDate(rigName.start_date)}`);
+      } else {
+        add('rig_names', 'added', rigName, [rigName.motherboard_id],
+          `Named the rig on ${name(rigName.motherboard_id)} "${rigName.name}" from ${formatDate(rigName.start_date)}`);
+      }
+    });
+    tables.rig_names.removed.forEach(rigName => add('rig_names', 'removed', rigName, [rigName.motherboard_id],
+      `Removed the name "${rigName.name}" of the rig on ${name(rigName.motherboard_id)}`));
+    tables.rig_names.changed.forEach(change => {
+      const rigName = change.after;
+      add('rig_names', change.fields.includes('name') ? 'renamed' : 'changed', rigName, [rigName.motherboard_id],
+        change.fields.includes('name')
+          ? `Renamed the rig on ${name(rigName.motherboard_id)} from "${change.before.name}" to "${rigName.name}"`
+          : `Changed the rig name "${rigName.name}" on ${name(rigName.motherboard_id)}: ${fieldText(change)}`,
+        change);
+    });
+
+    // Rig identities
+    tables.rig_identities.added.forEach(rig => add('rig_identities', 'added', rig, [rig.motherboard_id],
+      `Added rig "${rig.name}" on ${name(rig.motherboard_id)} from ${formatDate(rig.active_from, rig.active_from_precision)}`));
+    tables.rig_identities.removed.forEach(rig => add('rig_identities', 'removed', rig, [rig.motherboard_id],
+      `Removed rig "${rig.name}" on ${name(rig.motherboard_id)}`));
+    tables.rig_identities.changed.forEach(change => {
+      const rig = change.after;
+      add('rig_identities', change.fields.includes('name') ? 'renamed' : 'changed', rig, [rig.motherboard_id],
+        change.fields.includes('name')
+          ? `Renamed rig "${change.before.name}" on ${name(rig.motherboard_id)} to "${rig.name}"`
+          : `Changed rig "${rig.name}": ${fieldText(change)}`,
+        change);
+    });
+
+    // Disposals
+    tables.disposals.added.forEach(disposal => add('disposals', 'added', disposal, [disposal.part_id],
+      `Disposed of ${name(disposal.part_id)} on ${formatDate(disposal.disposed_at, disposal.disposed_precision)}` +
+      (disposal.reason ? ` (${disposal.reason})` : '')));
+    tables.disposals.removed.forEach(disposal => add('disposals', 'removed', disposal, [disposal.part_id],
+      `${name(disposal.part_id)} is no longer disposed of`));
+    tables.disposals.changed.forEach(change => add('disposals', 'changed', change.after, [change.after.part_id],
+      `Changed the disposal of ${name(change.after.part_id)}: ${fieldText(change)}`, change));
+
+    // RMAs
+    tables.rmas.added.forEach(rma => add('rmas', 'added', rma, [rma.part_id, rma.replacement_part_id],
+      `Sent ${name(rma.part_id)} for RMA on ${formatDate(rma.sent_at, rma.sent_precision)}`));
+    tables.rmas.removed.forEach(rma => add('rmas', 'removed', rma, [rma.part_id, rma.replacement_part_id],
+      `Removed the RMA of ${name(rma.part_id)} sent on ${formatDate(rma.sent_at, rma.sent_precision)}`));
+    tables.rmas.changed.forEach(change => {
+      const rma = change.after;
+      add('rmas', !change.before.returned_at && rma.returned_at ? 'closed' : 'changed', rma,
+        [rma.part_id, rma.replacement_part_id],
+        !change.before.returned_at && rma.returned_at
+          ? `${name(rma.part_id)} came back from RMA on ${formatDate(rma.returned_at, rma.returned_precision)}` +
+            (rma.outcome ? ` (${rma.outcome})` : '')
+          : `Changed the RMA of ${name(rma.part_id)}: ${fieldText(change)}`,
+        change);
+    });
+
+    // Lineage
+    const lineageText = link => `${name(link.part_id)} ${RELATION_LABELS[link.relation] || link.relation} ${name(link.related_part_id)}`;
+    tables.part_lineage.added.forEach(link => add('part_lineage', 'added', link, [link.part_id, link.related_part_id],
+      `Linked: ${lineageText(link)}`));
+    tables.part_lineage.removed.forEach(link => add('part_lineage', 'removed', link, [link.part_id, link.related_part_id],
+      `Unlinked: ${lineageText(link)}`));
+    tables.part_lineage.changed.forEach(change => add('part_lineage', 'changed', change.after,
+      [change.after.part_id, change.after.related_part_id],
+      `Changed the link ${lineageText(change.after)}: ${fieldText(change)}`, change));
+
+    return changes;
+  }
+
+  /**
+   * Compare two sets of history tables
+   * @param {Object} before - Tables of the older copy (ArchiveService.exportTables)
+   * @param {Object} after - Tables of the newer copy
+   * @returns {Object} { tables, changes, summary }: tables maps each table name to
+   *   { added, removed, changed } records (changed holds { before, after, fields }),
+   *   changes describes each difference (see describeChanges) and summary counts
+   *   { added, removed, changed } per table
+   */
+  function compareTables(before, after) {
+    const tables = {};
+    const summary = {};
+    window.ArchiveService.TABLES.forEach(table => {
+      tables[table.name] = compareRecords(before[table.name] || [], after[table.name] || []);
+      summary[table.name] = {
+        added: tables[table.name].added.length,
+        removed: tables[table.name].removed.length,
+        changed: tables[table.name].changed.length
+      };
+    });
+
+    return { tables, changes: describeChanges(tables, before, after), summary };
+  }
+
+  /**
+   * Compare two database files. Either may be an older schema version; both
+   * are brought up to date in separate databases first.
+   * @param {ArrayBuffer|Uint8Array} beforeData - The older copy
+   * @param {ArrayBuffer|Uint8Array} afterData - The newer copy (defaults to the open database)
+   * @returns {Promise<Object>} Diff (see compareTables)
+   */
+  async function compare(beforeData, afterData = null) {
+    const beforeDatabase = await window.DatabaseService.openDetachedDatabase(beforeData);
+    let afterDatabase = null;
+
+    try {
+      const before = await window.ArchiveService.exportTables(beforeDatabase);
+      if (afterData) {
+        afterDatabase = await window.DatabaseService.openDetachedDatabase(afterData);
+      }
+      return compareTables(before, await window.ArchiveService.exportTables(afterDatabase || undefined));
+    } finally {
+      await beforeDatabase.close();
+      if (afterDatabase) await afterDatabase.close();
+    }
+  }
+
+  /**
+   * Whether a diff found any differences
+   * @param {Object} diff - Diff from compare or compareTables
+   * @returns {boolean} True if the copies hold the same records
+   */
+  function isEmpty(diff) {
+    return diff.changes.length === 0;
+  }
+
+  /**
+   * Build the JSON export of a diff
+   * @param {Object} diff - Diff from compare or compareTables
+   * @param {Object} labels - { before, after } descriptions of the two copies
+   * @returns {Object} Diff document: { format, version, created_at, before, after,
+   *   summary, changes, tables }
+   */
+  function toJSON(diff, labels = {}) {
+    return {
+      format: FORMAT,
+      version: FORMAT_VERSION,
+      created_at: new Date().toISOString(),
+      before: labels.before || null,
+      after: labels.after || null,
+      summary: diff.summary,
+      changes: diff.changes,
+      tables: diff.tables
+    };
+  }
+
+  // Public API
+  return {
+    TABLE_LABELS,
+    compareTables,
+    compare,
+    isEmpty,
+    toJSON
+  };
+})();
@@ -0,0 +1,210 @@
+/**
+ * Duplicate finder for PC History Tracker
+ * Matches imported rows to existing parts and ranks likely duplicate records
+ */
+
+// Create DuplicateFinder namespace
+window.DuplicateFinder = (function() {
+  // Private functions
+
+  // Pairs scoring below this are not reported as likely duplicates
+  const DEFAULT_THRESHOLD = 0.75;
+
+  /**
+   * Reduce a name to lower-case words so spacing and punctuation don't matter
+   * @param {string} text - Brand or model
+   * @returns {string} Normalized text
+   */
+  function normalize(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  }
+
+  /**
+   * Character pairs of a string, ignoring spaces ("RTX 3080" and "RTX3080" match)
+   * @param {string} text - Normalized text
+   * @returns {Array} Bigrams
+   */
+  function bigrams(text) {
+    const compact = text.replace(/ /g, '');
+    const pairs = [];
+    for (let i = 0; i < compact.length - 1; i++) {
+      pairs.push(compact.substring(i, i + 2));
+    }
+    return pairs;
+  }
+
+  /**
+   * Dice similarity of two strings' bigrams
+   * @param {string} a - First text
+   * @param {string} b - Second text
+   * @returns {number} 0 (nothing in common) to 1 (same after normalizing)
+   */
+  function similarity(a, b) {
+    const left = normalize(a);
+    const right = normalize(b);
+    if (left.replace(/ /g, '') === right.replace(/ /g, '')) return 1;
+
+    const leftPairs = bigrams(left);
+    const rightPairs = bigrams(right);
+    if (leftPairs.length === 0 || rightPairs.length === 0) return 0;
+
+    const counts = new Map();
+    leftPairs.forEach(pair => counts.set(pair, (counts.get(pair) || 0) + 1));
+
+    let shared = 0;
+    rightPairs.forEach(pair => {
+      if (counts.get(pair) > 0) {
+        shared++;
+        counts.set(pair, counts.get(pair) - 1);
+      }
+    });
+
+    return (2 * shared) / (leftPairs.length + rightPairs.length);
+  }
+
+  /**
+   * Compare serial numbers, which are only meaningful when both are recorded
+   * @param {Object} a - First part
+   * @param {Object} b - Second part
+   * @returns {boolean|null} Whether they match, or null if either is missing
+   */
+  function sameSerial(a, b) {
+    if (!a.serial_number || !b.serial_number) return null;
+    return normalize(a.serial_number) === normalize(b.serial_number);
+  }
+
+  /**
+   * Whether two parts have the same known acquisition date at the same precision
+   * @param {Object} a - First part
+   * @param {Object} b - Second part
+   * @returns {boolean} True if the dates match
+   */
+  function sameAcquisition(a, b) {
+    return !!a.acquisition_date && a.acquisition_date === b.acquisition_date &&
+      (a.date_precision || 'day') === (b.date_precision || 'day');
+  }
+
+  return {
+    /**
+     * Similarity of two names (exposed for callers ranking their own candidates)
+     * @param {string} a - First text
+     * @param {string} b - Second text
+     * @returns {number} 0 to 1
+     */
+    similarity,
+
+    /**
+     * Find the existing part each imported row describes. Rows are matched by ID
+     * (when the part with that ID has the same type), then by serial number,
+     * then by brand, model and acquisition date. Each part matches at most one
+     * row, so identical rows are matched to as many identical parts as there are
+     * and the rest are left unmatched.
+     * @param {Array} rows - Part data, optionally with id and serial_number
+     * @returns {Promise<Array>} For each row, { part, matchedBy } where matchedBy is
+     *   'id', 'serial' or 'brand_model_date', or null if nothing matches
+     */
+    findMatches: async function(rows) {
+      try {
+        const parts = await window.QueryService.all(`
+          SELECT id, brand, model, type, acquisition_date, date_precision, serial_number
+          FROM parts
+          ORDER BY id
+        `);
+
+        const rules = [
+          { matchedBy: 'id', test: (part, row) => !!row.id && part.id === Number(row.id) && part.type === row.type },
+          { matchedBy: 'serial', test: (part, row) => !!sameSerial(part, row) },
+          {
+            matchedBy: 'brand_model_date',
+            test: (part, row) =>
+              part.type === row.type &&
+              normalize(part.brand) === normalize(row.brand) &&
+              normalize(part.model) === normalize(row.model) &&
+              sameAcquisition(part, row)
+          }
+        ];
+
+        // One rule at a time over every row, so a row matching by ID or serial
+        // isn't beaten to its part by an earlier row that only has the same details
+        const matches = rows.map(() => null);
+        const claimed = new Set();
+        rules.forEach(({ matchedBy, test }) => {
+          rows.forEach((row, index) => {
+            if (matches[index]) return;
+
+            const part = parts.find(candidate => !claimed.has(candidate.id) && test(candidate, row));
+            if (part) {
+              claimed.add(part.id);
+              matches[index] = { part, matchedBy };
+            }
+          });
+        });
+
+        return matches;
+      } catch (err) {
+        console.error('Error matching imported parts:', err);
+        throw err;
+      }
+    },
+
+    /**
+     * Rank pairs of parts that are probably the same physical part recorded twice.
+     * Only parts of the same type are compared; a matching serial number makes a
+     * pair certain and different serial numbers rule it out. Parts already linked
+     * by lineage (an RMA replacement, the sticks of a split kit) are skipped.
+     * @param {number} threshold - Lowest score to report (0 to 1)
+     * @returns {Promise<Array>} { a, b, score, reasons } pairs, most likely first
+     */
+    findDuplicates: async function(threshold = DEFAULT_THRESHOLD) {
+      try {
+        const parts = await window.QueryService.all(`
+          SELECT id, brand, model, type, acquisition_date, date_precision, serial_number, is_deleted
+          FROM parts
+          ORDER BY type, id
+        `);
+
+        const linked = new Set();
+        (await window.QueryService.all('SELECT part_id, related_part_id FROM part_lineage')).forEach(link => {
+          linked.add(`${link.part_id}:${link.related_part_id}`);
+          linked.add(`${link.related_part_id}:${link.part_id}`);
+        });
+
+        const pairs = [];
+        for (let i = 0; i < parts.length; i++) {
+          for (let j = i + 1; j < parts.length && parts[j].type === parts[i].type; j++) {
+            const a = parts[i];
+            const b = parts[j];
+            if (linked.has(`${a.id}:${b.id}`)) continue;
+
+            const serial = sameSerial(a, b);
+            if (serial === false) continue;
+
+            // The model says more than the brand
+            const nameScore = (similarity(a.brand, b.brand) + 2 * similarity(a.model, b.model)) / 3;
+            const reasons = [nameScore === 1 ? 'same brand and model' : 'similar brand and model'];
+            let score = nameScore;
+
+            if (serial) {
+              score = 1;
+              reasons.unshift('same serial number');
+            }
+
+            if (sameAcquisition(a, b)) {
+              score = Math.min(1, score + 0.1);
+              reasons.push('same acquisition date');
+            }
+
+            if (score < threshold) continue;
+
+            pairs.push({ a, b, score, reasons });
+          }
+        }
+
+        return pairs.sort((x, y) => y.score - x.score || x.a.id - y.a.id);
+      } catch (err) {
+        console.error('Error finding duplicates:', err);
+        throw err;
+      }
+    }
+  };
+})();
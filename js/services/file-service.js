@@ -1,16 +1,90 @@
 /**
  * File service for PC History Tracker
- * Handles all file I/O operations
+ * Handles all file I/O operations. Database files are files on disk where the
+ * browser has the File System Access API, and kept in browser storage (see
+ * BrowserStorage) where it doesn't.
  */
 
 // Create FileService namespace
 window.FileService = (function() {
   // Private variables
-  let fileHandle = null;
+  
+  // The open file, from diskFile or browserFile (null for a new database)
+  let storedFile = null;
   let currentFileName = null;
   
+  // lastModified of the file as this tab last read or wrote it
+  let knownLastModified = null;
+  
+  // Key the open file is encrypted with (see CryptoService), or null for a plain file
+  let encryptionKey = null;
+  
   // File system access API support check
   const hasFileSystemAccess = 'showOpenFilePicker' in window;
+  
+  /**
+   * Bytes to write for the database, encrypted if the file is
+   * @param {Uint8Array} data - The database as a Uint8Array
+   * @param {Object|null} key - Key the file is encrypted with (the open file's by default)
+   * @returns {Promise<Uint8Array>} - The file contents
+   */
+  async function toFileContents(data, key = encryptionKey) {
+    return key ? window.CryptoService.encrypt(data, key) : data;
+  }
+  
+  /**
+   * A file on disk, opened or created through the File System Access API
+   * @param {FileSystemFileHandle} handle - The file handle
+   * @returns {Object} - { name, handle, read, write, getLastModified }: read resolves to
+   *   { buffer, lastModified }, write to the new lastModified
+   */
+  function diskFile(handle) {
+    return {
+      name: handle.name,
+      handle,
+      read: async () => {
+        const file = await handle.getFile();
+        return { buffer: await file.arrayBuffer(), lastModified: file.lastModified };
+      },
+      write: async (data) => {
+        const writable = await handle.createWritable();
+        await writable.write(data);
+        await writable.close();
+        return (await handle.getFile()).lastModified;
+      },
+      getLastModified: async () => (await handle.getFile()).lastModified
+    };
+  }
+  
+  /**
+   * A file kept in browser storage, with the same interface as diskFile
+   * @param {string} name - File name
+   * @returns {Object} - { name, handle, read, write, getLastModified } (handle is null)
+   */
+  function browserFile(name) {
+    return {
+      name,
+      handle: null,
+      read: () => window.BrowserStorage.read(name),
+      write: (data) => window.BrowserStorage.write(name, data),
+      getLastModified: () => window.BrowserStorage.getLastModified(name)
+    };
+  }
+  
+  /**
+   * Read a file and make it the open one
+   * @param {Object} file - File from diskFile or browserFile
+   * @returns {Promise<ArrayBuffer>} - The file contents
+   */
+  async function adopt(file) {
+    const { buffer, lastModified } = await file.read();
+    
+    storedFile = file;
+    currentFileName = file.name;
+    knownLastModified = lastModified;
+    encryptionKey = null;
+    return buffer;
+  }
 
   return {
     /**
@@ -21,6 +95,14 @@ window.FileService = (function() {
       return hasFileSystemAccess;
     },
     
+    /**
+     * Check whether databases are kept in browser storage rather than in files on disk
+     * @returns {boolean} - True without the File System Access API
+     */
+    usesBrowserStorage: function() {
+      return !hasFileSystemAccess;
+    },
+    
     /**
      * Open a database file using the File System Access API
      * @returns {Promise<ArrayBuffer>} - The database file buffer
@@ -46,14 +128,7 @@ window.FileService = (function() {
         };
         
         const [handle] = await window.showOpenFilePicker(opts);
-        fileHandle = handle;
-        
-        // Get file name
-        currentFileName = handle.name;
-        
-        // Get file contents
-        const file = await handle.getFile();
-        return await file.arrayBuffer();
+        return await this.openHandle(handle);
       } catch (err) {
         // User cancelled or other error
         if (err.name !== 'AbortError') {
@@ -64,64 +139,75 @@ window.FileService = (function() {
     },
     
     /**
-     * Open a database file using the legacy File API
+     * Open a database file from a handle, such as one kept in the recent files list.
+     * The caller must already have permission to read and write it.
+     * @param {FileSystemFileHandle} handle - The file handle
      * @returns {Promise<ArrayBuffer>} - The database file buffer
      */
-    openFileLegacy: function() {
-      return new Promise((resolve, reject) => {
-        try {
-          // Create a file input element
-          const input = document.createElement('input');
-          input.type = 'file';
-          input.accept = '.db,.sqlite,.sqlite3';
-          
-          input.addEventListener('change', async () => {
-            if (input.files.length === 0) {
-              reject(new Error('No file selected'));
-              return;
-            }
-            
-            const file = input.files[0];
-            currentFileName = file.name;
-            
-            try {
-              const buffer = await file.arrayBuffer();
-              resolve(buffer);
-            } catch (err) {
-              reject(err);
-            }
-          });
-          
-          // Trigger file dialog
-          input.click();
-        } catch (err) {
-          reject(err);
-        }
-      });
+    openHandle: async function(handle) {
+      return adopt(diskFile(handle));
+    },
+    
+    /**
+     * Open a database file kept in browser storage
+     * @param {string} name - File name (see BrowserStorage.list)
+     * @returns {Promise<ArrayBuffer>} - The database file buffer
+     */
+    openStored: async function(name) {
+      return adopt(browserFile(name));
+    },
+    
+    /**
+     * Open a database file as a new file in browser storage. Nothing is stored
+     * until storeImportedFile, so a file that turns out not to open leaves no
+     * entry behind.
+     * @param {File} file - File chosen with a file input
+     * @returns {Promise<ArrayBuffer>} - The database file buffer
+     */
+    importFile: async function(file) {
+      const buffer = await file.arrayBuffer();
+      
+      storedFile = browserFile(await window.BrowserStorage.uniqueName(file.name));
+      currentFileName = storedFile.name;
+      knownLastModified = null;
+      encryptionKey = null;
+      return buffer;
+    },
+    
+    /**
+     * Keep the file opened with importFile in browser storage, as it was imported
+     * @param {ArrayBuffer} buffer - The buffer importFile returned
+     */
+    storeImportedFile: async function(buffer) {
+      knownLastModified = await storedFile.write(new Uint8Array(buffer));
     },
     
     /**
-     * Save a database file using the File System Access API
+     * Save the database to the open file, or to a new one if none is open
      * @param {Uint8Array} data - The database as a Uint8Array
+     * @param {Object} target - getOpenState() from when the database was exported.
+     *   If another file was opened since, the data still goes to this one.
      * @returns {Promise<void>}
      */
-    saveFile: async function(data) {
+    saveFile: async function(data, target = this.getOpenState()) {
       try {
-        if (!fileHandle) {
-          return await this.saveFileAs(data);
+        if (target.storedFile !== storedFile) {
+          // A new database can't be named once another is open
+          if (!target.storedFile) {
+            const err = new Error('Another database was opened before this one was saved');
+            err.name = 'AbortError';
+            throw err;
+          }
+          
+          await target.storedFile.write(await toFileContents(data, target.encryptionKey));
+          return true;
         }
         
-        if (!hasFileSystemAccess) {
-          throw new Error('File System Access API not supported');
+        if (!storedFile) {
+          return await this.saveFileAs(data);
         }
         
-        // Get a writable stream
-        const writable = await fileHandle.createWritable();
-        
-        // Write the file
-        await writable.write(data);
-        await writable.close();
-        
+        knownLastModified = await storedFile.write(await toFileContents(data));
         return true;
       } catch (err) {
         console.error('Error saving file:', err);
@@ -130,14 +216,18 @@ window.FileService = (function() {
     },
     
     /**
-     * Save a database file as a new file using the File System Access API
+     * Save the database as a new file: one chosen with the save picker, or a new
+     * file in browser storage named after the open one
      * @param {Uint8Array} data - The database as a Uint8Array
      * @returns {Promise<void>}
      */
     saveFileAs: async function(data) {
       try {
         if (!hasFileSystemAccess) {
-          return this.saveFileLegacy(data);
+          storedFile = browserFile(await window.BrowserStorage.uniqueName(currentFileName || 'pc-history.db'));
+          currentFileName = storedFile.name;
+          knownLastModified = await storedFile.write(await toFileContents(data));
+          return true;
         }
         
         // Open file picker
@@ -154,18 +244,13 @@ window.FileService = (function() {
           suggestedName: currentFileName || 'pc-history.db'
         };
         
-        fileHandle = await window.showSaveFilePicker(opts);
+        storedFile = diskFile(await window.showSaveFilePicker(opts));
         
         // Get file name
-        currentFileName = fileHandle.name;
-        
-        // Get a writable stream
-        const writable = await fileHandle.createWritable();
+        currentFileName = storedFile.name;
         
         // Write the file
-        await writable.write(data);
-        await writable.close();
-        
+        knownLastModified = await storedFile.write(await toFileContents(data));
         return true;
       } catch (err) {
         // User cancelled or other error
@@ -177,36 +262,105 @@ window.FileService = (function() {
     },
     
     /**
-     * Save a database file using the legacy File API (download)
+     * Download a copy of the database as a file, encrypted if the open file is
      * @param {Uint8Array} data - The database as a Uint8Array
-     * @returns {Promise<void>}
      */
-    saveFileLegacy: async function(data) {
-      try {
-        // Create a blob from the data
-        const blob = new Blob([data], { type: 'application/x-sqlite3' });
-        
-        // Create a download link
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = currentFileName || 'pc-history.db';
-        
-        // Trigger download
-        document.body.appendChild(a);
-        a.click();
-        
-        // Clean up
-        setTimeout(() => {
-          document.body.removeChild(a);
-          URL.revokeObjectURL(url);
-        }, 0);
-        
-        return true;
-      } catch (err) {
-        console.error('Error saving file:', err);
-        throw err;
+    exportFile: async function(data) {
+      window.DOMUtils.downloadFile(await toFileContents(data), currentFileName || 'pc-history.db', 'application/x-sqlite3');
+    },
+    
+    /**
+     * Check whether the open file was changed by someone else (another tab, or
+     * a sync client such as Dropbox) since this tab last read or wrote it
+     * @returns {Promise<boolean>} - True if the file on disk is newer
+     */
+    hasChangedOnDisk: async function() {
+      if (!storedFile || knownLastModified === null) return false;
+      
+      return (await storedFile.getLastModified()) !== knownLastModified;
+    },
+    
+    /**
+     * Read the open file as it is on disk now, and treat that as the version
+     * this tab has seen
+     * @returns {Promise<ArrayBuffer|Uint8Array>} - The database, decrypted if the file is encrypted
+     */
+    readFromDisk: async function() {
+      if (!storedFile) {
+        throw new Error('No file is open');
+      }
+      
+      const { buffer, lastModified } = await storedFile.read();
+      
+      if (window.CryptoService.isEncrypted(buffer)) {
+        if (!encryptionKey) {
+          throw new Error('The file was encrypted elsewhere. Reopen it to enter the passphrase.');
+        }
+        const { data } = await window.CryptoService.decrypt(buffer, encryptionKey);
+        knownLastModified = lastModified;
+        return data;
       }
+      
+      knownLastModified = lastModified;
+      return buffer;
+    },
+    
+    /**
+     * Forget the open file, for a new database that hasn't been saved yet
+     */
+    closeFile: function() {
+      storedFile = null;
+      currentFileName = null;
+      knownLastModified = null;
+      encryptionKey = null;
+    },
+    
+    /**
+     * Note which file is open, to go back to it if opening another one fails
+     * @returns {Object} - State for restoreOpenState
+     */
+    getOpenState: function() {
+      return { storedFile, currentFileName, knownLastModified, encryptionKey };
+    },
+    
+    /**
+     * Go back to the file that was open before
+     * @param {Object} state - State from getOpenState
+     */
+    restoreOpenState: function(state) {
+      ({ storedFile, currentFileName, knownLastModified, encryptionKey } = state);
+    },
+    
+    /**
+     * Encrypt the open file from its next save on, or pass null to save it plain
+     * @param {Object|null} key - Key from CryptoService.deriveKey or CryptoService.decrypt
+     */
+    setEncryptionKey: function(key) {
+      encryptionKey = key;
+    },
+    
+    /**
+     * Get the key the open file is saved with
+     * @returns {Object|null} - Key from CryptoService, or null for a plain file
+     */
+    getEncryptionKey: function() {
+      return encryptionKey;
+    },
+    
+    /**
+     * Check if the open file is saved encrypted
+     * @returns {boolean} - Whether a passphrase protects the file
+     */
+    isEncrypted: function() {
+      return encryptionKey !== null;
+    },
+    
+    /**
+     * Get the open file's handle
+     * @returns {FileSystemFileHandle|null} - The handle, or null for a new database or one in browser storage
+     */
+    getFileHandle: function() {
+      return storedFile ? storedFile.handle : null;
     },
     
     /**
@@ -222,7 +376,7 @@ window.FileService = (function() {
      * @returns {boolean} - Whether a file is open
      */
     hasOpenFile: function() {
-      return fileHandle !== null || currentFileName !== null;
+      return storedFile !== null || currentFileName !== null;
     }
   };
 })();
\ No newline at end of file
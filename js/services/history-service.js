@@ -0,0 +1,326 @@
+/**
+ * History service for PC History Tracker
+ * Undo/redo for model mutations, replayed from the audit log
+ */
+
+// Create HistoryService namespace
+window.HistoryService = (function() {
+  // Maximum number of undoable steps kept in memory
+  const MAX_STEPS = 50;
+
+  // Private variables
+  let undoStack = [];
+  let redoStack = [];
+  let recordDepth = 0;
+  const listeners = [];
+
+  // Steps, undos and redos run one at a time, in the order they were asked for
+  let queue = Promise.resolve();
+
+  /**
+   * Run a task once the ones queued before it have finished
+   * @param {Function} task - Async function
+   * @returns {Promise<*>} Whatever task returns
+   */
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Notify listeners that the undo/redo stacks changed
+   */
+  function notify() {
+    listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (err) {
+        console.error('Error in history listener:', err);
+      }
+    });
+  }
+
+  /**
+   * Get the id of the newest audit entry
+   * @returns {Promise<number>} Audit entry id, or 0 if the log is empty
+   */
+  function lastAuditId() {
+    return window.QueryService.value('SELECT COALESCE(MAX(id), 0) FROM audit_log');
+  }
+
+  /**
+   * Undo the changes recorded by a range of audit entries, newest first: an
+   * insert is deleted again, a deleted row is put back with its ID and an
+   * updated field gets its old value. The audit triggers log these writes as
+   * entries of their own, so reverting those entries in turn redoes the step.
+   * @param {Object} step - Step with the { auditFrom, auditTo } range of its entries
+   * @returns {Promise<Object>} { auditFrom, auditTo } range of the entries written
+   */
+  async function revertEntries(step) {
+    const tables = window.ArchiveService.TABLES.map(table => table.name);
+    const auditFrom = await lastAuditId();
+    const entries = await window.QueryService.all(
+      `SELECT action, entity, entity_id, field, old_value
+       FROM audit_log WHERE id > ? AND id <= ? ORDER BY id DESC`,
+      [step.auditFrom, step.auditTo]
+    );
+
+    await window.DatabaseService.transaction(async () => {
+      for (const entry of entries) {
+        // Entries come from the file, so only ever name known tables and columns
+        if (!tables.includes(entry.entity) || (entry.field !== null && !/^[a-z_]+$/.test(entry.field))) {
+          throw new Error(`Cannot undo audit entry for ${entry.entity}.${entry.field}`);
+        }
+
+        if (entry.action === 'insert') {
+          await window.QueryService.run(`DELETE FROM ${entry.entity} WHERE id = ?`, [entry.entity_id]);
+        } else if (entry.action === 'delete') {
+          const row = JSON.parse(entry.old_value);
+          const columns = Object.keys(row).filter(column => /^[a-z_]+$/.test(column));
+          await window.QueryService.run(
+            `INSERT INTO ${entry.entity} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            columns.map(column => row[column])
+          );
+        } else {
+          await window.QueryService.run(`UPDATE ${entry.entity} SET ${entry.field} = ? WHERE id = ?`, [entry.old_value, entry.entity_id]);
+        }
+      }
+    });
+
+    return { auditFrom, auditTo: await lastAuditId() };
+  }
+
+  /**
+   * Log the undo or redo of a snapshot step in the audit log. Restoring a
+   * snapshot bypasses the audit triggers, so the step's own entries are
+   * written again: inverted for an undo, as they were for a redo.
+   * @param {Object} step - Step with the { auditFrom, auditTo } range of its entries
+   * @param {boolean} undo - True to log the step being undone
+   * @returns {Promise<Object>} { auditFrom, auditTo } range of the entries written
+   */
+  async function logRestore(step, undo) {
+    const auditFrom = await lastAuditId();
+    const entries = await window.QueryService.all(
+      `SELECT action, entity, entity_id, field, old_value, new_value, part_id, motherboard_id
+       FROM audit_log WHERE id > ? AND id <= ? ORDER BY id`,
+      [step.auditFrom, step.auditTo]
+    );
+    if (undo) entries.reverse();
+
+    const inverse = { insert: 'delete', delete: 'insert', update: 'update' };
+    await window.DatabaseService.transaction(async () => {
+      for (const entry of entries) {
+        await window.QueryService.run(
+          `INSERT INTO audit_log (changed_at, action, entity, entity_id, field, old_value, new_value, part_id, motherboard_id)
+           VALUES (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            undo ? inverse[entry.action] : entry.action,
+            entry.entity,
+            entry.entity_id,
+            entry.field,
+            undo ? entry.new_value : entry.old_value,
+            undo ? entry.old_value : entry.new_value,
+            entry.part_id,
+            entry.motherboard_id
+          ]
+        );
+      }
+    });
+
+    return { auditFrom, auditTo: await lastAuditId() };
+  }
+
+  return {
+    /**
+     * Run a mutation as a single undoable step, in a transaction, and save it
+     * shortly (see SaveScheduler.markDirty). Nested calls (for example the
+     * model calls made by a bulk action) are folded into the outermost step,
+     * and so is anything else recorded while it runs. A step is undone from
+     * the audit entries it wrote; one that swaps in a whole database (which
+     * the audit triggers don't see) passes snapshot to keep a copy of the
+     * database from before it instead, and runs outside a transaction.
+     * @param {string} label - Description shown in the history menu
+     * @param {Function} fn - Async function performing the mutation
+     * @param {Object} options - { snapshot }
+     * @returns {Promise<*>} Whatever fn returns
+     */
+    record: async function(label, fn, options = {}) {
+      // Only the outermost call is a step; a snapshot can't be taken mid-transaction either
+      if (recordDepth > 0 || window.DatabaseService.isInTransaction()) {
+        return fn();
+      }
+
+      recordDepth++;
+      try {
+        return await enqueue(async () => {
+          const before = options.snapshot ? await window.DatabaseService.exportDatabase() : null;
+          const auditFrom = await lastAuditId();
+          const result = options.snapshot ? await fn() : await window.DatabaseService.transaction(fn);
+
+          undoStack.push({ label, before, timestamp: new Date(), auditFrom, auditTo: await lastAuditId() });
+          if (undoStack.length > MAX_STEPS) {
+            undoStack.shift();
+          }
+          redoStack = [];
+
+          window.SaveScheduler.markDirty();
+          notify();
+          return result;
+        });
+      } finally {
+        recordDepth--;
+      }
+    },
+
+    /**
+     * Wrap a model's mutating methods so each call is recorded as an undoable step
+     * @param {Object} model - Model namespace object (e.g. window.PartModel)
+     * @param {Object} labels - Map of method name to history label
+     */
+    track: function(model, labels) {
+      const history = this;
+
+      Object.keys(labels).forEach(methodName => {
+        const method = model[methodName];
+        if (typeof method !== 'function') {
+          throw new Error(`Cannot track missing method ${methodName}`);
+        }
+
+        model[methodName] = function(...args) {
+          return history.record(labels[methodName], () => method.apply(this, args));
+        };
+      });
+    },
+
+    /**
+     * Undo the most recent step
+     * @returns {Promise<Object|null>} The undone step or null if there was nothing to undo
+     */
+    undo: function() {
+      return enqueue(async () => {
+        const step = undoStack[undoStack.length - 1];
+        if (!step) return null;
+
+        if (step.before) {
+          const current = await window.DatabaseService.exportDatabase();
+          await window.DatabaseService.restoreSnapshot(step.before);
+          await logRestore(step, true);
+          redoStack.push({
+            label: step.label,
+            after: current,
+            timestamp: step.timestamp,
+            auditFrom: step.auditFrom,
+            auditTo: step.auditTo
+          });
+        } else {
+          redoStack.push({ label: step.label, after: null, timestamp: step.timestamp, ...await revertEntries(step) });
+        }
+        undoStack.pop();
+
+        window.SaveScheduler.markDirty();
+        notify();
+        return step;
+      });
+    },
+
+    /**
+     * Redo the most recently undone step
+     * @returns {Promise<Object|null>} The redone step or null if there was nothing to redo
+     */
+    redo: function() {
+      return enqueue(async () => {
+        const step = redoStack[redoStack.length - 1];
+        if (!step) return null;
+
+        if (step.after) {
+          const current = await window.DatabaseService.exportDatabase();
+          await window.DatabaseService.restoreSnapshot(step.after);
+          undoStack.push({ label: step.label, before: current, timestamp: step.timestamp, ...await logRestore(step, false) });
+        } else {
+          undoStack.push({ label: step.label, before: null, timestamp: step.timestamp, ...await revertEntries(step) });
+        }
+        redoStack.pop();
+
+        window.SaveScheduler.markDirty();
+        notify();
+        return step;
+      });
+    },
+
+    /**
+     * Undo several steps at once
+     * @param {number} count - Number of steps to undo
+     * @returns {Promise<number>} Number of steps actually undone
+     */
+    undoSteps: async function(count) {
+      let undone = 0;
+      while (undone < count && await this.undo()) {
+        undone++;
+      }
+      return undone;
+    },
+
+    /**
+     * Redo several steps at once
+     * @param {number} count - Number of steps to redo
+     * @returns {Promise<number>} Number of steps actually redone
+     */
+    redoSteps: async function(count) {
+      let redone = 0;
+      while (redone < count && await this.redo()) {
+        redone++;
+      }
+      return redone;
+    },
+
+    /**
+     * Check whether there is anything to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo: function() {
+      return undoStack.length > 0;
+    },
+
+    /**
+     * Check whether there is anything to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo: function() {
+      return redoStack.length > 0;
+    },
+
+    /**
+     * Get undoable steps, most recent first
+     * @returns {Array} Array of { label, timestamp }
+     */
+    getUndoSteps: function() {
+      return undoStack.slice().reverse().map(({ label, timestamp }) => ({ label, timestamp }));
+    },
+
+    /**
+     * Get redoable steps, next redo first
+     * @returns {Array} Array of { label, timestamp }
+     */
+    getRedoSteps: function() {
+      return redoStack.slice().reverse().map(({ label, timestamp }) => ({ label, timestamp }));
+    },
+
+    /**
+     * Forget all history (called when a different database is opened)
+     */
+    clear: function() {
+      undoStack = [];
+      redoStack = [];
+      notify();
+    },
+
+    /**
+     * Register a listener called whenever the history changes
+     * @param {Function} listener - Callback with no arguments
+     */
+    onChange: function(listener) {
+      listeners.push(listener);
+    }
+  };
+})();
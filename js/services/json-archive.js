@@ -0,0 +1,575 @@
+/**
+ * JSON archive for PC History Tracker
+ * Exports the whole database as readable, diffable JSON and imports it back
+ */
+
+// Create JsonArchive namespace
+window.JsonArchive = (function() {
+  // Private members
+
+  // Identifies archives written by this app
+  const FORMAT = 'pc-history-archive';
+  const FORMAT_VERSION = 1;
+
+  // JSON Schema of the archive. docs/json-archive.schema.json is the published
+  // copy, so change the two together.
+  const SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'PC History Tracker JSON archive',
+    description: 'Every record of a PC History Tracker database. Dates are YYYY-MM-DD strings read together with their precision field; a year-precision date is stored as the first day of its year.',
+    type: 'object',
+    properties: {
+      $schema: {
+        type: 'string'
+      },
+      format: {
+        const: 'pc-history-archive'
+      },
+      format_version: {
+        const: 1
+      },
+      schema_version: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Database schema version (PRAGMA user_version) the archive was exported from'
+      },
+      exported_at: {
+        type: 'string'
+      },
+      parts: {
+        type: 'array',
+        description: 'Parts',
+        items: {
+          type: 'object',
+          properties: {
+            id: {
+              $ref: '#/$defs/id'
+            },
+            brand: {
+              type: 'string'
+            },
+            model: {
+              type: 'string'
+            },
+            type: {
+              enum: ['motherboard', 'cpu', 'gpu', 'ram', 'storage', 'psu', 'case', 'cooling', 'monitor', 'peripheral', 'other']
+            },
+            acquisition_date: {
+              $ref: '#/$defs/optionalDate'
+            },
+            date_precision: {
+              $ref: '#/$defs/precision'
+            },
+            notes: {
+              type: ['string', 'null']
+            },
+            is_deleted: {
+              enum: [0, 1, null],
+              description: '1 once the part has been disposed of'
+            },
+            serial_number: {
+              type: ['string', 'null']
+            },
+            sku: {
+              type: ['string', 'null']
+            },
+            asset_tag: {
+              type: ['string', 'null']
+            },
+            purchase_price: {
+              type: ['number', 'null'],
+              minimum: 0
+            },
+            purchase_currency: {
+              $ref: '#/$defs/currency'
+            },
+            vendor: {
+              type: ['string', 'null']
+            },
+            warranty_months: {
+              type: ['integer', 'null'],
+              minimum: 0
+            }
+          },
+          required: ['id', 'brand', 'model', 'type'],
+          additionalProperties: false
+        }
+      },
+      connections: {
+        type: 'array',
+        description: 'Periods a part spent connected to a motherboard; an open period has no disconnected_at',
+        items: {
+          type: 'object',
+          properties: {
+            id: {
+              $ref: '#/$defs/id'
+            },
+            motherboard_id: {
+              $ref: '#/$defs/optionalId'
+            },
+            part_id: {
+              $ref: '#/$defs/optionalId'
+            },
+            connected_at: {
+              $ref: '#/$defs/date'
+            },
+            connected_precision: {
+              $ref: '#/$defs/precision'
+            },
+            disconnected_at: {
+              $ref: '#/$defs/optionalDate'
+            },
+            disconnected_precision: {
+              $ref: '#/$defs/precision'
+            },
+            notes: {
+              type: ['string', 'null']
+            }
+          },
+          required: ['id', 'connected_at'],
+          additionalProperties: false
+        }
+      },
+      rig_identities: {
+        type: 'array',
+        description: 'Names given to the rig built around a motherboard, with the period each was used',
+        items: {
+          type: 'object',
+          properties: {
+            id: {
+              $ref: '#/$defs/id'
+            },
+            motherboard_id: {
+              $ref: '#/$defs/optionalId'
+            },
+            name: {
+              type: 'string'
+            },
+            active_from: {
+              $ref: '#/$defs/date'
+            },
+            active_from_precision: {
+              $ref: '#/$defs/precision'
+            },
+            active_until: {
+              $ref: '#/$defs/optionalDate'
+            },
+            active_until_precision: {
+              $ref: '#/$defs/precision'
+            },
+            notes: {
+              type: ['string', 'null']
+            }
+          },
+          required: ['id', 'name', 'active_from'],
+          additionalProperties: false
+        }
+      },
+      rig_names: {
+        type: 'array',
+        description: 'Older rig names, by start date',
+        items: {
+          type: 'object',
+          properties: {
+            id: {
+              $ref: '#/$defs/id'
+            },
+            motherboard_id: {
+              $ref: '#/$defs/id'
+            },
+            start_date: {
+              $ref: '#/$defs/date'
+            },
+            name: {
+              type: 'string'
+            },
+            notes: {
+              type: ['string', 'null']
+            }
+          },
+          required: ['id', 'motherboard_id', 'start_date', 'name'],
+          additionalProperties: false
+        }
+      },
+      disposals: {
+        type: 'array',
+        description: 'How and when parts left the collection',
+        items: {
+          type: 'object',
+          properties: {
+            id: {
+              $ref: '#/$defs/id'
+            },
+            part_id: {
+              $ref: '#/$defs/optionalId'
+            },
+            disposed_at: {
+              $ref: '#/$defs/date'
+            },
+            disposed_precision: {
+              $ref: '#/$defs/precision'
+            },
+            reason: {
+              type: ['string', 'null']
+            },
+            notes: {
+              type: ['string', 'null']
+            },
+            method: {
+              type: ['string', 'null']
+            },
+            recipient: {
+              type: ['string', 'null']
+            },
+            sale_price: {
+              type: ['number', 'null'],
+              minimum: 0
+            },
+            sale_currency: {
+              $ref: '#/$defs/currency'
+            }
+          },
+          required: ['id', 'disposed_at'],
+          additionalProperties: false
+        }
+      },
+      rmas: {
+        type: 'array',
+        description: 'Repairs and warranty replacements; an RMA still open has no returned_at',
+        items: {
+          type: 'object',
+          properties: {
+            id: {
+              $ref: '#/$defs/id'
+            },
+            part_id: {
+              $ref: '#/$defs/id'
+            },
+            sent_at: {
+              $ref: '#/$defs/date'
+            },
+            sent_precision: {
+              $ref: '#/$defs/precision'
+            },
+            returned_at: {
+              $ref: '#/$defs/optionalDate'
+            },
+            returned_precision: {
+              $ref: '#/$defs/precision'
+            },
+            outcome: {
+              enum: ['repaired', 'replaced', 'refused', 'lost', null]
+            },
+            replacement_part_id: {
+              $ref: '#/$defs/optionalId'
+            },
+            rma_number: {
+              type: ['string', 'null']
+            },
+            notes: {
+              type: ['string', 'null']
+            }
+          },
+          required: ['id', 'part_id', 'sent_at'],
+          additionalProperties: false
+        }
+      },
+      part_lineage: {
+        type: 'array',
+        description: 'Links between the physical parts that make up one component over time',
+        items: {
+          type: 'object',
+          properties: {
+            id: {
+              $ref: '#/$defs/id'
+            },
+            part_id: {
+              $ref: '#/$defs/id'
+            },
+            relation: {
+              enum: ['replaced_by', 'split_from', 'merged_into']
+            },
+            related_part_id: {
+              $ref: '#/$defs/id'
+            },
+            linked_at: {
+              $ref: '#/$defs/optionalDate'
+            },
+            linked_precision: {
+              $ref: '#/$defs/precision'
+            },
+            notes: {
+              type: ['string', 'null']
+            }
+          },
+          required: ['id', 'part_id', 'relation', 'related_part_id'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['format', 'format_version', 'schema_version', 'parts'],
+    additionalProperties: false,
+    $defs: {
+      id: {
+        type: 'integer',
+        minimum: 1
+      },
+      optionalId: {
+        type: ['integer', 'null'],
+        minimum: 1
+      },
+      date: {
+        type: 'string',
+        pattern: '^\\d{4}-\\d{2}-\\d{2}'
+      },
+      optionalDate: {
+        type: ['string', 'null'],
+        pattern: '^\\d{4}-\\d{2}-\\d{2}'
+      },
+      precision: {
+        enum: ['day', 'month', 'year', 'none', null]
+      },
+      currency: {
+        type: ['string', 'null'],
+        pattern: '^[A-Z]{3}$'
+      }
+    }
+  };
+
+  /**
+   * Follow a schema's $ref into $defs
+   * @param {Object} schema - Schema or reference
+   * @returns {Object} Referenced schema
+   */
+  function resolve(schema) {
+    return schema.$ref ? SCHEMA.$defs[schema.$ref.replace('#/$defs/', '')] : schema;
+  }
+
+  /**
+   * Whether a value has a JSON Schema type
+   * @param {*} value - Value
+   * @param {string} type - 'null', 'boolean', 'integer', 'number', 'string', 'array' or 'object'
+   * @returns {boolean} True if it does
+   */
+  function hasType(value, type) {
+    switch (type) {
+      case 'null': return value === null;
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && isFinite(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+      default: return typeof value === type;
+    }
+  }
+
+  /**
+   * Check a value against a schema. Supports the keywords SCHEMA uses: type,
+   * const, enum, pattern, minimum, items, properties, required and
+   * additionalProperties.
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema
+   * @param {string} path - JSON path of the value, e.g. $.parts[3].type
+   * @param {Array} errors - Receives { path, message } for each problem
+   */
+  function check(value, schema, path, errors) {
+    schema = resolve(schema);
+
+    if ('const' in schema && value !== schema.const) {
+      errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+      return;
+    }
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => hasType(value, type))) {
+        errors.push({ path, message: `must be ${types.join(' or ')}` });
+        return;
+      }
+    }
+
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `"${value}" is not in the expected format` });
+    }
+
+    if (typeof value === 'number' && 'minimum' in schema && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => check(item, schema.items, `${path}[${index}]`, errors));
+    }
+
+    if (hasType(value, 'object') && schema.properties) {
+      (schema.required || []).forEach(key => {
+        if (!(key in value)) {
+          errors.push({ path: `${path}.${key}`, message: 'is required' });
+        }
+      });
+
+      Object.keys(value).forEach(key => {
+        if (schema.properties[key]) {
+          check(value[key], schema.properties[key], `${path}.${key}`, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+        }
+      });
+    }
+  }
+
+  /**
+   * Check what a schema can't express: unique IDs and references to parts
+   * that are in the archive
+   * @param {Object} data - Archive that passed the schema check
+   * @param {Array} errors - Receives { path, message } for each problem
+   */
+  function checkReferences(data, errors) {
+    window.ArchiveService.TABLES.forEach(table => {
+      const seen = new Set();
+      (data[table.name] || []).forEach((record, index) => {
+        if (seen.has(record.id)) {
+          errors.push({ path: `$.${table.name}[${index}].id`, message: `duplicates another ${table.name} record's ID ${record.id}` });
+        }
+        seen.add(record.id);
+      });
+    });
+
+    const partIds = new Set(data.parts.map(part => part.id));
+    window.ArchiveService.TABLES.forEach(table => {
+      (data[table.name] || []).forEach((record, index) => {
+        table.partColumns.forEach(column => {
+          if (record[column] !== null && record[column] !== undefined && !partIds.has(record[column])) {
+            errors.push({ path: `$.${table.name}[${index}].${column}`, message: `refers to part ${record[column]}, which is not in the archive` });
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Validate an archive
+   * @param {*} data - Parsed JSON
+   * @returns {Array} { path, message } problems, empty if the archive is valid
+   */
+  function validate(data) {
+    const errors = [];
+    check(data, SCHEMA, '$', errors);
+
+    if (errors.length === 0) {
+      checkReferences(data, errors);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build the archive for the open database
+   * @returns {Promise<Object>} Archive object
+   */
+  async function exportArchive() {
+    try {
+      return {
+        format: FORMAT,
+        format_version: FORMAT_VERSION,
+        schema_version: window.DatabaseService.getSchemaVersion(),
+        exported_at: new Date().toISOString(),
+        ...await window.ArchiveService.exportTables()
+      };
+    } catch (err) {
+      console.error('Error exporting JSON archive:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Export the open database as JSON text, one field per line so that
+   * successive exports diff cleanly
+   * @returns {Promise<string>} JSON text
+   */
+  async function exportJson() {
+    return JSON.stringify(await exportArchive(), null, 2) + '\n';
+  }
+
+  /**
+   * Parse archive text
+   * @param {string} text - File contents
+   * @returns {*} Parsed JSON
+   */
+  function parse(text) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`The file is not valid JSON (${err.message})`);
+    }
+  }
+
+  /**
+   * Import an archive into the open database as one undoable step. 'replace'
+   * swaps the database's records for the archive's, keeping their IDs. 'merge'
+   * matches the archive's parts to parts already here by ID, serial number, or
+   * brand, model and acquisition date, fills in details only the archive has,
+   * and adds the rest with new IDs; records of matched parts that are already
+   * here aren't added again, so merging an archive of this database changes
+   * nothing.
+   * @param {Object} data - Parsed archive
+   * @param {string} mode - 'replace' or 'merge'
+   * @returns {Promise<Object>} Number of records imported per table, and for
+   *   'merge' the number of parts matched to existing ones as matched
+   */
+  async function importArchive(data, mode = 'merge') {
+    try {
+      const errors = validate(data);
+      if (errors.length > 0) {
+        const err = new Error(`The archive is not valid:\n${errors.slice(0, 10).map(e => `- ${e.path}: ${e.message}`).join('\n')}`);
+        err.name = 'ValidationError';
+        err.errors = errors;
+        throw err;
+      }
+
+      if (data.schema_version > window.DatabaseService.getSupportedSchemaVersion()) {
+        const err = new Error('This archive was exported by a newer version of PC History Tracker. Please update the app to import it.');
+        err.name = 'SchemaVersionError';
+        throw err;
+      }
+
+      if (mode === 'replace') {
+        return await window.HistoryService.record('Replace database from JSON archive', async () => {
+          await window.ArchiveService.clearTables();
+          return window.ArchiveService.importTables(data, {
+            keepIds: true,
+            describe: (table, index, column) => `$.${table}[${index}].${column}`
+          });
+        });
+      }
+
+      return await window.HistoryService.record('Merge JSON archive', async () => {
+        const keepIds = await window.ArchiveService.isEmpty();
+        const matches = await window.DuplicateFinder.findMatches(data.parts);
+        const matched = [];
+        data.parts.forEach((part, index) => {
+          if (matches[index]) matched.push({ theirs: part, mine: matches[index].part });
+        });
+
+        const { counts } = await window.DatabaseMerge.mergeTables(data, matched, { keepIds });
+        return { ...counts, matched: matched.length };
+      });
+    } catch (err) {
+      console.error('Error importing JSON archive:', err);
+      throw err;
+    }
+  }
+
+  // Public API
+  return {
+    SCHEMA,
+    validate,
+    exportArchive,
+    exportJson,
+    parse,
+    importArchive
+  };
+})();
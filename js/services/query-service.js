@@ -0,0 +1,82 @@
+/**
+ * Query service for PC History Tracker
+ * Shared data-access helpers on top of DatabaseService.runQuery. Every value
+ * is bound as a parameter and results come back as plain row objects. Queries
+ * run in the database worker, so every helper is async.
+ */
+
+// Create QueryService namespace
+window.QueryService = (function() {
+  /**
+   * Map an exec() result set to an array of row objects
+   * @param {Array} result - Result of DatabaseService.runQuery
+   * @returns {Array} Array of row objects keyed by column name
+   */
+  function mapRows(result) {
+    if (!result || result.length === 0) return [];
+
+    // Map column names to values (only the last statement's result set is used)
+    const { columns, values } = result[result.length - 1];
+    return values.map(row => {
+      const mapped = {};
+      columns.forEach((column, index) => {
+        mapped[column] = row[index];
+      });
+      return mapped;
+    });
+  }
+
+  return {
+    /**
+     * Run a query and return every row
+     * @param {string} sql - SQL query with ? placeholders
+     * @param {Array|Object} params - Values to bind
+     * @returns {Promise<Array>} Array of row objects
+     */
+    all: async function(sql, params = []) {
+      return mapRows(await window.DatabaseService.runQuery(sql, params));
+    },
+
+    /**
+     * Run a query and return the first row
+     * @param {string} sql - SQL query with ? placeholders
+     * @param {Array|Object} params - Values to bind
+     * @returns {Promise<Object|null>} Row object or null if there were no rows
+     */
+    get: async function(sql, params = []) {
+      const rows = await this.all(sql, params);
+      return rows.length > 0 ? rows[0] : null;
+    },
+
+    /**
+     * Run a query and return the first column of the first row
+     * @param {string} sql - SQL query with ? placeholders
+     * @param {Array|Object} params - Values to bind
+     * @returns {Promise<*>} Scalar value or null if there were no rows
+     */
+    value: async function(sql, params = []) {
+      const result = await window.DatabaseService.runQuery(sql, params);
+      if (result.length === 0 || result[result.length - 1].values.length === 0) return null;
+      return result[result.length - 1].values[0][0];
+    },
+
+    /**
+     * Run a single statement that does not return rows
+     * @param {string} sql - SQL statement with ? placeholders
+     * @param {Array|Object} params - Values to bind
+     * @returns {Promise<Object>} { changes, lastInsertId } (lastInsertId is only meaningful after an INSERT)
+     */
+    run: function(sql, params = []) {
+      return window.DatabaseService.run(sql, params);
+    },
+
+    /**
+     * Run a function inside a (possibly nested) transaction, rolling back its scope if it throws
+     * @param {Function} fn - Async function performing the work
+     * @returns {Promise<*>} Whatever fn returns
+     */
+    transaction: function(fn) {
+      return window.DatabaseService.transaction(fn);
+    }
+  };
+})();
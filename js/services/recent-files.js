@@ -0,0 +1,219 @@
+/**
+ * Recent files service for PC History Tracker
+ * Remembers the database files opened through the File System Access API, so
+ * they can be reopened without the file picker
+ */
+
+// Create RecentFiles namespace
+window.RecentFiles = (function() {
+  // Private members
+
+  const DB_NAME = 'pc-history-recent-files';
+  const DB_VERSION = 1;
+  const REOPEN_KEY = 'pc-history-reopen-last';
+
+  // Number of files remembered
+  const MAX_FILES = 8;
+
+  // Open IndexedDB connection, shared by every call
+  let connection = null;
+
+  /**
+   * Open the recent files database
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  async function openStore() {
+    if (!connection) {
+      connection = await window.IDBUtils.open(DB_NAME, DB_VERSION, (db) => {
+        db.createObjectStore('files', { keyPath: 'id', autoIncrement: true });
+      });
+    }
+    return connection;
+  }
+
+  /**
+   * Read every remembered file
+   * @returns {Promise<Array>} Entries, most recently opened first
+   */
+  async function readAll() {
+    const db = await openStore();
+    const entries = await window.IDBUtils.request(db.transaction('files').objectStore('files').getAll());
+    return entries.sort((a, b) => b.last_opened.localeCompare(a.last_opened));
+  }
+
+  /**
+   * Find the entry for a file
+   * @param {FileSystemFileHandle} handle - File handle
+   * @returns {Promise<Object|null>} Entry, or null if the file isn't remembered
+   */
+  async function findEntry(handle) {
+    for (const entry of await readAll()) {
+      if (entry.name === handle.name && await entry.handle.isSameEntry(handle)) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Summary counts of the open database
+   * @returns {Promise<Object>} { parts, connections }
+   */
+  async function countRecords() {
+    return {
+      parts: await window.QueryService.value('SELECT COUNT(*) FROM parts'),
+      connections: await window.QueryService.value('SELECT COUNT(*) FROM connections')
+    };
+  }
+
+  /**
+   * Store an entry
+   * @param {Object} entry - Entry (with an id to replace an existing one)
+   * @returns {Promise<number>} Entry ID
+   */
+  async function put(entry) {
+    const db = await openStore();
+    const transaction = db.transaction('files', 'readwrite');
+    const id = await window.IDBUtils.request(transaction.objectStore('files').put(entry));
+    await window.IDBUtils.done(transaction);
+    return id;
+  }
+
+  /**
+   * Whether files can be reopened in this browser: it needs file handles that
+   * can be stored, which only the File System Access API provides
+   * @returns {boolean} True if supported
+   */
+  function isSupported() {
+    return window.FileService.supportsFileSystemAccessAPI() && window.IDBUtils.isSupported();
+  }
+
+  /**
+   * Remember the open file as just opened, with counts from the open database
+   * @param {FileSystemFileHandle} handle - File handle
+   */
+  async function add(handle) {
+    try {
+      const counts = await countRecords();
+      const existing = await findEntry(handle);
+      await put({
+        ...(existing ? { id: existing.id } : {}),
+        name: handle.name,
+        handle,
+        last_opened: new Date().toISOString(),
+        ...counts
+      });
+
+      // Forget the files opened longest ago
+      const expired = (await readAll()).slice(MAX_FILES);
+      await Promise.all(expired.map(entry => remove(entry.id)));
+    } catch (err) {
+      console.error('Error remembering recent file:', err);
+      throw err;
+    }
+  }
+
+  /**
+   * Refresh a remembered file's counts after it was saved
+   * @param {FileSystemFileHandle} handle - File handle
+   */
+  async function updateCounts(handle) {
+    const counts = await countRecords();
+    const entry = await findEntry(handle);
+    if (entry) {
+      await put({ ...entry, ...counts });
+    }
+  }
+
+  /**
+   * List the remembered files
+   * @returns {Promise<Array>} { id, name, last_opened, parts, connections }, most recent first
+   */
+  async function list() {
+    return (await readAll()).map(({ handle, ...entry }) => entry);
+  }
+
+  /**
+   * Forget a file
+   * @param {number} id - Entry ID
+   */
+  async function remove(id) {
+    const db = await openStore();
+    const transaction = db.transaction('files', 'readwrite');
+    transaction.objectStore('files').delete(id);
+    await window.IDBUtils.done(transaction);
+  }
+
+  /**
+   * Whether a remembered file can be opened without asking for permission
+   * @param {number} id - Entry ID
+   * @returns {Promise<boolean>} True if read and write access is already granted
+   */
+  async function hasPermission(id) {
+    const db = await openStore();
+    const entry = await window.IDBUtils.request(db.transaction('files').objectStore('files').get(id));
+    return !!entry && await entry.handle.queryPermission({ mode: 'readwrite' }) === 'granted';
+  }
+
+  /**
+   * Open a remembered file, asking for permission again if the browser has
+   * dropped it (which needs a click or key press to have started the call)
+   * @param {number} id - Entry ID
+   * @returns {Promise<ArrayBuffer>} The database file buffer
+   */
+  async function open(id) {
+    const db = await openStore();
+    const entry = await window.IDBUtils.request(db.transaction('files').objectStore('files').get(id));
+    if (!entry) {
+      throw new Error('That file is no longer in the recent files list');
+    }
+
+    const options = { mode: 'readwrite' };
+    if (await entry.handle.queryPermission(options) !== 'granted' &&
+        await entry.handle.requestPermission(options) !== 'granted') {
+      const err = new Error(`Permission to open ${entry.name} was not granted`);
+      err.name = 'NotAllowedError';
+      throw err;
+    }
+
+    try {
+      return await window.FileService.openHandle(entry.handle);
+    } catch (err) {
+      // Moved, renamed or deleted since it was opened
+      if (err.name === 'NotFoundError') {
+        await remove(id);
+        throw new Error(`${entry.name} can no longer be found; it was removed from the recent files list`);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Whether the last database is reopened when the app starts
+   * @returns {boolean} True if enabled
+   */
+  function getReopenLast() {
+    return localStorage.getItem(REOPEN_KEY) === 'true';
+  }
+
+  /**
+   * Choose whether the last database is reopened when the app starts
+   * @param {boolean} enabled - True to reopen it
+   */
+  function setReopenLast(enabled) {
+    localStorage.setItem(REOPEN_KEY, enabled ? 'true' : 'false');
+  }
+
+  // Public API
+  return {
+    isSupported,
+    add,
+    updateCounts,
+    list,
+    remove,
+    hasPermission,
+    open,
+    getReopenLast,
+    setReopenLast
+  };
+})();
@@ -0,0 +1,294 @@
+/**
+ * Save scheduler for PC History Tracker
+ * Coalesces changes into debounced saves, writes one at a time, retries
+ * failed writes, and stops rather than overwrite a file changed elsewhere
+ */
+
+// Create SaveScheduler namespace
+window.SaveScheduler = (function() {
+  // Private members
+
+  // Wait this long after the last change before saving
+  const DEBOUNCE_MS = 800;
+
+  // Failed writes are retried after 2, 4, 8... seconds, up to this many times
+  const MAX_RETRIES = 5;
+  const RETRY_BASE_MS = 2000;
+
+  // 'saved', 'pending', 'saving', 'error' or 'conflict'
+  let status = 'saved';
+  let dirty = false;
+  let timer = null;
+  let writing = null;
+  let failures = 0;
+  let lastError = null;
+
+  // Counts resets, so a write that finishes after another database was opened
+  // leaves the new one's status alone
+  let session = 0;
+
+  // The database file as last opened or saved: the common ancestor when merging
+  let baseData = null;
+
+  const listeners = [];
+  const conflictListeners = [];
+
+  /**
+   * Notify listeners that the save status changed
+   */
+  function notify() {
+    listeners.forEach(listener => {
+      try {
+        listener(status);
+      } catch (err) {
+        console.error('Error in save listener:', err);
+      }
+    });
+  }
+
+  /**
+   * Change the save status
+   * @param {string} next - New status
+   */
+  function setStatus(next) {
+    status = next;
+    notify();
+  }
+
+  /**
+   * Save after a delay, replacing any save already scheduled
+   * @param {number} delay - Milliseconds to wait
+   */
+  function schedule(delay) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+  }
+
+  /**
+   * Write the database once. Changes made while it is being written mark it
+   * dirty again and are picked up by the next save.
+   * @returns {Promise<boolean>} True if written
+   */
+  async function write() {
+    if (!window.DatabaseService.isOpen()) return false;
+
+    // Save to the file open now, even if another is opened before the write ends
+    const target = window.FileService.getOpenState();
+    const started = session;
+
+    try {
+      const changedOnDisk = await window.FileService.hasChangedOnDisk();
+      if (started !== session) return false;
+
+      if (changedOnDisk) {
+        clearTimeout(timer);
+        timer = null;
+        setStatus('conflict');
+
+        conflictListeners.forEach(listener => {
+          try {
+            listener();
+          } catch (err) {
+            console.error('Error in save conflict listener:', err);
+          }
+        });
+        return false;
+      }
+
+      setStatus('saving');
+
+      // Changes made from here on mark it dirty again
+      dirty = false;
+      const data = await window.DatabaseService.exportDatabase();
+      if (started !== session) return false;
+
+      // Keep a copy in the browser first; a failed backup shouldn't stop the save
+      try {
+        await window.BackupService.createBackup(data);
+      } catch (err) {
+        console.warn('Could not back up database before saving:', err);
+      }
+
+      await window.FileService.saveFile(data, target);
+      if (started !== session) return true;
+
+      baseData = data;
+      failures = 0;
+      lastError = null;
+      setStatus(dirty ? 'pending' : 'saved');
+      return true;
+    } catch (err) {
+      if (started !== session) {
+        console.error('Error saving database:', err);
+        return false;
+      }
+
+      dirty = true;
+      lastError = err;
+
+      // A cancelled or blocked file picker is the user's answer, not a failure to retry
+      if (err.name === 'AbortError' || err.name === 'SecurityError' || err.name === 'NotAllowedError') {
+        setStatus('pending');
+        return false;
+      }
+
+      console.error('Error saving database:', err);
+      failures++;
+      setStatus('error');
+
+      if (failures <= MAX_RETRIES) {
+        schedule(RETRY_BASE_MS * 2 ** (failures - 1));
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Save now if there are unsaved changes, after any write in progress
+   * @returns {Promise<boolean>} True if everything is saved
+   */
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+
+    while (writing) {
+      await writing;
+    }
+
+    if (!dirty) return true;
+    if (status === 'conflict') return false;
+
+    writing = write();
+    try {
+      return await writing;
+    } finally {
+      writing = null;
+
+      // Pick up changes made during the write
+      if (dirty && status !== 'conflict' && status !== 'error' && !timer) {
+        schedule(DEBOUNCE_MS);
+      }
+    }
+  }
+
+  /**
+   * Record that the open database has changed and save it shortly
+   */
+  function markDirty() {
+    dirty = true;
+    if (status === 'conflict') return;
+
+    if (status !== 'saving' && status !== 'error') {
+      setStatus('pending');
+    }
+    schedule(DEBOUNCE_MS);
+  }
+
+  /**
+   * Start over after a database was opened or created
+   * @param {Uint8Array|null} savedData - The file the open database was loaded
+   *   from, or null if it isn't in a file yet
+   */
+  function reset(savedData = null) {
+    session++;
+    clearTimeout(timer);
+    timer = null;
+    failures = 0;
+    lastError = null;
+    dirty = !savedData;
+    baseData = savedData;
+    setStatus(savedData ? 'saved' : 'pending');
+  }
+
+  /**
+   * Settle a conflict with a file changed elsewhere
+   * @param {string} resolution - 'merge' folds their changes into the open database
+   *   and saves the result, 'overwrite' replaces their version with the open one,
+   *   'reload' drops the open database's unsaved changes for their version
+   * @returns {Promise<Object|null>} Merge result for 'merge' (see ThreeWayMerge.merge)
+   */
+  async function resolveConflict(resolution) {
+    try {
+      const theirData = await window.FileService.readFromDisk();
+      let result = null;
+
+      if (resolution === 'merge') {
+        result = await window.ThreeWayMerge.mergeFile(baseData || await window.DatabaseService.exportDatabase(), theirData);
+        dirty = true;
+      } else if (resolution === 'reload') {
+        // The unsaved changes stay recoverable from the backups
+        try {
+          await window.BackupService.createBackup(await window.DatabaseService.exportDatabase(), 'before reload');
+        } catch (err) {
+          console.warn('Could not back up database before reloading:', err);
+        }
+
+        await window.DatabaseService.loadDatabase(theirData);
+        window.HistoryService.clear();
+        baseData = new Uint8Array(theirData);
+        dirty = false;
+      } else {
+        dirty = true;
+      }
+
+      failures = 0;
+      setStatus(dirty ? 'pending' : 'saved');
+      await flush();
+      return result;
+    } catch (err) {
+      console.error('Error resolving save conflict:', err);
+      throw err;
+    }
+  }
+
+  // Public API
+  return {
+    markDirty,
+    flush,
+    reset,
+    resolveConflict,
+
+    /**
+     * Whether there are changes not yet written to the file
+     * @returns {boolean} True if unsaved
+     */
+    isDirty: function() {
+      return dirty || status === 'saving';
+    },
+
+    /**
+     * Current save status
+     * @returns {string} 'saved', 'pending', 'saving', 'error' or 'conflict'
+     */
+    getStatus: function() {
+      return status;
+    },
+
+    /**
+     * Error from the last failed write
+     * @returns {Error|null} Error, or null if the last write succeeded
+     */
+    getLastError: function() {
+      return lastError;
+    },
+
+    /**
+     * Subscribe to save status changes
+     * @param {Function} listener - Called with the new status
+     */
+    onChange: function(listener) {
+      listeners.push(listener);
+    },
+
+    /**
+     * Subscribe to conflicts: the file was changed elsewhere and saving has stopped
+     * @param {Function} listener - Called with no arguments
+     */
+    onConflict: function(listener) {
+      conflictListeners.push(listener);
+    }
+  };
+})();
@@ -0,0 +1,347 @@
+/**
+ * Temporal validator for PC History Tracker
+ * Checks that connection, disposal, RMA and acquisition dates tell a consistent story
+ */
+
+// Create TemporalValidator namespace
+window.TemporalValidator = (function() {
+  // Private functions
+
+  /**
+   * Date range for a stored date, or null when the date is unknown
+   * @param {string} dateStr - ISO date string
+   * @param {string} precision - Stored precision
+   * @returns {Object|null} { start, end }
+   */
+  function range(dateStr, precision) {
+    return window.DateUtils.getDateRange(dateStr, precision || 'day');
+  }
+
+  /**
+   * Whether range a ends before range b starts, for every reading of both
+   * dates' precision. Unknown dates never conflict.
+   * @param {Object|null} a - Earlier range
+   * @param {Object|null} b - Later range
+   * @returns {boolean} True if a is definitely before b
+   */
+  function definitelyBefore(a, b) {
+    return !!a && !!b && a.end < b.start;
+  }
+
+  /**
+   * Format a stored date at its own precision
+   * @param {string} dateStr - ISO date string
+   * @param {string} precision - Stored precision
+   * @returns {string} Date text (YYYY, YYYY-MM or YYYY-MM-DD)
+   */
+  function formatDate(dateStr, precision) {
+    if (!dateStr) return 'unknown date';
+    if (precision === 'year') return dateStr.substring(0, 4);
+    if (precision === 'month') return dateStr.substring(0, 7);
+    return dateStr.substring(0, 10);
+  }
+
+  /**
+   * Whether two periods definitely overlapped. A period without an end is still
+   * running; one ending the day (or month or year) the other starts doesn't count.
+   * @param {Object|null} aStart - Range of the first period's start
+   * @param {Object|null} aEnd - Range of the first period's end, or null if open
+   * @param {Object|null} bStart - Range of the second period's start
+   * @param {Object|null} bEnd - Range of the second period's end, or null if open
+   * @returns {boolean} True if the periods overlap
+   */
+  function periodsOverlap(aStart, aEnd, bStart, bEnd) {
+    if (!aStart || !bStart) return false;
+    return (!bEnd || aStart.end < bEnd.start) && (!aEnd || bStart.end < aEnd.start);
+  }
+
+  /**
+   * Whether two connections of the same part were definitely active at the same
+   * time. Handing a part over on the same day (or within the same month or year
+   * at coarser precision) is not a conflict.
+   * @param {Object} a - Connection row
+   * @param {Object} b - Connection row
+   * @returns {boolean} True if the connections overlap
+   */
+  function overlaps(a, b) {
+    return periodsOverlap(
+      range(a.connected_at, a.connected_precision), range(a.disconnected_at, a.disconnected_precision),
+      range(b.connected_at, b.connected_precision), range(b.disconnected_at, b.disconnected_precision)
+    );
+  }
+
+  /**
+   * Create a violation record
+   * @param {string} code - Violation type
+   * @param {string} recordType - 'part', 'connection', 'disposal' or 'rma'
+   * @param {number} recordId - ID of the offending record
+   * @param {Array} partIds - Parts involved (the first one is the part to show)
+   * @param {string} message - Human-readable description
+   * @param {string} qualifier - Extra key component when one record can break a rule twice
+   * @returns {Object} Violation
+   */
+  function violation(code, recordType, recordId, partIds, message, qualifier = '') {
+    return {
+      code,
+      recordType,
+      recordId,
+      partId: partIds[0],
+      partIds: partIds.filter(id => id !== null && id !== undefined),
+      message,
+      key: `${code}:${recordType}:${recordId}:${qualifier}`
+    };
+  }
+
+  /**
+   * Placeholder list for an IN (...) clause
+   * @param {Array} values - Values to bind
+   * @returns {string} "?, ?, ..."
+   */
+  function placeholders(values) {
+    return values.map(() => '?').join(', ');
+  }
+
+  /**
+   * Compute violations, either in the whole database or only those that can
+   * involve some parts
+   * @param {Array|null} scope - Part IDs to check (null for every part)
+   * @returns {Promise<Array>} Violations; a scoped run may also return some that
+   *   don't involve the scope, which check() filters out
+   */
+  async function findViolations(scope = null) {
+    // The records that matter are few enough to check in memory, which keeps the
+    // precision-aware comparisons in one place instead of spread across SQL
+    if (scope && scope.length === 0) return [];
+
+    // Overlaps compare every connection of a part, so a scoped run loads all
+    // connections of the parts that share one with the scope
+    const connections = scope
+      ? await window.QueryService.all(`
+          SELECT id, part_id, motherboard_id, connected_at, connected_precision, disconnected_at, disconnected_precision
+          FROM connections
+          WHERE part_id IN (
+            SELECT part_id FROM connections
+            WHERE part_id IN (${placeholders(scope)}) OR motherboard_id IN (${placeholders(scope)})
+          )
+          ORDER BY part_id, connected_at, id
+        `, [...scope, ...scope])
+      : await window.QueryService.all(`
+          SELECT id, part_id, motherboard_id, connected_at, connected_precision, disconnected_at, disconnected_precision
+          FROM connections
+          ORDER BY part_id, connected_at, id
+        `);
+
+    // Disposals and RMAs of those connections' parts can break them too
+    const involved = scope ? [...new Set([
+      ...scope,
+      ...connections.map(c => c.part_id),
+      ...connections.map(c => c.motherboard_id)
+    ].filter(id => id !== null))] : null;
+    const where = column => (involved ? `WHERE ${column} IN (${placeholders(involved)})` : '');
+
+    const parts = new Map();
+    (await window.QueryService.all(
+      `SELECT id, brand, model, type, acquisition_date, date_precision FROM parts ${where('id')}`, involved || []
+    )).forEach(part => parts.set(part.id, part));
+
+    const disposals = await window.QueryService.all(
+      `SELECT id, part_id, disposed_at, disposed_precision FROM disposals ${where('part_id')} ORDER BY id`, involved || []
+    );
+
+    const rmas = await window.QueryService.all(
+      `SELECT id, part_id, sent_at, sent_precision, returned_at, returned_precision FROM rmas ${where('part_id')} ORDER BY id`,
+      involved || []
+    );
+
+    // Connections by part, on either side, for the disposal and RMA checks
+    const connectionsOf = new Map();
+    connections.forEach(c => {
+      new Set([c.part_id, c.motherboard_id]).forEach(id => {
+        if (!connectionsOf.has(id)) connectionsOf.set(id, []);
+        connectionsOf.get(id).push(c);
+      });
+    });
+
+    const name = id => {
+      const part = parts.get(id);
+      return part ? `${part.brand} ${part.model}` : `Part #${id}`;
+    };
+    const acquired = id => {
+      const part = parts.get(id);
+      return part ? range(part.acquisition_date, part.date_precision) : null;
+    };
+    const acquiredText = id => {
+      const part = parts.get(id);
+      return formatDate(part.acquisition_date, part.date_precision);
+    };
+
+    const violations = [];
+
+    connections.forEach(c => {
+      const connected = range(c.connected_at, c.connected_precision);
+      const disconnected = range(c.disconnected_at, c.disconnected_precision);
+      const connectedText = formatDate(c.connected_at, c.connected_precision);
+
+      // Neither the part nor the motherboard can be in a rig before it was acquired
+      if (definitelyBefore(connected, acquired(c.part_id))) {
+        violations.push(violation('connected_before_acquisition', 'connection', c.id, [c.part_id, c.motherboard_id],
+          `${name(c.part_id)} was connected to ${name(c.motherboard_id)} on ${connectedText}, before it was acquired (${acquiredText(c.part_id)})`,
+          c.part_id));
+      }
+
+      if (definitelyBefore(connected, acquired(c.motherboard_id))) {
+        violations.push(violation('connected_before_acquisition', 'connection', c.id, [c.motherboard_id, c.part_id],
+          `${name(c.part_id)} was connected to ${name(c.motherboard_id)} on ${connectedText}, before the motherboard was acquired (${acquiredText(c.motherboard_id)})`,
+          c.motherboard_id));
+      }
+
+      if (definitelyBefore(disconnected, connected)) {
+        violations.push(violation('disconnected_before_connected', 'connection', c.id, [c.part_id, c.motherboard_id],
+          `${name(c.part_id)} was disconnected from ${name(c.motherboard_id)} on ${formatDate(c.disconnected_at, c.disconnected_precision)}, before it was connected (${connectedText})`));
+      }
+    });
+
+    // A part can only sit in one rig at a time
+    for (let i = 0; i < connections.length; i++) {
+      for (let j = i + 1; j < connections.length && connections[j].part_id === connections[i].part_id; j++) {
+        const a = connections[i];
+        const b = connections[j];
+
+        if (overlaps(a, b)) {
+          const overlap = violation('overlapping_connections', 'connection', b.id, [b.part_id, a.motherboard_id, b.motherboard_id],
+            `${name(b.part_id)} was connected to ${name(a.motherboard_id)} (from ${formatDate(a.connected_at, a.connected_precision)}) ` +
+            `and ${name(b.motherboard_id)} (from ${formatDate(b.connected_at, b.connected_precision)}) at the same time`,
+            a.id);
+          overlap.relatedRecordId = a.id;
+          violations.push(overlap);
+        }
+      }
+    }
+
+    disposals.forEach(d => {
+      const disposed = range(d.disposed_at, d.disposed_precision);
+      const disposedText = formatDate(d.disposed_at, d.disposed_precision);
+
+      if (definitelyBefore(disposed, acquired(d.part_id))) {
+        violations.push(violation('disposed_before_acquisition', 'disposal', d.id, [d.part_id],
+          `${name(d.part_id)} was disposed of on ${disposedText}, before it was acquired (${acquiredText(d.part_id)})`));
+      }
+
+      // Nothing can happen to a part (or in a motherboard's rig) once it is gone
+      (connectionsOf.get(d.part_id) || []).forEach(c => {
+        const connected = range(c.connected_at, c.connected_precision);
+        const disconnected = range(c.disconnected_at, c.disconnected_precision);
+        const involved = c.part_id === d.part_id ? [c.part_id, c.motherboard_id] : [c.motherboard_id, c.part_id];
+        let detail = null;
+
+        if (definitelyBefore(disposed, connected)) {
+          detail = `connected on ${formatDate(c.connected_at, c.connected_precision)}`;
+        } else if (definitelyBefore(disposed, disconnected)) {
+          detail = `disconnected on ${formatDate(c.disconnected_at, c.disconnected_precision)}`;
+        } else if (!c.disconnected_at) {
+          detail = 'still connected';
+        }
+
+        if (detail) {
+          violations.push(violation('activity_after_disposal', 'connection', c.id, involved,
+            `${name(c.part_id)} / ${name(c.motherboard_id)}: ${detail}, after ${name(d.part_id)} was disposed of (${disposedText})`,
+            d.id));
+        }
+      });
+    });
+
+    rmas.forEach(r => {
+      const sent = range(r.sent_at, r.sent_precision);
+      const returned = range(r.returned_at, r.returned_precision);
+      const sentText = formatDate(r.sent_at, r.sent_precision);
+
+      if (definitelyBefore(sent, acquired(r.part_id))) {
+        violations.push(violation('rma_before_acquisition', 'rma', r.id, [r.part_id],
+          `${name(r.part_id)} was sent for repair on ${sentText}, before it was acquired (${acquiredText(r.part_id)})`));
+      }
+
+      if (definitelyBefore(returned, sent)) {
+        violations.push(violation('returned_before_sent', 'rma', r.id, [r.part_id],
+          `${name(r.part_id)} came back from repair on ${formatDate(r.returned_at, r.returned_precision)}, before it was sent (${sentText})`));
+      }
+
+      // A part away for repair can't be in a rig, and a motherboard away can't host parts
+      (connectionsOf.get(r.part_id) || []).forEach(c => {
+        if (periodsOverlap(sent, returned,
+          range(c.connected_at, c.connected_precision), range(c.disconnected_at, c.disconnected_precision))) {
+          const involved = c.part_id === r.part_id ? [c.part_id, c.motherboard_id] : [c.motherboard_id, c.part_id];
+          violations.push(violation('connected_during_repair', 'connection', c.id, involved,
+            `${name(c.part_id)} was connected to ${name(c.motherboard_id)} (from ${formatDate(c.connected_at, c.connected_precision)}) ` +
+            `while ${name(r.part_id)} was away for repair (sent ${sentText})`,
+            r.id));
+        }
+      });
+    });
+
+    return violations;
+  }
+
+  /**
+   * Create the error thrown when a change would introduce violations
+   * @param {Array} violations - New violations
+   * @returns {Error} Error with name 'ValidationError' and a violations property
+   */
+  function createValidationError(violations) {
+    const lines = violations.map(v => `- ${v.message}`);
+    const err = new Error(
+      `This change would make the history inconsistent:\n${lines.join('\n')}`
+    );
+    err.name = 'ValidationError';
+    err.violations = violations;
+    return err;
+  }
+
+  return {
+    /**
+     * Find violations, optionally only those involving some parts
+     * @param {Array} partIds - Part IDs to check (all parts if omitted)
+     * @returns {Promise<Array>} Violations ({ code, recordType, recordId, partId, partIds,
+     *   message, key }; overlaps also carry relatedRecordId, the other connection involved)
+     */
+    check: async function(partIds = null) {
+      if (!partIds) return findViolations();
+
+      const scope = [...new Set(partIds.filter(id => id !== null && id !== undefined).map(Number))];
+      const inScope = new Set(scope);
+      return (await findViolations(scope)).filter(v => v.partIds.some(id => inScope.has(id)));
+    },
+
+    /**
+     * Run a write atomically and roll it back if it introduces new violations for
+     * the given parts. Problems that were already in the archive don't block edits.
+     * @param {Array} partIds - Parts the write touches
+     * @param {Function} fn - Async function performing the write
+     * @param {Function} blocks - Optional predicate for violations that block the
+     *   write even if they were already there
+     * @returns {Promise<*>} Whatever fn returns
+     */
+    guard: async function(partIds, fn, blocks = null) {
+      const before = new Set((await this.check(partIds)).map(v => v.key));
+
+      return window.DatabaseService.transaction(async () => {
+        const result = await fn();
+
+        const introduced = (await this.check(partIds)).filter(v => !before.has(v.key) || (blocks && blocks(v)));
+        if (introduced.length > 0) {
+          throw createValidationError(introduced);
+        }
+
+        return result;
+      });
+    },
+
+    /**
+     * Whether two connections of the same part were definitely active at the
+     * same time (for comparing connections that aren't in the database yet)
+     * @param {Object} a - Connection row
+     * @param {Object} b - Connection row
+     * @returns {boolean} True if the connections overlap
+     */
+    overlaps
+  };
+})();
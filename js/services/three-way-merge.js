@@ -0,0 +1,177 @@
+/**
+ * Three-way merge for PC History Tracker
+ * Folds changes made to the database file elsewhere (another tab, or another
+ * machine through a synced folder) into the open database, record by record
+ */
+
+// Create ThreeWayMerge namespace
+window.ThreeWayMerge = (function() {
+  // Private members
+
+  /**
+   * Whether two versions of a record hold the same values
+   * @param {Object} a - Record
+   * @param {Object} b - Record
+   * @returns {boolean} True if every column both have is equal
+   */
+  function sameRecord(a, b) {
+    return Object.keys(a).every(column => !(column in b) || a[column] === b[column]);
+  }
+
+  /**
+   * Number of records in the open database that refer to a part
+   * @param {number} partId - Part ID
+   * @returns {Promise<number>} Reference count
+   */
+  async function countReferences(partId) {
+    let count = 0;
+    for (const table of window.ArchiveService.TABLES) {
+      for (const column of table.partColumns) {
+        count += await window.QueryService.value(`SELECT COUNT(*) FROM ${table.name} WHERE ${column} = ?`, [partId]);
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Apply the changes between base and theirs to the open database. Where
+   * both sides changed the same value, or one side deleted a record the other
+   * changed, the open database's version is kept and the conflict reported.
+   * Records added on the other side get new IDs. One undoable step.
+   * @param {Object} base - Tables as both sides last had them (ArchiveService.exportTables)
+   * @param {Object} theirs - Tables as the other side has them now
+   * @returns {Promise<Object>} { added, updated, deleted, conflicts } where conflicts
+   *   holds { table, id, message } with IDs as they are in theirs
+   */
+  function merge(base, theirs) {
+    const TABLES = window.ArchiveService.TABLES;
+    const result = { added: 0, updated: 0, deleted: 0, conflicts: [] };
+    const conflict = (table, id, message) => result.conflicts.push({ table, id, message });
+
+    return window.HistoryService.record('Merge changes made elsewhere', async () => {
+      const mine = await window.ArchiveService.exportTables();
+      const mineById = {};
+      const baseById = {};
+      TABLES.forEach(table => {
+        mineById[table.name] = new Map(mine[table.name].map(record => [record.id, record]));
+        baseById[table.name] = new Map(base[table.name].map(record => [record.id, record]));
+      });
+
+      // Parts records may refer to: the open database's own, then theirs as they are added
+      const partIds = new Map(mine.parts.map(part => [part.id, part.id]));
+      const addedPartIds = new Set(theirs.parts.filter(part => !baseById.parts.has(part.id)).map(part => part.id));
+
+      // Records added there
+      const added = {};
+      TABLES.forEach(table => {
+        added[table.name] = theirs[table.name].filter(record => {
+          if (baseById[table.name].has(record.id)) return false;
+
+          const missing = table.partColumns.find(column =>
+            record[column] !== null && !partIds.has(record[column]) && !addedPartIds.has(record[column]));
+          if (missing) {
+            conflict(table.name, record.id, `added there, but refers to part ${record[missing]}, which was deleted here`);
+            return false;
+          }
+          return true;
+        });
+      });
+
+      const counts = await window.ArchiveService.importTables(added, { partIds });
+      result.added = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+      // Records changed there
+      for (const table of TABLES) {
+        for (const record of theirs[table.name]) {
+          const old = baseById[table.name].get(record.id);
+          if (!old || sameRecord(old, record)) continue;
+
+          const current = mineById[table.name].get(record.id);
+          if (!current) {
+            conflict(table.name, record.id, 'changed there but deleted here; left deleted');
+            continue;
+          }
+
+          const updates = {};
+          Object.keys(record).filter(column => column in old && old[column] !== record[column]).forEach(column => {
+            let value = record[column];
+            if (table.partColumns.includes(column) && value !== null) {
+              if (!partIds.has(value)) {
+                conflict(table.name, record.id, `${column} refers to part ${value}, which was deleted here`);
+                return;
+              }
+              value = partIds.get(value);
+            }
+
+            if (current[column] === old[column]) {
+              updates[column] = value;
+            } else if (current[column] !== value) {
+              conflict(table.name, record.id,
+                `${column} changed on both sides; kept ${JSON.stringify(current[column])} over ${JSON.stringify(value)}`);
+            }
+          });
+
+          const columns = Object.keys(updates);
+          if (columns.length === 0) continue;
+
+          await window.QueryService.run(
+            `UPDATE ${table.name} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => updates[column]), record.id]
+          );
+          result.updated++;
+        }
+      }
+
+      // Records deleted there, parts last
+      for (const table of [...TABLES].reverse()) {
+        const remaining = new Set(theirs[table.name].map(record => record.id));
+
+        for (const old of base[table.name]) {
+          if (remaining.has(old.id)) continue;
+
+          const current = mineById[table.name].get(old.id);
+          if (!current) continue;
+
+          if (!sameRecord(old, current)) {
+            conflict(table.name, old.id, 'deleted there but changed here; kept');
+            continue;
+          }
+          if (table.name === 'parts' && await countReferences(old.id) > 0) {
+            conflict(table.name, old.id, 'deleted there but still used here; kept');
+            continue;
+          }
+
+          await window.QueryService.run(`DELETE FROM ${table.name} WHERE id = ?`, [old.id]);
+          result.deleted++;
+        }
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Merge the changes in a copy of the database file into the open database
+   * @param {Uint8Array} baseData - The file as this tab last read or wrote it
+   * @param {ArrayBuffer|Uint8Array} theirData - The file as it is now
+   * @returns {Promise<Object>} Merge result (see merge)
+   */
+  async function mergeFile(baseData, theirData) {
+    const baseDatabase = await window.DatabaseService.openDetachedDatabase(baseData);
+    let theirDatabase = null;
+
+    try {
+      theirDatabase = await window.DatabaseService.openDetachedDatabase(theirData);
+      return await merge(await window.ArchiveService.exportTables(baseDatabase), await window.ArchiveService.exportTables(theirDatabase));
+    } finally {
+      await baseDatabase.close();
+      if (theirDatabase) await theirDatabase.close();
+    }
+  }
+
+  // Public API
+  return {
+    merge,
+    mergeFile
+  };
+})();
@@ -0,0 +1,120 @@
+/**
+ * CSV utilities for PC History Tracker
+ * RFC 4180 reading and writing: quoted fields may hold commas, quotes and line breaks
+ */
+
+// Create CSVUtils namespace
+window.CSVUtils = {
+  /**
+   * Parse CSV text into rows of fields. Accepts CRLF or LF line endings and a
+   * leading byte order mark; a blank line at the end is ignored.
+   * @param {string} text - CSV text
+   * @param {Object} options - { emptyAsNull } to read unquoted empty fields as null
+   *   (a quoted empty field, "", is always an empty string)
+   * @returns {Array} Rows, each an array of field values
+   */
+  parse: function(text, options = {}) {
+    const input = (text || '').replace(/^\uFEFF/, '');
+    const emptyValue = options.emptyAsNull ? null : '';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = 0;
+
+    const endField = () => {
+      row.push(field === '' && !quoted ? emptyValue : field);
+      field = '';
+      quoted = false;
+    };
+
+    const endRow = () => {
+      endField();
+      rows.push(row);
+      row = [];
+    };
+
+    while (i < input.length) {
+      const char = input[i];
+
+      if (char === '"' && field === '' && !quoted) {
+        // Quoted field: read up to the closing quote, "" standing for one quote
+        quoted = true;
+        i++;
+        while (true) {
+          if (i >= input.length) {
+            throw new Error('Invalid CSV: a quoted field is not closed');
+          }
+          if (input[i] === '"') {
+            if (input[i + 1] === '"') {
+              field += '"';
+              i += 2;
+              continue;
+            }
+            i++;
+            break;
+          }
+          field += input[i++];
+        }
+
+        if (i < input.length && input[i] !== ',' && input[i] !== '\r' && input[i] !== '\n') {
+          throw new Error(`Invalid CSV: unexpected text after a quoted field on line ${rows.length + 1}`);
+        }
+      } else if (char === ',') {
+        endField();
+        i++;
+      } else if (char === '\r' || char === '\n') {
+        endRow();
+        i += char === '\r' && input[i + 1] === '\n' ? 2 : 1;
+      } else {
+        field += char;
+        i++;
+      }
+    }
+
+    // The last line may or may not end with a line break
+    if (field !== '' || quoted || row.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  },
+
+  /**
+   * Write rows as CSV with CRLF line endings. Fields are quoted only when they
+   * need it; null and undefined are written as nothing and empty strings as "".
+   * @param {Array} rows - Rows, each an array of values
+   * @returns {string} CSV text
+   */
+  stringify: function(rows) {
+    return rows.map(row => row.map(value => {
+      if (value === null || value === undefined) return '';
+
+      const text = String(value);
+      if (text === '' || /[",\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+      }
+      return text;
+    }).join(',')).join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Turn parsed rows into objects keyed by the header row
+   * @param {Array} rows - Rows from parse, header first
+   * @returns {Array} One object per data row
+   */
+  toObjects: function(rows) {
+    if (rows.length === 0) return [];
+
+    const [header, ...data] = rows;
+    return data
+      .filter(row => !(row.length === 1 && (row[0] === '' || row[0] === null)))
+      .map(row => {
+        const record = {};
+        header.forEach((column, index) => {
+          record[column] = index < row.length ? row[index] : null;
+        });
+        return record;
+      });
+  }
+};
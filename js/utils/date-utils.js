@@ -59,6 +59,106 @@ window.DateUtils = {
     return 'day';
   },
 
+  /**
+   * Get the span of days a stored date could refer to, given its precision
+   * (a year-precision date could be any day of that year)
+   * @param {string} dateStr - ISO date string (YYYY-MM-DD)
+   * @param {string} precision - 'day', 'month', 'year', or 'none'
+   * @returns {Object|null} { start, end } as inclusive YYYY-MM-DD strings, or null if unknown
+   */
+  getDateRange: function(dateStr, precision = 'day') {
+    if (!dateStr || precision === 'none') return null;
+
+    const [year, month] = dateStr.split('-').map(Number);
+    const yearStr = year.toString().padStart(4, '0');
+
+    switch (precision) {
+      case 'year':
+        return { start: `${yearStr}-01-01`, end: `${yearStr}-12-31` };
+      case 'month': {
+        const monthStr = month.toString().padStart(2, '0');
+        const lastDay = this.getDaysInMonth(month, year).toString().padStart(2, '0');
+        return { start: `${yearStr}-${monthStr}-01`, end: `${yearStr}-${monthStr}-${lastDay}` };
+      }
+      default: {
+        const day = dateStr.substring(0, 10);
+        return { start: day, end: day };
+      }
+    }
+  },
+
+  /**
+   * Add a number of months to a date, keeping the day where the month allows
+   * (January 31st plus one month is the last day of February)
+   * @param {string} dateStr - ISO date string (YYYY-MM-DD)
+   * @param {number} months - Months to add
+   * @returns {string} YYYY-MM-DD
+   */
+  addMonths: function(dateStr, months) {
+    const [year, month, day] = dateStr.substring(0, 10).split('-').map(Number);
+    const total = year * 12 + (month - 1) + months;
+    const newYear = Math.floor(total / 12);
+    const newMonth = total % 12 + 1;
+    const newDay = Math.min(day, this.getDaysInMonth(newMonth, newYear));
+
+    return this.createDateString(newYear, newMonth, newDay);
+  },
+
+  /**
+   * SQL expression for the last day a stored date could refer to. Stored dates
+   * are already the first day of their range, so they serve as the lower bound.
+   * @param {string} column - Date column (e.g. 'c.disconnected_at')
+   * @param {string} precisionColumn - Matching precision column
+   * @returns {string} SQL expression yielding YYYY-MM-DD
+   */
+  sqlUpperBound: function(column, precisionColumn) {
+    return `(CASE COALESCE(${precisionColumn}, 'day')
+      WHEN 'year' THEN substr(${column}, 1, 4) || '-12-31'
+      WHEN 'month' THEN date(substr(${column}, 1, 7) || '-01', '+1 month', '-1 day')
+      ELSE substr(${column}, 1, 10)
+    END)`;
+  },
+
+  /**
+   * SQL condition for a period that was (possibly) under way on a date. A coarse
+   * end date counts as "during that year/month", so a part disconnected in 2019
+   * is still shown in its rig for any day of 2019.
+   * @param {string} date - As-of date (YYYY-MM-DD)
+   * @param {string|null} startColumn - Start column, or null if only the end matters
+   * @param {string} endColumn - End column (NULL means still ongoing)
+   * @param {string} endPrecisionColumn - Precision column for the end date
+   * @returns {Object} { sql, params } with one parameter per placeholder
+   */
+  sqlActiveAt: function(date, startColumn, endColumn, endPrecisionColumn) {
+    const conditions = [];
+    const params = [];
+
+    if (startColumn) {
+      conditions.push(`${startColumn} <= ?`);
+      params.push(date);
+    }
+
+    conditions.push(`(${endColumn} IS NULL OR ${endColumn} > ? OR ` +
+      `(COALESCE(${endPrecisionColumn}, 'day') <> 'day' AND ${this.sqlUpperBound(endColumn, endPrecisionColumn)} >= ?))`);
+    params.push(date, date);
+
+    return { sql: conditions.join(' AND '), params };
+  },
+
+  /**
+   * JavaScript counterpart of sqlActiveAt for rows already loaded
+   * @param {string} date - As-of date (YYYY-MM-DD)
+   * @param {string|null} startDate - Period start (stored lower bound), or null if unknown
+   * @param {string|null} endDate - Period end, or null if still ongoing
+   * @param {string} endPrecision - Precision of the end date
+   * @returns {boolean} True if the period was (possibly) under way on the date
+   */
+  isActiveAt: function(date, startDate, endDate, endPrecision = 'day') {
+    if (startDate && startDate > date) return false;
+    if (!endDate || endDate > date) return true;
+    return (endPrecision || 'day') !== 'day' && this.getDateRange(endDate, endPrecision).end >= date;
+  },
+
   /**
    * Populate a year select element with years
    * @param {HTMLSelectElement} select - The select element to populate
@@ -79,6 +79,121 @@ window.DOMUtils = {
     }, text);
   },
 
+  /**
+   * Create an amount input with a currency code next to it
+   * @param {string} idPrefix - Prefix for the input IDs (`-price` and `-currency`)
+   * @param {number|null} amount - Initial amount
+   * @param {string} currency - Initial currency code
+   * @returns {HTMLElement} The input group
+   */
+  createPriceInput: function(idPrefix, amount = null, currency = '') {
+    const datalistId = `${idPrefix}-currency-list`;
+    
+    return this.createElement('div', { className: 'price-input-group' }, [
+      this.createElement('input', {
+        type: 'number',
+        id: `${idPrefix}-price`,
+        className: 'form-control',
+        min: '0',
+        step: '0.01',
+        value: amount === null || amount === undefined ? '' : amount
+      }),
+      this.createElement('input', {
+        type: 'text',
+        id: `${idPrefix}-currency`,
+        className: 'form-control currency-input',
+        maxlength: '3',
+        list: datalistId,
+        value: currency || ''
+      }),
+      this.createElement('datalist', { id: datalistId },
+        window.MoneyUtils.CURRENCIES.map(code => this.createElement('option', { value: code })))
+    ]);
+  },
+
+  /**
+   * Create year/month/day selects, optionally prefilled from a stored date
+   * @param {string} idPrefix - Prefix for the select IDs (`-year`, `-month` and `-day`)
+   * @param {string|null} dateStr - Stored ISO date string (optional)
+   * @param {string} precision - Stored date precision
+   * @returns {Object} { element, getDateInfo, setDisabled } where getDateInfo returns { year, month, day }
+   */
+  createDateSelects: function(idPrefix, dateStr = null, precision = 'none') {
+    const dateControls = this.createElement('div', { className: 'date-input-group' });
+    
+    // Year select
+    const yearSelect = this.createElement('select', { id: `${idPrefix}-year` });
+    yearSelect.appendChild(this.createElement('option', { value: '' }, 'Year'));
+    window.DateUtils.populateYearSelect(yearSelect);
+    
+    // Month select
+    const monthSelect = this.createElement('select', { id: `${idPrefix}-month` });
+    monthSelect.appendChild(this.createElement('option', { value: '' }, 'Month (optional)'));
+    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 
+                        'July', 'August', 'September', 'October', 'November', 'December'];
+    for (let i = 1; i <= 12; i++) {
+      monthSelect.appendChild(this.createElement('option', { value: i }, monthNames[i-1]));
+    }
+    
+    // Day select
+    const daySelect = this.createElement('select', { id: `${idPrefix}-day` });
+    daySelect.appendChild(this.createElement('option', { value: '' }, 'Day (optional)'));
+    
+    const updateDays = () => {
+      const selectedDay = daySelect.value;
+      const year = parseInt(yearSelect.value) || new Date().getFullYear();
+      const month = parseInt(monthSelect.value) || null;
+      window.DateUtils.populateDaySelect(daySelect, month, year);
+      daySelect.value = month ? selectedDay : '';
+    };
+    
+    monthSelect.addEventListener('change', updateDays);
+    yearSelect.addEventListener('change', () => {
+      if (monthSelect.value) {
+        updateDays();
+      }
+    });
+    
+    // Prefill from the stored date, at its own precision
+    if (dateStr && precision !== 'none') {
+      const dateParts = dateStr.split('-');
+      const year = parseInt(dateParts[0]);
+      
+      // Older dates fall outside the default year range
+      if (!Array.from(yearSelect.options).some(option => parseInt(option.value) === year)) {
+        yearSelect.appendChild(this.createElement('option', { value: year }, year.toString()));
+      }
+      yearSelect.value = year;
+      
+      if (precision === 'month' || precision === 'day') {
+        monthSelect.value = parseInt(dateParts[1]);
+        updateDays();
+      }
+      
+      if (precision === 'day') {
+        daySelect.value = parseInt(dateParts[2]);
+      }
+    }
+    
+    dateControls.appendChild(yearSelect);
+    dateControls.appendChild(monthSelect);
+    dateControls.appendChild(daySelect);
+    
+    return {
+      element: dateControls,
+      getDateInfo: () => ({
+        year: parseInt(yearSelect.value) || null,
+        month: monthSelect.value ? parseInt(monthSelect.value) : null,
+        day: daySelect.value ? parseInt(daySelect.value) : null
+      }),
+      setDisabled: (disabled) => {
+        yearSelect.disabled = disabled;
+        monthSelect.disabled = disabled;
+        daySelect.disabled = disabled;
+      }
+    };
+  },
+
   /**
    * Remove all children from an element
    * @param {HTMLElement} element - Element to clear
@@ -206,5 +321,23 @@ window.DOMUtils = {
     // Show modal
     const modal = this.showModal('Confirm', content);
     return modal;
+  },
+
+  /**
+   * Offer some data as a file download
+   * @param {string|Uint8Array} data - File contents
+   * @param {string} fileName - Suggested file name
+   * @param {string} type - MIME type
+   */
+  downloadFile: function(data, fileName, type) {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    
+    // Clean up
+    URL.revokeObjectURL(url);
   }
 };
\ No newline at end of file
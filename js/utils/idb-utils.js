@@ -0,0 +1,63 @@
+/**
+ * IndexedDB utilities for PC History Tracker
+ * Promise wrappers around the callback-style IndexedDB API
+ */
+
+// Create IDBUtils namespace
+window.IDBUtils = {
+  /**
+   * Whether this browser has IndexedDB
+   * @returns {boolean} True if available
+   */
+  isSupported: function() {
+    return typeof indexedDB !== 'undefined';
+  },
+
+  /**
+   * Open (and create or upgrade) a database
+   * @param {string} name - Database name
+   * @param {number} version - Schema version
+   * @param {Function} upgrade - Called with (db, oldVersion, transaction) when the
+   *   version is new; transaction is the upgrade's own, for changing existing stores
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open: function(name, version, upgrade) {
+    return new Promise((resolve, reject) => {
+      if (!this.isSupported()) {
+        reject(new Error('This browser has no IndexedDB'));
+        return;
+      }
+
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = (e) => upgrade(request.result, e.oldVersion, request.transaction);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error(`${name} is open in another tab with an older version`));
+    });
+  },
+
+  /**
+   * Wait for a request to finish
+   * @param {IDBRequest} request - Request
+   * @returns {Promise<*>} The request's result
+   */
+  request: function(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Wait for a transaction to commit
+   * @param {IDBTransaction} transaction - Transaction
+   * @returns {Promise<void>} Resolves once everything in it is written
+   */
+  done: function(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+};
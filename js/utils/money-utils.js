@@ -0,0 +1,72 @@
+/**
+ * Money utilities for PC History Tracker
+ */
+
+// Create MoneyUtils namespace
+window.MoneyUtils = {
+  /**
+   * Common ISO 4217 currency codes offered in price inputs (any code is accepted)
+   */
+  CURRENCIES: ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'NZD', 'CNY', 'INR', 'BRL'],
+
+  /**
+   * Currency symbols recognised when parsing free-text prices
+   */
+  SYMBOLS: { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' },
+
+  /**
+   * Parse a free-text price such as "$50", "1,200.50 EUR" or "200"
+   * @param {string|number} text - Price text
+   * @returns {Object} { amount, currency } where either may be null if not recognised
+   */
+  parseAmount: function(text) {
+    if (typeof text === 'number') {
+      return { amount: isFinite(text) ? text : null, currency: null };
+    }
+
+    const value = (text || '').trim();
+    if (!value) return { amount: null, currency: null };
+
+    let currency = null;
+    const code = value.match(/\b([A-Za-z]{3})\b/);
+    if (code && this.CURRENCIES.includes(code[1].toUpperCase())) {
+      currency = code[1].toUpperCase();
+    } else {
+      const symbol = Object.keys(this.SYMBOLS).find(s => value.includes(s));
+      currency = symbol ? this.SYMBOLS[symbol] : null;
+    }
+
+    const number = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return { amount: number ? parseFloat(number[0]) : null, currency };
+  },
+
+  /**
+   * Normalise a currency code, or return null if it isn't a three-letter code
+   * @param {string} currency - Currency code
+   * @returns {string|null} Upper-case code
+   */
+  normalizeCurrency: function(currency) {
+    const code = (currency || '').trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : null;
+  },
+
+  /**
+   * Format an amount in a currency
+   * @param {number} amount - Amount
+   * @param {string} currency - ISO currency code
+   * @returns {string} Formatted amount, or an empty string if there is none
+   */
+  formatAmount: function(amount, currency) {
+    if (amount === null || amount === undefined || !isFinite(amount)) return '';
+
+    if (currency) {
+      try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+      } catch (err) {
+        // Unknown to Intl; fall through to the plain format
+      }
+    }
+
+    return `${amount.toFixed(2)}${currency ? ' ' + currency : ''}`;
+  }
+};
@@ -0,0 +1,182 @@
+/**
+ * Zip utilities for PC History Tracker
+ * Writes uncompressed zip files and reads stored or deflated ones
+ */
+
+// Create ZipUtils namespace
+window.ZipUtils = {
+  /**
+   * CRC-32 lookup table, built on first use
+   */
+  crcTable: null,
+
+  /**
+   * CRC-32 checksum of some bytes, as stored in zip headers
+   * @param {Uint8Array} bytes - Data
+   * @returns {number} Unsigned checksum
+   */
+  crc32: function(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  /**
+   * Build a zip file. Entries are stored without compression, which keeps this
+   * small and is fine for the text files it is used for.
+   * @param {Array} files - { name, data } entries, data being a string or Uint8Array
+   * @param {Date} date - Modification time recorded for every entry
+   * @returns {Uint8Array} Zip file bytes
+   */
+  createZip: function(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      const crc = this.crc32(data);
+
+      // Local file header; flag bit 11 marks the name as UTF-8
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034B50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);
+      local.setUint16(8, 0, true);
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014B50, true);
+      central.setUint16(4, 20, true);
+      central.setUint16(6, 20, true);
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+
+      localParts.push(new Uint8Array(local.buffer), name, data);
+      centralParts.push(new Uint8Array(central.buffer), name);
+      offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+      zip.set(part, position);
+      position += part.length;
+    });
+
+    return zip;
+  },
+
+  /**
+   * Whether some bytes start like a zip file
+   * @param {Uint8Array} bytes - File bytes
+   * @returns {boolean} True for a zip
+   */
+  isZip: function(bytes) {
+    return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+  },
+
+  /**
+   * Read the files in a zip. Deflated entries (from zips made or re-saved by
+   * other tools) need a browser with DecompressionStream.
+   * @param {Uint8Array|ArrayBuffer} input - Zip file bytes
+   * @returns {Promise<Object>} Map of file name to bytes (folders are skipped)
+   */
+  readZip: async function(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record sits in the last 22 bytes plus any comment
+    let endOffset = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+      if (view.getUint32(i, true) === 0x06054B50) {
+        endOffset = i;
+        break;
+      }
+    }
+
+    if (endOffset < 0) {
+      throw new Error('Not a zip file');
+    }
+
+    const count = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const files = {};
+
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(position, true) !== 0x02014B50) {
+        throw new Error('Damaged zip file');
+      }
+
+      const method = view.getUint16(position + 10, true);
+      const compressedSize = view.getUint32(position + 20, true);
+      const nameLength = view.getUint16(position + 28, true);
+      const extraLength = view.getUint16(position + 30, true);
+      const commentLength = view.getUint16(position + 32, true);
+      const localOffset = view.getUint32(position + 42, true);
+      const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+      position += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) continue;
+
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        files[name] = data;
+      } else if (method === 8) {
+        if (typeof DecompressionStream === 'undefined') {
+          throw new Error('This browser cannot read compressed zip files');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        files[name] = new Uint8Array(await new Response(stream).arrayBuffer());
+      } else {
+        throw new Error(`Unsupported compression in zip entry ${name}`);
+      }
+    }
+
+    return files;
+  }
+};
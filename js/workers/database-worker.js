@@ -0,0 +1,600 @@
+/**
+ * Database worker for PC History Tracker
+ * Owns the open database: every query, transaction and export runs here, off
+ * the main thread, so working with a large archive doesn't freeze the page.
+ * Schema migrations and the audit triggers live here too, since they are
+ * applied to each database as it is opened. DatabaseService is the page's
+ * async interface to it.
+ *
+ * Messages are { id, type, ... } and each is answered with { id, result } or
+ * { id, error: { name, message } }, in the order they were sent.
+ */
+
+// SQL.js module
+let SQL = null;
+
+// The open database under 'main', and files opened alongside it for reading or
+// comparing (see DatabaseService.openDetachedDatabase) under names of their own
+const databases = new Map();
+
+/**
+ * Ordered schema migrations. Each step upgrades the schema by exactly one
+ * version and is recorded in PRAGMA user_version. Never edit a step that
+ * has shipped; append a new one instead so existing archives upgrade cleanly.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Initial schema',
+    up: function(database) {
+      // Files created before versioning already have some or all of these
+      // tables, so this step has to be idempotent
+
+      // Create parts table
+      database.run(`
+        CREATE TABLE IF NOT EXISTS parts (
+          id INTEGER PRIMARY KEY,
+          brand TEXT NOT NULL,
+          model TEXT NOT NULL,
+          type TEXT CHECK(type IN ('motherboard', 'cpu', 'gpu', 'ram', 'storage', 'psu', 'case', 'cooling', 'monitor', 'peripheral', 'other')),
+          acquisition_date TEXT,
+          date_precision TEXT DEFAULT 'day',
+          notes TEXT,
+          is_deleted INTEGER DEFAULT 0
+        )
+      `);
+
+      // Create connections table
+      database.run(`
+        CREATE TABLE IF NOT EXISTS connections (
+          id INTEGER PRIMARY KEY,
+          motherboard_id INTEGER,
+          part_id INTEGER,
+          connected_at TEXT NOT NULL,
+          connected_precision TEXT DEFAULT 'day',
+          disconnected_at TEXT,
+          disconnected_precision TEXT DEFAULT 'day',
+          notes TEXT,
+          FOREIGN KEY (motherboard_id) REFERENCES parts(id),
+          FOREIGN KEY (part_id) REFERENCES parts(id)
+        )
+      `);
+
+      // Create rig identities table
+      database.run(`
+        CREATE TABLE IF NOT EXISTS rig_identities (
+          id INTEGER PRIMARY KEY,
+          motherboard_id INTEGER,
+          name TEXT NOT NULL,
+          active_from TEXT NOT NULL,
+          active_from_precision TEXT DEFAULT 'day',
+          active_until TEXT,
+          active_until_precision TEXT DEFAULT 'day',
+          notes TEXT,
+          FOREIGN KEY (motherboard_id) REFERENCES parts(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Create rig_names table (simpler approach for naming rigs)
+      database.run(`
+        CREATE TABLE IF NOT EXISTS rig_names (
+          id INTEGER PRIMARY KEY,
+          motherboard_id INTEGER NOT NULL,
+          start_date TEXT NOT NULL,
+          name TEXT NOT NULL,
+          notes TEXT,
+          FOREIGN KEY (motherboard_id) REFERENCES parts(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Create disposals table
+      database.run(`
+        CREATE TABLE IF NOT EXISTS disposals (
+          id INTEGER PRIMARY KEY,
+          part_id INTEGER,
+          disposed_at TEXT NOT NULL,
+          disposed_precision TEXT DEFAULT 'day',
+          reason TEXT,
+          notes TEXT,
+          FOREIGN KEY (part_id) REFERENCES parts(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Audit log',
+    up: function(database) {
+      // Append-only history of every change made to the archive
+      database.run(`
+        CREATE TABLE audit_log (
+          id INTEGER PRIMARY KEY,
+          changed_at TEXT NOT NULL,
+          action TEXT NOT NULL CHECK(action IN ('insert', 'update', 'delete')),
+          entity TEXT NOT NULL,
+          entity_id INTEGER NOT NULL,
+          field TEXT,
+          old_value TEXT,
+          new_value TEXT,
+          part_id INTEGER,
+          motherboard_id INTEGER
+        )
+      `);
+
+      database.run('CREATE INDEX idx_audit_log_part ON audit_log(part_id)');
+      database.run('CREATE INDEX idx_audit_log_motherboard ON audit_log(motherboard_id)');
+      database.run('CREATE INDEX idx_audit_log_entity ON audit_log(entity, entity_id)');
+
+      // Entries can be added but never rewritten
+      database.run(`
+        CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+      `);
+      database.run(`
+        CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'Part identifiers',
+    up: function(database) {
+      // Optional identifiers that tell otherwise identical parts apart. Serials
+      // are not unique in the schema: duplicates are only warned about.
+      database.run('ALTER TABLE parts ADD COLUMN serial_number TEXT');
+      database.run('ALTER TABLE parts ADD COLUMN sku TEXT');
+      database.run('ALTER TABLE parts ADD COLUMN asset_tag TEXT');
+
+      database.run('CREATE INDEX idx_parts_serial_number ON parts(serial_number)');
+    }
+  },
+  {
+    version: 4,
+    description: 'Prices',
+    up: function(database) {
+      database.run('ALTER TABLE parts ADD COLUMN purchase_price REAL');
+      database.run('ALTER TABLE parts ADD COLUMN purchase_currency TEXT');
+      database.run('ALTER TABLE parts ADD COLUMN vendor TEXT');
+
+      database.run('ALTER TABLE disposals ADD COLUMN method TEXT');
+      database.run('ALTER TABLE disposals ADD COLUMN recipient TEXT');
+      database.run('ALTER TABLE disposals ADD COLUMN sale_price REAL');
+      database.run('ALTER TABLE disposals ADD COLUMN sale_currency TEXT');
+
+      // Older disposals only have a "sold to X for 200" reason string; recover
+      // what we can from it and leave the reason text as it was. The price is
+      // parsed here rather than with MoneyUtils, so later changes there can't
+      // change how this step upgrades a database.
+      const currencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'JPY', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'NZD', 'CNY', 'INR', 'BRL'];
+      const symbols = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+      const parsePrice = (text) => {
+        const code = text.match(/\b([A-Za-z]{3})\b/);
+        const symbol = Object.keys(symbols).find(s => text.includes(s));
+        const number = text.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+        return {
+          amount: number ? parseFloat(number[0]) : null,
+          currency: code && currencies.includes(code[1].toUpperCase()) ? code[1].toUpperCase() : (symbol ? symbols[symbol] : null)
+        };
+      };
+
+      const result = database.exec('SELECT id, reason FROM disposals WHERE reason IS NOT NULL');
+      const rows = result.length > 0 ? result[0].values : [];
+
+      rows.forEach(([id, reason]) => {
+        const match = /^(\w+)(?: to (.+?))?(?: for (.+))?$/.exec(reason.trim());
+        if (!match) return;
+
+        const method = match[1].toLowerCase() === 'disposed' ? 'other' : match[1].toLowerCase();
+        const price = match[3] ? parsePrice(match[3].trim()) : { amount: null, currency: null };
+
+        // "for" that isn't followed by a price belongs to the recipient
+        let recipient = match[2] || null;
+        if (match[3] && price.amount === null) {
+          recipient = recipient ? `${recipient} for ${match[3]}` : null;
+        }
+
+        database.run(
+          'UPDATE disposals SET method = ?, recipient = ?, sale_price = ?, sale_currency = ? WHERE id = ?',
+          [method, recipient, price.amount, price.amount === null ? null : price.currency, id]
+        );
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Warranty and RMA',
+    up: function(database) {
+      // Warranty length from the acquisition date; the expiry is derived, not stored
+      database.run('ALTER TABLE parts ADD COLUMN warranty_months INTEGER');
+
+      // Repairs and returns; a part with an open RMA is away rather than in the bin
+      database.run(`
+        CREATE TABLE rmas (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          part_id INTEGER NOT NULL,
+          sent_at TEXT NOT NULL,
+          sent_precision TEXT NOT NULL DEFAULT 'day',
+          returned_at TEXT,
+          returned_precision TEXT,
+          outcome TEXT CHECK (outcome IN ('repaired', 'replaced', 'refused', 'lost')),
+          replacement_part_id INTEGER,
+          rma_number TEXT,
+          notes TEXT,
+          FOREIGN KEY (part_id) REFERENCES parts(id),
+          FOREIGN KEY (replacement_part_id) REFERENCES parts(id)
+        )
+      `);
+
+      database.run('CREATE INDEX idx_rmas_part_id ON rmas(part_id)');
+    }
+  },
+  {
+    version: 6,
+    description: 'Part lineage',
+    up: function(database) {
+      // Links between the physical parts that make up one logical component,
+      // read as "part <relation> related part" (e.g. part 3 replaced_by part 7)
+      database.run(`
+        CREATE TABLE part_lineage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          part_id INTEGER NOT NULL,
+          relation TEXT NOT NULL CHECK (relation IN ('replaced_by', 'split_from', 'merged_into')),
+          related_part_id INTEGER NOT NULL,
+          linked_at TEXT,
+          linked_precision TEXT,
+          notes TEXT,
+          FOREIGN KEY (part_id) REFERENCES parts(id),
+          FOREIGN KEY (related_part_id) REFERENCES parts(id)
+        )
+      `);
+
+      database.run('CREATE INDEX idx_part_lineage_part_id ON part_lineage(part_id)');
+      database.run('CREATE INDEX idx_part_lineage_related_part_id ON part_lineage(related_part_id)');
+
+      // RMA replacements were the first kind of link
+      database.run(`
+        INSERT INTO part_lineage (part_id, relation, related_part_id, linked_at, linked_precision, notes)
+        SELECT part_id, 'replaced_by', replacement_part_id, returned_at, returned_precision,
+          CASE WHEN rma_number IS NULL THEN 'RMA' ELSE 'RMA ' || rma_number END
+        FROM rmas
+        WHERE replacement_part_id IS NOT NULL
+      `);
+    }
+  },
+  {
+    version: 7,
+    description: 'Connection and disposal indexes',
+    up: function(database) {
+      // The temporal checks that guard every write look these up by part
+      database.run('CREATE INDEX idx_connections_part_id ON connections(part_id)');
+      database.run('CREATE INDEX idx_connections_motherboard_id ON connections(motherboard_id)');
+      database.run('CREATE INDEX idx_disposals_part_id ON disposals(part_id)');
+    }
+  }
+];
+
+/**
+ * Tables whose changes are written to audit_log, with SQL expressions
+ * (over the trigger row alias R) that link each row to a part and a rig
+ */
+const AUDITED_TABLES = {
+  parts: {
+    partId: 'R.id',
+    motherboardId: "CASE WHEN R.type = 'motherboard' THEN R.id END"
+  },
+  connections: {
+    partId: 'R.part_id',
+    motherboardId: 'R.motherboard_id'
+  },
+  rig_identities: {
+    partId: 'NULL',
+    motherboardId: 'R.motherboard_id'
+  },
+  rig_names: {
+    partId: 'NULL',
+    motherboardId: 'R.motherboard_id'
+  },
+  disposals: {
+    partId: 'R.part_id',
+    motherboardId: "(SELECT id FROM parts WHERE id = R.part_id AND type = 'motherboard')"
+  },
+  rmas: {
+    partId: 'R.part_id',
+    motherboardId: "(SELECT id FROM parts WHERE id = R.part_id AND type = 'motherboard')"
+  },
+  part_lineage: {
+    partId: 'R.part_id',
+    motherboardId: 'NULL'
+  }
+};
+
+/**
+ * (Re)create the audit triggers from each table's current columns. Runs after
+ * every batch of migrations, so columns added by later steps are audited too.
+ * @param {Object} database - SQL.js database instance
+ */
+function installAuditTriggers(database) {
+  const timestamp = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+  Object.keys(AUDITED_TABLES).forEach(table => {
+    const { partId, motherboardId } = AUDITED_TABLES[table];
+    const columns = database.exec(`PRAGMA table_info(${table})`)[0].values
+      .map(row => row[1])
+      .filter(column => column !== 'id');
+
+    // Whole rows are stored as JSON for inserts and deletes
+    const rowJson = alias => 'json_object(' + ['id'].concat(columns)
+      .map(column => `'${column}', ${alias}.${column}`).join(', ') + ')';
+    const context = alias => `${partId.replace(/R\./g, alias + '.')}, ${motherboardId.replace(/R\./g, alias + '.')}`;
+
+    ['insert', 'update', 'delete'].forEach(action => {
+      database.run(`DROP TRIGGER IF EXISTS audit_${table}_${action}`);
+    });
+
+    database.run(`
+      CREATE TRIGGER audit_${table}_insert AFTER INSERT ON ${table}
+      BEGIN
+        INSERT INTO audit_log (changed_at, action, entity, entity_id, field, old_value, new_value, part_id, motherboard_id)
+        VALUES (${timestamp}, 'insert', '${table}', NEW.id, NULL, NULL, ${rowJson('NEW')}, ${context('NEW')});
+      END
+    `);
+
+    // One entry per changed field
+    const fieldInserts = columns.map(column => `
+        INSERT INTO audit_log (changed_at, action, entity, entity_id, field, old_value, new_value, part_id, motherboard_id)
+        SELECT ${timestamp}, 'update', '${table}', NEW.id, '${column}', OLD.${column}, NEW.${column}, ${context('NEW')}
+        WHERE OLD.${column} IS NOT NEW.${column};`).join('');
+
+    database.run(`
+      CREATE TRIGGER audit_${table}_update AFTER UPDATE ON ${table}
+      BEGIN${fieldInserts}
+      END
+    `);
+
+    database.run(`
+      CREATE TRIGGER audit_${table}_delete AFTER DELETE ON ${table}
+      BEGIN
+        INSERT INTO audit_log (changed_at, action, entity, entity_id, field, old_value, new_value, part_id, motherboard_id)
+        VALUES (${timestamp}, 'delete', '${table}', OLD.id, NULL, ${rowJson('OLD')}, NULL, ${context('OLD')});
+      END
+    `);
+  });
+}
+
+// Latest schema version this build of the app understands
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read the schema version stored in a database file
+ * @param {Object} database - SQL.js database instance
+ * @returns {number} Schema version (0 for files created before versioning)
+ */
+function readSchemaVersion(database) {
+  const result = database.exec('PRAGMA user_version');
+  return result.length > 0 ? result[0].values[0][0] : 0;
+}
+
+/**
+ * Bring a database up to SCHEMA_VERSION, one transactional step at a time
+ * @param {Object} database - SQL.js database instance
+ * @returns {number} Number of migration steps applied
+ */
+function migrateDatabase(database) {
+  const currentVersion = readSchemaVersion(database);
+
+  // Refuse files written by a newer version rather than guessing at their schema
+  if (currentVersion > SCHEMA_VERSION) {
+    const err = new Error(
+      `This file uses schema version ${currentVersion}, but this version of PC History Tracker ` +
+      `only supports up to version ${SCHEMA_VERSION}. Please update the app to open it.`
+    );
+    err.name = 'SchemaVersionError';
+    throw err;
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > currentVersion);
+
+  pending.forEach(migration => {
+    // Begin transaction so a failed step leaves the previous version intact
+    database.run('BEGIN TRANSACTION');
+
+    try {
+      migration.up(database);
+      database.run(`PRAGMA user_version = ${migration.version}`);
+      database.run('COMMIT');
+    } catch (err) {
+      database.run('ROLLBACK');
+      console.error(`Error applying migration ${migration.version}:`, err);
+      throw new Error(`Could not upgrade database to schema version ${migration.version} (${migration.description}): ${err.message}`);
+    }
+  });
+
+  // Regenerate audit triggers so they cover any columns the new steps added
+  if (pending.length > 0) {
+    database.run('BEGIN TRANSACTION');
+    try {
+      installAuditTriggers(database);
+      database.run('COMMIT');
+    } catch (err) {
+      database.run('ROLLBACK');
+      throw err;
+    }
+  }
+
+  return pending.length;
+}
+
+/**
+ * Copy audit entries newer than any in a snapshot from the open database into it
+ * @param {Object} from - SQL.js database the entries are read from
+ * @param {Object} to - SQL.js database restored from the snapshot
+ */
+function carryAuditEntries(from, to) {
+  const kept = to.exec('SELECT COALESCE(MAX(id), 0) FROM audit_log')[0].values[0][0];
+  const result = from.exec('SELECT * FROM audit_log WHERE id > ? ORDER BY id', [kept]);
+  if (result.length === 0) return;
+
+  const { columns, values } = result[0];
+  const statement = to.prepare(
+    `INSERT INTO audit_log (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+  );
+
+  to.run('BEGIN TRANSACTION');
+  try {
+    values.forEach(row => statement.run(row));
+    to.run('COMMIT');
+  } catch (err) {
+    to.run('ROLLBACK');
+    throw err;
+  } finally {
+    statement.free();
+  }
+}
+
+/**
+ * Get an open database
+ * @param {string} name - 'main' or a detached database's name
+ * @returns {Object} SQL.js database instance
+ */
+function getDatabase(name) {
+  const database = databases.get(name);
+  if (!database) throw new Error('No database is open');
+  return database;
+}
+
+/**
+ * Close an open database, if there is one by that name
+ * @param {string} name - 'main' or a detached database's name
+ */
+function closeDatabase(name) {
+  const database = databases.get(name);
+  if (database) {
+    database.close();
+    databases.delete(name);
+  }
+}
+
+const handlers = {
+  /**
+   * Load sql.js
+   * @param {Object} message - { scriptUrl, wasmBinary }: sql-wasm.js to import,
+   *   and the wasm the page already fetched
+   * @returns {Object} { supportedSchemaVersion }
+   */
+  init: async function({ scriptUrl, wasmBinary }) {
+    importScripts(scriptUrl);
+    SQL = await self.initSqlJs({ wasmBinary });
+    return { supportedSchemaVersion: SCHEMA_VERSION };
+  },
+
+  /**
+   * Open a database file, or a new empty database, and upgrade it to the
+   * current schema. It replaces any database open under the same name only
+   * once the upgrade has succeeded, so a refused or failed upgrade leaves the
+   * open one untouched.
+   * @param {Object} message - { name, data }: data is the file's bytes, or null for a new database
+   * @returns {Object} { schemaVersion }
+   */
+  open: function({ name, data }) {
+    if (!SQL) throw new Error('SQL.js is not initialized');
+
+    const opened = data ? new SQL.Database(data) : new SQL.Database();
+    try {
+      migrateDatabase(opened);
+    } catch (err) {
+      opened.close();
+      throw err;
+    }
+
+    closeDatabase(name);
+    databases.set(name, opened);
+    return { schemaVersion: readSchemaVersion(opened) };
+  },
+
+  /**
+   * Replace the open database with a snapshot exported from it earlier. The
+   * audit log is append-only, so entries written since the snapshot was taken
+   * are carried over instead of being rolled back with the data.
+   * @param {Object} message - { data }: snapshot bytes
+   * @returns {Object} { schemaVersion }
+   */
+  restore: function({ data }) {
+    if (!SQL) throw new Error('SQL.js is not initialized');
+
+    const restored = new SQL.Database(data);
+    try {
+      if (databases.has('main')) carryAuditEntries(databases.get('main'), restored);
+    } catch (err) {
+      restored.close();
+      throw err;
+    }
+
+    closeDatabase('main');
+    databases.set('main', restored);
+    return { schemaVersion: readSchemaVersion(restored) };
+  },
+
+  /**
+   * Run a query
+   * @param {Object} message - { name, sql, params }
+   * @returns {Array} Result sets, as from SQL.js exec
+   */
+  exec: function({ name, sql, params }) {
+    return getDatabase(name).exec(sql, params);
+  },
+
+  /**
+   * Run a statement that does not return rows
+   * @param {Object} message - { name, sql, params }
+   * @returns {Object} { changes, lastInsertId }
+   */
+  run: function({ name, sql, params }) {
+    const database = getDatabase(name);
+    database.exec(sql, params);
+
+    const [changes, lastInsertId] = database.exec('SELECT changes(), last_insert_rowid()')[0].values[0];
+    return { changes, lastInsertId };
+  },
+
+  /**
+   * Export a database file. sql.js reopens the connection to do so.
+   * @param {Object} message - { name }
+   * @returns {Uint8Array} Database file bytes (handed over, not copied)
+   */
+  export: function({ name }) {
+    return getDatabase(name).export();
+  },
+
+  /**
+   * Close a database
+   * @param {Object} message - { name }
+   */
+  close: function({ name }) {
+    closeDatabase(name);
+  }
+};
+
+/**
+ * Handle a message and post the answer
+ * @param {Object} message - { id, type, ... }
+ */
+async function handle(message) {
+  const { id, type } = message;
+
+  try {
+    if (!handlers[type]) throw new Error(`Unknown message type: ${type}`);
+
+    const result = await handlers[type](message);
+    self.postMessage({ id, result }, result instanceof Uint8Array ? [result.buffer] : []);
+  } catch (err) {
+    self.postMessage({ id, error: { name: err.name, message: err.message } });
+  }
+}
+
+// Handle messages one at a time: the first open arrives while init is still
+// loading sql.js
+let queue = Promise.resolve();
+self.onmessage = (e) => {
+  queue = queue.then(() => handle(e.data));
+};
@@ -0,0 +1,137 @@
+/**
+ * Service worker for PC History Tracker
+ * Precaches the app so it opens and runs with no network connection
+ */
+
+// Bump the version when files are added to or removed from PRECACHE
+const CACHE_NAME = 'pc-history-v10';
+
+// Everything the page loads: keep in step with the script tags in index.html,
+// plus sql.js, which the database worker loads
+const PRECACHE = [
+  './',
+  'index.html',
+  'app.js',
+  'manifest.webmanifest',
+  'vendor/sql.js/sql-wasm.js',
+  'vendor/sql.js/sql-wasm.wasm',
+  'assets/app-icon.svg',
+  'assets/icons/case.png',
+  'assets/icons/cooling.png',
+  'assets/icons/cpu.svg',
+  'assets/icons/gpu.svg',
+  'assets/icons/monitor.png',
+  'assets/icons/motherboard.png',
+  'assets/icons/other.png',
+  'assets/icons/peripheral.png',
+  'assets/icons/powersupply.png',
+  'assets/icons/ram.svg',
+  'assets/icons/storage.svg',
+  'js/utils/date-utils.js',
+  'js/utils/dom-utils.js',
+  'js/utils/money-utils.js',
+  'js/utils/csv-utils.js',
+  'js/utils/zip-utils.js',
+  'js/utils/idb-utils.js',
+  'js/services/database.js',
+  'js/services/query-service.js',
+  'js/services/history-service.js',
+  'js/services/temporal-validator.js',
+  'js/services/duplicate-finder.js',
+  'js/services/archive-service.js',
+  'js/services/csv-archive.js',
+  'js/services/json-archive.js',
+  'js/services/diff-engine.js',
+  'js/services/backup-service.js',
+  'js/services/three-way-merge.js',
+  'js/services/database-merge.js',
+  'js/services/save-scheduler.js',
+  'js/services/recent-files.js',
+  'js/services/crypto-service.js',
+  'js/services/browser-storage.js',
+  'js/services/file-service.js',
+  'js/workers/database-worker.js',
+  'js/models/part.js',
+  'js/models/connection.js',
+  'js/models/disposal.js',
+  'js/models/warranty.js',
+  'js/models/lineage.js',
+  'js/models/rig.js',
+  'js/models/timeline-event.js',
+  'js/models/audit-log.js',
+  'js/models/cost-report.js',
+  'js/components/parts-list.js',
+  'js/components/timeline-view.js',
+  'js/components/rigs-view.js',
+  'js/components/parts-bin-view.js',
+  'js/components/rig-history-view.js',
+  'js/components/history-menu.js',
+  'js/components/audit-view.js',
+  'js/components/warranty-view.js',
+  'js/components/tools-menu.js',
+  'js/components/integrity-report.js',
+  'js/components/cost-report.js',
+  'js/components/duplicates-report.js',
+  'js/components/diff-report.js',
+  'js/components/backup-browser.js',
+  'js/components/save-conflict-dialog.js',
+  'js/components/merge-database-dialog.js',
+  'js/components/recent-files-menu.js',
+  'js/components/encryption-dialog.js',
+  'js/components/browser-files-dialog.js',
+  'js/controllers/part-controller.js',
+  'js/controllers/connection-controller.js',
+  'js/controllers/disposal-controller.js',
+  'js/controllers/warranty-controller.js',
+  'js/controllers/rig-controller.js',
+  'js/main.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches left by earlier versions
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Answer from the cache straight away and refresh the cached copy in the
+  // background, so edits to the app show up on the next load
+  event.respondWith(
+    caches.open(CACHE_NAME).then(cache => cache.match(request, { ignoreSearch: true }).then(cached => {
+      const network = fetch(request)
+        .then(response => {
+          if (response.ok) {
+            cache.put(request, response.clone());
+          }
+          return response;
+        })
+        .catch(err => {
+          // Offline: a page load still gets the app
+          if (request.mode === 'navigate') {
+            return cache.match('index.html');
+          }
+          throw err;
+        });
+
+      if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+      }
+      return network;
+    }))
+  );
+});